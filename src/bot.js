@@ -0,0 +1,383 @@
+/**
+ * Alert pipeline
+ * Everything between a scrape and the outbox: time parsing, tracking, project
+ * details, routing, mentions and rendering alerts for each destination. Shared by the long-running bot
+ * (index.js) and the command-line tools (cli.js).
+ */
+
+const { scrape, scrapeDetails, captureSnapshot } = require('./scraper');
+const { parseTime } = require('./timeparser');
+const { createNotifier } = require('./notifiers');
+const { createRoute, recipientsFor } = require('./routes');
+const { createDetailCache, withDetails } = require('./details');
+const { createMentionPolicy } = require('./mentions');
+const { selectDigestMigrations } = require('./digest');
+const { writeCalendar } = require('./calendar');
+const { createRecorder } = require('./recording');
+const { getMigrationsToAlert, getTrackedMigrations, setAlertMessage } = require('./tracker');
+const outbox = require('./outbox');
+const metrics = require('./metrics');
+const { recordCheck } = require('./status');
+const { createDiagnostics, assessScrape, assessError } = require('./diagnostics');
+
+// Settings to point people at when a notifier cannot be reached
+const NOTIFIER_SETTINGS = {
+    discord: 'DISCORD_WEBHOOK_URL',
+    slack: 'SLACK_WEBHOOK_URL',
+    telegram: 'TELEGRAM_BOT_TOKEN and TELEGRAM_CHAT_ID',
+    webhook: 'JSON_WEBHOOK_URL'
+};
+
+const alertsTotal = metrics.counter('migrate_fun_alerts_total', 'Alerts raised, by type');
+
+/**
+ * Add minutesUntil to scraped records, preferring an exact schedule over countdown text
+ *
+ * Countdowns are relative to when the page was read, which is what the
+ * tracker measures from.
+ *
+ * @param {Array} rawMigrations - Records from scrape()
+ * @param {number} [now] - Time to read records without a scrapedAt against (ms since epoch)
+ * @returns {Array} Records with minutesUntil, timeState and timeConfidence
+ */
+function prepareMigrations(rawMigrations, now = Date.now()) {
+    return rawMigrations.map(m => {
+        const time = parseTime(m.scheduledAt || m.timeText, { now: Date.parse(m.scrapedAt) || now });
+        return {
+            ...m,
+            timeState: time.state,
+            timeConfidence: time.confidence,
+            minutesUntil: time.state === 'scheduled' ? time.minutesUntil : null
+        };
+    });
+}
+
+/**
+ * What to tell the operator when a notifier cannot be reached
+ * @param {Object} notifier
+ */
+function settingsHint(notifier) {
+    return notifier.name === notifier.type ?
+        `Please check your ${NOTIFIER_SETTINGS[notifier.type]}` :
+        `Please check the settings of destination "${notifier.name}"`;
+}
+
+/**
+ * Create the alert pipeline for a configuration
+ *
+ * @param {Object} config - From loadConfig()
+ * @param {Object} [options]
+ * @param {Object} [options.queue] - Where rendered messages go, as {enqueue(target, payload, label, options)};
+ *   defaults to the outbox. A dry run passes a queue that only records them
+ * @param {Function} [options.scrape] - Scrape function (defaults to scraper.scrape)
+ * @param {Function} [options.scrapeDetails] - Reads a project page URL into details (defaults to scraper.scrapeDetails)
+ * @param {Function} [options.now] - Current time (ms since epoch) for tracking, mentions and rendering;
+ *   defaults to Date.now. A replay passes its simulated clock
+ * @param {Object} [options.store] - Tracking store to use instead of the tracker's own, e.g. for a replay
+ * @returns {Object} Bot
+ */
+function createBot(config, options = {}) {
+    const { queue = outbox, now: clock = () => Date.now(), store } = options;
+
+    // Every scrape and project page read goes into the session file too when recording, for replays
+    const recorder = config.recordDir ? createRecorder(config.recordDir) : null;
+    const scrapeSource = options.scrape || scrape;
+    const detailSource = options.scrapeDetails || (url => scrapeDetails(url));
+    const scrapeMigrations = !recorder ? scrapeSource : async () => {
+        const migrations = await scrapeSource();
+        recorder.record({ type: 'scrape', migrations });
+        return migrations;
+    };
+    const readDetails = !recorder ? detailSource : async url => {
+        const details = await detailSource(url);
+        recorder.record({ type: 'details', url, details });
+        return details;
+    };
+
+    // Kept for the life of the bot so each project page is read once per cache period, not every check
+    const details = config.detailFetchLimit > 0 ?
+        createDetailCache({ fetch: readDetails, ttlMinutes: config.detailCacheMinutes, maxFetches: config.detailFetchLimit, now: clock }) :
+        null;
+
+    // One notifier and one route per destination, by name
+    const notifiers = new Map(config.destinations.map(destination => [destination.name, createNotifier(destination)]));
+    const routes = config.destinations.map(createRoute);
+
+    // Scraper problems go to the ops webhook when one is set, so the alert channels only see migrations.
+    // Otherwise they go to the destinations that take everything, not to filtered channels.
+    const unfiltered = routes.filter(route => !route.filtered).map(route => notifiers.get(route.name));
+    const opsNotifiers = config.opsWebhookUrl ?
+        [createNotifier({ type: 'discord', name: 'ops', webhookUrl: config.opsWebhookUrl })] :
+        unfiltered.length > 0 ? unfiltered : [...notifiers.values()];
+
+    [...notifiers.values(), ...opsNotifiers].forEach(outbox.registerNotifier);
+
+    const mentions = createMentionPolicy({
+        mentions: config.mentions,
+        destinationMentions: Object.fromEntries(config.destinations.filter(d => d.mentions).map(d => [d.name, d.mentions])),
+        quietHours: config.quietHours,
+        timeZone: config.quietHoursTimeZone,
+        limit: config.mentionLimit,
+        windowMinutes: config.mentionWindowMinutes,
+        now: clock
+    });
+
+    /**
+     * Render an event for each notifier and queue it
+     */
+    function broadcast(targets, event, label) {
+        for (const notifier of targets) {
+            queue.enqueue(notifier.name, notifier.render({ at: clock(), ...event }), `${label} (${notifier.name})`);
+        }
+    }
+
+    const diagnostics = createDiagnostics({
+        notify: event => {
+            broadcast(opsNotifiers, event, 'ops alert');
+            return deliver();
+        },
+        snapshot: captureSnapshot,
+        threshold: config.diagnosisThreshold,
+        cooldownMinutes: config.opsAlertCooldownMinutes
+    });
+
+    /**
+     * Queue the messages for one alert on every destination whose route wants it
+     */
+    function queueAlert(migration) {
+        alertsTotal.inc({ type: migration.alertType });
+        for (const name of recipientsFor(routes, migration)) {
+            queueAlertFor(notifiers.get(name), migration);
+        }
+    }
+
+    /**
+     * Queue the messages for one alert on one notifier
+     *
+     * Each migration has a single card per notifier that is posted once and then
+     * edited as it moves through the tiers (notifiers that cannot edit post each
+     * update instead); reschedules are also announced as their own message.
+     * Entering a tier pings that tier's mention on Discord: in the card when it
+     * is first posted, otherwise in a tier ping, since edits never ping anyone.
+     */
+    function queueAlertFor(notifier, migration) {
+        const type = migration.alertType;
+        const label = `${type} alert for ${migration.name} (${notifier.name})`;
+        const messages = migration.messages || {};
+        const messageId = messages[notifier.name] || null;
+        const card = { key: `card:${notifier.name}:${migration.id}`, messageId };
+        const render = (eventType, extra) => notifier.render({ type: eventType, migration, tiers: config.tiers, at: clock(), ...extra });
+
+        if (type === 'listed') {
+            queue.enqueue(notifier.name, render('listed'), label);
+            return;
+        }
+
+        if (type === 'removed') {
+            const notice = render('removed');
+            queue.enqueue(notifier.name, notice, label);
+
+            // Retire the alert card too, so it doesn't keep counting down to a migration that won't happen
+            if (messageId) {
+                queue.enqueue(notifier.name, notice, `card update for ${migration.name} (${notifier.name})`, card);
+            }
+            return;
+        }
+
+        if (type === 'rescheduled') {
+            queue.enqueue(notifier.name, render('rescheduled'), label);
+
+            // Only refresh a card that can be edited; a far-off reschedule doesn't need one yet
+            if (!messageId) return;
+        }
+
+        const enteredTier = type === 'tier' && migration.previousTier !== migration.alertTier;
+        const mention = enteredTier && notifier.type === 'discord' ?
+            mentions.take(notifier.name, migration.alertTier, migration.name) :
+            null;
+
+        queue.enqueue(notifier.name, render(type === 'live' ? 'live' : 'tier', messageId ? {} : { mention }), label, card);
+
+        const tierChanged = enteredTier && migration.previousTier;
+        if (messageId && (mention || (config.tierChangePing && tierChanged))) {
+            queue.enqueue(notifier.name, render('tier-ping', { mention }), `tier ping for ${migration.name} (${notifier.name})`);
+        }
+    }
+
+    /**
+     * Track scraped migrations and work out which alerts are due
+     * @param {Array} migrations - From prepareMigrations()
+     * @returns {Array} Alerts, see getMigrationsToAlert()
+     */
+    function findAlerts(migrations) {
+        return getMigrationsToAlert(migrations, {
+            thresholdMinutes: config.alertThresholdMinutes,
+            tiers: config.tiers,
+            rescheduleToleranceMinutes: config.rescheduleToleranceMinutes,
+            cleanupHours: config.cleanupHours,
+            listingAlerts: config.listingAlerts,
+            removalGraceMinutes: config.removalGraceMinutes,
+            routes,
+            now: clock(),
+            store
+        });
+    }
+
+    /**
+     * Add each alerted project's details (both mints, swap ratio, window, socials) from its own page
+     * @param {Array} alerts - From findAlerts()
+     * @returns {Promise<Array>}
+     */
+    function addDetails(alerts) {
+        return details ? details.enrich(alerts) : Promise.resolve(alerts);
+    }
+
+    /**
+     * Log what a scrape found
+     */
+    function logMigrations(migrations) {
+        console.log(`[Main] Found ${migrations.length} migration items`);
+        migrations.forEach(m => {
+            if (!m.debug) {
+                const when = m.minutesUntil !== null ? `${m.minutesUntil} min (${m.timeConfidence} confidence)` :
+                    m.timeState === 'unknown' ? 'unknown time' : m.timeState;
+                console.log(`  - ${m.name}: ${when}`);
+            }
+        });
+    }
+
+    /**
+     * Scrape, track and queue alerts without delivering anything
+     *
+     * Used by dry runs, which also fork the tracker's storage first.
+     *
+     * @returns {Promise<{migrations: Array, alerts: Array}>}
+     */
+    async function planCheck() {
+        const migrations = prepareMigrations(await scrapeMigrations(), clock());
+        logMigrations(migrations);
+
+        const alerts = await addDetails(findAlerts(migrations));
+        alerts.forEach(queueAlert);
+        return { migrations, alerts };
+    }
+
+    /**
+     * Flush the outbox, remembering each card's message so the next tier edits it instead of posting again
+     *
+     * Any flush may deliver cards left over from an earlier check, so every
+     * caller records them.
+     *
+     * @returns {Promise<Object>} From outbox.flush()
+     */
+    async function deliver() {
+        const delivery = await outbox.flush();
+        for (const { key, messageId } of delivery.delivered) {
+            const card = /^card:([^:]+):(.+)$/.exec(key);
+            if (card) setAlertMessage(card[2], messageId, card[1], store);
+        }
+        return delivery;
+    }
+
+    /**
+     * Tracked migrations, with the details already read for their alerts; reads no project pages itself
+     * @param {number} [now]
+     * @returns {Array} From getTrackedMigrations()
+     */
+    function trackedMigrations(now = clock()) {
+        return getTrackedMigrations(config.tiers, now, store).map(migration => {
+            const known = details && details.get(migration.id);
+            return known ? withDetails(migration, known) : migration;
+        });
+    }
+
+    /**
+     * Queue the digest of migrations due within DIGEST_HOURS for every destination that takes it
+     *
+     * Each destination lists the tokens its filters match, and gets the digest
+     * even when nothing is due, so quiet days read as quiet rather than broken.
+     *
+     * @param {number} [now]
+     * @returns {number} Migrations due, before filtering
+     */
+    function queueDigest(now = clock()) {
+        const upcoming = selectDigestMigrations(trackedMigrations(now), config.digestHours, now);
+
+        for (const route of routes.filter(route => route.digest)) {
+            const notifier = notifiers.get(route.name);
+            const event = { type: 'digest', hours: config.digestHours, migrations: upcoming.filter(route.matches), at: now };
+            queue.enqueue(notifier.name, notifier.render(event), `digest (${notifier.name})`);
+        }
+        return upcoming.length;
+    }
+
+    /**
+     * Post the digest now
+     */
+    async function postDigest() {
+        const count = queueDigest();
+        console.log(`[Main] Posting the digest: ${count} migration(s) in the next ${config.digestHours} hours`);
+        const delivery = await deliver();
+        console.log(`[Main] Delivered ${delivery.sent}, failed ${delivery.failed}, pending ${delivery.pending}`);
+    }
+
+    /**
+     * Rewrite the calendar file from what is tracked now; a failed write is logged and retried next check
+     */
+    function exportCalendar() {
+        try {
+            if (writeCalendar(config.tiers, config.calendarFile || undefined)) console.log('[Main] Calendar feed updated');
+        } catch (error) {
+            console.error('[Main] Could not write the calendar feed:', error.message);
+        }
+    }
+
+    /**
+     * Main check function - scrapes and sends alerts
+     */
+    async function checkMigrations() {
+        console.log(`\n${'='.repeat(50)}`);
+        console.log(`[Main] Checking migrations at ${new Date(clock()).toISOString()}`);
+        console.log(`${'='.repeat(50)}`);
+
+        let scrapeMs = null;
+        let items = null;
+
+        try {
+            // Scrape current migrations
+            const scrapeStartedAt = Date.now();
+            const rawMigrations = await scrapeMigrations();
+            scrapeMs = Date.now() - scrapeStartedAt;
+            items = rawMigrations.filter(m => !m.debug).length;
+
+            const migrations = prepareMigrations(rawMigrations, clock());
+            logMigrations(migrations);
+
+            // A scrape that runs but yields nothing usable is a problem too, even though nothing threw
+            await diagnostics.report(assessScrape(migrations));
+
+            // Get migrations that need alerts
+            const toAlert = await addDetails(findAlerts(migrations));
+
+            console.log(`[Main] Sending ${toAlert.length} alert(s)`);
+
+            // Queue alerts; the outbox keeps anything not yet accepted for the next run
+            toAlert.forEach(queueAlert);
+
+            const delivery = await deliver();
+            console.log(`[Main] Delivered ${delivery.sent}, failed ${delivery.failed}, pending ${delivery.pending}`);
+
+            if (config.calendarFeed) exportCalendar();
+
+            recordCheck({ ok: true, scrapeMs, items });
+        } catch (error) {
+            console.error('[Main] Error during check:', error.message);
+            recordCheck({ ok: false, scrapeMs, items, error });
+            await diagnostics.report(assessError(error)).catch(err => console.error('[Main] Could not report error:', err.message));
+        }
+    }
+
+    return { config, notifiers, routes, opsNotifiers, queueAlert, findAlerts, planCheck, checkMigrations, deliver, trackedMigrations, queueDigest, postDigest };
+}
+
+module.exports = { createBot, prepareMigrations, settingsHint };
@@ -0,0 +1,151 @@
+/**
+ * Supervised browser
+ * Keeps one Chrome and page alive across scrapes, and restarts them when
+ * Chrome crashes, its memory grows too large or scrapes keep failing
+ */
+
+const puppeteer = require('puppeteer');
+const metrics = require('./metrics');
+
+// Consecutive failed page loads before Chrome is restarted
+const MAX_FAILURES = parseInt(process.env.BROWSER_MAX_FAILURES) || 3;
+
+// The page's JS heap is checked before every load; above this Chrome is restarted
+const MAX_HEAP_MB = parseInt(process.env.BROWSER_MAX_HEAP_MB) || 256;
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+const restartsTotal = metrics.counter('migrate_fun_browser_restarts_total', 'Chrome restarts, by reason');
+const launchesTotal = metrics.counter('migrate_fun_browser_launches_total', 'Chrome launches');
+const heapMegabytes = metrics.gauge('migrate_fun_browser_heap_megabytes', 'JS heap used by the scrape page');
+
+/**
+ * Launch browser with appropriate settings for the environment
+ *
+ * Puppeteer's own signal handlers stay off: they would kill Chrome and exit
+ * before index.js has drained the check in progress and delivered its alerts.
+ */
+async function launchBrowser() {
+    const isProduction = process.env.NODE_ENV === 'production';
+
+    return puppeteer.launch({
+        headless: 'new',
+        handleSIGINT: false,
+        handleSIGTERM: false,
+        handleSIGHUP: false,
+        args: [
+            '--no-sandbox',
+            '--disable-setuid-sandbox',
+            '--disable-dev-shm-usage',
+            '--disable-accelerated-2d-canvas',
+            '--disable-gpu',
+            '--window-size=1920x1080',
+        ],
+        // Use system Chrome on Railway
+        ...(isProduction && { executablePath: process.env.PUPPETEER_EXECUTABLE_PATH || '/usr/bin/google-chrome-stable' })
+    });
+}
+
+/**
+ * Create a supervisor that owns a long-lived browser and page
+ *
+ * Chrome is launched on first use and relaunched lazily after a restart or
+ * crash, so a restart never blocks the scrape that triggered it.
+ *
+ * @param {Object} [options]
+ * @param {Function} [options.launch] - Starts a browser (defaults to launchBrowser)
+ * @param {number} [options.maxFailures] - Consecutive failures before a restart
+ * @param {number} [options.maxHeapMb] - Page heap size that triggers a restart
+ * @returns {Object} Supervisor
+ */
+function createBrowserSupervisor(options = {}) {
+    const { launch = launchBrowser, maxFailures = MAX_FAILURES, maxHeapMb = MAX_HEAP_MB } = options;
+
+    let browser = null;
+    let page = null;
+    let failures = 0;
+
+    async function start() {
+        const launched = await launch();
+        launchesTotal.inc();
+
+        launched.on('disconnected', () => {
+            if (browser !== launched) return;
+            console.warn('[Browser] Chrome disconnected unexpectedly, relaunching on the next scrape');
+            restartsTotal.inc({ reason: 'crash' });
+            browser = null;
+            page = null;
+        });
+
+        browser = launched;
+        page = await launched.newPage();
+        await page.setUserAgent(USER_AGENT);
+        console.log('[Browser] Chrome started');
+    }
+
+    async function stop() {
+        const current = browser;
+        browser = null;
+        page = null;
+        if (current) await current.close().catch(error => console.warn('[Browser] Error closing Chrome:', error.message));
+    }
+
+    /**
+     * The shared page, launching Chrome if it is not running
+     */
+    async function getPage() {
+        if (!browser || !browser.isConnected() || !page || page.isClosed()) {
+            await stop();
+            await start();
+        }
+        return page;
+    }
+
+    /**
+     * The shared page if Chrome is running, without launching it
+     */
+    function currentPage() {
+        return browser && browser.isConnected() && page && !page.isClosed() ? page : null;
+    }
+
+    /**
+     * Close Chrome; the next getPage() starts a fresh one
+     * @param {string} reason - Short reason used as the metric label
+     * @param {string} [detail] - Extra context for the log
+     */
+    async function restart(reason, detail) {
+        console.warn(`[Browser] Restarting Chrome (${reason}${detail ? `: ${detail}` : ''})`);
+        restartsTotal.inc({ reason });
+        failures = 0;
+        await stop();
+    }
+
+    function reportSuccess() {
+        failures = 0;
+    }
+
+    async function reportFailure(error) {
+        failures++;
+        console.warn(`[Browser] Scrape failure ${failures}/${maxFailures}:`, error.message);
+        if (failures >= maxFailures) await restart('failures', `${failures} in a row`);
+    }
+
+    /**
+     * Restart Chrome if the page's heap has grown past the limit
+     */
+    async function checkMemory() {
+        if (!page || page.isClosed()) return;
+        try {
+            const { JSHeapUsedSize } = await page.metrics();
+            const heapMb = JSHeapUsedSize / (1024 * 1024);
+            heapMegabytes.set(Math.round(heapMb));
+            if (heapMb > maxHeapMb) await restart('memory', `${Math.round(heapMb)}MB heap, limit ${maxHeapMb}MB`);
+        } catch (error) {
+            await restart('crash', `cannot read page metrics: ${error.message}`);
+        }
+    }
+
+    return { getPage, currentPage, restart, reportSuccess, reportFailure, checkMemory, close: stop };
+}
+
+module.exports = { createBrowserSupervisor, launchBrowser };
@@ -0,0 +1,181 @@
+/**
+ * Calendar feed
+ * Renders the tracked migrations as an iCalendar (RFC 5545) feed, one event
+ * per project with reminders at the alert tiers, for people who plan around
+ * migrations in their own calendar
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getTrackedMigrations, getEtaHistory } = require('./tracker');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+const CALENDAR_FILE = path.join(DATA_DIR, 'migrations.ics');
+
+// Migrations are a moment, not a meeting; this just makes them visible in day views
+const EVENT_MINUTES = 30;
+
+// How often subscribed calendars should fetch the feed again
+const REFRESH_MINUTES = 15;
+
+/**
+ * A reminder's offset before the event as an RFC 5545 duration; fractional minutes are given in seconds
+ */
+function triggerBefore(minutes) {
+    return Number.isInteger(minutes) ? `-PT${minutes}M` : `-PT${Math.round(minutes * 60)}S`;
+}
+
+/**
+ * Escape a TEXT value
+ */
+function escapeText(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line into lines of at most 75 octets, never splitting a character
+ */
+function foldLine(line) {
+    const lines = [];
+    let current = '';
+    let octets = 0;
+    for (const char of line) {
+        const size = Buffer.byteLength(char);
+        // Continuation lines start with a space, which counts towards their 75
+        if (octets + size > (lines.length === 0 ? 75 : 74)) {
+            lines.push(current);
+            current = '';
+            octets = 0;
+        }
+        current += char;
+        octets += size;
+    }
+    lines.push(current);
+    return lines.join('\r\n ');
+}
+
+/**
+ * UTC date-time, like 20270101T120000Z
+ * @param {number} ms - Milliseconds since epoch
+ */
+function formatDateTime(ms) {
+    return new Date(ms).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * One VEVENT, as content lines
+ *
+ * The UID comes from the migration ID, so a rescheduled migration replaces
+ * its event rather than adding one; SEQUENCE counts the changes so calendars
+ * take the newest version. Cancelled and removed projects stay in the feed
+ * as cancelled events, so subscribers see them go.
+ *
+ * @param {Object} migration - {id, name, ticker, address, url, etaAt, sequence, updatedAt, cancelled}; times in ms
+ * @param {Array} tiers - Alert tiers, one reminder each
+ */
+function eventLines(migration, tiers) {
+    const name = migration.name || 'Unknown Token';
+    const title = `${name}${migration.ticker ? ` ($${migration.ticker})` : ''}`;
+    const links = [
+        ...(migration.url ? [`Migrate.fun: ${migration.url}`] : []),
+        ...(migration.address ? [`Solscan: https://solscan.io/token/${migration.address}`, `Token: ${migration.address}`] : [])
+    ];
+
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${migration.id}@migrate-fun-bot`,
+        `DTSTAMP:${formatDateTime(migration.updatedAt)}`,
+        `LAST-MODIFIED:${formatDateTime(migration.updatedAt)}`,
+        `SEQUENCE:${migration.sequence}`,
+        `DTSTART:${formatDateTime(migration.etaAt)}`,
+        `DURATION:PT${EVENT_MINUTES}M`,
+        `SUMMARY:${escapeText(`${migration.cancelled ? 'Cancelled: ' : ''}Migration: ${title}`)}`,
+        `STATUS:${migration.cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+        'TRANSP:TRANSPARENT'
+    ];
+    if (links.length > 0) lines.push(`DESCRIPTION:${escapeText(links.join('\n'))}`);
+    if (migration.url) lines.push(`URL:${migration.url}`);
+
+    if (!migration.cancelled) {
+        for (const tier of tiers.filter(tier => Number.isFinite(tier.threshold))) {
+            lines.push(
+                'BEGIN:VALARM',
+                'ACTION:DISPLAY',
+                `TRIGGER:${triggerBefore(tier.threshold)}`,
+                `DESCRIPTION:${escapeText(`${tier.label} ${title} migrates in ${tier.threshold} minutes`)}`,
+                'END:VALARM'
+            );
+        }
+    }
+
+    lines.push('END:VEVENT');
+    return lines;
+}
+
+/**
+ * Render migrations as an iCalendar document
+ * @param {Array} migrations - See eventLines()
+ * @param {Array} tiers - Alert tiers
+ * @returns {string} CRLF-separated, folded content lines
+ */
+function buildCalendar(migrations, tiers) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//migrate-fun-bot//Migration Calendar//EN',
+        'CALSCALE:GREGORIAN',
+        'X-WR-CALNAME:Migrate.fun migrations',
+        `REFRESH-INTERVAL;VALUE=DURATION:PT${REFRESH_MINUTES}M`,
+        `X-PUBLISHED-TTL:PT${REFRESH_MINUTES}M`,
+        ...migrations.flatMap(migration => eventLines(migration, tiers)),
+        'END:VCALENDAR'
+    ];
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * The calendar of everything the tracker knows a time for
+ *
+ * Only tracked changes go into DTSTAMP and SEQUENCE, so the feed reads the
+ * same until a migration is added, rescheduled or removed.
+ *
+ * @param {Array} tiers - Alert tiers
+ * @returns {string} iCalendar document
+ */
+function trackedCalendar(tiers) {
+    const migrations = getTrackedMigrations(tiers)
+        .filter(migration => migration.etaAt)
+        .map(migration => {
+            const reschedules = getEtaHistory(migration.id).filter(reading => reading.rescheduled).length;
+            const changes = [migration.firstSeenAt, migration.rescheduledAt, migration.removedAt].filter(Boolean).map(Date.parse);
+            // The tracker smooths small ETA corrections; whole minutes keep those from rewriting the feed each check
+            const etaAt = Math.round(Date.parse(migration.etaAt) / 60000) * 60000;
+            return {
+                ...migration,
+                etaAt,
+                cancelled: migration.removed,
+                sequence: reschedules + (migration.removed ? 1 : 0),
+                updatedAt: changes.length > 0 ? Math.max(...changes) : etaAt
+            };
+        });
+    return buildCalendar(migrations, tiers);
+}
+
+/**
+ * Write the calendar file if it changed, atomically so a subscriber never reads half of it
+ * @param {Array} tiers - Alert tiers
+ * @param {string} [filePath] - Defaults to migrations.ics in the data directory
+ * @returns {boolean} Whether the file was written
+ */
+function writeCalendar(tiers, filePath = CALENDAR_FILE) {
+    const calendar = trackedCalendar(tiers);
+    if (fs.existsSync(filePath) && fs.readFileSync(filePath, 'utf8') === calendar) return false;
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmp = `${filePath}.tmp`;
+    fs.writeFileSync(tmp, calendar);
+    fs.renameSync(tmp, filePath);
+    return true;
+}
+
+module.exports = { buildCalendar, trackedCalendar, writeCalendar, foldLine, CALENDAR_FILE };
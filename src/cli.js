@@ -0,0 +1,436 @@
+#!/usr/bin/env node
+/**
+ * Command-line tools for operating and debugging the bot
+ *
+ *   scrape [--json]                      print the normalized records from one scrape
+ *   check [--dry-run] [--json]           run one check; --dry-run shows the alerts without sending or saving
+ *   preview-alert <tier> [--to <name>] [--post]
+ *                                        print (or post) a sample alert for a tier, or for live/rescheduled/listed/removed,
+ *                                        or the tier ping, startup or error message, with any templates applied
+ *   digest [--to <name>] [--post]        print (or post) the digest of upcoming migrations
+ *   replay <session> [--json]            replay a recorded session and print the alerts it would raise
+ *   slash-commands                       print the Discord slash command definitions, for registering them
+ *   tracker list [--json]                show tracked migrations
+ *   tracker forget <id>                  forget a migration's alerts so it is alerted again
+ *   tracker clear --yes                  forget everything the tracker knows
+ *   test-webhook [<name>]                send a test message to every destination, or one
+ *
+ * Progress logs go to stderr, so output can be piped.
+ */
+
+require('dotenv').config();
+const { scrape, closeBrowser } = require('./scraper');
+const { createBot, prepareMigrations, settingsHint } = require('./bot');
+const { getTrackedMigrations, forgetMigration, clearTracking, forkStorage, closeStorage } = require('./tracker');
+const { loadConfig, tierFor, ConfigError } = require('./config');
+const { readSession, replaySession } = require('./recording');
+const { COMMANDS } = require('./interactions');
+
+const USAGE = `Usage: migrate-fun-bot <command> [options]
+
+Commands:
+  scrape [--json]                    Print the normalized records from one scrape
+  check [--dry-run] [--json]         Run one check; --dry-run shows which alerts would be sent
+                                     without sending them or saving tracking state
+  preview-alert <tier> [--to <name>] [--post]
+                                     Print a sample alert for a tier (or live, rescheduled, listed,
+                                     removed, tier-ping, startup, error) as each destination would
+                                     receive it, with its templates applied; --post sends it
+  digest [--to <name>] [--post]      Print the digest of tracked migrations due soon as each destination
+                                     would receive it; --post sends it now
+  replay <session> [--json]          Replay a session recorded with RECORD_DIR on a simulated clock and
+                                     print the alerts and messages each check would produce
+  slash-commands                     Print the Discord slash command definitions as JSON, to register
+                                     them for the interactions endpoint
+  tracker list [--json]              Show tracked migrations
+  tracker forget <id>                Forget a migration's alerts so it is alerted again
+  tracker clear --yes                Forget everything the tracker knows
+  test-webhook [<name>]              Send a test message to every destination, or the named one`;
+
+// Flags that take a value; every other flag is a boolean switch
+const VALUE_FLAGS = new Set(['to']);
+
+// Alert types that preview-alert accepts besides tier names
+const PREVIEW_TYPES = ['live', 'rescheduled', 'listed', 'removed', 'tier-ping', 'startup', 'error'];
+
+const SAMPLE_MINT = 'So11111111111111111111111111111111111111112';
+const SAMPLE_NEW_MINT = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+
+/**
+ * Error in how the CLI was called; prints usage and exits with status 2
+ */
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+/**
+ * Split arguments into positionals and --flags
+ * @param {Array<string>} argv
+ * @returns {{args: Array<string>, flags: Object}}
+ */
+function parseArgs(argv) {
+    const args = [];
+    const flags = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            args.push(arg);
+            continue;
+        }
+        const [name, inline] = arg.slice(2).split(/=(.*)/s);
+        if (!VALUE_FLAGS.has(name)) {
+            flags[name] = true;
+        } else if (inline !== undefined) {
+            flags[name] = inline;
+        } else if (i + 1 < argv.length) {
+            flags[name] = argv[++i];
+        } else {
+            throw new UsageError(`--${name} needs a value`);
+        }
+    }
+    return { args, flags };
+}
+
+/**
+ * Reject flags a command does not take
+ */
+function allowFlags(flags, allowed) {
+    const unknown = Object.keys(flags).filter(flag => !allowed.includes(flag));
+    if (unknown.length > 0) throw new UsageError(`Unknown option --${unknown[0]}`);
+}
+
+/**
+ * Lay out rows as aligned columns
+ * @param {Array<Array<string>>} rows - First row is the header
+ */
+function table(rows) {
+    const widths = rows[0].map((_, i) => Math.max(...rows.map(row => String(row[i]).length)));
+    return rows.map(row => row.map((cell, i) => String(cell).padEnd(widths[i])).join('  ').trimEnd()).join('\n');
+}
+
+const minutes = value => (value === null || value === undefined ? '-' : `${value} min`);
+
+/**
+ * A migration that looks like a real alert of the given kind
+ */
+function sampleMigration(kind, tiers) {
+    const tier = tiers.find(t => t.name === kind);
+    const minutesUntil = tier && Number.isFinite(tier.threshold) ? tier.threshold : kind === 'live' ? 0 : 45;
+    const etaAt = Date.now() + minutesUntil * 60000;
+    return {
+        id: SAMPLE_MINT,
+        name: 'Sample Token',
+        ticker: 'SAMPLE',
+        address: SAMPLE_MINT,
+        oldMint: SAMPLE_MINT,
+        newMint: SAMPLE_NEW_MINT,
+        url: 'https://migrate.fun/projects',
+        alertType: tier ? 'tier' : kind,
+        alertTier: tierFor(minutesUntil, tiers).name,
+        minutesUntil,
+        etaAt,
+        previousEtaAt: kind === 'rescheduled' ? etaAt - 60 * 60000 : undefined,
+        reason: kind === 'removed' ? 'cancelled' : undefined,
+        details: {
+            oldMint: SAMPLE_MINT,
+            newMint: SAMPLE_NEW_MINT,
+            swapRatio: 1,
+            opensAt: new Date(etaAt).toISOString(),
+            closesAt: new Date(etaAt + 7 * 24 * 60 * 60000).toISOString(),
+            status: 'upcoming',
+            socials: {}
+        }
+    };
+}
+
+/**
+ * The event a preview renders: a sample alert, or one of the bot's other messages
+ */
+function previewEvent(kind, config) {
+    if (kind === 'startup') return { type: 'startup', config };
+    if (kind === 'error') return { type: 'error', error: new Error('Sample error: the projects page did not load in time') };
+
+    // Pings are for the tightest tier, which is what they usually announce
+    const migration = sampleMigration(kind === 'tier-ping' ? config.tiers[0].name : kind, config.tiers);
+    return { type: kind === 'tier-ping' ? kind : migration.alertType, migration, tiers: config.tiers };
+}
+
+/**
+ * Notifiers a command should address: all of them, or the one named
+ */
+function pickNotifiers(notifiers, name) {
+    if (!name) return notifiers;
+    const match = notifiers.filter(notifier => notifier.name === name);
+    if (match.length === 0) {
+        throw new UsageError(`Unknown destination "${name}" (configured: ${notifiers.map(n => n.name).join(', ')})`);
+    }
+    return match;
+}
+
+/**
+ * Run a CLI command
+ *
+ * @param {Array<string>} argv - Arguments after the script name
+ * @param {Object} [io]
+ * @param {Function} [io.write] - Writes a line of output (defaults to stdout)
+ * @param {Function} [io.writeError] - Writes a line of error output (defaults to stderr)
+ * @param {Object} [io.env] - Environment for the configuration (defaults to process.env)
+ * @returns {Promise<number>} Exit status
+ */
+async function run(argv, io = {}) {
+    const {
+        write = line => process.stdout.write(`${line}\n`),
+        writeError = line => process.stderr.write(`${line}\n`),
+        env = process.env
+    } = io;
+    const print = value => write(typeof value === 'string' ? value : JSON.stringify(value, null, 2));
+
+    try {
+        const { args, flags } = parseArgs(argv);
+        const [command, ...rest] = args;
+        const config = () => loadConfig(env);
+
+        switch (command) {
+            case 'scrape': {
+                allowFlags(flags, ['json']);
+                const migrations = prepareMigrations(await scrape()).filter(m => !m.debug);
+                if (flags.json) {
+                    print(migrations);
+                } else {
+                    print(table([
+                        ['ID', 'NAME', 'TICKER', 'TIME', 'ETA', 'SOURCE'],
+                        ...migrations.map(m => [m.id || '-', m.name || '-', m.ticker || '-', m.timeText || m.scheduledAt || '-',
+                            m.timeState === 'scheduled' ? `${minutes(m.minutesUntil)} (${m.timeConfidence})` : m.timeState, m.source])
+                    ]));
+                }
+                return 0;
+            }
+
+            case 'check': {
+                allowFlags(flags, ['dry-run', 'json']);
+                if (!flags['dry-run']) {
+                    if (flags.json) throw new UsageError('--json only applies to check --dry-run');
+                    await createBot(config()).checkMigrations();
+                    return 0;
+                }
+
+                // Track against a copy of the stored state, and record messages instead of sending them
+                forkStorage();
+                const planned = [];
+                const queue = {
+                    enqueue(target, payload, label, options = {}) {
+                        planned.push({ target, label, editsMessage: options.messageId || null, payload });
+                    }
+                };
+                const { alerts } = await createBot(config(), { queue }).planCheck();
+
+                if (flags.json) {
+                    print({ alerts, messages: planned });
+                } else if (planned.length === 0) {
+                    print(alerts.length > 0 ? `No messages to send: ${alerts.length} alert(s) matched no destination` : 'No alerts due');
+                } else {
+                    print(`Would send ${planned.length} message(s) for ${alerts.length} alert(s):`);
+                    for (const message of planned) {
+                        print(`  ${message.target}: ${message.label}${message.editsMessage ? ` (edits message ${message.editsMessage})` : ''}`);
+                    }
+                }
+                return 0;
+            }
+
+            case 'preview-alert': {
+                allowFlags(flags, ['to', 'post']);
+                const [kind] = rest;
+                const settings = config();
+                const kinds = [...settings.tiers.map(tier => tier.name), ...PREVIEW_TYPES];
+                if (!kind || !kinds.includes(kind.toLowerCase())) {
+                    throw new UsageError(`preview-alert needs one of: ${kinds.join(', ')}`);
+                }
+
+                const event = previewEvent(kind.toLowerCase(), settings);
+                const { notifiers } = createBot(settings);
+                let failed = 0;
+                for (const notifier of pickNotifiers([...notifiers.values()], flags.to)) {
+                    const payload = notifier.render(event);
+                    if (!flags.post) {
+                        print(`# ${notifier.name} (${notifier.type})`);
+                        print(payload);
+                        continue;
+                    }
+                    try {
+                        await notifier.send(payload);
+                        print(`✓ Posted ${kind} preview to ${notifier.name}`);
+                    } catch (error) {
+                        failed++;
+                        print(`✗ Could not post to ${notifier.name}: ${error.message}`);
+                    }
+                }
+                return failed > 0 ? 1 : 0;
+            }
+
+            case 'digest': {
+                allowFlags(flags, ['to', 'post']);
+                const queued = [];
+                const bot = createBot(config(), { queue: { enqueue: (target, payload) => queued.push({ target, payload }) } });
+                const targets = pickNotifiers([...bot.notifiers.values()], flags.to).map(notifier => notifier.name);
+                bot.queueDigest();
+
+                const messages = queued.filter(message => targets.includes(message.target));
+                if (messages.length === 0) {
+                    print('No destination takes the digest (see the digest setting of each destination)');
+                    return 0;
+                }
+
+                let failed = 0;
+                for (const { target, payload } of messages) {
+                    const notifier = bot.notifiers.get(target);
+                    if (!flags.post) {
+                        print(`# ${notifier.name} (${notifier.type})`);
+                        print(payload);
+                        continue;
+                    }
+                    try {
+                        await notifier.send(payload);
+                        print(`✓ Posted the digest to ${notifier.name}`);
+                    } catch (error) {
+                        failed++;
+                        print(`✗ Could not post to ${notifier.name}: ${error.message}`);
+                    }
+                }
+                return failed > 0 ? 1 : 0;
+            }
+
+            case 'replay': {
+                allowFlags(flags, ['json']);
+                const [file] = rest;
+                if (!file) throw new UsageError('replay needs a session file (recorded with RECORD_DIR)');
+
+                const settings = config();
+                let entries;
+                try {
+                    entries = readSession(file);
+                } catch (error) {
+                    print(error.code === 'ENOENT' ? `No session file at ${file}` : error.message);
+                    return 1;
+                }
+                const checks = await replaySession(entries, settings);
+
+                if (flags.json) {
+                    print(checks);
+                    return 0;
+                }
+                const eventful = checks.filter(check => check.alerts.length > 0 || check.messages.length > 0);
+                print(`Replayed ${checks.length} check(s); ${eventful.length} raised alerts:`);
+                for (const check of eventful) {
+                    print(`${check.at}  ${check.alerts.map(a => `${a.type}${a.tier && a.type === 'tier' ? ` ${a.tier}` : ''} for ${a.name}`).join(', ')}`);
+                    for (const message of check.messages) {
+                        const card = message.editsMessage ? ` (edits message ${message.editsMessage})` : message.messageId ? ` (posts message ${message.messageId})` : '';
+                        print(`  ${message.target}: ${message.label}${card}`);
+                    }
+                }
+                return 0;
+            }
+
+            case 'slash-commands': {
+                allowFlags(flags, []);
+                print(COMMANDS);
+                return 0;
+            }
+
+            case 'tracker': {
+                const [action, id] = rest;
+                if (action === 'list') {
+                    allowFlags(flags, ['json']);
+                    const tracked = getTrackedMigrations(config().tiers);
+                    if (flags.json) {
+                        print(tracked);
+                    } else if (tracked.length === 0) {
+                        print('No migrations tracked');
+                    } else {
+                        print(table([
+                            ['ID', 'NAME', 'TIER', 'IN', 'ETA', 'CARDS'],
+                            ...tracked.map(m => [m.id, m.name || '-', m.live ? 'live' : m.tier, minutes(m.minutesUntil), m.etaAt || '-',
+                                Object.keys(m.messages).join(',') || '-'])
+                        ]));
+                    }
+                    return 0;
+                }
+                if (action === 'forget') {
+                    allowFlags(flags, []);
+                    if (!id) throw new UsageError('tracker forget needs a migration ID (see tracker list)');
+                    if (!forgetMigration(id)) {
+                        print(`No tracked migration with ID ${id}`);
+                        return 1;
+                    }
+                    print(`Forgot ${id}; it will be alerted again from its current tier`);
+                    return 0;
+                }
+                if (action === 'clear') {
+                    allowFlags(flags, ['yes']);
+                    if (!flags.yes) {
+                        throw new UsageError('tracker clear forgets every alert already sent, so they will all be sent again; pass --yes to confirm');
+                    }
+                    clearTracking();
+                    print('Cleared all tracking state');
+                    return 0;
+                }
+                throw new UsageError('tracker needs one of: list, forget <id>, clear --yes');
+            }
+
+            case 'test-webhook': {
+                allowFlags(flags, []);
+                const { notifiers, opsNotifiers } = createBot(config());
+                const all = [...new Set([...notifiers.values(), ...opsNotifiers])];
+                let failed = 0;
+                for (const notifier of pickNotifiers(all, rest[0])) {
+                    try {
+                        await notifier.send(notifier.render({ type: 'test', destination: notifier.name }));
+                        print(`✓ ${notifier.name} (${notifier.type})`);
+                    } catch (error) {
+                        failed++;
+                        print(`✗ ${notifier.name} (${notifier.type}): ${error.message}. ${settingsHint(notifier)}`);
+                    }
+                }
+                return failed > 0 ? 1 : 0;
+            }
+
+            case 'help':
+                print(USAGE);
+                return 0;
+
+            case undefined:
+                throw new UsageError('No command given');
+
+            default:
+                throw new UsageError(`Unknown command "${command}"`);
+        }
+    } catch (error) {
+        if (error instanceof UsageError) {
+            writeError(`${error.message}\n\n${USAGE}`);
+            return 2;
+        }
+        if (error instanceof ConfigError) {
+            writeError(`ERROR: ${error.message}`);
+            return 1;
+        }
+        throw error;
+    }
+}
+
+if (require.main === module) {
+    console.log = console.error;
+    run(process.argv.slice(2))
+        .catch(error => {
+            console.error('[CLI] Error:', error.message);
+            return 1;
+        })
+        .then(async status => {
+            await closeBrowser().catch(error => console.error('[CLI] Error closing browser:', error.message));
+            closeStorage();
+            process.exit(status);
+        });
+}
+
+module.exports = { run, parseArgs };
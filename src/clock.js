@@ -0,0 +1,33 @@
+/**
+ * Simulated clock
+ * Stands in for the system clock while a recorded session is replayed, so
+ * tracking, mentions and rendered timestamps all see the time of the
+ * recording rather than the time of the replay
+ */
+
+/**
+ * Create a clock that only moves when told to
+ *
+ * Pass its now() wherever a `now` function is taken (see createBot()); the
+ * global Date is left alone, so nothing outside the replay is affected.
+ *
+ * @param {number} start - Simulated time to start at (ms since epoch)
+ * @returns {{now: Function, set: Function}}
+ */
+function createSimulatedClock(start) {
+    let current = start;
+
+    return {
+        now: () => current,
+        /**
+         * Move the clock; it may only go forward, like the one it stands in for
+         * @param {number} ms - Milliseconds since epoch
+         */
+        set(ms) {
+            if (ms < current) throw new Error(`The simulated clock cannot go back from ${new Date(current).toISOString()} to ${new Date(ms).toISOString()}`);
+            current = ms;
+        }
+    };
+}
+
+module.exports = { createSimulatedClock };
@@ -0,0 +1,759 @@
+/**
+ * Bot configuration
+ * Loads settings from environment variables and an optional JSON/YAML file,
+ * and rejects invalid combinations at startup
+ */
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { TEMPLATE_VARIABLES, TEMPLATE_PARTS, TEMPLATE_PARTS_BY_EVENT, DISCORD_LIMITS, templateVariables } = require('./templates');
+
+// Tiers used when none are configured; thresholds are minutes until migration
+const DEFAULT_TIERS = [
+    { name: 'imminent', threshold: 5, color: 0xFF0000, label: '🚨 IMMINENT', cooldownMinutes: 10 },
+    { name: 'soon', threshold: 15, color: 0xFF8C00, label: '⚠️ SOON', cooldownMinutes: 10 },
+    { name: 'upcoming', threshold: 30, color: 0xFFD700, label: '📢 UPCOMING', cooldownMinutes: 10 }
+];
+
+// Applies to migrations inside the alert threshold but beyond every configured tier.
+// A tier named "scheduled" without a threshold in the config replaces these defaults.
+const SCHEDULED_TIER = { name: 'scheduled', threshold: Infinity, color: 0x00FF00, label: '📅 SCHEDULED', cooldownMinutes: 10 };
+
+const DEFAULTS = {
+    checkIntervalMinutes: 5,
+    fastPollWithinMinutes: 10,
+    fastPollSeconds: 60,
+    checkJitterSeconds: 15,
+    shutdownTimeoutSeconds: 30,
+    rescheduleToleranceMinutes: 5,
+    tierChangePing: false,
+    cleanupHours: 24,
+    listingAlerts: true,
+    removalGraceMinutes: 15,
+    quietHoursTimeZone: 'UTC',
+    mentionLimit: 3,
+    mentionWindowMinutes: 60,
+    detailCacheMinutes: 60,
+    detailFetchLimit: 5,
+    digestTimeZone: 'UTC',
+    digestHours: 24,
+    calendarFeed: true,
+    serveCalendar: false,
+    diagnosisThreshold: 3,
+    opsAlertCooldownMinutes: 60
+};
+
+const WEBHOOK_PATTERN = /^https:\/\/(?:(?:ptb|canary)\.)?discord(?:app)?\.com\/api(?:\/v\d+)?\/webhooks\/\d+\/[\w-]+/;
+const SLACK_WEBHOOK_PATTERN = /^https:\/\/hooks\.slack\.com\/(?:services|workflows|triggers)\/\S+$/;
+const TELEGRAM_TOKEN_PATTERN = /^\d+:[\w-]+$/;
+const URL_PATTERN = /^https?:\/\/\S+$/;
+
+// What a tier may mention on Discord: @here, @everyone, a role (<@&id>) or a user (<@id>)
+const MENTION_PATTERN = /^(?:@here|@everyone|<@&\d+>|<@!?\d+>)$/;
+const QUIET_HOURS_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)\s*-\s*([01]?\d|2[0-3]):([0-5]\d)$/;
+const TIME_OF_DAY_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+// Settings each destination type needs: [check, message when it fails]
+const DESTINATION_FIELDS = {
+    discord: {
+        webhookUrl: [value => WEBHOOK_PATTERN.test(value), 'must look like https://discord.com/api/webhooks/<id>/<token>']
+    },
+    slack: {
+        webhookUrl: [value => SLACK_WEBHOOK_PATTERN.test(value), 'must look like https://hooks.slack.com/services/...']
+    },
+    telegram: {
+        botToken: [value => TELEGRAM_TOKEN_PATTERN.test(value), 'must look like <bot id>:<secret>'],
+        chatId: [value => value !== '', 'is required']
+    },
+    webhook: {
+        url: [value => URL_PATTERN.test(value), 'must be an http(s) URL'],
+        secret: [value => value !== '', 'is required, to sign each request']
+    }
+};
+
+/**
+ * Raised when the configuration is invalid; `errors` lists every problem found
+ */
+class ConfigError extends Error {
+    constructor(errors) {
+        super(`Invalid configuration:\n  - ${errors.join('\n  - ')}`);
+        this.name = 'ConfigError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * Find the tier for a number of minutes remaining
+ * @param {number} minutesUntil - Minutes until migration
+ * @param {Array} [tiers] - Tiers sorted by ascending threshold
+ * @returns {Object} The tightest matching tier, or the scheduled tier if none match
+ */
+function tierFor(minutesUntil, tiers = DEFAULT_TIERS) {
+    return tiers.find(tier => minutesUntil <= tier.threshold) || SCHEDULED_TIER;
+}
+
+/**
+ * Read a JSON or YAML config file
+ * @param {string} filePath - Path to the file
+ * @returns {Object} Parsed settings
+ */
+function readConfigFile(filePath) {
+    let content;
+    try {
+        content = fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+        throw new ConfigError([`Cannot read config file ${filePath}: ${error.message}`]);
+    }
+
+    try {
+        const ext = path.extname(filePath).toLowerCase();
+        const parsed = ext === '.yaml' || ext === '.yml' ? YAML.parse(content) : JSON.parse(content);
+        return parsed || {};
+    } catch (error) {
+        throw new ConfigError([`Cannot parse config file ${filePath}: ${error.message}`]);
+    }
+}
+
+/**
+ * Parse a color given as a number or "#RRGGBB" string
+ */
+function parseColor(value) {
+    if (typeof value === 'number') return value;
+    if (typeof value === 'string' && /^#?[0-9a-f]{6}$/i.test(value)) return parseInt(value.replace('#', ''), 16);
+    return NaN;
+}
+
+/**
+ * Read a true/false switch from an environment variable, leaving it undefined when unset
+ *
+ * Accepts true/false, 1/0 and yes/no in any case; anything else is an error.
+ */
+function envBoolean(env, name, errors) {
+    if (env[name] === undefined || env[name] === '') return undefined;
+    const value = String(env[name]).trim().toLowerCase();
+    if (['true', '1', 'yes'].includes(value)) return true;
+    if (['false', '0', 'no'].includes(value)) return false;
+    errors.push(`${name} must be true or false (or 1/0, yes/no), not "${env[name]}"`);
+    return undefined;
+}
+
+/**
+ * Read a number from an environment variable, leaving it undefined when unset
+ */
+function envNumber(env, name) {
+    if (env[name] === undefined || env[name] === '') return undefined;
+    return Number(env[name]);
+}
+
+/**
+ * Validate and normalize the tier list
+ *
+ * The result always ends with the scheduled tier (threshold Infinity): the
+ * defaults, or the "scheduled" entry of the list, whose unset parts keep the defaults.
+ */
+function validateTiers(tiers, errors) {
+    if (!Array.isArray(tiers) || tiers.length === 0) {
+        errors.push('tiers must be a non-empty list');
+        return [];
+    }
+
+    const normalized = tiers.map((tier, i) => {
+        const where = `tiers[${i}]${tier && tier.name ? ` (${tier.name})` : ''}`;
+        if (!tier || typeof tier !== 'object') {
+            errors.push(`${where} must be an object`);
+            return null;
+        }
+
+        const scheduled = String(tier.name).toLowerCase() === SCHEDULED_TIER.name;
+        if (scheduled && tier.threshold !== undefined) {
+            errors.push(`${where}: the scheduled tier covers everything past the other tiers, so it takes no threshold`);
+        }
+
+        const result = scheduled ? {
+            name: SCHEDULED_TIER.name,
+            threshold: Infinity,
+            color: tier.color === undefined ? SCHEDULED_TIER.color : parseColor(tier.color),
+            label: tier.label === undefined ? SCHEDULED_TIER.label : tier.label,
+            cooldownMinutes: tier.cooldownMinutes === undefined ? SCHEDULED_TIER.cooldownMinutes : Number(tier.cooldownMinutes)
+        } : {
+            name: tier.name,
+            threshold: Number(tier.threshold),
+            color: parseColor(tier.color),
+            label: tier.label,
+            cooldownMinutes: tier.cooldownMinutes === undefined ? 10 : Number(tier.cooldownMinutes)
+        };
+
+        if (typeof result.name !== 'string' || !/^[a-z0-9_-]+$/i.test(result.name)) {
+            errors.push(`${where}: name must be a word (letters, digits, - or _)`);
+        }
+        if (!(result.threshold > 0)) {
+            errors.push(`${where}: threshold must be a positive number of minutes`);
+        }
+        if (isNaN(result.color) || result.color < 0 || result.color > 0xFFFFFF) {
+            errors.push(`${where}: color must be a number or "#RRGGBB"`);
+        }
+        if (typeof result.label !== 'string' || result.label.trim() === '') {
+            errors.push(`${where}: label is required`);
+        }
+        if (!(result.cooldownMinutes >= 0)) {
+            errors.push(`${where}: cooldownMinutes must be zero or more`);
+        }
+
+        return result;
+    }).filter(Boolean);
+
+    const names = new Set();
+    const thresholds = new Map();
+    for (const tier of normalized) {
+        const key = String(tier.name).toLowerCase();
+        if (names.has(key)) {
+            errors.push(`tier name "${tier.name}" is used more than once`);
+        }
+        names.add(key);
+
+        if (thresholds.has(tier.threshold)) {
+            errors.push(`tiers "${thresholds.get(tier.threshold)}" and "${tier.name}" overlap: both end at ${tier.threshold} minutes`);
+        }
+        thresholds.set(tier.threshold, tier.name);
+    }
+
+    if (!normalized.some(tier => Number.isFinite(tier.threshold))) {
+        errors.push('tiers must include at least one tier with a threshold');
+    }
+    if (!names.has(SCHEDULED_TIER.name)) normalized.push({ ...SCHEDULED_TIER });
+
+    return normalized.sort((a, b) => a.threshold - b.threshold);
+}
+
+/**
+ * Validate a list of string identifiers (tickers, mints, slugs or names)
+ */
+function validateNames(value, where, errors) {
+    if (value === undefined) return [];
+    if (!Array.isArray(value) || !value.every(item => typeof item === 'string' && item.trim() !== '')) {
+        errors.push(`${where} must be a list of tickers, mints, slugs or names`);
+        return [];
+    }
+    return value;
+}
+
+/**
+ * Validate the mentions for each tier
+ *
+ * Given as {tier: mention} or, in TIER_MENTIONS, as "tier=mention,tier=mention";
+ * a mention may list several targets separated by spaces.
+ *
+ * @param {Object|string} value
+ * @param {string} where - Setting name for error messages
+ * @param {Array} tiers - Validated tiers
+ * @returns {Object} Mention by lower-case tier name
+ */
+function validateMentions(value, where, tiers, errors) {
+    if (value === undefined || value === null) return {};
+
+    let entries;
+    if (typeof value === 'string') {
+        entries = value.split(',').map(pair => pair.trim()).filter(Boolean).map(pair => {
+            const at = pair.indexOf('=');
+            return at === -1 ? [pair, ''] : [pair.slice(0, at).trim(), pair.slice(at + 1).trim()];
+        });
+    } else if (typeof value === 'object' && !Array.isArray(value)) {
+        entries = Object.entries(value);
+    } else {
+        errors.push(`${where} must map tier names to mentions`);
+        return {};
+    }
+
+    const tierNames = new Set([...tiers.map(tier => String(tier.name).toLowerCase()), SCHEDULED_TIER.name]);
+    const mentions = {};
+    for (const [tier, mention] of entries) {
+        const targets = String(mention ?? '').split(/\s+/).filter(Boolean);
+        if (!tierNames.has(tier.toLowerCase())) {
+            errors.push(`${where}: unknown tier "${tier}"`);
+        } else if (targets.length === 0 || !targets.every(target => MENTION_PATTERN.test(target))) {
+            errors.push(`${where}: the mention for ${tier} must be @here, @everyone, <@&role id> or <@user id>`);
+        } else {
+            mentions[tier.toLowerCase()] = targets.join(' ');
+        }
+    }
+    return mentions;
+}
+
+/**
+ * Validate message templates: known events and parts, text that only uses the
+ * event's variables, and nothing Discord would reject before a variable is even filled in
+ * @param {*} value - Templates by event name, plus a shared `footer`; undefined for none
+ * @param {string} where - Setting name for messages
+ * @returns {Object|null} Normalized templates
+ */
+function validateTemplates(value, where, errors) {
+    if (value === undefined || value === null) return null;
+    if (typeof value !== 'object' || Array.isArray(value)) {
+        errors.push(`${where} must map event names to templates`);
+        return null;
+    }
+
+    const events = Object.keys(TEMPLATE_VARIABLES);
+    const checkText = (text, at, variables, limit) => {
+        if (typeof text !== 'string') {
+            errors.push(`${at} must be text`);
+            return;
+        }
+        const unknown = templateVariables(text).filter(name => !variables.includes(name));
+        if (unknown.length > 0) {
+            errors.push(`${at}: unknown variable {{${unknown[0]}}} (${variables.length > 0 ? `available: ${variables.join(', ')}` : 'none are available here'})`);
+        }
+        if (text.replace(/\{\{[^}]*\}\}/g, '').length > limit) errors.push(`${at} is longer than Discord allows (${limit} characters)`);
+    };
+
+    const templates = {};
+    for (const [event, template] of Object.entries(value)) {
+        // Shared by every event, so it can only be plain text
+        if (event === 'footer') {
+            checkText(template, `${where}.footer`, [], DISCORD_LIMITS.footer);
+            templates.footer = template;
+            continue;
+        }
+        if (!events.includes(event)) {
+            errors.push(`${where}: unknown event "${event}" (templates exist for ${events.join(', ')})`);
+            continue;
+        }
+
+        const at = `${where}.${event}`;
+        if (!template || typeof template !== 'object' || Array.isArray(template)) {
+            errors.push(`${at} must be an object`);
+            continue;
+        }
+
+        const parts = TEMPLATE_PARTS_BY_EVENT[event] || TEMPLATE_PARTS;
+        const variables = TEMPLATE_VARIABLES[event];
+        const result = {};
+        for (const [part, text] of Object.entries(template)) {
+            if (!parts.includes(part)) {
+                errors.push(`${at}: unknown part "${part}" (use ${parts.join(', ')})`);
+            } else if (part === 'color') {
+                result.color = parseColor(text);
+                if (!(result.color >= 0 && result.color <= 0xFFFFFF)) errors.push(`${at}.color must be a number or "#RRGGBB"`);
+            } else if (part === 'fields') {
+                if (!Array.isArray(text)) {
+                    errors.push(`${at}.fields must be a list of {name, value, inline}`);
+                    continue;
+                }
+                if (text.length > DISCORD_LIMITS.fields) errors.push(`${at}.fields has ${text.length} fields; Discord shows at most ${DISCORD_LIMITS.fields}`);
+                result.fields = text.map((field, i) => {
+                    const fieldAt = `${at}.fields[${i}]`;
+                    if (!field || typeof field !== 'object' || !field.name || !field.value) {
+                        errors.push(`${fieldAt} needs a name and a value`);
+                        return null;
+                    }
+                    checkText(field.name, `${fieldAt}.name`, variables, DISCORD_LIMITS.fieldName);
+                    checkText(field.value, `${fieldAt}.value`, variables, DISCORD_LIMITS.fieldValue);
+                    if (field.inline !== undefined && typeof field.inline !== 'boolean') errors.push(`${fieldAt}.inline must be true or false`);
+                    return { name: field.name, value: field.value, inline: field.inline === true };
+                }).filter(Boolean);
+            } else {
+                checkText(text, `${at}.${part}`, variables, DISCORD_LIMITS[part]);
+                result[part] = text;
+            }
+        }
+        templates[event] = result;
+    }
+    return templates;
+}
+
+/**
+ * Parse quiet hours given as "HH:MM-HH:MM" into minutes of the day
+ * @returns {{start: number, end: number}|null}
+ */
+function parseQuietHours(value, errors) {
+    if (value === undefined || value === null || value === '') return null;
+    const match = QUIET_HOURS_PATTERN.exec(String(value).trim());
+    if (!match) {
+        errors.push('QUIET_HOURS must look like 22:00-07:00');
+        return null;
+    }
+    const [start, end] = [match[1] * 60 + Number(match[2]), match[3] * 60 + Number(match[4])];
+    if (start === end) {
+        errors.push('QUIET_HOURS must start and end at different times');
+        return null;
+    }
+    return { start, end };
+}
+
+/**
+ * Parse the digest times, given as a list or as "09:00,21:00", into minutes of the day
+ * @returns {Array<number>} Sorted, without duplicates; empty when no digest is posted
+ */
+function parseDigestTimes(value, errors) {
+    if (value === undefined || value === null || value === '') return [];
+    const items = Array.isArray(value) ? value : String(value).split(',');
+
+    const times = new Set();
+    for (const item of items) {
+        const match = TIME_OF_DAY_PATTERN.exec(String(item).trim());
+        if (!match) {
+            errors.push(`DIGEST_TIMES: "${String(item).trim()}" must be a time of day like 09:00`);
+            continue;
+        }
+        times.add(match[1] * 60 + Number(match[2]));
+    }
+    return [...times].sort((a, b) => a - b);
+}
+
+/**
+ * Check a time zone name the way Intl will use it
+ */
+function isTimeZone(value) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: value });
+        return typeof value === 'string' && value !== '';
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Validate and normalize the named destinations and their routing filters
+ * @param {Array} destinations - From DESTINATIONS or the config file
+ * @param {Array} tiers - Validated tiers, for the tier filter
+ */
+function validateDestinations(destinations, tiers, errors) {
+    if (!Array.isArray(destinations)) {
+        errors.push('destinations must be a list');
+        return [];
+    }
+
+    const tierNames = new Set([...tiers.map(tier => String(tier.name).toLowerCase()), SCHEDULED_TIER.name]);
+
+    return destinations.map((destination, i) => {
+        const where = `destinations[${i}]${destination && destination.name ? ` (${destination.name})` : ''}`;
+        if (!destination || typeof destination !== 'object') {
+            errors.push(`${where} must be an object`);
+            return null;
+        }
+
+        const { name, type, tiers: tierFilter, allow, deny, namePattern, listings = true, digest = true, mentions, templates, ...settings } = destination;
+        const result = { ...settings, type, name };
+
+        if (typeof name !== 'string' || !/^[a-z0-9_-]+$/i.test(name)) {
+            errors.push(`${where}: name must be a word (letters, digits, - or _)`);
+        }
+        if (!DESTINATION_FIELDS[type]) {
+            errors.push(`${where}: type must be one of ${Object.keys(DESTINATION_FIELDS).join(', ')}`);
+        } else {
+            for (const [field, [check, message]] of Object.entries(DESTINATION_FIELDS[type])) {
+                if (!check(String(settings[field] ?? ''))) errors.push(`${where}: ${field} ${message}`);
+            }
+            if (type === 'telegram' && settings.chatId !== undefined) result.chatId = String(settings.chatId);
+        }
+
+        if (tierFilter !== undefined) {
+            if (!Array.isArray(tierFilter) || tierFilter.length === 0) {
+                errors.push(`${where}: tiers must be a non-empty list of tier names`);
+            } else {
+                const unknown = tierFilter.filter(tier => !tierNames.has(String(tier).toLowerCase()));
+                if (unknown.length > 0) errors.push(`${where}: unknown tier(s) ${unknown.join(', ')}`);
+                result.tiers = tierFilter.map(tier => String(tier).toLowerCase());
+            }
+        }
+
+        result.allow = validateNames(allow, `${where}: allow`, errors);
+        result.deny = validateNames(deny, `${where}: deny`, errors);
+
+        if (namePattern !== undefined) {
+            try {
+                new RegExp(namePattern, 'i');
+                result.namePattern = String(namePattern);
+            } catch (error) {
+                errors.push(`${where}: namePattern is not a valid regular expression: ${error.message}`);
+            }
+        }
+
+        if (typeof listings !== 'boolean') {
+            errors.push(`${where}: listings must be true or false`);
+        }
+        result.listings = listings;
+
+        if (typeof digest !== 'boolean') {
+            errors.push(`${where}: digest must be true or false`);
+        }
+        result.digest = digest;
+
+        // Role IDs belong to one server, so a Discord destination can bring its own mentions
+        if (mentions !== undefined) result.mentions = validateMentions(mentions, `${where}: mentions`, tiers, errors);
+
+        // Each community its own wording; other services keep the built-in messages
+        if (templates !== undefined) {
+            if (type !== 'discord') errors.push(`${where}: templates only apply to Discord destinations`);
+            else result.templates = validateTemplates(templates, `${where}: templates`, errors);
+        }
+
+        return result;
+    }).filter(Boolean);
+}
+
+/**
+ * Validate the notifier settings and list the destinations they enable
+ *
+ * Each service configured through its own variables (DISCORD_WEBHOOK_URL,
+ * SLACK_WEBHOOK_URL, ...) is a destination named after its type that gets
+ * every alert; `destinations` adds named ones with their own filters.
+ *
+ * @returns {Array<Object>} Settings for notifiers/index.js createNotifier() and routes.js createRoute()
+ */
+function validateNotifiers(config, destinations, errors) {
+    const notifiers = [];
+
+    if (config.webhookUrl) {
+        if (!WEBHOOK_PATTERN.test(config.webhookUrl)) {
+            errors.push('DISCORD_WEBHOOK_URL must look like https://discord.com/api/webhooks/<id>/<token>');
+        }
+        notifiers.push({ type: 'discord', name: 'discord', webhookUrl: config.webhookUrl });
+    }
+
+    if (config.slackWebhookUrl) {
+        if (!SLACK_WEBHOOK_PATTERN.test(config.slackWebhookUrl)) {
+            errors.push('SLACK_WEBHOOK_URL must look like https://hooks.slack.com/services/...');
+        }
+        notifiers.push({ type: 'slack', name: 'slack', webhookUrl: config.slackWebhookUrl });
+    }
+
+    if (config.telegramBotToken || config.telegramChatId) {
+        if (!TELEGRAM_TOKEN_PATTERN.test(String(config.telegramBotToken || ''))) {
+            errors.push('TELEGRAM_BOT_TOKEN must look like <bot id>:<secret>');
+        }
+        if (!config.telegramChatId) {
+            errors.push('TELEGRAM_CHAT_ID is required with TELEGRAM_BOT_TOKEN');
+        }
+        if (config.telegramApiUrl && !URL_PATTERN.test(config.telegramApiUrl)) {
+            errors.push('TELEGRAM_API_URL must be an http(s) URL');
+        }
+        notifiers.push({
+            type: 'telegram',
+            name: 'telegram',
+            botToken: config.telegramBotToken,
+            chatId: String(config.telegramChatId),
+            ...(config.telegramApiUrl && { apiUrl: config.telegramApiUrl })
+        });
+    }
+
+    if (config.jsonWebhookUrl) {
+        if (!URL_PATTERN.test(config.jsonWebhookUrl)) {
+            errors.push('JSON_WEBHOOK_URL must be an http(s) URL');
+        }
+        if (!config.jsonWebhookSecret) {
+            errors.push('JSON_WEBHOOK_SECRET is required with JSON_WEBHOOK_URL, to sign each request');
+        }
+        notifiers.push({ type: 'webhook', name: 'webhook', url: config.jsonWebhookUrl, secret: config.jsonWebhookSecret });
+    }
+
+    notifiers.push(...destinations);
+
+    if (notifiers.length === 0) {
+        errors.push('DISCORD_WEBHOOK_URL is required unless SLACK_WEBHOOK_URL, TELEGRAM_BOT_TOKEN, JSON_WEBHOOK_URL or destinations are set');
+    }
+
+    const names = new Set();
+    for (const notifier of notifiers) {
+        if (names.has(notifier.name)) errors.push(`destination name "${notifier.name}" is used more than once`);
+        names.add(notifier.name);
+    }
+
+    return notifiers;
+}
+
+/**
+ * Load and validate the configuration
+ *
+ * Settings come from the file named by CONFIG_FILE (JSON or YAML), with
+ * environment variables taking precedence.
+ *
+ * @param {Object} [env] - Environment variables
+ * @returns {Object} Validated configuration
+ * @throws {ConfigError} When any setting is invalid
+ */
+function loadConfig(env = process.env) {
+    const file = env.CONFIG_FILE ? readConfigFile(env.CONFIG_FILE) : {};
+    const errors = [];
+
+    let envTiers;
+    if (env.ALERT_TIERS) {
+        try {
+            envTiers = JSON.parse(env.ALERT_TIERS);
+        } catch (error) {
+            errors.push(`ALERT_TIERS is not valid JSON: ${error.message}`);
+        }
+    }
+
+    let envDestinations;
+    if (env.DESTINATIONS) {
+        try {
+            envDestinations = JSON.parse(env.DESTINATIONS);
+        } catch (error) {
+            errors.push(`DESTINATIONS is not valid JSON: ${error.message}`);
+        }
+    }
+
+    const pickSetting = (envValue, fileValue, fallback) =>
+        envValue !== undefined ? envValue : fileValue !== undefined ? fileValue : fallback;
+
+    const tiers = validateTiers(pickSetting(envTiers, file.tiers, DEFAULT_TIERS), errors);
+    const widestTier = Math.max(0, ...tiers.filter(tier => Number.isFinite(tier.threshold)).map(tier => tier.threshold));
+    const checkIntervalMinutes = Number(pickSetting(envNumber(env, 'CHECK_INTERVAL_MINUTES'), file.checkIntervalMinutes, DEFAULTS.checkIntervalMinutes));
+
+    const config = {
+        webhookUrl: pickSetting(env.DISCORD_WEBHOOK_URL || undefined, file.webhookUrl, null),
+        slackWebhookUrl: pickSetting(env.SLACK_WEBHOOK_URL || undefined, file.slackWebhookUrl, null),
+        telegramBotToken: pickSetting(env.TELEGRAM_BOT_TOKEN || undefined, file.telegramBotToken, null),
+        telegramChatId: pickSetting(env.TELEGRAM_CHAT_ID || undefined, file.telegramChatId, null),
+        telegramApiUrl: pickSetting(env.TELEGRAM_API_URL || undefined, file.telegramApiUrl, null),
+        jsonWebhookUrl: pickSetting(env.JSON_WEBHOOK_URL || undefined, file.jsonWebhookUrl, null),
+        jsonWebhookSecret: pickSetting(env.JSON_WEBHOOK_SECRET || undefined, file.jsonWebhookSecret, null),
+        checkIntervalMinutes,
+        fastPollWithinMinutes: Number(pickSetting(envNumber(env, 'FAST_POLL_WITHIN_MINUTES'), file.fastPollWithinMinutes, DEFAULTS.fastPollWithinMinutes)),
+        fastPollSeconds: Number(pickSetting(envNumber(env, 'FAST_POLL_INTERVAL_SECONDS'), file.fastPollSeconds, DEFAULTS.fastPollSeconds)),
+        checkJitterSeconds: Number(pickSetting(envNumber(env, 'CHECK_JITTER_SECONDS'), file.checkJitterSeconds, DEFAULTS.checkJitterSeconds)),
+        shutdownTimeoutSeconds: Number(pickSetting(envNumber(env, 'SHUTDOWN_TIMEOUT_SECONDS'), file.shutdownTimeoutSeconds, DEFAULTS.shutdownTimeoutSeconds)),
+        alertThresholdMinutes: Number(pickSetting(envNumber(env, 'ALERT_THRESHOLD_MINUTES'), file.alertThresholdMinutes, widestTier)),
+        rescheduleToleranceMinutes: Number(pickSetting(envNumber(env, 'RESCHEDULE_TOLERANCE_MINUTES'), file.rescheduleToleranceMinutes, DEFAULTS.rescheduleToleranceMinutes)),
+        tierChangePing: pickSetting(envBoolean(env, 'TIER_CHANGE_PING', errors), file.tierChangePing, DEFAULTS.tierChangePing),
+        cleanupHours: Number(pickSetting(envNumber(env, 'CLEANUP_HOURS'), file.cleanupHours, DEFAULTS.cleanupHours)),
+        listingAlerts: pickSetting(envBoolean(env, 'LISTING_ALERTS', errors), file.listingAlerts, DEFAULTS.listingAlerts),
+        removalGraceMinutes: Number(pickSetting(envNumber(env, 'REMOVAL_GRACE_MINUTES'), file.removalGraceMinutes, DEFAULTS.removalGraceMinutes)),
+        mentions: validateMentions(pickSetting(env.TIER_MENTIONS || undefined, file.mentions, undefined), 'TIER_MENTIONS', tiers, errors),
+        quietHours: parseQuietHours(pickSetting(env.QUIET_HOURS || undefined, file.quietHours, null), errors),
+        quietHoursTimeZone: pickSetting(env.QUIET_HOURS_TIMEZONE || undefined, file.quietHoursTimeZone, DEFAULTS.quietHoursTimeZone),
+        mentionLimit: Number(pickSetting(envNumber(env, 'MENTION_LIMIT'), file.mentionLimit, DEFAULTS.mentionLimit)),
+        mentionWindowMinutes: Number(pickSetting(envNumber(env, 'MENTION_WINDOW_MINUTES'), file.mentionWindowMinutes, DEFAULTS.mentionWindowMinutes)),
+        detailCacheMinutes: Number(pickSetting(envNumber(env, 'DETAIL_CACHE_MINUTES'), file.detailCacheMinutes, DEFAULTS.detailCacheMinutes)),
+        detailFetchLimit: Number(pickSetting(envNumber(env, 'DETAIL_FETCH_LIMIT'), file.detailFetchLimit, DEFAULTS.detailFetchLimit)),
+        digestTimes: parseDigestTimes(pickSetting(env.DIGEST_TIMES || undefined, file.digestTimes, null), errors),
+        digestTimeZone: pickSetting(env.DIGEST_TIMEZONE || undefined, file.digestTimeZone, DEFAULTS.digestTimeZone),
+        digestHours: Number(pickSetting(envNumber(env, 'DIGEST_HOURS'), file.digestHours, DEFAULTS.digestHours)),
+        calendarFeed: pickSetting(envBoolean(env, 'CALENDAR_FEED', errors), file.calendarFeed, DEFAULTS.calendarFeed),
+        calendarFile: pickSetting(env.CALENDAR_FILE || undefined, file.calendarFile, null),
+        recordDir: pickSetting(env.RECORD_DIR || undefined, file.recordDir, null),
+        serveCalendar: pickSetting(envBoolean(env, 'SERVE_CALENDAR', errors), file.serveCalendar, DEFAULTS.serveCalendar),
+        templates: validateTemplates(file.templates, 'templates', errors),
+        discordPublicKey: pickSetting(env.DISCORD_PUBLIC_KEY || undefined, file.discordPublicKey, null),
+        opsWebhookUrl: pickSetting(env.OPS_WEBHOOK_URL || undefined, file.opsWebhookUrl, null),
+        diagnosisThreshold: Number(pickSetting(envNumber(env, 'DIAGNOSIS_THRESHOLD'), file.diagnosisThreshold, DEFAULTS.diagnosisThreshold)),
+        opsAlertCooldownMinutes: Number(pickSetting(envNumber(env, 'OPS_ALERT_COOLDOWN_MINUTES'), file.opsAlertCooldownMinutes, DEFAULTS.opsAlertCooldownMinutes)),
+        statusPort: pickSetting(envNumber(env, 'STATUS_PORT'), file.statusPort, envNumber(env, 'PORT')) ?? null,
+        // A check may be slow or fail now and then; only report unhealthy after several missed intervals
+        healthMaxAgeMinutes: Number(pickSetting(envNumber(env, 'HEALTH_MAX_AGE_MINUTES'), file.healthMaxAgeMinutes, checkIntervalMinutes * 3)),
+        tiers
+    };
+
+    const destinations = validateDestinations(pickSetting(envDestinations, file.destinations, []), tiers, errors);
+    config.destinations = validateNotifiers(config, destinations, errors);
+    // A destination's own templates replace the shared ones event by event
+    if (config.templates) {
+        config.destinations = config.destinations.map(destination => (destination.type === 'discord' ?
+            { ...destination, templates: { ...config.templates, ...destination.templates } } :
+            destination));
+    }
+    if (!Number.isInteger(config.checkIntervalMinutes) || config.checkIntervalMinutes < 1) {
+        errors.push('CHECK_INTERVAL_MINUTES must be a whole number of minutes, 1 or more');
+    }
+    if (!(config.fastPollWithinMinutes >= 0)) {
+        errors.push('FAST_POLL_WITHIN_MINUTES must be zero or more');
+    }
+    if (!(config.fastPollSeconds >= 10)) {
+        errors.push('FAST_POLL_INTERVAL_SECONDS must be at least 10');
+    }
+    if (!(config.checkJitterSeconds >= 0)) {
+        errors.push('CHECK_JITTER_SECONDS must be zero or more');
+    }
+    if (!(config.shutdownTimeoutSeconds > 0)) {
+        errors.push('SHUTDOWN_TIMEOUT_SECONDS must be a positive number');
+    }
+    if (!(config.alertThresholdMinutes > 0)) {
+        errors.push('ALERT_THRESHOLD_MINUTES must be a positive number');
+    }
+    if (!(config.rescheduleToleranceMinutes > 0)) {
+        errors.push('RESCHEDULE_TOLERANCE_MINUTES must be a positive number');
+    }
+    if (typeof config.tierChangePing !== 'boolean') {
+        errors.push('tierChangePing must be true or false');
+    }
+    if (!(config.cleanupHours > 0)) {
+        errors.push('CLEANUP_HOURS must be a positive number');
+    }
+    if (config.opsWebhookUrl && !WEBHOOK_PATTERN.test(config.opsWebhookUrl)) {
+        errors.push('OPS_WEBHOOK_URL must look like https://discord.com/api/webhooks/<id>/<token>');
+    }
+    if (!Number.isInteger(config.diagnosisThreshold) || config.diagnosisThreshold < 1) {
+        errors.push('DIAGNOSIS_THRESHOLD must be a whole number of checks, 1 or more');
+    }
+    if (!(config.opsAlertCooldownMinutes >= 0)) {
+        errors.push('OPS_ALERT_COOLDOWN_MINUTES must be zero or more');
+    }
+    if (typeof config.listingAlerts !== 'boolean') {
+        errors.push('listingAlerts must be true or false');
+    }
+    if (!(config.removalGraceMinutes >= 0)) {
+        errors.push('REMOVAL_GRACE_MINUTES must be zero or more');
+    }
+    if (!isTimeZone(config.quietHoursTimeZone)) {
+        errors.push(`QUIET_HOURS_TIMEZONE "${config.quietHoursTimeZone}" is not a known time zone, like Europe/Berlin or UTC`);
+    }
+    if (!Number.isInteger(config.mentionLimit) || config.mentionLimit < 0) {
+        errors.push('MENTION_LIMIT must be a whole number, 0 or more');
+    }
+    if (!(config.mentionWindowMinutes > 0)) {
+        errors.push('MENTION_WINDOW_MINUTES must be a positive number');
+    }
+    if (!(config.detailCacheMinutes > 0)) {
+        errors.push('DETAIL_CACHE_MINUTES must be a positive number');
+    }
+    if (!Number.isInteger(config.detailFetchLimit) || config.detailFetchLimit < 0) {
+        errors.push('DETAIL_FETCH_LIMIT must be a whole number, 0 or more');
+    }
+    if (!isTimeZone(config.digestTimeZone)) {
+        errors.push(`DIGEST_TIMEZONE "${config.digestTimeZone}" is not a known time zone, like Europe/Berlin or UTC`);
+    }
+    if (!(config.digestHours > 0 && config.digestHours <= 168)) {
+        errors.push('DIGEST_HOURS must be a positive number of hours, at most 168');
+    }
+    if (config.statusPort !== null) {
+        config.statusPort = Number(config.statusPort);
+        if (!Number.isInteger(config.statusPort) || config.statusPort < 0 || config.statusPort > 65535) {
+            errors.push('STATUS_PORT must be a port number from 0 to 65535');
+        }
+    }
+    if (typeof config.calendarFeed !== 'boolean') {
+        errors.push('calendarFeed must be true or false');
+    }
+    if (typeof config.serveCalendar !== 'boolean') {
+        errors.push('serveCalendar must be true or false');
+    } else if (config.serveCalendar && config.statusPort === null) {
+        errors.push('SERVE_CALENDAR needs the status server; set STATUS_PORT (or PORT)');
+    }
+    if (config.discordPublicKey !== null) {
+        if (!/^[0-9a-f]{64}$/i.test(String(config.discordPublicKey))) {
+            errors.push('DISCORD_PUBLIC_KEY must be the public key of your Discord application: 64 hex characters');
+        } else if (config.statusPort === null) {
+            errors.push('DISCORD_PUBLIC_KEY needs the status server for /interactions; set STATUS_PORT (or PORT)');
+        }
+    }
+    if (!(config.healthMaxAgeMinutes > 0)) {
+        errors.push('HEALTH_MAX_AGE_MINUTES must be a positive number');
+    }
+    // The outbox reads its own settings from the environment, but a bad one should still stop startup
+    for (const [name, min] of [['DELIVERY_MAX_RETRIES', 0], ['DELIVERY_RETRY_BASE_MS', 0], ['OUTBOX_MAX_AGE_MINUTES', 1]]) {
+        const value = envNumber(env, name);
+        if (value !== undefined && !(Number.isInteger(value) && value >= min)) {
+            errors.push(`${name} must be a whole number, ${min} or more`);
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new ConfigError(errors);
+    }
+
+    return config;
+}
+
+module.exports = { loadConfig, tierFor, ConfigError, DEFAULT_TIERS, SCHEDULED_TIER };
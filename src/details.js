@@ -0,0 +1,154 @@
+/**
+ * Project details
+ * Reads each alerted project's own page on migrate.fun for what the projects
+ * list leaves out (both mints, swap ratio, migration window, status and
+ * socials), caches it per project, and lays it out for the notifiers
+ */
+
+const { projectSlug } = require('./extractor');
+const metrics = require('./metrics');
+
+const PROJECTS_URL = 'https://migrate.fun/projects';
+
+// A page that could not be read is tried again after this long, rather than after the full cache time
+const RETRY_MINUTES = 10;
+
+const SOCIAL_LABELS = { twitter: 'X', telegram: 'Telegram', discord: 'Discord', website: 'Website' };
+
+const detailFetchesTotal = metrics.counter('migrate_fun_detail_fetches_total', 'Project pages read for alert details, by result');
+
+/**
+ * Create a per-project cache of project details
+ *
+ * Only projects with their own page are looked up, and at most `maxFetches`
+ * pages are read per call so a burst of new listings cannot stall a check;
+ * the rest are read on later checks and go out with what the projects list had.
+ *
+ * @param {Object} options
+ * @param {Function} options.fetch - Reads a project page URL into details, see scrapeDetails()
+ * @param {number} [options.ttlMinutes=60] - How long details are reused before the page is read again
+ * @param {number} [options.maxFetches=5] - Pages read per call at most
+ * @param {Function} [options.now=Date.now] - Current time (ms since epoch)
+ * @returns {{enrich: Function, get: Function}}
+ */
+function createDetailCache({ fetch, ttlMinutes = 60, maxFetches = 5, now: clock = () => Date.now() }) {
+    const entries = new Map();
+
+    /**
+     * Add cached or freshly read details to each migration that has a project page
+     * @param {Array} migrations - Alerts, or any records with `id` and `url`
+     * @returns {Promise<Array>} The migrations, with `details` and both mints filled in where known
+     */
+    async function enrich(migrations) {
+        const now = clock();
+        let fetches = 0;
+
+        // Forget projects not alerted for a while
+        for (const [id, entry] of entries) {
+            if (entry.expiresAt < now - ttlMinutes * 60000) entries.delete(id);
+        }
+
+        const result = [];
+        for (const migration of migrations) {
+            const entry = entries.get(migration.id);
+            const stale = !entry || entry.expiresAt <= now;
+
+            if (stale && fetches < maxFetches && migration.id && projectSlug(migration.url)) {
+                fetches++;
+                try {
+                    const details = await fetch(migration.url);
+                    entries.set(migration.id, { details, expiresAt: now + ttlMinutes * 60000 });
+                    detailFetchesTotal.inc({ result: details ? 'ok' : 'empty' });
+                } catch (error) {
+                    console.warn(`[Details] Could not read ${migration.url}: ${error.message}`);
+                    entries.set(migration.id, { details: entry ? entry.details : null, expiresAt: now + RETRY_MINUTES * 60000 });
+                    detailFetchesTotal.inc({ result: 'error' });
+                }
+            }
+
+            const cached = entries.get(migration.id);
+            result.push(cached && cached.details ? withDetails(migration, cached.details) : migration);
+        }
+        return result;
+    }
+
+    return { enrich, get: id => (entries.get(id) || {}).details || null };
+}
+
+/**
+ * Merge project details into a migration; the project page labels its mints, so it wins over the projects list
+ */
+function withDetails(migration, details) {
+    return {
+        ...migration,
+        oldMint: details.oldMint || migration.oldMint || null,
+        newMint: details.newMint || migration.newMint || null,
+        details
+    };
+}
+
+/**
+ * Swap ratio as "1 old → N new"
+ * @param {number} ratio - New tokens per old token
+ */
+function formatRatio(ratio) {
+    return `1 old → ${Number(ratio.toPrecision(6)).toLocaleString('en-US', { maximumFractionDigits: 6 })} new`;
+}
+
+/**
+ * Fields describing a migration's tokens and details, in the platform-neutral
+ * shape of describeEvent(): `value` text, or a `time` in ms since epoch
+ *
+ * Both mints are shown, labelled, once the new one is known; until then the
+ * single address the projects list gave.
+ *
+ * @param {Object} migration
+ * @returns {Array<{name: string, value?: string, time?: number, code?: boolean}>}
+ */
+function detailFields(migration) {
+    const details = migration.details || {};
+    const fields = [];
+
+    if (migration.newMint) {
+        if (migration.oldMint) fields.push({ name: '🪙 Old Mint', value: migration.oldMint, code: true });
+        fields.push({ name: '✨ New Mint', value: migration.newMint, code: true });
+    } else if (migration.address) {
+        fields.push({ name: '📍 Token Address', value: migration.address, code: true });
+    }
+
+    if (details.swapRatio) fields.push({ name: '🔄 Swap Ratio', value: formatRatio(details.swapRatio) });
+    if (details.status) fields.push({ name: '📊 Status', value: details.status.charAt(0).toUpperCase() + details.status.slice(1) });
+
+    // The window usually opens at the ETA already shown, so only its other end is news
+    const opensAt = Date.parse(details.opensAt);
+    if (opensAt && (!migration.etaAt || Math.abs(opensAt - migration.etaAt) >= 60000)) {
+        fields.push({ name: '🚪 Window Opens', time: opensAt });
+    }
+    if (details.closesAt) fields.push({ name: '🏁 Window Closes', time: Date.parse(details.closesAt) });
+
+    return fields;
+}
+
+/**
+ * Links shown under a migration: its project page, Solscan for each mint, and the project's socials
+ * @param {Object} migration
+ * @returns {Array<{label: string, url: string}>}
+ */
+function migrationLinks(migration) {
+    const links = [{ label: 'Migrate.fun', url: migration.url || PROJECTS_URL }];
+
+    if (migration.newMint) {
+        if (migration.oldMint) links.push({ label: 'Solscan (old)', url: `https://solscan.io/token/${migration.oldMint}` });
+        links.push({ label: 'Solscan (new)', url: `https://solscan.io/token/${migration.newMint}` });
+    } else if (migration.address) {
+        links.push({ label: 'Solscan', url: `https://solscan.io/token/${migration.address}` });
+    }
+
+    const socials = (migration.details && migration.details.socials) || {};
+    for (const [kind, label] of Object.entries(SOCIAL_LABELS)) {
+        if (socials[kind]) links.push({ label, url: socials[kind] });
+    }
+    return links;
+}
+
+module.exports = { createDetailCache, withDetails, detailFields, migrationLinks, formatRatio };
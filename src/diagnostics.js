@@ -0,0 +1,177 @@
+/**
+ * Scraper self-diagnosis
+ * Notices when scrapes stop producing usable data, saves what the page looked
+ * like, and tells the operators (once, not every check) until it recovers
+ */
+
+const fs = require('fs');
+const path = require('path');
+const metrics = require('./metrics');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+const SNAPSHOT_DIR = path.join(DATA_DIR, 'diagnostics');
+
+// Older snapshots are deleted so a long outage cannot fill the volume
+const MAX_SNAPSHOTS = 10;
+
+const PROBLEM_TITLES = {
+    empty: 'no projects found',
+    'no-times': 'no migration times found',
+    timeout: 'page loads timing out',
+    error: 'checks failing'
+};
+
+const degradedTotal = metrics.counter('migrate_fun_degraded_checks_total', 'Checks that produced no usable data, by problem');
+
+/**
+ * Problem describing a scrape that ran but produced nothing the tracker can use
+ * @param {Array} migrations - Scraped records with `minutesUntil` filled in
+ * @returns {{kind: string, title: string, detail: string}|null} null when the results look healthy
+ */
+function assessScrape(migrations) {
+    const real = migrations.filter(m => !m.debug);
+
+    if (real.length === 0) {
+        const pageText = (migrations.find(m => m.debug) || {}).rawText || '';
+        return {
+            kind: 'empty',
+            title: PROBLEM_TITLES.empty,
+            detail: 'The scrape found no projects; migrate.fun\'s page or data may have changed.' +
+                (pageText ? `\nPage starts: "${pageText.substring(0, 200).replace(/\s+/g, ' ')}"` : '')
+        };
+    }
+
+    const timed = real.filter(m => m.minutesUntil !== null && m.minutesUntil !== undefined);
+    if (timed.length === 0) {
+        return {
+            kind: 'no-times',
+            title: PROBLEM_TITLES['no-times'],
+            detail: `Found ${real.length} project(s) but none had a time the bot could read, so no alerts can be sent.`
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Problem describing a scrape that threw
+ * @param {Error} error
+ * @returns {{kind: string, title: string, detail: string}}
+ */
+function assessError(error) {
+    const kind = error.name === 'TimeoutError' || /timed? ?out/i.test(error.message) ? 'timeout' : 'error';
+    return { kind, title: PROBLEM_TITLES[kind], detail: error.message };
+}
+
+/**
+ * Write a page snapshot to disk and prune old ones
+ * @returns {Array<string>} Names of the files written
+ */
+async function saveSnapshot(dir, kind, snapshot, now) {
+    await fs.promises.mkdir(dir, { recursive: true });
+    const base = `${new Date(now).toISOString().replace(/[:.]/g, '-')}-${kind}`;
+    const files = [];
+
+    if (snapshot.html) {
+        await fs.promises.writeFile(path.join(dir, `${base}.html`), snapshot.html);
+        files.push(`${base}.html`);
+    }
+    if (snapshot.screenshot) {
+        await fs.promises.writeFile(path.join(dir, `${base}.png`), snapshot.screenshot);
+        files.push(`${base}.png`);
+    }
+
+    // File names start with the time, so sorting them sorts by age
+    const names = (await fs.promises.readdir(dir)).sort();
+    const bases = [...new Set(names.map(name => name.replace(/\.(html|png)$/, '')))];
+    for (const old of bases.slice(0, Math.max(0, bases.length - MAX_SNAPSHOTS))) {
+        for (const name of names.filter(n => n.startsWith(`${old}.`))) {
+            await fs.promises.unlink(path.join(dir, name));
+        }
+    }
+
+    return files;
+}
+
+/**
+ * Create a monitor that turns each check's outcome into throttled operator alerts
+ *
+ * An alert goes out once the same problem has been seen on `threshold`
+ * checks in a row, and is repeated at most once per cooldown while it lasts.
+ * A different problem alerts on its own schedule. After any alert, the first
+ * healthy check sends a single "recovered" message.
+ *
+ * @param {Object} options
+ * @param {Function} options.notify - Delivers a 'degraded' or 'recovered' notifier event
+ * @param {Function} [options.snapshot] - Resolves to {html, screenshot} of the current page, or null
+ * @param {number} [options.threshold] - Consecutive bad checks before alerting
+ * @param {number} [options.cooldownMinutes] - Minimum time between alerts for the same problem
+ * @param {string} [options.dir] - Where snapshots are written
+ * @returns {{report: Function, getState: Function}}
+ */
+function createDiagnostics(options) {
+    const {
+        notify,
+        snapshot = async () => null,
+        threshold = 3,
+        cooldownMinutes = 60,
+        dir = SNAPSHOT_DIR
+    } = options;
+
+    const lastAlertAt = {};
+    let current = null;
+    let alerted = false;
+
+    /**
+     * Record the outcome of one check
+     * @param {Object|null} problem - From assessScrape()/assessError(), or null for a healthy check
+     * @returns {Promise<'ok'|'degraded'|'throttled'|'alerted'|'recovered'>}
+     */
+    async function report(problem) {
+        const now = Date.now();
+
+        if (!problem) {
+            const previous = current;
+            current = null;
+            if (!alerted) return 'ok';
+
+            alerted = false;
+            console.log('[Diagnostics] Scraper recovered');
+            await notify({ type: 'recovered', info: { title: previous.title, since: previous.since, checks: previous.checks } });
+            return 'recovered';
+        }
+
+        degradedTotal.inc({ kind: problem.kind });
+        if (!current || current.kind !== problem.kind) {
+            current = { ...problem, since: current ? current.since : now, checks: current ? current.checks : 0 };
+        }
+        current.checks++;
+        current.detail = problem.detail;
+
+        console.warn(`[Diagnostics] Degraded check ${current.checks} (${problem.title}): ${problem.detail}`);
+
+        if (current.checks < threshold) return 'degraded';
+        if (lastAlertAt[problem.kind] && now - lastAlertAt[problem.kind] < cooldownMinutes * 60000) return 'throttled';
+        lastAlertAt[problem.kind] = now;
+
+        let files = null;
+        try {
+            const captured = await snapshot();
+            if (captured) files = await saveSnapshot(dir, problem.kind, captured, now);
+        } catch (error) {
+            console.error('[Diagnostics] Could not save a snapshot:', error.message);
+        }
+
+        await notify({ type: 'degraded', problem: current, info: { since: current.since, checks: current.checks, snapshot: files } });
+        alerted = true;
+        return 'alerted';
+    }
+
+    function getState() {
+        return { problem: current, alerted };
+    }
+
+    return { report, getState };
+}
+
+module.exports = { createDiagnostics, assessScrape, assessError };
@@ -0,0 +1,80 @@
+/**
+ * Scheduled digest
+ * Picks the tracked migrations due in the next few hours and posts them as
+ * one overview at fixed times of day, for members who only check the channel
+ * now and then
+ */
+
+const { nextTimeOfDay } = require('./timezone');
+
+/**
+ * Migrations due within the digest window, soonest first; cancelled and removed ones are left out
+ * @param {Array} tracked - From getTrackedMigrations()
+ * @param {number} hours - How far ahead the digest looks
+ * @param {number} [now]
+ * @returns {Array} The migrations, with `etaAt` in ms since epoch like in alerts
+ */
+function selectDigestMigrations(tracked, hours, now = Date.now()) {
+    const until = now + hours * 3600000;
+    return tracked
+        .map(migration => ({ ...migration, etaAt: Date.parse(migration.etaAt) }))
+        .filter(migration => !migration.live && !migration.removed && migration.etaAt > now && migration.etaAt <= until)
+        .sort((a, b) => a.etaAt - b.etaAt);
+}
+
+/**
+ * Create the schedule that posts the digest at the configured times of day
+ *
+ * @param {Object} options
+ * @param {Function} options.run - Async; posts the digest. Errors are logged, not thrown
+ * @param {Array<number>} options.times - Minutes since midnight
+ * @param {string} [options.timeZone='UTC'] - Time zone of `times`
+ * @returns {{start: Function, stop: Function, getNextRunAt: Function}}
+ */
+function createDigestSchedule({ run, times, timeZone = 'UTC' }) {
+    let timer = null;
+    let running = null;
+    let stopped = false;
+    let nextRunAt = null;
+
+    // From the slot just run, so a timer firing a moment early cannot post the same digest twice
+    function schedule(after = Date.now()) {
+        nextRunAt = nextTimeOfDay(times, timeZone, Math.max(Date.now(), after));
+        if (nextRunAt === null) return;
+        timer = setTimeout(() => tick(nextRunAt), nextRunAt - Date.now());
+    }
+
+    async function tick(slot) {
+        timer = null;
+        running = Promise.resolve()
+            .then(run)
+            .catch(error => console.error('[Digest] Could not post the digest:', error.message));
+        await running;
+        running = null;
+        if (!stopped) schedule(slot);
+    }
+
+    /**
+     * Wait for the next digest time; does nothing without times
+     */
+    function start() {
+        if (stopped || timer || running) return;
+        schedule();
+    }
+
+    /**
+     * Stop posting digests
+     * @returns {Promise} Resolves once a digest being posted has gone out
+     */
+    function stop() {
+        stopped = true;
+        clearTimeout(timer);
+        timer = null;
+        nextRunAt = null;
+        return running || Promise.resolve();
+    }
+
+    return { start, stop, getNextRunAt: () => nextRunAt };
+}
+
+module.exports = { selectDigestMigrations, createDigestSchedule };
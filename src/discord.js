@@ -5,42 +5,107 @@
 
 const https = require('https');
 const http = require('http');
+const { tierFor, DEFAULT_TIERS } = require('./config');
+const { detailFields, migrationLinks, formatRatio } = require('./details');
+const { projectSlug } = require('./extractor');
+const { applyTemplate, fitDiscordLimits, escapeMarkdown } = require('./templates');
+const { REQUEST_TIMEOUT_MS } = require('./notifiers/http');
+
+// Discord's limit on an embed description
+const MAX_DESCRIPTION_LENGTH = 4096;
+
+/**
+ * Read Discord's rate-limit headers (and the 429 body) into milliseconds
+ * @param {Object} headers - Response headers
+ * @param {string} body - Response body
+ * @returns {{remaining: number|null, resetAfterMs: number|null, retryAfterMs: number|null, global: boolean}}
+ */
+function parseRateLimit(headers, body) {
+    const seconds = value => {
+        const n = parseFloat(value);
+        return isNaN(n) ? null : Math.ceil(n * 1000);
+    };
+
+    let retryAfterMs = seconds(headers['retry-after']);
+    let global = headers['x-ratelimit-global'] === 'true';
+    try {
+        const parsed = body ? JSON.parse(body) : null;
+        if (parsed && parsed.retry_after !== undefined) retryAfterMs = seconds(parsed.retry_after);
+        if (parsed && parsed.global) global = true;
+    } catch (error) {
+        // Not JSON; headers are all we have
+    }
+
+    const remaining = parseInt(headers['x-ratelimit-remaining']);
+    return {
+        remaining: isNaN(remaining) ? null : remaining,
+        resetAfterMs: seconds(headers['x-ratelimit-reset-after']),
+        retryAfterMs,
+        global
+    };
+}
 
 /**
  * Send a message to Discord via webhook
+ *
+ * Rejects on any non-2xx status; the error carries `statusCode` and
+ * `rateLimit` so callers can decide whether to retry.
+ *
  * @param {string} webhookUrl - Discord webhook URL
  * @param {Object} payload - Message payload
+ * @param {Object} [options]
+ * @param {string} [options.messageId] - Edit this previously sent message instead of posting a new one
+ * @param {boolean} [options.wait] - Ask Discord to return the created message (for its ID)
+ * @returns {Promise<{success: boolean, statusCode: number, rateLimit: Object, message: Object|null}>}
  */
-async function sendWebhookMessage(webhookUrl, payload) {
+async function sendWebhookMessage(webhookUrl, payload, options = {}) {
     return new Promise((resolve, reject) => {
         const url = new URL(webhookUrl);
         const protocol = url.protocol === 'https:' ? https : http;
 
+        if (options.messageId) {
+            url.pathname = `${url.pathname.replace(/\/$/, '')}/messages/${options.messageId}`;
+        }
+        if (options.wait) {
+            url.searchParams.set('wait', 'true');
+        }
+
         const data = JSON.stringify(payload);
 
-        const options = {
+        const requestOptions = {
             hostname: url.hostname,
             port: url.port || (url.protocol === 'https:' ? 443 : 80),
             path: url.pathname + url.search,
-            method: 'POST',
+            method: options.messageId ? 'PATCH' : 'POST',
             headers: {
                 'Content-Type': 'application/json',
                 'Content-Length': Buffer.byteLength(data)
             }
         };
 
-        const req = protocol.request(options, (res) => {
+        const req = protocol.request(requestOptions, (res) => {
             let body = '';
             res.on('data', chunk => body += chunk);
             res.on('end', () => {
+                const rateLimit = parseRateLimit(res.headers, body);
                 if (res.statusCode >= 200 && res.statusCode < 300) {
-                    resolve({ success: true, statusCode: res.statusCode });
+                    let message = null;
+                    try {
+                        message = body ? JSON.parse(body) : null;
+                    } catch (error) {
+                        // Discord only returns the message body with ?wait=true
+                    }
+                    resolve({ success: true, statusCode: res.statusCode, rateLimit, message });
                 } else {
-                    reject(new Error(`Discord API error: ${res.statusCode} - ${body}`));
+                    const error = new Error(`Discord API error: ${res.statusCode} - ${body}`);
+                    error.statusCode = res.statusCode;
+                    error.rateLimit = rateLimit;
+                    reject(error);
                 }
             });
         });
 
+        req.setTimeout(REQUEST_TIMEOUT_MS, () => req.destroy(new Error(`Discord request timed out after ${REQUEST_TIMEOUT_MS / 1000}s`)));
         req.on('error', reject);
         req.write(data);
         req.end();
@@ -48,21 +113,117 @@ async function sendWebhookMessage(webhookUrl, payload) {
 }
 
 /**
- * Send a migration alert to Discord
- * @param {string} webhookUrl - Discord webhook URL
+ * The allowed_mentions for a message, letting through exactly the configured mention and nothing else
+ *
+ * Scraped text ends up in embeds and messages, so every migration message
+ * sends this explicitly rather than relying on Discord's defaults.
+ *
+ * @param {string|null} mention - Space-separated @here, @everyone, <@&role id> or <@user id>
+ * @returns {{parse: Array<string>, roles?: Array<string>, users?: Array<string>}}
+ */
+function allowedMentions(mention) {
+    const allowed = { parse: [] };
+    for (const target of (mention || '').split(/\s+/).filter(Boolean)) {
+        const role = /^<@&(\d+)>$/.exec(target);
+        const user = /^<@!?(\d+)>$/.exec(target);
+        if (target === '@here' || target === '@everyone') allowed.parse = ['everyone'];
+        else if (role) allowed.roles = [...(allowed.roles || []), role[1]];
+        else if (user) allowed.users = [...(allowed.users || []), user[1]];
+    }
+    return allowed;
+}
+
+/**
+ * Embed fields for a migration's mints and project details
+ * @param {Object} migration - Migration data, with `details` once its project page has been read
+ */
+function detailEmbedFields(migration) {
+    return detailFields(migration).map(field => ({
+        name: field.name,
+        value: field.time !== undefined ? formatTimestamp(field.time) : field.code ? `\`${field.value}\`` : field.value,
+        inline: !field.code
+    }));
+}
+
+/**
+ * Embed field linking to the project's page, Solscan for each mint and the project's socials
  * @param {Object} migration - Migration data
- * @param {number} minutesUntil - Minutes until migration
  */
-async function sendMigrationAlert(webhookUrl, migration, minutesUntil) {
-    const urgencyColor = minutesUntil <= 5 ? 0xFF0000 : // Red - imminent
-        minutesUntil <= 15 ? 0xFF8C00 : // Orange - soon
-            minutesUntil <= 30 ? 0xFFD700 : // Gold - upcoming
-                0x00FF00; // Green - scheduled
+function linksField(migration) {
+    const links = migrationLinks(migration);
+    if (links.length === 1 && !projectSlug(links[0].url)) {
+        return { name: '🔗 View on Migrate.fun', value: `[Go to Projects](${links[0].url})`, inline: false };
+    }
+    return { name: '🔗 Links', value: links.map(link => `[${link.label}](${link.url})`).join(' • '), inline: false };
+}
+
+/**
+ * Template variables for a migration; text from the page is escaped, times and links are Discord markup
+ * @param {Object} migration - Migration data
+ * @param {Array} [tiers] - Alert tiers, for {{tier}}
+ */
+function migrationVariables(migration, tiers = DEFAULT_TIERS) {
+    const details = migration.details || {};
+    const minutesUntil = migration.minutesUntil;
+    const shiftMinutes = migration.previousEtaAt ? Math.round((migration.etaAt - migration.previousEtaAt) / 60000) : null;
+    return {
+        name: escapeMarkdown(migration.name || 'Unknown Token'),
+        ticker: escapeMarkdown(migration.ticker || ''),
+        mint: escapeMarkdown(migration.oldMint || migration.address || ''),
+        oldMint: escapeMarkdown(migration.oldMint || ''),
+        newMint: escapeMarkdown(migration.newMint || ''),
+        url: migration.url || '',
+        links: linksField(migration).value,
+        eta: migration.etaAt ? formatTimestamp(migration.etaAt) : '',
+        timeUntil: Number.isFinite(minutesUntil) ? formatTimeUntil(minutesUntil) : '',
+        tier: Number.isFinite(minutesUntil) ? tierFor(minutesUntil, tiers).label : '',
+        swapRatio: details.swapRatio ? formatRatio(details.swapRatio) : '',
+        status: details.status ? escapeMarkdown(details.status.charAt(0).toUpperCase() + details.status.slice(1)) : '',
+        previousEta: migration.previousEtaAt ? formatTimestamp(migration.previousEtaAt) : '',
+        shift: shiftMinutes !== null ? `${shiftMinutes > 0 ? '+' : '-'}${formatTimeUntil(Math.abs(shiftMinutes))}` : '',
+        reason: migration.reason || ''
+    };
+}
+
+/**
+ * Apply the destination's template for an event, if it has one, and keep the result within Discord's limits
+ * @param {Object} payload - The built-in message
+ * @param {Object} [templates] - The destination's templates, from the config
+ * @param {string} event - Event name
+ * @param {Function} variables - Returns the event's template variables
+ * @param {string} [mention] - Who the message pings
+ * @returns {Object} Webhook payload
+ */
+function templated(payload, templates, event, variables, mention) {
+    if (!templates || (!templates[event] && templates.footer === undefined)) return payload;
+    const filled = applyTemplate(payload, templates[event], variables(), { footer: templates.footer, mention });
+    const { payload: fitted, trimmed } = fitDiscordLimits(filled);
+    if (trimmed.length > 0) console.warn(`[Discord] Trimmed the ${event} message to fit Discord's limits: ${trimmed.join(', ')}`);
+    return fitted;
+}
+
+/**
+ * Embed timestamp for an event raised at `at` (ms since epoch), or now
+ */
+function embedTimestamp(at) {
+    return new Date(at || Date.now()).toISOString();
+}
 
-    const urgencyLabel = minutesUntil <= 5 ? '🚨 IMMINENT' :
-        minutesUntil <= 15 ? '⚠️ SOON' :
-            minutesUntil <= 30 ? '📢 UPCOMING' :
-                '📅 SCHEDULED';
+/**
+ * Build the embed payload for a migration alert
+ * @param {Object} migration - Migration data
+ * @param {number} minutesUntil - Minutes until migration
+ * @param {Array} [tiers] - Alert tiers from the config (color and label)
+ * @param {Object} [options]
+ * @param {string} [options.mention] - Who to ping, from the mention policy
+ * @param {Object} [options.templates] - Message templates, from the config
+ * @param {number} [options.at] - When the alert was raised (ms since epoch); defaults to now
+ * @returns {Object} Webhook payload
+ */
+function buildMigrationAlert(migration, minutesUntil, tiers = DEFAULT_TIERS, options = {}) {
+    const tier = tierFor(minutesUntil, tiers);
+    const urgencyColor = tier.color;
+    const urgencyLabel = tier.label;
 
     const embed = {
         title: `${urgencyLabel} Migration: ${migration.name || 'Unknown Token'}`,
@@ -71,57 +232,302 @@ async function sendMigrationAlert(webhookUrl, migration, minutesUntil) {
         fields: [
             {
                 name: '⏰ Time Until Migration',
-                value: formatTimeUntil(minutesUntil),
+                // Cards are edited rather than reposted, so prefer a timestamp Discord keeps counting down
+                value: migration.etaAt ? formatTimestamp(migration.etaAt) : formatTimeUntil(minutesUntil),
                 inline: true
             }
         ],
         footer: {
             text: 'Migrate.fun Alert Bot'
         },
-        timestamp: new Date().toISOString()
+        timestamp: embedTimestamp(options.at)
     };
 
-    // Add token address if available
-    if (migration.address) {
-        embed.fields.push({
-            name: '📍 Token Address',
-            value: `\`${migration.address}\``,
-            inline: false
-        });
-        embed.fields.push({
-            name: '🔗 Links',
-            value: `[Migrate.fun](https://migrate.fun/projects) • [Solscan](https://solscan.io/token/${migration.address})`,
-            inline: false
-        });
-    } else {
-        embed.fields.push({
-            name: '🔗 View on Migrate.fun',
-            value: '[Go to Projects](https://migrate.fun/projects)',
-            inline: false
-        });
-    }
+    embed.fields.push(...detailEmbedFields(migration), linksField(migration));
 
-    // Add raw info for debugging if needed
-    if (migration.rawText && migration.rawText.length < 200) {
+    // Without the project page's details, the card text is the best description there is
+    if (!migration.details && migration.rawText && migration.rawText.length < 200) {
         embed.fields.push({
             name: '📝 Details',
-            value: migration.rawText.substring(0, 200),
+            value: escapeMarkdown(migration.rawText),
             inline: false
         });
     }
 
     const payload = {
-        embeds: [embed]
+        ...(options.mention && { content: options.mention }),
+        embeds: [embed],
+        allowed_mentions: allowedMentions(options.mention)
     };
+    return templated(payload, options.templates, 'tier', () => migrationVariables({ ...migration, minutesUntil }, tiers), options.mention);
+}
 
-    console.log(`[Discord] Sending alert for ${migration.name} (${minutesUntil}min until migration)`);
-    return sendWebhookMessage(webhookUrl, payload);
+/**
+ * Build the final state of a migration's alert card once its ETA has passed
+ * @param {Object} migration - Migration data with `etaAt`
+ * @param {Object} [options] - {templates, tiers, at}
+ * @returns {Object} Webhook payload
+ */
+function buildLiveAlert(migration, options = {}) {
+    const embed = {
+        title: `✅ LIVE Migration: ${migration.name || 'Unknown Token'}`,
+        description: 'This migration is now live on migrate.fun.',
+        color: 0x2ECC71,
+        fields: [
+            {
+                name: '⏰ Started',
+                value: formatTimestamp(migration.etaAt),
+                inline: true
+            }
+        ],
+        footer: {
+            text: 'Migrate.fun Alert Bot'
+        },
+        timestamp: embedTimestamp(options.at)
+    };
+
+    embed.fields.push(...detailEmbedFields(migration), linksField(migration));
+
+    const payload = { embeds: [embed], allowed_mentions: allowedMentions(null) };
+    return templated(payload, options.templates, 'live', () => migrationVariables(migration, options.tiers));
 }
 
 /**
- * Send a startup notification
+ * Build the short message posted when an existing alert card moves to a new tier
+ *
+ * Editing a card never pings anyone, so this message carries the tier's mention when there is one.
+ *
+ * @param {Object} migration - Migration data with `alertTier` and `etaAt`
+ * @param {Object} [options]
+ * @param {string} [options.mention] - Who to ping, from the mention policy
+ * @param {Object} [options.templates] - Message templates, from the config
+ * @param {Array} [options.tiers] - Alert tiers
+ * @returns {Object} Webhook payload
  */
-async function sendStartupNotification(webhookUrl) {
+function buildTierPing(migration, options = {}) {
+    const timing = migration.etaAt ? ` (${formatTimestamp(migration.etaAt)})` : '';
+    const message = `**${escapeMarkdown(migration.name || 'Unknown Token')}** migration is now ${migration.alertTier.toUpperCase()}${timing}`;
+    const payload = {
+        content: options.mention ? `${options.mention} ${message}` : message,
+        allowed_mentions: allowedMentions(options.mention)
+    };
+    return templated(payload, options.templates, 'tier-ping', () => migrationVariables(migration, options.tiers), options.mention);
+}
+
+/**
+ * Build the embed payload for a reschedule alert
+ * @param {Object} migration - Migration data with `etaAt` and `previousEtaAt`
+ * @param {Object} [options] - {templates, tiers, at}
+ * @returns {Object} Webhook payload
+ */
+function buildRescheduleAlert(migration, options = {}) {
+    const shiftMinutes = Math.round((migration.etaAt - migration.previousEtaAt) / 60000);
+    const direction = shiftMinutes > 0 ? 'Pushed back' : 'Brought forward';
+
+    const embed = {
+        title: `🔁 RESCHEDULED Migration: ${migration.name || 'Unknown Token'}`,
+        description: `${direction} by ${formatTimeUntil(Math.abs(shiftMinutes))}.`,
+        color: 0x9B59B6,
+        fields: [
+            {
+                name: '🕒 Previous Time',
+                value: formatTimestamp(migration.previousEtaAt),
+                inline: true
+            },
+            {
+                name: '⏰ New Time',
+                value: formatTimestamp(migration.etaAt),
+                inline: true
+            }
+        ],
+        footer: {
+            text: 'Migrate.fun Alert Bot'
+        },
+        timestamp: embedTimestamp(options.at)
+    };
+
+    embed.fields.push(linksField(migration));
+
+    const payload = { embeds: [embed], allowed_mentions: allowedMentions(null) };
+    return templated(payload, options.templates, 'rescheduled', () => migrationVariables(migration, options.tiers));
+}
+
+/**
+ * Build the embed payload announcing a project newly listed on migrate.fun
+ * @param {Object} migration - Migration data; `etaAt` may be null when no time is set yet
+ * @param {Object} [options] - {templates, tiers, at}
+ * @returns {Object} Webhook payload
+ */
+function buildListingAlert(migration, options = {}) {
+    const name = migration.name || 'Unknown Token';
+
+    const embed = {
+        title: `${migration.relisted ? '↩️ Migration relisted' : '🆕 New migration listed'}: ${name}`,
+        description: migration.relisted ?
+            `${name} is back on migrate.fun.` :
+            `${name} was just listed on migrate.fun.`,
+        color: 0x3498DB,
+        fields: [
+            {
+                name: '⏰ Scheduled For',
+                value: migration.etaAt ? formatTimestamp(migration.etaAt) : 'Not announced yet',
+                inline: true
+            }
+        ],
+        footer: {
+            text: 'Migrate.fun Alert Bot'
+        },
+        timestamp: embedTimestamp(options.at)
+    };
+
+    if (migration.ticker) {
+        embed.fields.push({ name: '🏷️ Ticker', value: `$${escapeMarkdown(migration.ticker)}`, inline: true });
+    }
+
+    embed.fields.push(...detailEmbedFields(migration), linksField(migration));
+
+    const payload = { embeds: [embed], allowed_mentions: allowedMentions(null) };
+    return templated(payload, options.templates, 'listed', () => migrationVariables(migration, options.tiers));
+}
+
+/**
+ * Build the digest embed listing the migrations due in the next few hours
+ *
+ * Times are Discord timestamps, so "in 3 hours" stays right for as long as
+ * the digest sits in the channel. Entries that would not fit in one embed
+ * are counted at the end.
+ *
+ * @param {Array} migrations - Soonest first, with `etaAt` in ms since epoch; see selectDigestMigrations()
+ * @param {number} hours - How far ahead the digest looks
+ * @returns {Object} Webhook payload
+ */
+function buildDigest(migrations, hours) {
+    const lines = migrations.map(migration => {
+        const unix = Math.floor(migration.etaAt / 1000);
+        const name = escapeMarkdown(migration.name || 'Unknown Token');
+        const mint = migration.oldMint || migration.address;
+        return `**${migration.url ? `[${name}](${migration.url})` : name}**` +
+            (migration.ticker ? ` · $${escapeMarkdown(migration.ticker)}` : '') +
+            ` — <t:${unix}:R> (<t:${unix}:f>)` +
+            (mint ? `\n\`${mint}\`` : '');
+    });
+
+    let description = lines.length > 0 ? '' : `No migrations scheduled in the next ${hours} hours.`;
+    for (let i = 0; i < lines.length; i++) {
+        const rest = lines.length - i - 1;
+        const more = rest > 0 ? `\n…and ${rest} more` : '';
+        if ((description + '\n' + lines[i] + more).length > MAX_DESCRIPTION_LENGTH) {
+            description += `\n…and ${lines.length - i} more`;
+            break;
+        }
+        description += (i > 0 ? '\n' : '') + lines[i];
+    }
+
+    const embed = {
+        title: `🗓️ Upcoming migrations: next ${hours} hours`,
+        description: description.trim(),
+        color: 0x5865F2,
+        footer: {
+            text: `Migrate.fun Alert Bot • ${migrations.length} migration${migrations.length !== 1 ? 's' : ''}`
+        },
+        timestamp: new Date().toISOString()
+    };
+
+    return { embeds: [embed], allowed_mentions: allowedMentions(null) };
+}
+
+/**
+ * Build the answer to the /status command
+ * @param {Object} health - From status.getHealth()
+ * @param {Object} stats - {tracked, upcoming, hours, alerts: count by tier name, tiers, nextCheckAt (ms or null)}
+ * @returns {Object} Message payload
+ */
+function buildStatusReport(health, stats) {
+    const healthy = { ok: '🟢 Running', starting: '🟡 Starting', stale: '🔴 Not checking' }[health.status];
+    const lastCheck = health.lastSuccessAt ? formatTimestamp(Date.parse(health.lastSuccessAt)) : 'None yet';
+
+    const embed = {
+        title: '🤖 Migrate.fun Alert Bot',
+        description: healthy,
+        color: health.healthy ? 0x2ECC71 : 0xE74C3C,
+        fields: [
+            {
+                name: '🕒 Last Successful Check',
+                value: lastCheck,
+                inline: true
+            },
+            {
+                name: '⏭️ Next Check',
+                value: stats.nextCheckAt ? formatTimestamp(stats.nextCheckAt) : 'Not scheduled',
+                inline: true
+            },
+            {
+                name: '📋 Tracked Migrations',
+                value: `${stats.tracked} (${stats.upcoming} in the next ${stats.hours} hours)`,
+                inline: false
+            },
+            {
+                name: '🔔 Alerts Sent',
+                value: stats.tiers.map(tier => `${tier.label}: ${stats.alerts[tier.name] || 0}`).join('\n'),
+                inline: false
+            }
+        ],
+        footer: {
+            text: `Migrate.fun Alert Bot • up ${formatTimeUntil(health.uptimeSeconds / 60)}`
+        },
+        timestamp: new Date().toISOString()
+    };
+
+    if (health.lastError) {
+        embed.fields.push({ name: '⚠️ Last Error', value: health.lastError.substring(0, 1024), inline: false });
+    }
+
+    return { embeds: [embed], allowed_mentions: allowedMentions(null) };
+}
+
+/**
+ * Build the embed payload for a project cancelled or taken off migrate.fun before its ETA
+ * @param {Object} migration - Migration data with `reason` ('cancelled' or 'delisted')
+ * @param {Object} [options] - {templates, tiers, at}
+ * @returns {Object} Webhook payload
+ */
+function buildRemovedAlert(migration, options = {}) {
+    const cancelled = migration.reason === 'cancelled';
+
+    const embed = {
+        title: `${cancelled ? '🚫 CANCELLED' : '❌ REMOVED'} Migration: ${migration.name || 'Unknown Token'}`,
+        description: cancelled ?
+            'migrate.fun now lists this migration as cancelled.' :
+            'This migration is no longer listed on migrate.fun.',
+        color: 0x95A5A6,
+        fields: [],
+        footer: {
+            text: 'Migrate.fun Alert Bot'
+        },
+        timestamp: embedTimestamp(options.at)
+    };
+
+    if (migration.etaAt) {
+        embed.fields.push({ name: '🕒 Was Scheduled For', value: formatTimestamp(migration.etaAt), inline: true });
+    }
+
+    embed.fields.push(...detailEmbedFields(migration));
+
+    const payload = { embeds: [embed], allowed_mentions: allowedMentions(null) };
+    return templated(payload, options.templates, 'removed', () => migrationVariables(migration, options.tiers));
+}
+
+/**
+ * Build the startup notification
+ * @param {Object} [config] - Loaded configuration, for the settings summary
+ * @param {Object} [options] - {templates}
+ * @returns {Object} Webhook payload
+ */
+function buildStartupNotification(config = {}, options = {}) {
+    const checkInterval = config.checkIntervalMinutes || process.env.CHECK_INTERVAL_MINUTES || 5;
+    const threshold = config.alertThresholdMinutes || process.env.ALERT_THRESHOLD_MINUTES || 30;
+    const tiers = (config.tiers || DEFAULT_TIERS).filter(tier => Number.isFinite(tier.threshold)).map(tier => `${tier.label} ≤ ${tier.threshold} min`).join('\n');
+
     const payload = {
         embeds: [{
             title: '🚀 Migration Alert Bot Started',
@@ -130,13 +536,18 @@ async function sendStartupNotification(webhookUrl) {
             fields: [
                 {
                     name: '⚙️ Check Interval',
-                    value: `Every ${process.env.CHECK_INTERVAL_MINUTES || 5} minutes`,
+                    value: `Every ${checkInterval} minutes`,
                     inline: true
                 },
                 {
                     name: '🔔 Alert Threshold',
-                    value: `${process.env.ALERT_THRESHOLD_MINUTES || 30} minutes before`,
+                    value: `${threshold} minutes before`,
                     inline: true
+                },
+                {
+                    name: '🎚️ Tiers',
+                    value: tiers,
+                    inline: false
                 }
             ],
             footer: {
@@ -145,14 +556,83 @@ async function sendStartupNotification(webhookUrl) {
             timestamp: new Date().toISOString()
         }]
     };
+    return templated(payload, options.templates, 'startup', () => ({ checkInterval, threshold, tiers }));
+}
+
+/**
+ * Build the operator alert for a scraper that keeps producing bad results
+ * @param {Object} problem - {kind, title, detail} from diagnostics.js
+ * @param {Object} info - {since (ms), checks, snapshot: Array<string>|null}
+ * @returns {Object} Webhook payload
+ */
+function buildDegradedAlert(problem, info) {
+    const embed = {
+        title: `⚠️ Scraper degraded: ${problem.title}`,
+        description: problem.detail,
+        color: 0xE67E22,
+        fields: [
+            {
+                name: '🕒 Since',
+                value: formatTimestamp(info.since),
+                inline: true
+            },
+            {
+                name: '🔁 Checks Affected',
+                value: String(info.checks),
+                inline: true
+            }
+        ],
+        footer: {
+            text: 'Migrate.fun Alert Bot'
+        },
+        timestamp: new Date().toISOString()
+    };
 
-    return sendWebhookMessage(webhookUrl, payload);
+    if (info.snapshot && info.snapshot.length > 0) {
+        embed.fields.push({
+            name: '📸 Snapshot',
+            value: info.snapshot.map(file => `\`${file}\``).join('\n'),
+            inline: false
+        });
+    }
+
+    return { embeds: [embed], allowed_mentions: { parse: [] } };
 }
 
 /**
- * Send an error notification
+ * Build the operator message sent once the scraper works again
+ * @param {Object} info - {title of the last problem, since (ms), checks}
+ * @returns {Object} Webhook payload
  */
-async function sendErrorNotification(webhookUrl, error) {
+function buildRecoveredAlert(info) {
+    return {
+        embeds: [{
+            title: '✅ Scraper recovered',
+            description: `Scrapes are returning projects again after ${info.checks} degraded check(s) (${info.title}).`,
+            color: 0x2ECC71,
+            fields: [
+                {
+                    name: '🕒 Degraded Since',
+                    value: formatTimestamp(info.since),
+                    inline: true
+                }
+            ],
+            footer: {
+                text: 'Migrate.fun Alert Bot'
+            },
+            timestamp: new Date().toISOString()
+        }],
+        allowed_mentions: { parse: [] }
+    };
+}
+
+/**
+ * Build the message reporting an unexpected error
+ * @param {Error} error
+ * @param {Object} [options] - {templates}
+ * @returns {Object} Webhook payload
+ */
+function buildErrorNotification(error, options = {}) {
     const payload = {
         embeds: [{
             title: '❌ Bot Error',
@@ -164,8 +644,27 @@ async function sendErrorNotification(webhookUrl, error) {
             timestamp: new Date().toISOString()
         }]
     };
+    return templated(payload, options.templates, 'error', () => ({ error: escapeMarkdown(error.message) }));
+}
 
-    return sendWebhookMessage(webhookUrl, payload).catch(console.error);
+/**
+ * Build the message sent by `test-webhook` to check a destination is set up
+ * @param {string} destination - Name of the destination being tested
+ * @returns {Object} Webhook payload
+ */
+function buildTestNotification(destination) {
+    return {
+        embeds: [{
+            title: '🧪 Test Notification',
+            description: `This is a test message for destination "${destination}". If you can see it, alerts will arrive here.`,
+            color: 0x5865F2,
+            footer: {
+                text: 'Migrate.fun Alert Bot'
+            },
+            timestamp: new Date().toISOString()
+        }],
+        allowed_mentions: { parse: [] }
+    };
 }
 
 /**
@@ -182,9 +681,30 @@ function formatTimeUntil(minutes) {
     return `${hours}h ${mins}m`;
 }
 
+/**
+ * Format an absolute time as a Discord timestamp (rendered in each reader's time zone)
+ * @param {number} ms - Milliseconds since epoch
+ */
+function formatTimestamp(ms) {
+    const unix = Math.floor(ms / 1000);
+    return `<t:${unix}:f> (<t:${unix}:R>)`;
+}
+
 module.exports = {
-    sendMigrationAlert,
-    sendStartupNotification,
-    sendErrorNotification,
+    buildMigrationAlert,
+    buildLiveAlert,
+    buildTierPing,
+    buildRescheduleAlert,
+    buildListingAlert,
+    buildRemovedAlert,
+    buildDigest,
+    buildStatusReport,
+    buildDegradedAlert,
+    buildRecoveredAlert,
+    buildStartupNotification,
+    buildErrorNotification,
+    buildTestNotification,
+    allowedMentions,
+    formatTimeUntil,
     sendWebhookMessage
 };
@@ -0,0 +1,782 @@
+/**
+ * Structured data extraction for migrate.fun
+ * Turns captured API payloads, embedded app data or page cards into one clean
+ * record per project, and reads the details off a project's own page
+ */
+
+const { parseTime } = require('./timeparser');
+
+const PROJECT_BASE_URL = 'https://migrate.fun/projects';
+
+// Solana addresses are base58 strings of 32-44 characters
+const MINT_PATTERN = /\b[1-9A-HJ-NP-Za-km-z]{32,44}\b/g;
+const MINT_EXACT = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+
+// Countdowns and dates as migrate.fun renders them ("Oct 21, 14:00 UTC", "2d 4h 10m", "in 3 hours", "01:22:05")
+const TIME_PATTERN = new RegExp([
+    /\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?/.source,
+    /[A-Z][a-z]{2,8}\.?\s+\d{1,2}(?:st|nd|rd|th)?,?\s+(?:\d{4},?\s+)?(?:at\s+)?\d{1,2}(?::\d{2}){1,2}(?:\s*[AaPp][Mm])?(?:\s*[A-Z]{2,4}(?:[+-]\d{1,2}(?::?\d{2})?)?\b)?/.source,
+    /(?:\d+\s*(?:days?|d|hours?|hrs?|h|minutes?|mins?|m|seconds?|secs?|s)\b\s*)+/.source,
+    /\d+:\d{2}(?::\d{2}){0,2}/.source
+].join('|'));
+
+// A card line that shows a state instead of a countdown
+const STATE_LINE = /^(?:live(?: now)?|ended|tba|tbd|coming soon)$/i;
+
+// Uppercase words that show up on cards but are never a ticker
+const NOT_TICKERS = new Set([
+    'NEW', 'OLD', 'LIVE', 'ENDED', 'TBA', 'UTC', 'SOL', 'USD', 'USDC', 'CA', 'MINT',
+    'DAYS', 'HRS', 'MIN', 'SEC', 'AM', 'PM', 'ETA', 'SOON', 'VIEW', 'MIGRATE', 'MIGRATION',
+    'CANCELLED', 'CANCELED'
+]);
+
+// Keys that projects are known (or likely) to use in migrate.fun's app data
+const NAME_KEYS = ['name', 'projectName', 'tokenName', 'title'];
+const TICKER_KEYS = ['symbol', 'ticker', 'tokenSymbol', 'newSymbol', 'oldSymbol'];
+const OLD_MINT_KEYS = ['oldMint', 'oldTokenMint', 'oldTokenAddress', 'oldToken', 'sourceMint', 'fromMint', 'mintFrom'];
+const NEW_MINT_KEYS = ['newMint', 'newTokenMint', 'newTokenAddress', 'newToken', 'targetMint', 'toMint', 'mintTo'];
+const MINT_KEYS = ['mint', 'tokenMint', 'tokenAddress', 'address', 'ca'];
+const TIME_KEYS = ['migrationStart', 'migrationStartTime', 'migrationDate', 'scheduledAt', 'scheduledFor', 'startTime', 'startDate', 'startsAt', 'launchTime', 'deadline'];
+const SLUG_KEYS = ['slug', 'projectSlug', 'id', 'projectId'];
+const STATUS_KEYS = ['status', 'state', 'migrationStatus'];
+const RATIO_KEYS = ['swapRatio', 'ratio', 'migrationRatio', 'exchangeRate', 'conversionRate'];
+const END_KEYS = ['migrationEnd', 'migrationEndTime', 'endTime', 'endDate', 'endsAt', 'closesAt', 'claimDeadline'];
+const SOCIAL_KEYS = {
+    twitter: ['twitter', 'x', 'twitterUrl', 'xUrl'],
+    telegram: ['telegram', 'telegramUrl', 'tg'],
+    discord: ['discord', 'discordUrl'],
+    website: ['website', 'websiteUrl', 'site', 'homepage']
+};
+
+/**
+ * Return the first non-empty value among the given keys
+ */
+function pick(obj, keys) {
+    for (const key of keys) {
+        const value = obj[key];
+        if (value !== undefined && value !== null && value !== '') return value;
+    }
+    return null;
+}
+
+/**
+ * Read a mint address from a value that may be a string or a nested token object
+ */
+function pickMint(obj, keys) {
+    const value = pick(obj, keys);
+    if (typeof value === 'string') return MINT_EXACT.test(value) ? value : null;
+    if (value && typeof value === 'object') return pickMint(value, MINT_KEYS);
+    return null;
+}
+
+/**
+ * Normalize a timestamp (unix seconds, unix ms or date string) to an ISO string
+ */
+function toIsoTime(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value === 'number') {
+        const ms = value < 1e12 ? value * 1000 : value;
+        return new Date(ms).toISOString();
+    }
+    if (typeof value === 'string') {
+        if (/^\d+$/.test(value)) return toIsoTime(parseInt(value));
+        const ms = Date.parse(value);
+        return isNaN(ms) ? null : new Date(ms).toISOString();
+    }
+    return null;
+}
+
+/**
+ * Build a stable record ID from the most specific identifier available
+ */
+function recordId(record) {
+    return record.oldMint || record.newMint || record.slug ||
+        (record.ticker && record.ticker.toLowerCase()) ||
+        (record.name && record.name.toLowerCase().replace(/\s+/g, '-')) || null;
+}
+
+/**
+ * Fill in derived fields shared by every extraction layer
+ */
+function finalizeRecord(record, source, scrapedAt) {
+    const result = {
+        id: null,
+        name: record.name || record.ticker || null,
+        ticker: record.ticker ? record.ticker.replace(/^\$/, '').toUpperCase() : null,
+        oldMint: record.oldMint || null,
+        newMint: record.newMint || null,
+        address: record.oldMint || record.newMint || null,
+        scheduledAt: record.scheduledAt || null,
+        timeText: record.timeText || null,
+        slug: record.slug || null,
+        status: record.status || null,
+        url: record.url || (record.slug ? `${PROJECT_BASE_URL}/${record.slug}` : PROJECT_BASE_URL),
+        rawText: record.rawText || null,
+        source,
+        scrapedAt
+    };
+    result.id = recordId(result);
+    return result;
+}
+
+/**
+ * Keys used to decide whether two records describe the same project
+ */
+function matchKeys(record) {
+    const keys = [];
+    if (record.oldMint) keys.push(`mint:${record.oldMint}`);
+    if (record.newMint) keys.push(`mint:${record.newMint}`);
+    if (record.slug) keys.push(`slug:${record.slug}`);
+    if (record.ticker) keys.push(`ticker:${record.ticker}`);
+    return keys;
+}
+
+/**
+ * Merge records that refer to the same project, keeping the first non-empty value of each field
+ */
+function dedupeRecords(records) {
+    const merged = [];
+    const index = new Map();
+
+    for (const record of records) {
+        const keys = matchKeys(record);
+        const existing = keys.map(key => index.get(key)).find(Boolean);
+
+        if (existing) {
+            for (const [field, value] of Object.entries(record)) {
+                if ((existing[field] === null || existing[field] === undefined) && value !== null) {
+                    existing[field] = value;
+                }
+            }
+            if (!existing.address) existing.address = existing.oldMint || existing.newMint;
+            if (!existing.id) existing.id = recordId(existing);
+        } else {
+            merged.push(record);
+        }
+
+        const target = existing || record;
+        for (const key of matchKeys(target)) index.set(key, target);
+    }
+
+    return merged;
+}
+
+/**
+ * Turn a single app-data object into a raw record, or null if it does not look like a project
+ */
+function projectFromObject(obj) {
+    const name = pick(obj, NAME_KEYS);
+    const ticker = pick(obj, TICKER_KEYS);
+    let oldMint = pickMint(obj, OLD_MINT_KEYS);
+    const newMint = pickMint(obj, NEW_MINT_KEYS);
+    const scheduledAt = toIsoTime(pick(obj, TIME_KEYS));
+
+    if (!oldMint && !newMint) oldMint = pickMint(obj, MINT_KEYS);
+
+    // Require a label plus something that ties it to a migration
+    if (typeof name !== 'string' && typeof ticker !== 'string') return null;
+    if (!oldMint && !newMint && !scheduledAt) return null;
+
+    const slug = pick(obj, SLUG_KEYS);
+    const status = pick(obj, STATUS_KEYS);
+
+    return {
+        name: typeof name === 'string' ? name.trim() : null,
+        ticker: typeof ticker === 'string' ? ticker.trim() : null,
+        oldMint,
+        newMint,
+        scheduledAt,
+        slug: typeof slug === 'string' && /^[\w-]+$/.test(slug) && !MINT_EXACT.test(slug) ? slug : null,
+        status: typeof status === 'string' ? status.trim().toLowerCase() : null
+    };
+}
+
+/**
+ * Walk an arbitrary JSON value and collect every object that looks like a project
+ */
+function findProjects(value, found = [], depth = 0) {
+    if (!value || typeof value !== 'object' || depth > 20) return found;
+
+    if (Array.isArray(value)) {
+        for (const item of value) findProjects(item, found, depth + 1);
+        return found;
+    }
+
+    const project = projectFromObject(value);
+    if (project) {
+        found.push(project);
+        return found;
+    }
+
+    for (const child of Object.values(value)) findProjects(child, found, depth + 1);
+    return found;
+}
+
+/**
+ * Extract projects from JSON responses captured while the page loaded
+ * @param {Array<Object>} payloads - Parsed JSON bodies
+ * @param {string} [scrapedAt] - ISO time of the scrape
+ * @returns {Array} Project records
+ */
+function extractFromPayloads(payloads, scrapedAt = new Date().toISOString()) {
+    const raw = [];
+    for (const payload of payloads) findProjects(payload, raw);
+    return dedupeRecords(raw.map(r => finalizeRecord(r, 'payload', scrapedAt)));
+}
+
+/**
+ * Pull JSON blobs embedded in the page HTML (Next.js data and flight chunks)
+ * @param {string} html - Page HTML
+ * @returns {Array<Object>} Parsed JSON values
+ */
+function findEmbeddedData(html) {
+    const blobs = [];
+
+    const nextData = html.match(/<script[^>]*id="__NEXT_DATA__"[^>]*>([\s\S]*?)<\/script>/);
+    if (nextData) {
+        try {
+            blobs.push(JSON.parse(nextData[1]));
+        } catch (error) {
+            console.error('[Extractor] Could not parse __NEXT_DATA__:', error.message);
+        }
+    }
+
+    // App-router pages stream their data as self.__next_f.push([1, "<chunk>"]) calls
+    const chunks = [];
+    const pushPattern = /self\.__next_f\.push\(\[1,\s*("(?:[^"\\]|\\.)*")\]\)/g;
+    let match;
+    while ((match = pushPattern.exec(html)) !== null) {
+        try {
+            chunks.push(JSON.parse(match[1]));
+        } catch (error) {
+            // Skip chunks that are not valid string literals
+        }
+    }
+
+    for (const line of chunks.join('').split('\n')) {
+        const body = line.replace(/^[0-9a-f]+:[A-Z]?/i, '');
+        if (!body.startsWith('{') && !body.startsWith('[')) continue;
+        try {
+            blobs.push(JSON.parse(body));
+        } catch (error) {
+            // Not every flight line is JSON
+        }
+    }
+
+    return blobs;
+}
+
+/**
+ * Extract projects from data embedded in the page HTML
+ * @param {string} html - Page HTML
+ * @param {string} [scrapedAt] - ISO time of the scrape
+ * @returns {Array} Project records
+ */
+function extractFromHtml(html, scrapedAt = new Date().toISOString()) {
+    const raw = [];
+    for (const blob of findEmbeddedData(html)) findProjects(blob, raw);
+    return dedupeRecords(raw.map(r => finalizeRecord(r, 'embedded', scrapedAt)));
+}
+
+/**
+ * Collect project cards from the rendered page
+ *
+ * Runs inside the browser via page.evaluate, so it must not reference
+ * anything outside its own body.
+ *
+ * @returns {Array<{text: string, href: string|null}>}
+ */
+function collectCards() {
+    const cards = [];
+    const seen = new Set();
+
+    // Project cards link to their detail page; climb to the largest block that holds only that link
+    const links = Array.from(document.querySelectorAll('a[href*="/projects/"]'))
+        .filter(a => !/\/projects\/?$/.test(a.getAttribute('href')));
+
+    for (const link of links) {
+        let card = link;
+        while (card.parentElement && card.parentElement !== document.body &&
+            card.parentElement.querySelectorAll('a[href*="/projects/"]').length === 1) {
+            card = card.parentElement;
+        }
+        if (seen.has(card)) continue;
+        seen.add(card);
+        cards.push({ text: card.innerText || card.textContent || '', href: link.href });
+    }
+
+    if (cards.length > 0) return cards;
+
+    // No project links: fall back to class names, keeping only the outermost match
+    const candidates = Array.from(document.querySelectorAll('[class*="project"], [class*="card"], [class*="migration"]'));
+    for (const el of candidates) {
+        if (candidates.some(other => other !== el && other.contains(el))) continue;
+        const text = el.innerText || el.textContent || '';
+        if (text.length > 10 && text.length < 2000) cards.push({ text, href: null });
+    }
+
+    return cards;
+}
+
+/**
+ * Read an "old"/"new" mint label from a line of card text
+ */
+function labelOf(line) {
+    const lower = line.toLowerCase();
+    if (/\bnew\b/.test(lower)) return 'new';
+    if (/\bold\b/.test(lower)) return 'old';
+    return null;
+}
+
+// Elements with no closing tag, and elements that start a new line of text
+const VOID_TAGS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+const BLOCK_TAGS = new Set([
+    'address', 'article', 'aside', 'br', 'dd', 'div', 'dl', 'dt', 'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+    'header', 'hr', 'li', 'main', 'nav', 'ol', 'p', 'section', 'table', 'tr', 'ul'
+]);
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', rarr: '→', larr: '←', hellip: '…', mdash: '—', ndash: '–' };
+
+/**
+ * Decode the HTML entities that appear in rendered text
+ */
+function decodeEntities(text) {
+    return text.replace(/&(#x?[0-9a-f]+|[a-z]+);/gi, (entity, code) => {
+        if (code[0] === '#') {
+            const num = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1));
+            return isNaN(num) ? entity : String.fromCodePoint(num);
+        }
+        return ENTITIES[code.toLowerCase()] || entity;
+    });
+}
+
+/**
+ * Parse an HTML string into a minimal element tree (enough to find project cards offline)
+ * @param {string} html - Page HTML
+ * @returns {Object} Root node with `children`; elements have `tag`, `attrs` and `parent`
+ */
+function parseHtml(html) {
+    const root = { tag: '#root', attrs: {}, children: [], parent: null };
+    const tokenPattern = /<!--[\s\S]*?-->|<(script|style)\b[^>]*>[\s\S]*?<\/\1\s*>|<(\/?)([a-zA-Z][\w-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>|([^<]+)/gi;
+    let current = root;
+    let match;
+
+    while ((match = tokenPattern.exec(html)) !== null) {
+        const [, , closing, tagName, attrText, text] = match;
+
+        if (text !== undefined) {
+            current.children.push({ text: decodeEntities(text) });
+            continue;
+        }
+        if (!tagName) continue;
+
+        const tag = tagName.toLowerCase();
+        if (closing) {
+            let node = current;
+            while (node.parent && node.tag !== tag) node = node.parent;
+            if (node.parent) current = node.parent;
+            continue;
+        }
+
+        const attrs = {};
+        const attrPattern = /([^\s=/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+        let attr;
+        while ((attr = attrPattern.exec(attrText)) !== null) {
+            attrs[attr[1].toLowerCase()] = decodeEntities(attr[2] ?? attr[3] ?? attr[4] ?? '');
+        }
+
+        const node = { tag, attrs, children: [], parent: current };
+        current.children.push(node);
+        if (!VOID_TAGS.has(tag) && !attrText.trim().endsWith('/')) current = node;
+    }
+
+    return root;
+}
+
+/**
+ * Render a node's text roughly the way innerText would, one block per line
+ */
+function textOf(node) {
+    const parts = [];
+    (function walk(n) {
+        if (n.text !== undefined) {
+            parts.push(n.text.replace(/\s+/g, ' '));
+            return;
+        }
+        if (BLOCK_TAGS.has(n.tag)) parts.push('\n');
+        n.children.forEach(walk);
+        if (BLOCK_TAGS.has(n.tag)) parts.push('\n');
+    })(node);
+
+    return parts.join('').split('\n').map(line => line.trim()).filter(Boolean).join('\n');
+}
+
+/**
+ * List every element below a node that matches a predicate
+ */
+function findAll(node, predicate, found = []) {
+    for (const child of node.children || []) {
+        if (child.tag && predicate(child)) found.push(child);
+        if (child.children) findAll(child, predicate, found);
+    }
+    return found;
+}
+
+/**
+ * Collect project cards from a saved HTML snapshot, mirroring collectCards()
+ * @param {string} html - Page HTML
+ * @param {string} [baseUrl] - URL used to resolve relative links
+ * @returns {Array<{text: string, href: string|null}>}
+ */
+function cardsFromHtml(html, baseUrl = PROJECT_BASE_URL) {
+    const root = parseHtml(html);
+    const isProjectLink = n => n.tag === 'a' && /\/projects\/[^/?#]+/.test(n.attrs.href || '');
+    const isTopLevel = n => !n || n === root || n.tag === 'body' || n.tag === 'html';
+
+    const cards = [];
+    const seen = new Set();
+
+    for (const link of findAll(root, isProjectLink)) {
+        let card = link;
+        while (!isTopLevel(card.parent) && findAll(card.parent, isProjectLink).length === 1) {
+            card = card.parent;
+        }
+        if (seen.has(card)) continue;
+        seen.add(card);
+        cards.push({ text: textOf(card), href: new URL(link.attrs.href, baseUrl).href });
+    }
+
+    if (cards.length > 0) return cards;
+
+    const isCandidate = n => /project|card|migration/.test(n.attrs.class || '');
+    const hasCandidateAncestor = n => {
+        for (let p = n.parent; p; p = p.parent) if (p.tag && isCandidate(p)) return true;
+        return false;
+    };
+
+    for (const el of findAll(root, isCandidate)) {
+        if (hasCandidateAncestor(el)) continue;
+        const text = textOf(el);
+        if (text.length > 10 && text.length < 2000) cards.push({ text, href: null });
+    }
+
+    return cards;
+}
+
+/**
+ * Visible text of a saved HTML snapshot
+ * @param {string} html - Page HTML
+ */
+function textFromHtml(html) {
+    const root = parseHtml(html);
+    const body = findAll(root, n => n.tag === 'body')[0] || root;
+    return textOf(body);
+}
+
+/**
+ * Parse the text of a single project card into a raw record
+ * @param {string} text - Card text
+ * @param {string|null} href - Link to the project detail page
+ * @returns {Object|null} Raw record, or null if nothing identifiable was found
+ */
+function parseCard(text, href) {
+    const lines = text.split('\n').map(l => l.trim()).filter(Boolean);
+
+    // Mints, with "old"/"new" labels on the same or previous line taking precedence over order
+    let oldMint = null;
+    let newMint = null;
+    const unlabeled = [];
+    lines.forEach((line, i) => {
+        for (const mint of line.match(MINT_PATTERN) || []) {
+            const label = labelOf(line) || labelOf(lines[i - 1] || '');
+            if (label === 'new' && !newMint) newMint = mint;
+            else if (label === 'old' && !oldMint) oldMint = mint;
+            else unlabeled.push(mint);
+        }
+    });
+    if (!oldMint && unlabeled.length) oldMint = unlabeled.shift();
+    if (!newMint && unlabeled.length) newMint = unlabeled.shift();
+
+    const withoutMints = text.replace(MINT_PATTERN, ' ');
+
+    const tickerMatch = withoutMints.match(/\$([A-Za-z0-9]{2,10})\b/) ||
+        (withoutMints.match(/\b[A-Z][A-Z0-9]{1,9}\b/g) || [])
+            .filter(word => !NOT_TICKERS.has(word))
+            .map(word => [word, word])[0];
+    const ticker = tickerMatch ? tickerMatch[1] : null;
+
+    const timeMatch = withoutMints.match(TIME_PATTERN);
+    const timeText = timeMatch ? timeMatch[0].trim() : lines.find(line => STATE_LINE.test(line)) || null;
+
+    const name = lines.find(line =>
+        !line.match(MINT_PATTERN) &&
+        line !== ticker && line !== `$${ticker}` && !NOT_TICKERS.has(line.toUpperCase()) &&
+        !(timeText && line.includes(timeText)) &&
+        /[A-Za-z]/.test(line) && line.length <= 60
+    ) || null;
+
+    const slugMatch = href ? href.match(/\/projects\/([\w-]+)/) : null;
+
+    if (!name && !ticker && !oldMint && !newMint) return null;
+
+    return {
+        name,
+        ticker,
+        oldMint,
+        newMint,
+        timeText,
+        slug: slugMatch ? slugMatch[1] : null,
+        status: /\bcancell?ed\b/i.test(text) ? 'cancelled' : null,
+        url: href || null,
+        rawText: text.substring(0, 500)
+    };
+}
+
+/**
+ * Extract projects from cards collected off the rendered page
+ * @param {Array<{text: string, href: string|null}>} cards - Output of collectCards
+ * @param {string} [scrapedAt] - ISO time of the scrape
+ * @returns {Array} Project records
+ */
+function extractFromCards(cards, scrapedAt = new Date().toISOString()) {
+    const raw = cards.map(card => parseCard(card.text, card.href)).filter(Boolean);
+    return dedupeRecords(raw.map(r => finalizeRecord(r, 'dom', scrapedAt)));
+}
+
+/**
+ * Run the extraction layers in order of reliability and return the first that yields projects
+ * @param {Object} sources
+ * @param {Array<Object>} [sources.payloads] - Captured JSON responses
+ * @param {string} [sources.html] - Page HTML
+ * @param {Function} [sources.getCards] - Lazily collects DOM cards (may be async)
+ * @param {string} [scrapedAt] - ISO time of the scrape
+ * @returns {Promise<Array>} Project records
+ */
+async function extract({ payloads = [], html = '', getCards = null }, scrapedAt = new Date().toISOString()) {
+    const fromPayloads = extractFromPayloads(payloads, scrapedAt);
+    if (fromPayloads.length > 0) {
+        console.log(`[Extractor] Using ${fromPayloads.length} project(s) from API payloads`);
+        return fromPayloads;
+    }
+
+    const fromHtml = html ? extractFromHtml(html, scrapedAt) : [];
+    if (fromHtml.length > 0) {
+        console.log(`[Extractor] Using ${fromHtml.length} project(s) from embedded app data`);
+        return fromHtml;
+    }
+
+    const cards = getCards ? await getCards() : [];
+    const fromCards = extractFromCards(cards, scrapedAt);
+    console.log(`[Extractor] Falling back to DOM parsing: ${fromCards.length} project(s) from ${cards.length} card(s)`);
+    return fromCards;
+}
+
+/**
+ * The slug of a project page URL, or null for any other page
+ * @param {string} url
+ */
+function projectSlug(url) {
+    const match = /\/projects\/([\w-]+)\/?(?:[?#]|$)/.exec(url || '');
+    return match ? match[1] : null;
+}
+
+/**
+ * Which social network a link points to, or null
+ */
+function socialKind(url) {
+    let host;
+    try {
+        host = new URL(url).hostname.replace(/^www\./, '');
+    } catch (error) {
+        return null;
+    }
+    if (host === 'x.com' || host === 'twitter.com') return 'twitter';
+    if (host === 't.me' || host === 'telegram.me') return 'telegram';
+    if (host === 'discord.gg' || host === 'discord.com') return 'discord';
+    return null;
+}
+
+/**
+ * Turn a social handle or URL from app data into a URL
+ */
+function socialUrl(kind, value) {
+    if (typeof value !== 'string' || !value.trim()) return null;
+    const text = value.trim();
+    if (/^https?:\/\//i.test(text)) return text;
+    if (kind === 'website') return /^[\w-]+(\.[\w-]+)+(\/\S*)?$/.test(text) ? `https://${text}` : null;
+    if (!/^@?[\w-]+$/.test(text)) return null;
+    const handle = text.replace(/^@/, '');
+    return { twitter: `https://x.com/${handle}`, telegram: `https://t.me/${handle}`, discord: `https://discord.gg/${handle}` }[kind];
+}
+
+/**
+ * Read a swap ratio (new tokens per old token) from a number or text like "1:0.5" or "1 old = 0.5 new"
+ */
+function parseRatio(value) {
+    if (typeof value === 'number') return value > 0 ? value : null;
+    if (typeof value !== 'string') return null;
+
+    const num = text => parseFloat(text.replace(/,/g, ''));
+    const pair = value.match(/([\d.,]+)\s*(?:[:→]|->|=|\bto\b)\s*([\d.,]+)/i) ||
+        value.match(/([\d.,]+)\s+old\b[^=\n]*=\s*([\d.,]+)/i);
+    if (pair) {
+        const ratio = num(pair[2]) / num(pair[1]);
+        return isFinite(ratio) && ratio > 0 ? ratio : null;
+    }
+    const single = num(value);
+    return isFinite(single) && single > 0 && /^\s*[\d.,]+\s*x?\s*$/i.test(value) ? single : null;
+}
+
+/**
+ * Collect social links from app data: named fields, plus any URLs under socials/links
+ */
+function socialsFromObject(obj) {
+    const socials = {};
+    for (const [kind, keys] of Object.entries(SOCIAL_KEYS)) {
+        const url = socialUrl(kind, pick(obj, keys));
+        if (url) socials[kind] = url;
+    }
+
+    const nested = obj.socials || obj.social || obj.links;
+    if (nested && typeof nested === 'object') {
+        if (!Array.isArray(nested)) Object.assign(socials, socialsFromObject(nested), socials);
+        (function walk(value) {
+            if (typeof value === 'string') {
+                const kind = socialKind(value);
+                if (kind && !socials[kind]) socials[kind] = value;
+            } else if (value && typeof value === 'object') {
+                Object.values(value).forEach(walk);
+            }
+        })(nested);
+    }
+    return socials;
+}
+
+/**
+ * Find the app-data object for a project, by slug when several projects are present
+ */
+function findProjectObject(value, slug, found = [], depth = 0) {
+    if (!value || typeof value !== 'object' || depth > 20) return found;
+
+    if (Array.isArray(value)) {
+        for (const item of value) findProjectObject(item, slug, found, depth + 1);
+    } else if (projectFromObject(value)) {
+        found.push(value);
+    } else {
+        for (const child of Object.values(value)) findProjectObject(child, slug, found, depth + 1);
+    }
+
+    if (depth > 0) return found;
+    return found.find(obj => slug && pick(obj, SLUG_KEYS) === slug) || (found.length === 1 ? found[0] : null);
+}
+
+/**
+ * Read project details from app data
+ */
+function detailsFromObject(obj) {
+    const project = projectFromObject(obj);
+    return {
+        oldMint: project.oldMint,
+        newMint: project.newMint,
+        swapRatio: parseRatio(pick(obj, RATIO_KEYS)),
+        opensAt: project.scheduledAt,
+        closesAt: toIsoTime(pick(obj, END_KEYS)),
+        status: project.status,
+        socials: socialsFromObject(obj)
+    };
+}
+
+/**
+ * Read project details from the rendered text and links of a detail page
+ */
+function detailsFromHtml(html, scrapedAt) {
+    const root = parseHtml(html);
+    const body = findAll(root, n => n.tag === 'body')[0] || root;
+    const text = textOf(body);
+    const lines = text.split('\n');
+    const card = parseCard(text, null) || {};
+
+    // The first "Label: value", or label with its value on the next line, whose value reads as something
+    const labelled = (pattern, read = value => value) => {
+        for (let i = 0; i < lines.length; i++) {
+            const match = lines[i].match(pattern);
+            const value = match && read(match[1].trim() || lines[i + 1] || '');
+            if (value) return value;
+        }
+        return null;
+    };
+    const when = value => {
+        const time = parseTime(value, { now: Date.parse(scrapedAt) });
+        return time.etaAt ? new Date(time.etaAt).toISOString() : null;
+    };
+
+    // Social links in the page chrome belong to migrate.fun, not the project
+    const inChrome = n => {
+        for (let p = n.parent; p; p = p.parent) if (['header', 'nav', 'footer'].includes(p.tag)) return true;
+        return false;
+    };
+    const socials = {};
+    for (const link of findAll(body, n => n.tag === 'a' && /^https?:/i.test(n.attrs.href || ''))) {
+        if (inChrome(link) || /migrate[-_.]?fun/i.test(link.attrs.href)) continue;
+        const kind = socialKind(link.attrs.href) || (/^(?:website|homepage|web)$/i.test(textOf(link)) ? 'website' : null);
+        if (kind && !socials[kind]) socials[kind] = link.attrs.href;
+    }
+
+    const status = labelled(/^(?:migration\s+)?status\s*:?\s*(.*)$/i);
+
+    return {
+        oldMint: card.oldMint || null,
+        newMint: card.newMint || null,
+        swapRatio: labelled(/^(?:swap\s+)?(?:ratio|rate)\s*:?\s*(.*)$/i, parseRatio) ||
+            parseRatio((text.match(/[\d.,]+\s+old\b[^=\n]*=\s*[\d.,]+\s+new\b/i) || [])[0]),
+        opensAt: labelled(/^(?:migration\s+)?(?:starts?|opens?|begins?)(?:\s+(?:at|on))?\s*:?\s*(.*)$/i, when),
+        closesAt: labelled(/^(?:migration\s+)?(?:ends?|closes?)(?:\s+(?:at|on))?\s*:?\s*(.*)$/i, when),
+        status: status ? status.toLowerCase() : card.status || null,
+        socials
+    };
+}
+
+/**
+ * Extract the details of one project from its migrate.fun page
+ *
+ * App data fills in what it has; the rendered page fills in the rest.
+ *
+ * @param {Object} page
+ * @param {Array<Object>} [page.payloads] - Captured JSON responses
+ * @param {string} [page.html] - Page HTML
+ * @param {string} [slug] - Project slug, to pick the right project out of app data that lists several
+ * @param {string} [scrapedAt] - ISO time the page was read, for relative times
+ * @returns {Object|null} {oldMint, newMint, swapRatio, opensAt, closesAt, status, socials}, or null if the page had none of them
+ */
+function extractDetails({ payloads = [], html = '' }, slug = null, scrapedAt = new Date().toISOString()) {
+    const candidates = [
+        ...payloads.map(payload => findProjectObject(payload, slug)),
+        ...(html ? findEmbeddedData(html).map(blob => findProjectObject(blob, slug)) : [])
+    ].filter(Boolean);
+    const layers = candidates.map(detailsFromObject);
+    if (html) layers.push(detailsFromHtml(html, scrapedAt));
+
+    const details = { oldMint: null, newMint: null, swapRatio: null, opensAt: null, closesAt: null, status: null, socials: {} };
+    for (const layer of layers) {
+        for (const key of Object.keys(details)) {
+            if (key === 'socials') details.socials = { ...layer.socials, ...details.socials };
+            else if (details[key] === null) details[key] = layer[key];
+        }
+    }
+
+    const found = Object.entries(details).some(([key, value]) => (key === 'socials' ? Object.keys(value).length > 0 : value !== null));
+    return found ? details : null;
+}
+
+module.exports = {
+    extract,
+    extractDetails,
+    projectSlug,
+    extractFromPayloads,
+    extractFromHtml,
+    extractFromCards,
+    collectCards,
+    cardsFromHtml,
+    textFromHtml,
+    parseCard
+};
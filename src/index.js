@@ -1,69 +1,50 @@
 /**
  * Migrate.fun Discord Alert Bot
- * Main entry point - schedules periodic checks and sends Discord alerts
+ * Main entry point - schedules periodic checks and sends alerts to every configured notifier
  */
 
 require('dotenv').config();
-const cron = require('node-cron');
-const { scrape, parseTimeToMinutes } = require('./scraper');
-const { sendMigrationAlert, sendStartupNotification, sendErrorNotification } = require('./discord');
-const { getMigrationsToAlert } = require('./tracker');
-
-// Configuration
-const DISCORD_WEBHOOK_URL = process.env.DISCORD_WEBHOOK_URL;
-const CHECK_INTERVAL = parseInt(process.env.CHECK_INTERVAL_MINUTES) || 5;
-const ALERT_THRESHOLD = parseInt(process.env.ALERT_THRESHOLD_MINUTES) || 30;
-
-/**
- * Main check function - scrapes and sends alerts
- */
-async function checkMigrations() {
-    console.log(`\n${'='.repeat(50)}`);
-    console.log(`[Main] Checking migrations at ${new Date().toISOString()}`);
-    console.log(`${'='.repeat(50)}`);
-
-    try {
-        // Scrape current migrations
-        const rawMigrations = await scrape();
-
-        // Parse time information and add minutesUntil
-        const migrations = rawMigrations.map(m => ({
-            ...m,
-            minutesUntil: parseTimeToMinutes(m.timeText)
-        }));
-
-        console.log(`[Main] Found ${migrations.length} migration items`);
-
-        // Log what we found
-        migrations.forEach(m => {
-            if (!m.debug) {
-                console.log(`  - ${m.name}: ${m.minutesUntil !== null ? `${m.minutesUntil} min` : 'unknown time'}`);
-            }
-        });
+const { closeBrowser } = require('./scraper');
+const { createBot, settingsHint } = require('./bot');
+const { createScheduler, pollIntervalMs } = require('./scheduler');
+const { createDigestSchedule } = require('./digest');
+const { getTrackedMigrations, countSentAlerts, closeStorage } = require('./tracker');
+const { trackedCalendar } = require('./calendar');
+const metrics = require('./metrics');
+const { startStatusServer, getHealth } = require('./status');
+const { createInteractionHandler } = require('./interactions');
+const { loadConfig, ConfigError } = require('./config');
+
+// Configuration (environment variables, plus CONFIG_FILE if set)
+let config;
+try {
+    config = loadConfig();
+} catch (error) {
+    if (!(error instanceof ConfigError)) throw error;
+    console.error(`ERROR: ${error.message}`);
+    process.exit(1);
+}
 
-        // Get migrations that need alerts
-        const toAlert = getMigrationsToAlert(migrations, ALERT_THRESHOLD);
+const { notifiers, checkMigrations, deliver, postDigest, trackedMigrations } = createBot(config);
 
-        console.log(`[Main] Sending ${toAlert.length} alert(s)`);
+metrics.gauge('migrate_fun_tracked_migrations', 'Migrations currently tracked',
+    () => getTrackedMigrations(config.tiers).length);
 
-        // Send alerts
-        for (const migration of toAlert) {
-            try {
-                await sendMigrationAlert(DISCORD_WEBHOOK_URL, migration, migration.minutesUntil);
-                console.log(`[Main] ✓ Sent alert for ${migration.name}`);
+// One check at a time, polling faster while a migration is close
+const scheduler = createScheduler({
+    run: checkMigrations,
+    intervalMs: () => pollIntervalMs(getTrackedMigrations(config.tiers), config),
+    jitterMs: config.checkJitterSeconds * 1000
+});
 
-                // Small delay between messages to avoid rate limiting
-                await new Promise(resolve => setTimeout(resolve, 1000));
-            } catch (error) {
-                console.error(`[Main] ✗ Failed to send alert for ${migration.name}:`, error.message);
-            }
-        }
+// Overview of what is coming up, at the configured times of day
+const digest = createDigestSchedule({
+    run: postDigest,
+    times: config.digestTimes,
+    timeZone: config.digestTimeZone
+});
 
-    } catch (error) {
-        console.error('[Main] Error during check:', error.message);
-        await sendErrorNotification(DISCORD_WEBHOOK_URL, error);
-    }
-}
+let statusServer = null;
 
 /**
  * Start the bot
@@ -74,52 +55,100 @@ async function start() {
 ║          Migrate.fun Discord Alert Bot                  ║
 ╠══════════════════════════════════════════════════════════╣
 ║  Monitoring: https://migrate.fun/projects               ║
-║  Check Interval: Every ${CHECK_INTERVAL} minutes                       ║
-║  Alert Threshold: ${ALERT_THRESHOLD} minutes before migration           ║
+║  Check Interval: Every ${config.checkIntervalMinutes} minutes                       ║
+║  Alert Threshold: ${config.alertThresholdMinutes} minutes before migration           ║
 ╚══════════════════════════════════════════════════════════╝
   `);
 
-    // Validate webhook URL
-    if (!DISCORD_WEBHOOK_URL || !DISCORD_WEBHOOK_URL.includes('discord.com/api/webhooks')) {
-        console.error('ERROR: Invalid or missing DISCORD_WEBHOOK_URL in .env file');
-        console.error('Please set DISCORD_WEBHOOK_URL=https://discord.com/api/webhooks/YOUR_ID/YOUR_TOKEN');
-        process.exit(1);
+    // Health, metrics, tracked migrations and slash commands over HTTP
+    if (config.statusPort !== null) {
+        statusServer = await startStatusServer({
+            port: config.statusPort,
+            maxAgeMinutes: config.healthMaxAgeMinutes,
+            getMigrations: () => getTrackedMigrations(config.tiers),
+            getCalendar: config.serveCalendar ? () => trackedCalendar(config.tiers) : null,
+            handleInteraction: config.discordPublicKey ? createInteractionHandler({
+                publicKey: config.discordPublicKey,
+                tiers: config.tiers,
+                hours: config.digestHours,
+                getMigrations: () => trackedMigrations(),
+                getHealth: () => getHealth(config.healthMaxAgeMinutes),
+                countAlerts: () => countSentAlerts(config.tiers),
+                getNextCheckAt: () => scheduler.getNextRunAt(),
+                templates: config.templates
+            }) : null
+        });
     }
 
-    // Send startup notification
-    try {
-        await sendStartupNotification(DISCORD_WEBHOOK_URL);
-        console.log('[Main] ✓ Startup notification sent to Discord');
-    } catch (error) {
-        console.error('[Main] ✗ Failed to send startup notification:', error.message);
-        console.error('Please check your DISCORD_WEBHOOK_URL');
-        process.exit(1);
+    // Send startup notifications; this also checks every notifier's settings
+    for (const notifier of notifiers.values()) {
+        try {
+            await notifier.send(notifier.render({ type: 'startup', config }));
+            console.log(`[Main] ✓ Startup notification sent to ${notifier.name}`);
+        } catch (error) {
+            console.error(`[Main] ✗ Failed to send startup notification to ${notifier.name}:`, error.message);
+            console.error(settingsHint(notifier));
+            process.exit(1);
+        }
     }
 
-    // Run initial check
-    await checkMigrations();
+    // Run the initial check, then keep checking
+    console.log(`[Main] Checking every ${config.checkIntervalMinutes} minutes` +
+        (config.fastPollWithinMinutes > 0 ? `, every ${config.fastPollSeconds}s once a migration is within ${config.fastPollWithinMinutes} minutes` : ''));
+    await scheduler.start();
 
-    // Schedule periodic checks
-    const cronExpression = `*/${CHECK_INTERVAL} * * * *`;
-    console.log(`\n[Main] Scheduling checks with cron: ${cronExpression}`);
+    if (config.digestTimes.length > 0) {
+        digest.start();
+        console.log(`[Main] Posting a digest of the next ${config.digestHours} hours at ` +
+            `${config.digestTimes.map(formatTimeOfDay).join(', ')} ${config.digestTimeZone}`);
+    }
 
-    cron.schedule(cronExpression, () => {
-        checkMigrations().catch(console.error);
-    });
+    if (config.recordDir) {
+        console.log(`[Main] Recording scrapes to ${config.recordDir} for replay`);
+    }
 
     console.log('[Main] Bot is now running. Press Ctrl+C to stop.\n');
 }
 
-// Handle graceful shutdown
-process.on('SIGINT', () => {
-    console.log('\n[Main] Shutting down...');
-    process.exit(0);
-});
+/**
+ * Minutes since midnight as HH:MM
+ */
+function formatTimeOfDay(minutes) {
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+let shuttingDown = false;
+
+/**
+ * Let the check in progress finish, deliver what it queued, then close Chrome and the database and exit
+ *
+ * A second signal, or a shutdown taking longer than SHUTDOWN_TIMEOUT_SECONDS,
+ * exits straight away; undelivered messages stay in the outbox for the next start.
+ */
+async function shutdown(signal) {
+    if (shuttingDown) {
+        console.log(`\n[Main] Received ${signal} again, exiting now`);
+        process.exit(1);
+    }
+    shuttingDown = true;
+    console.log(`\n[Main] Received ${signal}, shutting down...`);
 
-process.on('SIGTERM', () => {
-    console.log('\n[Main] Received SIGTERM, shutting down...');
+    setTimeout(() => {
+        console.error(`[Main] Shutdown took longer than ${config.shutdownTimeoutSeconds}s, exiting now`);
+        process.exit(1);
+    }, config.shutdownTimeoutSeconds * 1000).unref();
+
+    await Promise.all([scheduler.stop(), digest.stop()]);
+    await deliver().catch(error => console.error('[Main] Error flushing outbox:', error.message));
+    if (statusServer) statusServer.close();
+    await closeBrowser().catch(error => console.error('[Main] Error closing browser:', error.message));
+    closeStorage();
+    console.log('[Main] Shutdown complete');
     process.exit(0);
-});
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
 
 // Start the bot
 start().catch(error => {
@@ -0,0 +1,190 @@
+/**
+ * Discord interactions
+ * Verifies Discord's signed interaction requests and answers the bot's slash
+ * commands (/upcoming, /migration and /status) from the tracker's state,
+ * with the same embeds the alerts use
+ */
+
+const crypto = require('crypto');
+const { buildDigest, buildMigrationAlert, buildLiveAlert, buildRemovedAlert, buildStatusReport, allowedMentions } = require('./discord');
+const { selectDigestMigrations } = require('./digest');
+
+// Interaction and response types, from Discord's API
+const PING = 1;
+const APPLICATION_COMMAND = 2;
+const PONG = 1;
+const CHANNEL_MESSAGE_WITH_SOURCE = 4;
+
+// Answers are only shown to whoever asked, so questions do not bury the alerts
+const EPHEMERAL = 1 << 6;
+
+// The slash commands, in the shape Discord registers them (see `cli slash-commands`)
+const COMMANDS = [
+    {
+        name: 'upcoming',
+        description: 'Migrations coming up, with their times',
+        type: 1
+    },
+    {
+        name: 'migration',
+        description: 'Details of one tracked migration',
+        type: 1,
+        options: [
+            {
+                name: 'token',
+                description: 'Ticker, like $CWH, or mint address',
+                type: 3,
+                required: true
+            }
+        ]
+    },
+    {
+        name: 'status',
+        description: 'Whether the bot is checking, and what it has sent',
+        type: 1
+    }
+];
+
+/**
+ * Turn a hex application public key into a key object
+ * @param {string} hex - The 32-byte Ed25519 key from the Discord developer portal, as hex
+ * @returns {crypto.KeyObject}
+ */
+function publicKeyFromHex(hex) {
+    return crypto.createPublicKey({
+        key: { kty: 'OKP', crv: 'Ed25519', x: Buffer.from(hex, 'hex').toString('base64url') },
+        format: 'jwk'
+    });
+}
+
+/**
+ * Check a request's Ed25519 signature over its timestamp and raw body
+ * @param {crypto.KeyObject} publicKey - From publicKeyFromHex()
+ * @param {string} signature - X-Signature-Ed25519 header, hex
+ * @param {string} timestamp - X-Signature-Timestamp header
+ * @param {string|Buffer} body - The body exactly as received
+ * @returns {boolean}
+ */
+function verifySignature(publicKey, signature, timestamp, body) {
+    if (typeof signature !== 'string' || !/^[0-9a-f]{128}$/i.test(signature) || typeof timestamp !== 'string') return false;
+    try {
+        return crypto.verify(null, Buffer.concat([Buffer.from(timestamp), Buffer.from(body)]), publicKey, Buffer.from(signature, 'hex'));
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * A reply only the person who ran the command sees
+ * @param {Object} payload - Message payload, like those built in discord.js
+ */
+function reply(payload) {
+    return { type: CHANNEL_MESSAGE_WITH_SOURCE, data: { ...payload, flags: EPHEMERAL } };
+}
+
+/**
+ * Find a tracked migration by ticker (with or without $) or by one of its mints
+ *
+ * When several projects share a ticker, the one still to come that is soonest wins.
+ *
+ * @param {Array} migrations - Tracked migrations
+ * @param {string} query
+ * @returns {Object|null}
+ */
+function findMigration(migrations, query) {
+    const wanted = String(query || '').trim();
+    const ticker = wanted.replace(/^\$/, '').toUpperCase();
+    const matches = migrations.filter(migration =>
+        [migration.address, migration.oldMint, migration.newMint].includes(wanted) ||
+        (ticker !== '' && migration.ticker === ticker));
+    const rank = migration => (migration.removed ? 2 : migration.live ? 1 : 0);
+    return matches.sort((a, b) => rank(a) - rank(b))[0] || null;
+}
+
+/**
+ * The card a migration would have now, from its alert embeds
+ * @param {Object} migration - Tracked migration, `etaAt` as ISO text
+ * @param {Array} tiers - Alert tiers
+ * @param {Object|null} templates - Message templates, from the config
+ */
+function migrationCard(migration, tiers, templates) {
+    const alert = { ...migration, etaAt: Date.parse(migration.etaAt) };
+    if (migration.removed) return buildRemovedAlert(alert, { templates, tiers });
+    if (migration.live) return buildLiveAlert(alert, { templates, tiers });
+    return buildMigrationAlert(alert, migration.minutesUntil, tiers, { templates });
+}
+
+/**
+ * Create the handler for interaction requests
+ *
+ * @param {Object} options
+ * @param {string} options.publicKey - Application public key, hex
+ * @param {Array} options.tiers - Alert tiers
+ * @param {number} options.hours - How far ahead /upcoming looks
+ * @param {Function} options.getMigrations - Returns the tracked migrations, with known details
+ * @param {Function} options.getHealth - Returns status.getHealth()
+ * @param {Function} options.countAlerts - Returns sent alerts by tier name
+ * @param {Function} [options.getNextCheckAt] - Returns when the next check runs (ms), or null
+ * @param {Object} [options.templates] - Message templates for the migration cards, from the config
+ * @returns {Function} handle({headers, body}) → {status, body}; headers lower case, body the raw text
+ */
+function createInteractionHandler({ publicKey, tiers, hours, getMigrations, getHealth, countAlerts, getNextCheckAt = () => null, templates = null }) {
+    const key = publicKeyFromHex(publicKey);
+
+    const commands = {
+        upcoming() {
+            return buildDigest(selectDigestMigrations(getMigrations(), hours), hours);
+        },
+        migration(options) {
+            const query = (options.find(option => option.name === 'token') || {}).value;
+            const migration = findMigration(getMigrations(), query);
+            if (!migration) {
+                return { content: `No tracked migration matches \`${String(query).replace(/`/g, '')}\`.`, allowed_mentions: allowedMentions(null) };
+            }
+            return migrationCard(migration, tiers, templates);
+        },
+        status() {
+            const migrations = getMigrations();
+            return buildStatusReport(getHealth(), {
+                tracked: migrations.length,
+                upcoming: selectDigestMigrations(migrations, hours).length,
+                hours,
+                alerts: countAlerts(),
+                tiers,
+                nextCheckAt: getNextCheckAt()
+            });
+        }
+    };
+
+    /**
+     * Answer one interaction request
+     */
+    function handle({ headers, body }) {
+        if (!verifySignature(key, headers['x-signature-ed25519'], headers['x-signature-timestamp'], body)) {
+            return { status: 401, body: { error: 'Invalid request signature' } };
+        }
+
+        let interaction;
+        try {
+            interaction = JSON.parse(body);
+        } catch (error) {
+            return { status: 400, body: { error: 'Body is not JSON' } };
+        }
+
+        if (interaction.type === PING) return { status: 200, body: { type: PONG } };
+        if (interaction.type !== APPLICATION_COMMAND) return { status: 400, body: { error: `Unsupported interaction type ${interaction.type}` } };
+
+        const { name, options = [] } = interaction.data || {};
+        const command = Object.prototype.hasOwnProperty.call(commands, name) ? commands[name] : null;
+        if (!command) {
+            return { status: 200, body: reply({ content: `Unknown command /${name}.`, allowed_mentions: allowedMentions(null) }) };
+        }
+
+        console.log(`[Interactions] /${name}`);
+        return { status: 200, body: reply(command(options)) };
+    }
+
+    return handle;
+}
+
+module.exports = { createInteractionHandler, verifySignature, publicKeyFromHex, findMigration, COMMANDS };
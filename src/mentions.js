@@ -0,0 +1,79 @@
+/**
+ * Mention policy
+ * Decides who a tier alert pings on Discord: the tier's configured mention,
+ * unless it falls in quiet hours or the destination has already pinged its
+ * members too often recently. Alerts themselves are always posted.
+ */
+
+const metrics = require('./metrics');
+const { minuteOfDay } = require('./timezone');
+
+const mentionsTotal = metrics.counter('migrate_fun_mentions_total', 'Tier alert mentions, by whether they were sent or suppressed');
+
+/**
+ * Whether a time falls in the quiet hours; a window may run past midnight
+ * @param {{start: number, end: number}|null} quietHours - Minutes of the day, from loadConfig()
+ * @param {string} timeZone
+ * @param {number} [now]
+ */
+function inQuietHours(quietHours, timeZone, now = Date.now()) {
+    if (!quietHours) return false;
+    const minute = minuteOfDay(now, timeZone);
+    const { start, end } = quietHours;
+    return start < end ? minute >= start && minute < end : minute >= start || minute < end;
+}
+
+/**
+ * Create the mention policy for a configuration
+ *
+ * @param {Object} options
+ * @param {Object} options.mentions - Mention by tier name
+ * @param {Object} [options.destinationMentions] - Mentions by destination name, replacing `mentions` for that destination
+ * @param {{start: number, end: number}|null} [options.quietHours]
+ * @param {string} [options.timeZone='UTC'] - Time zone of the quiet hours
+ * @param {number} [options.limit=0] - Mentions per destination within `windowMinutes`; 0 for no limit
+ * @param {number} [options.windowMinutes=60]
+ * @param {Function} [options.now=Date.now] - Current time (ms since epoch)
+ * @returns {{take: Function}}
+ */
+function createMentionPolicy(options) {
+    const { mentions, destinationMentions = {}, quietHours = null, timeZone = 'UTC', limit = 0, windowMinutes = 60, now: clock = () => Date.now() } = options;
+
+    // When each destination last pinged, most recent last
+    const sent = new Map();
+
+    /**
+     * The mention to send with an alert, or null; a mention returned counts towards the limit
+     * @param {string} destination - Notifier name
+     * @param {string} tier - Tier the alert is for
+     * @param {string} label - What is being alerted, for the log
+     * @returns {string|null}
+     */
+    function take(destination, tier, label) {
+        const mention = (destinationMentions[destination] || mentions)[tier];
+        if (!mention) return null;
+
+        const now = clock();
+        if (inQuietHours(quietHours, timeZone, now)) {
+            console.log(`[Mentions] Quiet hours: not pinging ${mention} for ${label} (${destination})`);
+            mentionsTotal.inc({ result: 'quiet' });
+            return null;
+        }
+
+        const recent = (sent.get(destination) || []).filter(at => at > now - windowMinutes * 60000);
+        if (limit > 0 && recent.length >= limit) {
+            console.log(`[Mentions] Already pinged ${recent.length} time(s) in ${windowMinutes} min: not pinging ${mention} for ${label} (${destination})`);
+            mentionsTotal.inc({ result: 'limited' });
+            sent.set(destination, recent);
+            return null;
+        }
+
+        sent.set(destination, [...recent, now]);
+        mentionsTotal.inc({ result: 'sent' });
+        return mention;
+    }
+
+    return { take };
+}
+
+module.exports = { createMentionPolicy, inQuietHours };
@@ -0,0 +1,107 @@
+/**
+ * Prometheus metrics
+ * A minimal registry of counters and gauges, rendered in the text exposition format
+ */
+
+const registry = new Map();
+
+/**
+ * Stable key for a label set
+ */
+function labelKey(labels) {
+    return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+/**
+ * Escape a label value for the exposition format
+ */
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Format a sample line
+ */
+function sample(name, labels, value) {
+    const pairs = Object.entries(labels).map(([key, v]) => `${key}="${escapeLabel(v)}"`);
+    const suffix = pairs.length ? `{${pairs.join(',')}}` : '';
+    return `${name}${suffix} ${Number.isFinite(value) ? value : 'NaN'}`;
+}
+
+/**
+ * Register a metric, or return the existing one with this name
+ * @param {string} type - 'counter' or 'gauge'
+ * @param {string} name - Metric name
+ * @param {string} help - Description shown in HELP
+ * @param {Function} [collect] - Called on render; returns a number or [{labels, value}]
+ */
+function define(type, name, help, collect) {
+    if (!registry.has(name)) {
+        registry.set(name, { type, name, help, collect, values: new Map() });
+    }
+    return registry.get(name);
+}
+
+/**
+ * Current samples of a metric as [{labels, value}]
+ */
+function samples(metric) {
+    if (metric.collect) {
+        const value = metric.collect();
+        return typeof value === 'number' ? [{ labels: {}, value }] : value;
+    }
+    return [...metric.values.values()];
+}
+
+/**
+ * A counter that only goes up
+ * @returns {{inc: Function}} inc(labels?, amount?)
+ */
+function counter(name, help, collect) {
+    const metric = define('counter', name, help, collect);
+    return {
+        inc(labels = {}, amount = 1) {
+            const key = labelKey(labels);
+            const current = metric.values.get(key);
+            metric.values.set(key, { labels, value: (current ? current.value : 0) + amount });
+        }
+    };
+}
+
+/**
+ * A gauge holding the latest value
+ * @returns {{set: Function}} set(value, labels?)
+ */
+function gauge(name, help, collect) {
+    const metric = define('gauge', name, help, collect);
+    return {
+        set(value, labels = {}) {
+            metric.values.set(labelKey(labels), { labels, value });
+        }
+    };
+}
+
+/**
+ * All metrics in the Prometheus text format
+ * @returns {string}
+ */
+function render() {
+    const lines = [];
+    for (const metric of registry.values()) {
+        lines.push(`# HELP ${metric.name} ${metric.help}`);
+        lines.push(`# TYPE ${metric.name} ${metric.type}`);
+        for (const { labels, value } of samples(metric)) {
+            lines.push(sample(metric.name, labels, value));
+        }
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Zero every recorded value (for testing); collected metrics are unaffected
+ */
+function reset() {
+    for (const metric of registry.values()) metric.values.clear();
+}
+
+module.exports = { counter, gauge, render, reset };
@@ -0,0 +1,55 @@
+/**
+ * Discord notifier
+ * Posts embeds to a Discord webhook and edits alert cards in place
+ */
+
+const discord = require('../discord');
+
+/**
+ * Render an event as a Discord webhook payload
+ * @param {Object} event - See notifiers/index.js
+ * @param {Object|null} templates - The destination's message templates
+ * @returns {Object} Webhook payload
+ */
+function render(event, templates) {
+    const migration = event.migration;
+    const options = { templates, tiers: event.tiers, at: event.at };
+
+    switch (event.type) {
+        case 'tier': return discord.buildMigrationAlert(migration, migration.minutesUntil, event.tiers, { ...options, mention: event.mention });
+        case 'live': return discord.buildLiveAlert(migration, options);
+        case 'rescheduled': return discord.buildRescheduleAlert(migration, options);
+        case 'listed': return discord.buildListingAlert(migration, options);
+        case 'removed': return discord.buildRemovedAlert(migration, options);
+        case 'digest': return discord.buildDigest(event.migrations, event.hours);
+        case 'tier-ping': return discord.buildTierPing(migration, { ...options, mention: event.mention });
+        case 'startup': return discord.buildStartupNotification(event.config, options);
+        case 'degraded': return discord.buildDegradedAlert(event.problem, event.info);
+        case 'recovered': return discord.buildRecoveredAlert(event.info);
+        case 'error': return discord.buildErrorNotification(event.error, options);
+        case 'test': return discord.buildTestNotification(event.destination);
+        default: throw new Error(`Unknown notifier event "${event.type}"`);
+    }
+}
+
+/**
+ * Create a Discord notifier
+ * @param {Object} options
+ * @param {string} [options.name] - Name used in logs and to address the outbox
+ * @param {string} options.webhookUrl - Discord webhook URL
+ * @param {Object} [options.templates] - Message templates, from the config
+ * @returns {Object} Notifier
+ */
+function createDiscordNotifier({ name = 'discord', webhookUrl, templates = null }) {
+    async function send(payload, options = {}) {
+        const { rateLimit, message } = await discord.sendWebhookMessage(webhookUrl, payload, {
+            messageId: options.messageId,
+            wait: !options.messageId
+        });
+        return { rateLimit, messageId: (message && message.id) || options.messageId || null };
+    }
+
+    return { name, type: 'discord', supportsEdit: true, render: event => render(event, templates), send };
+}
+
+module.exports = { createDiscordNotifier };
@@ -0,0 +1,195 @@
+/**
+ * Platform-neutral message content
+ * Describes each notifier event as a title, text, fields and links, which the
+ * Slack and Telegram notifiers turn into their own markup. Fields hold either
+ * plain text (`value`) or a time (`time`, ms since epoch) for the notifier to
+ * format the way its service displays times best.
+ */
+
+const { tierFor, DEFAULT_TIERS } = require('../config');
+const { formatTimeUntil } = require('../discord');
+const { detailFields, migrationLinks } = require('../details');
+
+// Digest entries listed in full; Slack sections and Telegram messages are much shorter than a Discord embed
+const DIGEST_LIST_LIMIT = 20;
+
+/**
+ * Absolute time in UTC, for services without per-reader time zones
+ * @param {number} ms - Milliseconds since epoch
+ */
+function formatUtc(ms) {
+    return new Date(ms).toUTCString().replace(/:\d\d GMT$/, ' UTC');
+}
+
+/**
+ * Describe a notifier event
+ *
+ * @param {Object} event - See notifiers/index.js for the event types
+ * @returns {{title: string, description: string|null, color: number, fields: Array<{name: string, value?: string, time?: number, code?: boolean}>, links: Array<{label: string, url: string}>}}
+ */
+function describeEvent(event) {
+    const migration = event.migration || {};
+    const name = migration.name || 'Unknown Token';
+    const base = { description: null, fields: [], links: [] };
+
+    switch (event.type) {
+        case 'tier': {
+            const tier = tierFor(migration.minutesUntil, event.tiers || DEFAULT_TIERS);
+            return {
+                ...base,
+                title: `${tier.label} Migration: ${name}`,
+                description: 'A Solana token migration is approaching!',
+                color: tier.color,
+                fields: [
+                    { name: '⏰ Time Until Migration', value: formatTimeUntil(migration.minutesUntil) },
+                    ...(migration.etaAt ? [{ name: '🕒 Scheduled For', time: migration.etaAt }] : []),
+                    ...detailFields(migration)
+                ],
+                links: migrationLinks(migration)
+            };
+        }
+
+        case 'live':
+            return {
+                ...base,
+                title: `✅ LIVE Migration: ${name}`,
+                description: 'This migration is now live on migrate.fun.',
+                color: 0x2ECC71,
+                fields: [{ name: '⏰ Started', time: migration.etaAt }, ...detailFields(migration)],
+                links: migrationLinks(migration)
+            };
+
+        case 'rescheduled': {
+            const shiftMinutes = Math.round((migration.etaAt - migration.previousEtaAt) / 60000);
+            return {
+                ...base,
+                title: `🔁 RESCHEDULED Migration: ${name}`,
+                description: `${shiftMinutes > 0 ? 'Pushed back' : 'Brought forward'} by ${formatTimeUntil(Math.abs(shiftMinutes))}.`,
+                color: 0x9B59B6,
+                fields: [
+                    { name: '🕒 Previous Time', time: migration.previousEtaAt },
+                    { name: '⏰ New Time', time: migration.etaAt }
+                ],
+                links: migrationLinks(migration)
+            };
+        }
+
+        case 'listed':
+            return {
+                ...base,
+                title: `${migration.relisted ? '↩️ Migration relisted' : '🆕 New migration listed'}: ${name}`,
+                description: migration.relisted ? `${name} is back on migrate.fun.` : `${name} was just listed on migrate.fun.`,
+                color: 0x3498DB,
+                fields: [
+                    { name: '⏰ Scheduled For', ...(migration.etaAt ? { time: migration.etaAt } : { value: 'Not announced yet' }) },
+                    ...(migration.ticker ? [{ name: '🏷️ Ticker', value: `$${migration.ticker}` }] : []),
+                    ...detailFields(migration)
+                ],
+                links: migrationLinks(migration)
+            };
+
+        case 'removed': {
+            const cancelled = migration.reason === 'cancelled';
+            return {
+                ...base,
+                title: `${cancelled ? '🚫 CANCELLED' : '❌ REMOVED'} Migration: ${name}`,
+                description: cancelled ?
+                    'migrate.fun now lists this migration as cancelled.' :
+                    'This migration is no longer listed on migrate.fun.',
+                color: 0x95A5A6,
+                fields: [
+                    ...(migration.etaAt ? [{ name: '🕒 Was Scheduled For', time: migration.etaAt }] : []),
+                    ...detailFields(migration)
+                ]
+            };
+        }
+
+        case 'digest': {
+            const listed = event.migrations.slice(0, DIGEST_LIST_LIMIT);
+            const rest = event.migrations.length - listed.length;
+            return {
+                ...base,
+                title: `🗓️ Upcoming migrations: next ${event.hours} hours`,
+                description: event.migrations.length === 0 ?
+                    `No migrations scheduled in the next ${event.hours} hours.` :
+                    [
+                        // Absolute times only: "in 3 hours" would be wrong by the time most people read it
+                        ...listed.map(m => `• ${m.name || 'Unknown Token'}${m.ticker ? ` ($${m.ticker})` : ''}: ${formatUtc(m.etaAt)}` +
+                            (m.oldMint || m.address ? `\n   ${m.oldMint || m.address}` : '')),
+                        ...(rest > 0 ? [`…and ${rest} more`] : [])
+                    ].join('\n'),
+                color: 0x5865F2
+            };
+        }
+
+        case 'tier-ping':
+            return {
+                ...base,
+                title: `${name} migration is now ${migration.alertTier.toUpperCase()}`,
+                color: 0x5865F2,
+                fields: migration.etaAt ? [{ name: '⏰ Scheduled For', time: migration.etaAt }] : []
+            };
+
+        case 'startup': {
+            const config = event.config || {};
+            return {
+                ...base,
+                title: '🚀 Migration Alert Bot Started',
+                description: 'Now monitoring migrate.fun for upcoming Solana token migrations.',
+                color: 0x5865F2,
+                fields: [
+                    { name: '⚙️ Check Interval', value: `Every ${config.checkIntervalMinutes || 5} minutes` },
+                    { name: '🔔 Alert Threshold', value: `${config.alertThresholdMinutes || 30} minutes before` },
+                    {
+                        name: '🎚️ Tiers',
+                        value: (config.tiers || DEFAULT_TIERS).filter(tier => Number.isFinite(tier.threshold)).map(tier => `${tier.label} ≤ ${tier.threshold} min`).join('\n')
+                    }
+                ]
+            };
+        }
+
+        case 'degraded':
+            return {
+                ...base,
+                title: `⚠️ Scraper degraded: ${event.problem.title}`,
+                description: event.problem.detail,
+                color: 0xE67E22,
+                fields: [
+                    { name: '🕒 Since', time: event.info.since },
+                    { name: '🔁 Checks Affected', value: String(event.info.checks) },
+                    ...(event.info.snapshot && event.info.snapshot.length > 0 ?
+                        [{ name: '📸 Snapshot', value: event.info.snapshot.join('\n'), code: true }] : [])
+                ]
+            };
+
+        case 'recovered':
+            return {
+                ...base,
+                title: '✅ Scraper recovered',
+                description: `Scrapes are returning projects again after ${event.info.checks} degraded check(s) (${event.info.title}).`,
+                color: 0x2ECC71,
+                fields: [{ name: '🕒 Degraded Since', time: event.info.since }]
+            };
+
+        case 'error':
+            return {
+                ...base,
+                title: '❌ Bot Error',
+                description: `An error occurred: ${event.error.message}`,
+                color: 0xFF0000
+            };
+
+        case 'test':
+            return {
+                ...base,
+                title: '🧪 Test Notification',
+                description: `This is a test message for destination "${event.destination}". If you can see it, alerts will arrive here.`,
+                color: 0x5865F2
+            };
+
+        default:
+            throw new Error(`Unknown notifier event "${event.type}"`);
+    }
+}
+
+module.exports = { describeEvent, formatUtc };
@@ -0,0 +1,81 @@
+/**
+ * Small HTTP client shared by the notifiers
+ */
+
+const https = require('https');
+const http = require('http');
+
+// A chat service that accepts the connection but never answers must not stall the outbox
+const REQUEST_TIMEOUT_MS = 15 * 1000;
+
+/**
+ * Send a JSON body and collect the response, whatever its status
+ * @param {string} target - URL to send to
+ * @param {Object} payload - Body, serialised as JSON
+ * @param {Object} [options]
+ * @param {string} [options.method] - HTTP method (POST by default)
+ * @param {Object} [options.headers] - Extra request headers
+ * @param {string} [options.body] - Pre-serialised body, when the exact bytes matter (signatures)
+ * @returns {Promise<{statusCode: number, headers: Object, body: string}>} Rejects only on network errors
+ */
+function sendJson(target, payload, options = {}) {
+    return new Promise((resolve, reject) => {
+        const url = new URL(target);
+        const protocol = url.protocol === 'https:' ? https : http;
+        const data = options.body !== undefined ? options.body : JSON.stringify(payload);
+
+        const req = protocol.request({
+            hostname: url.hostname,
+            port: url.port || (url.protocol === 'https:' ? 443 : 80),
+            path: url.pathname + url.search,
+            method: options.method || 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(data),
+                ...options.headers
+            }
+        }, res => {
+            let body = '';
+            res.on('data', chunk => body += chunk);
+            res.on('end', () => resolve({ statusCode: res.statusCode, headers: res.headers, body }));
+        });
+
+        req.setTimeout(REQUEST_TIMEOUT_MS, () => req.destroy(new Error(`Request timed out after ${REQUEST_TIMEOUT_MS / 1000}s`)));
+        req.on('error', reject);
+        req.write(data);
+        req.end();
+    });
+}
+
+/**
+ * Rate-limit details in the shape the outbox expects
+ * @param {number|null} [retryAfterMs] - How long to wait after a 429
+ */
+function rateLimitOf(retryAfterMs = null) {
+    return { remaining: null, resetAfterMs: null, retryAfterMs, global: false };
+}
+
+/**
+ * Milliseconds from a Retry-After header given in seconds
+ * @returns {number|null}
+ */
+function retryAfterHeader(headers) {
+    const seconds = parseFloat(headers['retry-after']);
+    return isNaN(seconds) ? null : Math.ceil(seconds * 1000);
+}
+
+/**
+ * Error for a non-2xx response, carrying `statusCode` and `rateLimit` like sendWebhookMessage()'s
+ * @param {string} service - Name used in the message
+ * @param {number} statusCode
+ * @param {string} detail - Response body or description
+ * @param {Object} [rateLimit]
+ */
+function responseError(service, statusCode, detail, rateLimit = rateLimitOf()) {
+    const error = new Error(`${service} API error: ${statusCode} - ${detail}`);
+    error.statusCode = statusCode;
+    error.rateLimit = rateLimit;
+    return error;
+}
+
+module.exports = { sendJson, rateLimitOf, retryAfterHeader, responseError, REQUEST_TIMEOUT_MS };
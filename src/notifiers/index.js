@@ -0,0 +1,55 @@
+/**
+ * Notifiers
+ * Deliver the bot's events to a chat service or endpoint
+ *
+ * Every notifier has the same interface:
+ *   name                    unique name, used in logs and to address the outbox
+ *   type                    "discord", "slack", "telegram" or "webhook"
+ *   supportsEdit            whether send() can update a message it sent before
+ *   render(event)           -> payload for send(), safe to persist in the outbox
+ *   send(payload, options)  -> {messageId, rateLimit}; options.messageId edits that message.
+ *                           Rejects with `statusCode` and `rateLimit` on failure
+ *
+ * Events are {type, ...} objects, with an optional `at` (ms since epoch) for
+ * when they happened, which defaults to the time they are rendered:
+ *   tier, live, rescheduled, listed, removed, tier-ping   {migration, tiers}; tier and tier-ping may carry
+ *                                                         a `mention`, which only Discord sends
+ *   digest                                                {migrations, hours}; migrations due within `hours`, soonest first
+ *   startup                                               {config}
+ *   degraded                                              {problem, info: {since, checks, snapshot}}
+ *   recovered                                             {info: {title, since, checks}}
+ *   error                                                 {error}
+ *   test                                                  {destination}
+ */
+
+const { createDiscordNotifier } = require('./discord');
+const { createSlackNotifier } = require('./slack');
+const { createTelegramNotifier } = require('./telegram');
+const { createJsonWebhookNotifier } = require('./webhook');
+
+const FACTORIES = {
+    discord: createDiscordNotifier,
+    slack: createSlackNotifier,
+    telegram: createTelegramNotifier,
+    webhook: createJsonWebhookNotifier
+};
+
+/**
+ * Create a notifier from its settings
+ * @param {Object} settings - {type, name, ...type-specific options}; see each factory
+ * @returns {Object} Notifier
+ */
+function createNotifier(settings) {
+    const factory = FACTORIES[settings.type];
+    if (!factory) throw new Error(`Unknown notifier type "${settings.type}"`);
+    return factory(settings);
+}
+
+module.exports = {
+    createNotifier,
+    createDiscordNotifier,
+    createSlackNotifier,
+    createTelegramNotifier,
+    createJsonWebhookNotifier,
+    NOTIFIER_TYPES: Object.keys(FACTORIES)
+};
@@ -0,0 +1,80 @@
+/**
+ * Slack notifier
+ * Posts Block Kit messages to a Slack incoming webhook. Incoming webhooks
+ * cannot edit what they posted, so card updates arrive as new messages.
+ */
+
+const { describeEvent, formatUtc } = require('./format');
+const { sendJson, rateLimitOf, retryAfterHeader, responseError } = require('./http');
+
+/**
+ * Escape text for Slack mrkdwn
+ */
+function escape(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Slack date token, shown in each reader's time zone with a UTC fallback
+ * @param {number} ms - Milliseconds since epoch
+ */
+function formatSlackTime(ms) {
+    return `<!date^${Math.floor(ms / 1000)}^{date_short_pretty} {time}|${formatUtc(ms)}>`;
+}
+
+function fieldText(field) {
+    let value;
+    if (field.time !== undefined) value = formatSlackTime(field.time);
+    else if (field.code) value = field.value.split('\n').map(line => `\`${escape(line)}\``).join('\n');
+    else value = escape(field.value);
+    return `*${escape(field.name)}*\n${value}`;
+}
+
+/**
+ * Render an event as a Slack webhook payload
+ * @param {Object} event - See notifiers/index.js
+ * @returns {Object} Webhook payload
+ */
+function render(event) {
+    const message = describeEvent(event);
+    const blocks = [{ type: 'header', text: { type: 'plain_text', text: message.title.substring(0, 150), emoji: true } }];
+
+    if (message.description) {
+        blocks.push({ type: 'section', text: { type: 'mrkdwn', text: escape(message.description) } });
+    }
+    if (message.fields.length > 0) {
+        blocks.push({ type: 'section', fields: message.fields.slice(0, 10).map(field => ({ type: 'mrkdwn', text: fieldText(field) })) });
+    }
+    if (message.links.length > 0) {
+        blocks.push({
+            type: 'context',
+            elements: [{ type: 'mrkdwn', text: message.links.map(link => `<${link.url}|${escape(link.label)}>`).join(' • ') }]
+        });
+    }
+
+    return {
+        text: message.title,
+        attachments: [{ color: `#${message.color.toString(16).padStart(6, '0')}`, blocks }]
+    };
+}
+
+/**
+ * Create a Slack notifier
+ * @param {Object} options
+ * @param {string} [options.name] - Name used in logs and to address the outbox
+ * @param {string} options.webhookUrl - Slack incoming webhook URL
+ * @returns {Object} Notifier
+ */
+function createSlackNotifier({ name = 'slack', webhookUrl }) {
+    async function send(payload) {
+        const res = await sendJson(webhookUrl, payload);
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+            return { rateLimit: rateLimitOf(), messageId: null };
+        }
+        throw responseError('Slack', res.statusCode, res.body, rateLimitOf(retryAfterHeader(res.headers)));
+    }
+
+    return { name, type: 'slack', supportsEdit: false, render, send };
+}
+
+module.exports = { createSlackNotifier };
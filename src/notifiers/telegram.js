@@ -0,0 +1,103 @@
+/**
+ * Telegram notifier
+ * Sends HTML-formatted messages through the Telegram Bot API and edits alert
+ * cards in place with editMessageText
+ */
+
+const { describeEvent, formatUtc } = require('./format');
+const { sendJson, rateLimitOf, responseError } = require('./http');
+
+const DEFAULT_API_URL = 'https://api.telegram.org';
+
+// Telegram rejects longer messages outright
+const MAX_TEXT_LENGTH = 4096;
+
+/**
+ * Escape text for Telegram's HTML parse mode
+ */
+function escape(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function fieldText(field) {
+    if (field.time !== undefined) return escape(formatUtc(field.time));
+    if (field.code) return field.value.split('\n').map(line => `<code>${escape(line)}</code>`).join('\n');
+    return escape(field.value);
+}
+
+/**
+ * Render an event as the body of a sendMessage call (without chat_id)
+ * @param {Object} event - See notifiers/index.js
+ * @returns {Object} Message payload
+ */
+function render(event) {
+    const message = describeEvent(event);
+    const lines = [`<b>${escape(message.title)}</b>`];
+
+    if (message.description) lines.push(escape(message.description));
+    if (message.fields.length > 0) {
+        lines.push('');
+        for (const field of message.fields) {
+            // Multi-line values read better below their label
+            const value = fieldText(field);
+            lines.push(`<b>${escape(field.name)}:</b>${value.includes('\n') ? '\n' : ' '}${value}`);
+        }
+    }
+    if (message.links.length > 0) {
+        lines.push('', message.links.map(link => `<a href="${escape(link.url)}">${escape(link.label)}</a>`).join(' • '));
+    }
+
+    return { text: lines.join('\n').substring(0, MAX_TEXT_LENGTH), parse_mode: 'HTML', disable_web_page_preview: true };
+}
+
+/**
+ * Create a Telegram notifier
+ * @param {Object} options
+ * @param {string} [options.name] - Name used in logs and to address the outbox
+ * @param {string} options.botToken - Bot token from @BotFather
+ * @param {string} options.chatId - Chat, group or channel to post to
+ * @param {string} [options.apiUrl] - Bot API base URL (for a local Bot API server or tests)
+ * @returns {Object} Notifier
+ */
+function createTelegramNotifier({ name = 'telegram', botToken, chatId, apiUrl = DEFAULT_API_URL }) {
+    const endpoint = method => `${apiUrl.replace(/\/$/, '')}/bot${botToken}/${method}`;
+
+    async function send(payload, options = {}) {
+        const editing = !!options.messageId;
+        const res = await sendJson(
+            endpoint(editing ? 'editMessageText' : 'sendMessage'),
+            { ...payload, chat_id: chatId, ...(editing && { message_id: Number(options.messageId) }) }
+        );
+
+        let body = {};
+        try {
+            body = JSON.parse(res.body);
+        } catch (error) {
+            // Not JSON (a proxy error page, say); the status code is all we have
+        }
+
+        if (res.statusCode >= 200 && res.statusCode < 300 && body.ok !== false) {
+            const sent = body.result && body.result.message_id;
+            return { rateLimit: rateLimitOf(), messageId: sent ? String(sent) : options.messageId || null };
+        }
+
+        const description = body.description || res.body;
+
+        // Editing a card to the text it already shows is not a failure
+        if (editing && /message is not modified/i.test(description)) {
+            return { rateLimit: rateLimitOf(), messageId: options.messageId };
+        }
+
+        // Reported as a 404 so the outbox posts the card again, as it does for deleted Discord messages
+        if (editing && /message to edit not found/i.test(description)) {
+            throw responseError('Telegram', 404, description);
+        }
+
+        const retryAfter = body.parameters && body.parameters.retry_after;
+        throw responseError('Telegram', res.statusCode, description, rateLimitOf(retryAfter ? retryAfter * 1000 : null));
+    }
+
+    return { name, type: 'telegram', supportsEdit: true, render, send };
+}
+
+module.exports = { createTelegramNotifier };
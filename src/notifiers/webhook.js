@@ -0,0 +1,133 @@
+/**
+ * Generic JSON webhook notifier
+ * POSTs each event as JSON, signed with HMAC-SHA256 so the receiver can check
+ * it came from this bot. Receivers verify `X-Migrate-Fun-Signature` by
+ * computing sha256=HMAC(secret, "<X-Migrate-Fun-Timestamp>.<raw body>").
+ */
+
+const crypto = require('crypto');
+const { DEFAULT_TIERS } = require('../config');
+const { describeEvent } = require('./format');
+const { sendJson, rateLimitOf, retryAfterHeader, responseError } = require('./http');
+
+const iso = ms => (ms ? new Date(ms).toISOString() : null);
+
+/**
+ * Signature header value for a request body
+ * @param {string} secret - Shared secret
+ * @param {number} timestamp - Unix seconds, sent as X-Migrate-Fun-Timestamp
+ * @param {string} body - Raw request body
+ */
+function signPayload(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+function migrationData(migration) {
+    return {
+        id: migration.id || null,
+        name: migration.name || null,
+        ticker: migration.ticker || null,
+        address: migration.address || null,
+        oldMint: migration.oldMint || null,
+        newMint: migration.newMint || null,
+        url: migration.url || null,
+        tier: migration.alertTier || null,
+        minutesUntil: migration.minutesUntil ?? null,
+        etaAt: iso(migration.etaAt),
+        previousEtaAt: iso(migration.previousEtaAt),
+        reason: migration.reason || null,
+        relisted: !!migration.relisted,
+        details: detailData(migration.details)
+    };
+}
+
+/**
+ * What was read off the project's own page; its mints are already in oldMint/newMint
+ */
+function detailData(details) {
+    if (!details) return null;
+    const { swapRatio, opensAt, closesAt, status, socials } = details;
+    return { swapRatio, opensAt, closesAt, status, socials };
+}
+
+/**
+ * Structured data for an event
+ */
+function eventData(event) {
+    switch (event.type) {
+        case 'startup': {
+            const config = event.config || {};
+            return {
+                checkIntervalMinutes: config.checkIntervalMinutes || null,
+                alertThresholdMinutes: config.alertThresholdMinutes || null,
+                tiers: (config.tiers || DEFAULT_TIERS).filter(tier => Number.isFinite(tier.threshold)).map(({ name, label, threshold }) => ({ name, label, threshold }))
+            };
+        }
+        case 'degraded':
+            return {
+                kind: event.problem.kind,
+                title: event.problem.title,
+                detail: event.problem.detail,
+                since: iso(event.info.since),
+                checks: event.info.checks,
+                snapshot: event.info.snapshot || []
+            };
+        case 'recovered':
+            return { title: event.info.title, since: iso(event.info.since), checks: event.info.checks };
+        case 'error':
+            return { message: event.error.message };
+        case 'test':
+            return { destination: event.destination };
+        case 'digest':
+            return { hours: event.hours, migrations: event.migrations.map(migrationData) };
+        default:
+            return { migration: migrationData(event.migration) };
+    }
+}
+
+/**
+ * Render an event as a JSON document
+ * @param {Object} event - See notifiers/index.js
+ * @returns {{event: string, title: string, occurredAt: string, data: Object}}
+ */
+function render(event) {
+    return {
+        event: event.type,
+        title: describeEvent(event).title,
+        occurredAt: new Date(event.at || Date.now()).toISOString(),
+        data: eventData(event)
+    };
+}
+
+/**
+ * Create a generic JSON webhook notifier
+ * @param {Object} options
+ * @param {string} [options.name] - Name used in logs and to address the outbox
+ * @param {string} options.url - Endpoint to POST to
+ * @param {string} options.secret - Shared secret for the signature header
+ * @returns {Object} Notifier
+ */
+function createJsonWebhookNotifier({ name = 'webhook', url, secret }) {
+    async function send(payload) {
+        const body = JSON.stringify(payload);
+        const timestamp = Math.floor(Date.now() / 1000);
+        const res = await sendJson(url, null, {
+            body,
+            headers: {
+                'User-Agent': 'migrate-fun-bot',
+                'X-Migrate-Fun-Event': payload.event,
+                'X-Migrate-Fun-Timestamp': String(timestamp),
+                'X-Migrate-Fun-Signature': signPayload(secret, timestamp, body)
+            }
+        });
+
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+            return { rateLimit: rateLimitOf(), messageId: null };
+        }
+        throw responseError('Webhook', res.statusCode, res.body, rateLimitOf(retryAfterHeader(res.headers)));
+    }
+
+    return { name, type: 'webhook', supportsEdit: false, render, send };
+}
+
+module.exports = { createJsonWebhookNotifier, signPayload };
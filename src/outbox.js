@@ -0,0 +1,323 @@
+/**
+ * Outbound delivery queue
+ * Persists messages until their notifier's service accepts them, honouring
+ * rate limits and retrying transient failures with backoff
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createDiscordNotifier } = require('./notifiers');
+const metrics = require('./metrics');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+const OUTBOX_FILE = path.join(DATA_DIR, 'outbox.json');
+
+/**
+ * Whole-number setting from the environment; config.js rejects values that are not
+ */
+function envInt(name, fallback) {
+    const value = parseInt(process.env[name]);
+    return isNaN(value) ? fallback : value;
+}
+
+// Retries per flush for 5xx and network errors before the message waits for the next flush
+const MAX_RETRIES = envInt('DELIVERY_MAX_RETRIES', 3);
+const RETRY_BASE_MS = envInt('DELIVERY_RETRY_BASE_MS', 1000);
+
+// Rate-limit waits longer than this (or more 429s than this in a row) defer to the next flush
+const MAX_INLINE_WAIT_MS = 60 * 1000;
+const MAX_RATE_LIMIT_RETRIES = 5;
+
+// Undelivered messages older than this are stale (the migration has likely happened) and are dropped
+const MAX_AGE_MS = envInt('OUTBOX_MAX_AGE_MINUTES', 60) * 60 * 1000;
+
+let entries = null;
+
+// Flushes run one at a time so overlapping callers never send the same entry twice
+let flushChain = Promise.resolve();
+
+// Earliest time each target may be called again, from rate-limit headers
+const blockedUntil = new Map();
+
+// Notifiers by name; see registerNotifier()
+const notifiers = new Map();
+
+const stats = { sent: 0, failed: 0, retries: 0, dropped: 0 };
+
+metrics.counter('migrate_fun_messages_sent_total', 'Messages accepted for delivery', () => stats.sent);
+metrics.counter('migrate_fun_messages_failed_total', 'Messages rejected by their destination', () => stats.failed);
+metrics.counter('migrate_fun_delivery_retries_total', 'Retries after rate limits and server errors', () => stats.retries);
+metrics.counter('migrate_fun_messages_dropped_total', 'Messages dropped as stale before delivery', () => stats.dropped);
+metrics.gauge('migrate_fun_outbox_pending', 'Messages waiting in the outbox', () => (entries ? entries.length : 0));
+
+/**
+ * Ensure data directory exists
+ */
+function ensureDataDir() {
+    if (!fs.existsSync(DATA_DIR)) {
+        fs.mkdirSync(DATA_DIR, { recursive: true });
+    }
+}
+
+/**
+ * Move an unreadable outbox file out of the way, so the next save keeps it for inspection instead of overwriting it
+ */
+function setAside() {
+    const corrupt = `${OUTBOX_FILE}.corrupt-${Date.now()}`;
+    try {
+        fs.renameSync(OUTBOX_FILE, corrupt);
+        console.error(`[Outbox] Moved the unreadable outbox to ${corrupt}; its messages were not delivered`);
+    } catch (error) {
+        console.error('[Outbox] Error moving the unreadable outbox aside:', error.message);
+    }
+}
+
+/**
+ * Load the outbox from disk on first use
+ */
+function load() {
+    if (entries) return entries;
+    entries = [];
+    try {
+        if (fs.existsSync(OUTBOX_FILE)) {
+            entries = JSON.parse(fs.readFileSync(OUTBOX_FILE, 'utf8'));
+
+            // Entries written before notifiers existed name a Discord webhook URL
+            for (const entry of entries) {
+                if (!entry.target) entry.target = entry.webhookUrl;
+                delete entry.webhookUrl;
+            }
+            if (entries.length > 0) {
+                console.log(`[Outbox] Restored ${entries.length} undelivered message(s)`);
+            }
+        }
+    } catch (error) {
+        console.error('[Outbox] Error loading outbox:', error.message);
+        entries = [];
+        setAside();
+    }
+    return entries;
+}
+
+/**
+ * Write the outbox to disk atomically so a crash mid-write cannot corrupt it
+ */
+function save() {
+    ensureDataDir();
+    try {
+        const tmp = `${OUTBOX_FILE}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(entries, null, 2));
+        fs.renameSync(tmp, OUTBOX_FILE);
+    } catch (error) {
+        console.error('[Outbox] Error saving outbox:', error.message);
+    }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Make a notifier available as an outbox target under its name
+ * @param {Object} notifier - From notifiers/index.js
+ */
+function registerNotifier(notifier) {
+    notifiers.set(notifier.name, notifier);
+}
+
+/**
+ * The notifier an entry is addressed to; a bare URL is a Discord webhook
+ * @returns {Object|null}
+ */
+function notifierFor(target) {
+    if (notifiers.has(target)) return notifiers.get(target);
+    if (/^https?:\/\//.test(target)) return createDiscordNotifier({ name: target, webhookUrl: target });
+    return null;
+}
+
+/**
+ * Add a message to the outbox
+ *
+ * A message with a `key` replaces any undelivered message with the same key,
+ * so a card that is updated before its first post goes out is only sent once.
+ *
+ * @param {string} target - Name of a registered notifier, or a Discord webhook URL
+ * @param {Object} payload - Message payload, as rendered by that notifier
+ * @param {string} [label] - Short description for logs
+ * @param {Object} [options]
+ * @param {string} [options.key] - Identifies the message for coalescing and in flush() results
+ * @param {string} [options.messageId] - Edit this message instead of posting a new one
+ * @returns {Object} The queued entry
+ */
+function enqueue(target, payload, label = 'message', options = {}) {
+    load();
+
+    const existing = options.key && entries.find(e => e.key === options.key && e.target === target);
+    if (existing) {
+        existing.payload = payload;
+        existing.label = label;
+        existing.messageId = existing.messageId || options.messageId || null;
+        save();
+        return existing;
+    }
+
+    const entry = {
+        id: crypto.randomUUID(),
+        target,
+        payload,
+        label,
+        key: options.key || null,
+        messageId: options.messageId || null,
+        attempts: 0,
+        createdAt: Date.now(),
+        nextAttemptAt: 0
+    };
+    entries.push(entry);
+    save();
+    return entry;
+}
+
+/**
+ * Try to deliver one entry, retrying rate limits and transient errors in place
+ * @returns {Promise<'sent'|'deferred'|'failed'>}
+ */
+async function attempt(entry) {
+    let retries = 0;
+    let rateLimited = 0;
+
+    const notifier = notifierFor(entry.target);
+    if (!notifier) {
+        console.error(`[Outbox] ✗ No notifier named "${entry.target}" is configured, dropping ${entry.label}`);
+        return 'failed';
+    }
+
+    while (true) {
+        const wait = (blockedUntil.get(entry.target) || 0) - Date.now();
+        if (wait > MAX_INLINE_WAIT_MS) {
+            entry.nextAttemptAt = blockedUntil.get(entry.target);
+            return 'deferred';
+        }
+        if (wait > 0) await sleep(wait);
+
+        entry.attempts++;
+        try {
+            const { rateLimit, messageId } = await notifier.send(entry.payload, { messageId: entry.messageId });
+            if (rateLimit.remaining === 0 && rateLimit.resetAfterMs) {
+                blockedUntil.set(entry.target, Date.now() + rateLimit.resetAfterMs);
+            }
+            entry.messageId = messageId || null;
+            return 'sent';
+        } catch (error) {
+            const status = error.statusCode;
+
+            // The message being edited was deleted; post it again instead
+            if (status === 404 && entry.messageId) {
+                console.warn(`[Outbox] Message for ${entry.label} no longer exists, reposting`);
+                entry.messageId = null;
+                continue;
+            }
+
+            if (status === 429) {
+                const retryAfterMs = (error.rateLimit && error.rateLimit.retryAfterMs) || RETRY_BASE_MS;
+                blockedUntil.set(entry.target, Date.now() + retryAfterMs);
+                if (++rateLimited > MAX_RATE_LIMIT_RETRIES) {
+                    entry.nextAttemptAt = Date.now() + retryAfterMs;
+                    return 'deferred';
+                }
+                console.warn(`[Outbox] Rate limited on ${entry.label}, retrying in ${retryAfterMs}ms`);
+                stats.retries++;
+                continue;
+            }
+
+            // Other 4xx errors mean the message itself is bad; retrying will not help
+            if (status && status < 500) {
+                console.error(`[Outbox] ✗ ${notifier.type} rejected ${entry.label}:`, error.message);
+                return 'failed';
+            }
+
+            if (retries >= MAX_RETRIES) {
+                console.error(`[Outbox] ${entry.label} still failing, keeping it for the next flush:`, error.message);
+                entry.nextAttemptAt = Date.now() + RETRY_BASE_MS * 2 ** retries;
+                return 'deferred';
+            }
+
+            const delay = RETRY_BASE_MS * 2 ** retries;
+            retries++;
+            stats.retries++;
+            console.warn(`[Outbox] ${entry.label} failed (${error.message}), retry ${retries}/${MAX_RETRIES} in ${delay}ms`);
+            await sleep(delay);
+        }
+    }
+}
+
+/**
+ * Deliver every due message in the order it was queued
+ *
+ * `delivered` lists the key and message ID of every keyed message sent in
+ * this pass (null when the notifier cannot edit messages), so callers can
+ * remember which message to edit next.
+ *
+ * @returns {Promise<{sent: number, failed: number, pending: number, delivered: Array<{key: string, messageId: string|null}>}>}
+ */
+function flush() {
+    const run = flushChain.then(flushDue);
+    flushChain = run.catch(() => {});
+    return run;
+}
+
+/**
+ * Single pass over the outbox; see flush()
+ */
+async function flushDue() {
+    load();
+    const result = { sent: 0, failed: 0, pending: 0, delivered: [] };
+
+    for (const entry of [...entries]) {
+        if (Date.now() - entry.createdAt > MAX_AGE_MS) {
+            console.error(`[Outbox] Dropping stale ${entry.label} after ${entry.attempts} attempt(s)`);
+            stats.dropped++;
+            entries.splice(entries.indexOf(entry), 1);
+            save();
+            continue;
+        }
+
+        if (entry.nextAttemptAt > Date.now()) {
+            result.pending++;
+            continue;
+        }
+
+        const outcome = await attempt(entry);
+
+        if (outcome === 'sent') {
+            console.log(`[Outbox] ✓ Sent ${entry.label}`);
+            result.sent++;
+            stats.sent++;
+            if (entry.key) result.delivered.push({ key: entry.key, messageId: entry.messageId });
+        } else if (outcome === 'failed') {
+            result.failed++;
+            stats.failed++;
+        } else {
+            result.pending++;
+        }
+
+        if (outcome !== 'deferred') entries.splice(entries.indexOf(entry), 1);
+        save();
+    }
+
+    return result;
+}
+
+/**
+ * Messages still waiting to be delivered
+ */
+function getPending() {
+    return [...load()];
+}
+
+/**
+ * Delivery counters since startup
+ */
+function getStats() {
+    return { ...stats };
+}
+
+module.exports = { enqueue, flush, registerNotifier, getPending, getStats };
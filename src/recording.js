@@ -0,0 +1,156 @@
+/**
+ * Scrape recording and replay
+ * Saves every scrape (and project page read) with the time it was made, and
+ * plays a recorded session back through parsing, tracking and rendering on a
+ * simulated clock, to reproduce exactly which alerts went out and when
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createSimulatedClock } = require('./clock');
+const { createMemoryStorage } = require('./storage');
+const tracker = require('./tracker');
+
+// Bumped when entries change shape, so old sessions are refused rather than misread
+const SESSION_VERSION = 1;
+
+/**
+ * Create a recorder that appends one session file to a directory
+ *
+ * Each line of the file is a JSON entry: a `session` header, then `scrape`
+ * entries with the raw records and `details` entries with what a project page
+ * gave, each stamped with the time the bot went on to use it.
+ *
+ * @param {string} dir - Directory for session files; created if missing
+ * @returns {{file: string, record: Function}}
+ */
+function createRecorder(dir) {
+    const startedAt = new Date().toISOString();
+    const file = path.join(dir, `session-${startedAt.replace(/[:.]/g, '-')}.jsonl`);
+    let started = false;
+
+    /**
+     * Append an entry, stamped with the current time
+     * @param {Object} entry - {type: 'scrape', migrations} or {type: 'details', url, details}
+     */
+    function record(entry) {
+        try {
+            if (!started) {
+                fs.mkdirSync(dir, { recursive: true });
+                fs.appendFileSync(file, `${JSON.stringify({ type: 'session', version: SESSION_VERSION, startedAt })}\n`);
+                started = true;
+            }
+            fs.appendFileSync(file, `${JSON.stringify({ ...entry, at: new Date().toISOString() })}\n`);
+        } catch (error) {
+            console.error('[Recorder] Could not record:', error.message);
+        }
+    }
+
+    return { file, record };
+}
+
+/**
+ * Read a recorded session
+ * @param {string} file - Session file from createRecorder()
+ * @returns {Array<Object>} Entries after the header, oldest first, with `at` in ms since epoch
+ * @throws {Error} When the file is not a session this version can replay
+ */
+function readSession(file) {
+    const lines = fs.readFileSync(file, 'utf8').split('\n').filter(line => line.trim() !== '');
+    const entries = lines.map((line, i) => {
+        try {
+            return JSON.parse(line);
+        } catch (error) {
+            throw new Error(`${file}:${i + 1} is not valid JSON: ${error.message}`);
+        }
+    });
+
+    const [header, ...rest] = entries;
+    if (!header || header.type !== 'session') throw new Error(`${file} is not a recorded session`);
+    if (header.version !== SESSION_VERSION) {
+        throw new Error(`${file} was recorded in format ${header.version}; this version replays format ${SESSION_VERSION}`);
+    }
+
+    return rest.map((entry, i) => {
+        const at = Date.parse(entry.at);
+        if (!at) throw new Error(`${file}:${i + 2} has no valid "at" time`);
+        return { ...entry, at };
+    });
+}
+
+/**
+ * Replay a recorded session and capture what would have been sent
+ *
+ * Each scrape runs a full check at the time it was recorded, against empty
+ * tracking state and the given configuration, so a change to the tracker's
+ * rules shows up as a change in the output. The replay tracks in a store of
+ * its own, so the tracker's store is neither read nor changed. Cards get made-up message IDs as
+ * if delivered, so later checks edit them just like they would have. Project
+ * pages come from the recording; a page not recorded reads as empty.
+ *
+ * @param {Array} entries - From readSession()
+ * @param {Object} config - From loadConfig()
+ * @returns {Promise<Array<{at: string, alerts: Array, messages: Array}>>} One entry per recorded scrape:
+ *   the alerts it raised ({id, name, type, tier}) and the messages queued for them
+ *   ({target, label, editsMessage, messageId, payload}), in order
+ */
+async function replaySession(entries, config) {
+    // Required here rather than at the top, since the bot requires this module for its recorder
+    const { createBot } = require('./bot');
+
+    const scrapes = entries.filter(entry => entry.type === 'scrape');
+    if (scrapes.length === 0) return [];
+
+    const clock = createSimulatedClock(scrapes[0].at);
+    const store = createMemoryStorage();
+
+    const checks = [];
+    let messages = [];
+    let cards = 0;
+    let current = null;
+    let nextAt = Infinity;
+
+    const queue = {
+        enqueue(target, payload, label, options = {}) {
+            const card = options.key && /^card:([^:]+):(.+)$/.exec(options.key);
+            const messageId = card && !options.messageId ? `replay-${++cards}` : null;
+            if (messageId) tracker.setAlertMessage(card[2], messageId, card[1], store);
+            messages.push({ target, label, editsMessage: options.messageId || null, messageId, payload });
+        }
+    };
+
+    // Pages are read after the scrape of their check, so anything recorded before the next scrape is in time
+    const recordedDetails = url => {
+        const seen = entries.filter(entry => entry.type === 'details' && entry.url === url && entry.at < nextAt);
+        return seen.length > 0 ? seen[seen.length - 1].details : null;
+    };
+
+    try {
+        const bot = createBot({ ...config, recordDir: null }, {
+            queue,
+            store,
+            now: clock.now,
+            scrape: async () => current.migrations,
+            scrapeDetails: async url => recordedDetails(url)
+        });
+
+        for (const [i, entry] of scrapes.entries()) {
+            clock.set(entry.at);
+            current = entry;
+            nextAt = i + 1 < scrapes.length ? scrapes[i + 1].at : Infinity;
+            messages = [];
+
+            const { alerts } = await bot.planCheck();
+            checks.push({
+                at: new Date(entry.at).toISOString(),
+                alerts: alerts.map(alert => ({ id: alert.id, name: alert.name, type: alert.alertType, tier: alert.alertTier || null })),
+                messages
+            });
+        }
+    } finally {
+        store.close();
+    }
+    return checks;
+}
+
+module.exports = { createRecorder, readSession, replaySession, SESSION_VERSION };
@@ -0,0 +1,212 @@
+/**
+ * Migration identity resolution
+ * Gives every project a stable ID across scrapes by matching scraped records
+ * against a registry of known projects
+ */
+
+const crypto = require('crypto');
+
+// Two ETAs this close (in minutes) can belong to the same project when nothing stronger matches
+const ETA_MATCH_MINUTES = 10;
+
+/**
+ * Normalize a name or ticker for comparison
+ */
+function normalize(value) {
+    return typeof value === 'string' ? value.toLowerCase().replace(/^\$/, '').replace(/[^a-z0-9]/g, '') : '';
+}
+
+/**
+ * Absolute ETA (ms since epoch) implied by a scraped record, or null
+ */
+function observedEta(record, now) {
+    if (record.scheduledAt) {
+        const ms = Date.parse(record.scheduledAt);
+        if (!isNaN(ms)) return ms;
+    }
+    if (record.minutesUntil === null || record.minutesUntil === undefined) return null;
+    const scrapedAt = record.scrapedAt ? Date.parse(record.scrapedAt) || now : now;
+    return scrapedAt + record.minutesUntil * 60000;
+}
+
+/**
+ * Identifying features of a record, from strongest to weakest
+ * @param {Object} record - Scraped record
+ * @param {number} now - Current time (ms since epoch)
+ * @returns {{mints: Array<string>, slug: string|null, ticker: string, name: string, etaAt: number|null}}
+ */
+function fingerprint(record, now = Date.now()) {
+    const mints = [record.oldMint, record.newMint, record.address].filter(Boolean);
+    return {
+        mints: [...new Set(mints)],
+        slug: record.slug || null,
+        ticker: normalize(record.ticker),
+        name: normalize(record.name),
+        etaAt: observedEta(record, now)
+    };
+}
+
+/**
+ * Whether a fingerprint carries anything that can identify a project
+ */
+function isIdentifiable(fp) {
+    return fp.mints.length > 0 || !!fp.slug || !!fp.ticker || !!fp.name;
+}
+
+/**
+ * Whether two fingerprints describe the same project
+ *
+ * Mints and slugs are decisive. Otherwise ticker and name must agree where
+ * both are known, and records with different mints are never merged.
+ */
+function sameProject(a, b) {
+    if (a.mints.some(mint => b.mints.includes(mint))) return true;
+    if (a.mints.length > 0 && b.mints.length > 0) return false;
+    if (a.slug && b.slug) return a.slug === b.slug;
+
+    const tickerMatch = a.ticker && b.ticker ? a.ticker === b.ticker : null;
+    const nameMatch = a.name && b.name ? a.name === b.name : null;
+    if (tickerMatch === false || nameMatch === false) return false;
+    return tickerMatch === true || nameMatch === true;
+}
+
+/**
+ * Whether two ETAs agree closely enough to tell apart projects sharing a ticker or name
+ */
+function etaClose(a, b) {
+    return a !== null && b !== null && Math.abs(a - b) <= ETA_MATCH_MINUTES * 60000;
+}
+
+/**
+ * Merge b into a, keeping a's values where set
+ */
+function mergeRecords(a, b) {
+    const merged = { ...a };
+    for (const [field, value] of Object.entries(b)) {
+        if ((merged[field] === null || merged[field] === undefined) && value !== null && value !== undefined) {
+            merged[field] = value;
+        }
+    }
+    return merged;
+}
+
+/**
+ * Merge fingerprints, keeping the union of mints
+ */
+function mergeFingerprints(a, b) {
+    return {
+        mints: [...new Set([...a.mints, ...b.mints])],
+        slug: a.slug || b.slug,
+        ticker: a.ticker || b.ticker,
+        name: a.name || b.name,
+        etaAt: a.etaAt !== null ? a.etaAt : b.etaAt
+    };
+}
+
+/**
+ * Canonical ID for a newly seen project; never changes once assigned
+ */
+function canonicalId(fp) {
+    if (fp.mints.length > 0) return fp.mints[0];
+    if (fp.slug) return fp.slug;
+    const hash = crypto.createHash('sha1').update(`${fp.ticker}|${fp.name}`).digest('hex');
+    return `fp-${hash.slice(0, 12)}`;
+}
+
+/**
+ * Find the registry project a fingerprint belongs to
+ *
+ * When several projects share a ticker or name, the one with the closest ETA
+ * wins; if none is close the match is ambiguous and a new project is created.
+ */
+function findProject(fp, registry) {
+    const candidates = Object.values(registry).filter(project => sameProject(fp, project));
+    if (candidates.length <= 1) return candidates[0] || null;
+
+    const decisive = candidates.filter(project =>
+        project.mints.some(mint => fp.mints.includes(mint)) || (fp.slug && project.slug === fp.slug));
+    if (decisive.length > 0) return decisive[0];
+
+    const close = candidates.filter(project => etaClose(fp.etaAt, project.etaAt));
+    return close.length === 1 ? close[0] : null;
+}
+
+/**
+ * Group the records of one scrape by project
+ *
+ * Records that only carry a countdown (no mint, slug, ticker or name) join the
+ * single group with a matching ETA, if there is exactly one.
+ */
+function groupRecords(records, now) {
+    const groups = [];
+    const anonymous = [];
+
+    for (const record of records) {
+        const fp = fingerprint(record, now);
+        if (!isIdentifiable(fp)) {
+            if (fp.etaAt !== null) anonymous.push({ record, fp });
+            continue;
+        }
+
+        const group = groups.find(g => sameProject(fp, g.fp));
+        if (group) {
+            group.record = mergeRecords(group.record, record);
+            group.fp = mergeFingerprints(group.fp, fp);
+        } else {
+            groups.push({ record, fp });
+        }
+    }
+
+    for (const { record, fp } of anonymous) {
+        const matches = groups.filter(g => etaClose(fp.etaAt, g.fp.etaAt) || g.fp.etaAt === null);
+        if (matches.length === 1) {
+            matches[0].record = mergeRecords(matches[0].record, record);
+            matches[0].fp = mergeFingerprints(matches[0].fp, fp);
+        } else {
+            console.log(`[Resolver] Skipping unattributed countdown "${record.timeText || record.rawText || ''}"`);
+        }
+    }
+
+    return groups;
+}
+
+/**
+ * Assign stable IDs to scraped records and update the project registry
+ * @param {Array} records - Records from one scrape (debug records are ignored)
+ * @param {Object} registry - Known projects by ID; updated in place
+ * @param {number} [now] - Current time (ms since epoch)
+ * @returns {Array} One record per project, with `id` set to the project's stable ID
+ */
+function resolveMigrations(records, registry, now = Date.now()) {
+    const groups = groupRecords(records.filter(r => !r.debug), now);
+    const byId = new Map();
+
+    for (const { record, fp } of groups) {
+        let project = findProject(fp, registry);
+
+        if (!project) {
+            const id = registry[canonicalId(fp)] ? `${canonicalId(fp)}-${Object.keys(registry).length}` : canonicalId(fp);
+            project = { id, mints: [], slug: null, ticker: '', name: '', etaAt: null, firstSeenAt: now };
+            registry[id] = project;
+        }
+
+        const merged = mergeFingerprints(fp, project);
+        Object.assign(project, {
+            mints: merged.mints,
+            slug: merged.slug,
+            ticker: merged.ticker,
+            name: merged.name,
+            etaAt: fp.etaAt !== null ? fp.etaAt : project.etaAt,
+            displayName: record.name || project.displayName || null,
+            lastSeenAt: now
+        });
+
+        // Two groups resolving to the same project in one scrape are the same project after all
+        const existing = byId.get(project.id);
+        byId.set(project.id, existing ? mergeRecords(existing, record) : { ...record, id: project.id });
+    }
+
+    return [...byId.values()];
+}
+
+module.exports = { resolveMigrations, fingerprint, sameProject };
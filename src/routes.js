@@ -0,0 +1,100 @@
+/**
+ * Alert routing
+ * Decides which destinations receive each alert, from their tier, allowlist,
+ * name pattern and denylist filters
+ */
+
+/**
+ * Normalize a ticker, mint, slug or name for comparison
+ */
+const normalize = value => String(value).trim().replace(/^\$/, '').toLowerCase();
+
+/**
+ * Every identifier a filter entry may refer to
+ */
+function identifiers(migration) {
+    return [migration.ticker, migration.name, migration.slug, migration.address, migration.oldMint, migration.newMint, migration.id]
+        .filter(Boolean)
+        .map(normalize);
+}
+
+/**
+ * Create the route for a destination
+ *
+ * A destination with no filters gets everything. `allow` and `namePattern`
+ * narrow it to matching tokens (either may match), `deny` always wins, and
+ * `tiers` limits tier alerts to the named tiers. The scheduled digest lists
+ * the matching tokens unless `digest` is turned off.
+ *
+ * @param {Object} destination - Validated destination from config.js
+ * @returns {{name: string, listings: boolean, digest: boolean, filtered: boolean, matches: Function, accepts: Function}}
+ */
+function createRoute(destination) {
+    const tiers = destination.tiers ? new Set(destination.tiers.map(normalize)) : null;
+    const allow = new Set((destination.allow || []).map(normalize));
+    const deny = new Set((destination.deny || []).map(normalize));
+    const pattern = destination.namePattern ? new RegExp(destination.namePattern, 'i') : null;
+
+    /**
+     * Whether the destination wants alerts about this token at all
+     */
+    function matches(migration) {
+        const ids = identifiers(migration);
+        if (ids.some(id => deny.has(id))) return false;
+        if (allow.size === 0 && !pattern) return true;
+        if (ids.some(id => allow.has(id))) return true;
+        return !!pattern && [migration.name, migration.ticker].some(value => value && pattern.test(value));
+    }
+
+    /**
+     * Whether the destination wants a tier alert for this token
+     * @param {Object} migration
+     * @param {string} tierName - Tier the alert is for
+     */
+    function accepts(migration, tierName) {
+        return matches(migration) && (!tiers || tiers.has(normalize(tierName)));
+    }
+
+    return {
+        name: destination.name,
+        listings: destination.listings !== false,
+        digest: destination.digest !== false,
+        filtered: !!tiers || allow.size > 0 || deny.size > 0 || !!pattern,
+        matches,
+        accepts
+    };
+}
+
+/**
+ * Names of the destinations that should receive an alert from the tracker
+ *
+ * Tier alerts go where the tracker found them due (`routes`). Card updates
+ * follow the cards: a migration's 'live' message goes wherever it has a card,
+ * and reschedules go there too as well as to routes that accept the new
+ * tier. Listing and removal notices go to matching routes that want them.
+ *
+ * @param {Array} routes - From createRoute()
+ * @param {Object} alert - Entry returned by getMigrationsToAlert()
+ * @returns {Array<string>}
+ */
+function recipientsFor(routes, alert) {
+    const withCard = new Set(Object.keys(alert.messages || {}));
+    const announces = route => route.listings && route.matches(alert);
+
+    switch (alert.alertType) {
+        case 'tier':
+            return routes.filter(route => (alert.routes || []).includes(route.name)).map(route => route.name);
+        case 'rescheduled':
+            return routes.filter(route => withCard.has(route.name) || (alert.routes || []).includes(route.name)).map(route => route.name);
+        case 'live':
+            return routes.filter(route => withCard.has(route.name)).map(route => route.name);
+        case 'listed':
+            return routes.filter(announces).map(route => route.name);
+        case 'removed':
+            return routes.filter(route => withCard.has(route.name) || announces(route)).map(route => route.name);
+        default:
+            return [];
+    }
+}
+
+module.exports = { createRoute, recipientsFor };
@@ -0,0 +1,115 @@
+/**
+ * Check scheduling
+ * Runs checks one at a time, polls faster while a migration is close, and
+ * spreads checks with a little jitter so they don't land on the same second
+ */
+
+const metrics = require('./metrics');
+
+const overrunsTotal = metrics.counter('migrate_fun_check_overruns_total', 'Checks that took longer than the polling interval');
+
+/**
+ * How long to wait between checks, given what is being tracked
+ *
+ * Polls every `fastPollSeconds` once a migration is within
+ * `fastPollWithinMinutes`, and otherwise every `checkIntervalMinutes` but
+ * never past the moment the nearest migration enters that window.
+ *
+ * @param {Array} migrations - From getTrackedMigrations()
+ * @param {Object} options
+ * @param {number} options.checkIntervalMinutes - Normal interval
+ * @param {number} options.fastPollWithinMinutes - Poll fast once a migration is this close; 0 turns fast polling off
+ * @param {number} options.fastPollSeconds - Interval while polling fast
+ * @param {number} [now] - Current time (ms since epoch)
+ * @returns {number} Milliseconds
+ */
+function pollIntervalMs(migrations, options, now = Date.now()) {
+    const { checkIntervalMinutes, fastPollWithinMinutes, fastPollSeconds } = options;
+    const normalMs = checkIntervalMinutes * 60000;
+    if (!(fastPollWithinMinutes > 0)) return normalMs;
+
+    // Migrations past their ETA don't need fast polling; the tracker closes them out on the next normal check
+    const upcoming = migrations
+        .filter(m => !m.live && m.etaAt && Date.parse(m.etaAt) > now)
+        .map(m => Date.parse(m.etaAt) - now);
+    if (upcoming.length === 0) return normalMs;
+
+    const fastMs = fastPollSeconds * 1000;
+    const untilWindowMs = Math.min(...upcoming) - fastPollWithinMinutes * 60000;
+    return Math.max(fastMs, Math.min(normalMs, untilWindowMs));
+}
+
+/**
+ * Create a scheduler that never runs two checks at once
+ *
+ * The next check is timed from the start of the previous one. A check that
+ * overruns its interval is followed straight away by the next one, and the
+ * checks it missed are skipped rather than piled up.
+ *
+ * @param {Object} options
+ * @param {Function} options.run - Async check; errors are logged, not thrown
+ * @param {Function} options.intervalMs - Returns the interval to wait before the next check
+ * @param {number} [options.jitterMs=0] - Up to this much (and at most a quarter of the interval) is added to each wait
+ * @param {Function} [options.random=Math.random]
+ * @param {Function} [options.now=Date.now] - Current time (ms since epoch)
+ * @returns {{start: Function, stop: Function, getNextRunAt: Function}}
+ */
+function createScheduler({ run, intervalMs, jitterMs = 0, random = Math.random, now = () => Date.now() }) {
+    let timer = null;
+    let running = null;
+    let stopped = false;
+    let nextRunAt = null;
+
+    function schedule(delayMs) {
+        nextRunAt = now() + delayMs;
+        timer = setTimeout(tick, delayMs);
+    }
+
+    async function tick() {
+        timer = null;
+        nextRunAt = null;
+        const startedAt = now();
+
+        running = Promise.resolve()
+            .then(run)
+            .catch(error => console.error('[Scheduler] Check failed:', error.message));
+        await running;
+        running = null;
+        if (stopped) return;
+
+        const interval = intervalMs();
+        const elapsed = now() - startedAt;
+        if (elapsed > interval) {
+            overrunsTotal.inc();
+            console.warn(`[Scheduler] Check took ${Math.round(elapsed / 1000)}s, longer than the ${Math.round(interval / 1000)}s interval; ` +
+                `skipping ${Math.floor(elapsed / interval)} missed check(s)`);
+        }
+        const jitter = Math.round(random() * Math.min(jitterMs, interval / 4));
+        schedule(Math.max(0, interval - elapsed) + jitter);
+    }
+
+    /**
+     * Run the first check now and keep checking until stopped
+     * @returns {Promise} Resolves once the first check has finished
+     */
+    function start() {
+        if (stopped || running || timer) return Promise.resolve();
+        return tick();
+    }
+
+    /**
+     * Stop scheduling checks
+     * @returns {Promise} Resolves once any check in progress has finished
+     */
+    function stop() {
+        stopped = true;
+        clearTimeout(timer);
+        timer = null;
+        nextRunAt = null;
+        return running || Promise.resolve();
+    }
+
+    return { start, stop, getNextRunAt: () => nextRunAt };
+}
+
+module.exports = { createScheduler, pollIntervalMs };
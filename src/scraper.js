@@ -1,118 +1,303 @@
 /**
  * Puppeteer-based scraper for migrate.fun
- * Extracts upcoming migration data from the projects page
+ * Extracts upcoming migration data from the projects page, and project details
+ * from each project's own page
  */
 
-const puppeteer = require('puppeteer');
+const fs = require('fs');
+const path = require('path');
+const { extract, extractDetails, projectSlug, collectCards, cardsFromHtml, textFromHtml } = require('./extractor');
+const { createBrowserSupervisor } = require('./browser');
 
 const MIGRATE_FUN_URL = 'https://migrate.fun/projects';
 
+// A page load that takes longer than this is treated as hung and Chrome is restarted
+const SCRAPE_TIMEOUT_MS = (parseInt(process.env.SCRAPE_TIMEOUT_SECONDS) || 90) * 1000;
+
+// How long to wait for project content to render before extracting whatever is there
+const CONTENT_TIMEOUT_MS = 30 * 1000;
+
+// Runs in the page: project cards (or an explicit empty state) have rendered
+const CONTENT_READY = () =>
+    !!document.querySelector('a[href*="/projects/"]') ||
+    /no (?:projects|migrations)/i.test(document.body ? document.body.innerText : '');
+
+// Runs in the page: a project page has rendered once a mint address shows
+const DETAIL_READY = () => /[1-9A-HJ-NP-Za-km-z]{32,44}/.test(document.body ? document.body.innerText : '');
+
+/**
+ * Capture JSON responses as the page loads so the extractor can read the app's own data
+ * @param {Object} page - Puppeteer page
+ * @returns {Function} Stops capturing and resolves to the parsed payloads once all pending reads settle
+ */
+function capturePayloads(page) {
+    const pending = [];
+
+    const onResponse = response => {
+        const type = response.headers()['content-type'] || '';
+        if (!type.includes('json') || response.request().method() === 'OPTIONS') return;
+
+        pending.push(response.json().catch(() => null));
+    };
+    page.on('response', onResponse);
+
+    return async () => {
+        page.off('response', onResponse);
+        return (await Promise.all(pending)).filter(Boolean);
+    };
+}
+
 /**
- * Launch browser with appropriate settings for the environment
+ * Reject with a TimeoutError if a promise takes longer than ms
  */
-async function launchBrowser() {
-    const isProduction = process.env.NODE_ENV === 'production';
-
-    return puppeteer.launch({
-        headless: 'new',
-        args: [
-            '--no-sandbox',
-            '--disable-setuid-sandbox',
-            '--disable-dev-shm-usage',
-            '--disable-accelerated-2d-canvas',
-            '--disable-gpu',
-            '--window-size=1920x1080',
-        ],
-        // Use system Chrome on Railway
-        ...(isProduction && { executablePath: process.env.PUPPETEER_EXECUTABLE_PATH || '/usr/bin/google-chrome-stable' })
+function withTimeout(promise, ms, what) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+            const error = new Error(`${what} timed out after ${Math.round(ms / 1000)}s`);
+            error.name = 'TimeoutError';
+            reject(error);
+        }, ms);
     });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
 }
 
 /**
- * Scrape migration projects from migrate.fun
- * @returns {Promise<Array>} Array of migration objects
+ * Wait until project content has rendered and the app's data requests have settled
  */
-async function scrape() {
-    console.log(`[Scraper] Starting scrape at ${new Date().toISOString()}`);
+async function waitForContent(page) {
+    try {
+        await page.waitForFunction(CONTENT_READY, { timeout: CONTENT_TIMEOUT_MS, polling: 250 });
+    } catch (error) {
+        if (error.name !== 'TimeoutError') throw error;
+        console.warn(`[Scraper] No project content after ${CONTENT_TIMEOUT_MS / 1000}s, extracting what rendered`);
+        return;
+    }
+
+    // Countdowns and late data requests usually land right after the first cards
+    await page.waitForNetworkIdle({ idleTime: 500, timeout: 5000 }).catch(() => {});
+}
 
-    let browser;
+/**
+ * Reload migrate.fun in the shared page
+ */
+async function loadPage(page, timeoutMs) {
+    const finishCapture = capturePayloads(page);
     try {
-        browser = await launchBrowser();
-        const page = await browser.newPage();
+        if (page.url() === MIGRATE_FUN_URL) {
+            await page.reload({ waitUntil: 'domcontentloaded', timeout: timeoutMs });
+        } else {
+            await page.goto(MIGRATE_FUN_URL, { waitUntil: 'domcontentloaded', timeout: timeoutMs });
+        }
+        await waitForContent(page);
+    } catch (error) {
+        finishCapture();
+        throw error;
+    }
 
-        // Set a realistic user agent
-        await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
+    return {
+        payloads: await finishCapture(),
+        html: await page.content(),
+        getCards: () => page.evaluate(collectCards),
+        getBodyText: () => page.evaluate(() => document.body.innerText || '')
+    };
+}
 
-        // Navigate to projects page
-        await page.goto(MIGRATE_FUN_URL, {
-            waitUntil: 'networkidle2',
-            timeout: 60000
+/**
+ * Open a project's detail page in the shared page
+ */
+async function loadDetailPage(page, url, timeoutMs) {
+    const finishCapture = capturePayloads(page);
+    try {
+        await page.goto(url, { waitUntil: 'domcontentloaded', timeout: timeoutMs });
+        await page.waitForFunction(DETAIL_READY, { timeout: CONTENT_TIMEOUT_MS, polling: 250 }).catch(error => {
+            if (error.name !== 'TimeoutError') throw error;
+            console.warn(`[Scraper] No mint on ${url} after ${CONTENT_TIMEOUT_MS / 1000}s, extracting what rendered`);
         });
+        await page.waitForNetworkIdle({ idleTime: 500, timeout: 5000 }).catch(() => {});
+    } catch (error) {
+        finishCapture();
+        throw error;
+    }
 
-        // Wait for content to load (adjust selector based on actual page structure)
-        await page.waitForSelector('body', { timeout: 30000 });
-
-        // Give extra time for JS to render
-        await new Promise(resolve => setTimeout(resolve, 5000));
-
-        // Extract migration data from the page
-        const migrations = await page.evaluate(() => {
-            const results = [];
-
-            // Try to find project cards/items on the page
-            // These selectors may need adjustment based on actual page structure
-            const projectElements = document.querySelectorAll('[class*="project"], [class*="card"], [class*="migration"], [class*="token"]');
-
-            projectElements.forEach((el, index) => {
-                const text = el.innerText || el.textContent || '';
-
-                // Extract any visible data
-                const nameMatch = text.match(/([A-Z]{2,10})/);
-                const timeMatch = text.match(/(\d+[hms]|\d+:\d+|\d+ (hour|minute|second|day)s?)/i);
-                const addressMatch = text.match(/[1-9A-HJ-NP-Za-km-z]{32,44}/);
-
-                if (text.length > 10) {
-                    results.push({
-                        id: addressMatch ? addressMatch[0] : `unknown-${index}`,
-                        name: nameMatch ? nameMatch[1] : `Token ${index + 1}`,
-                        rawText: text.substring(0, 500),
-                        address: addressMatch ? addressMatch[0] : null,
-                        timeText: timeMatch ? timeMatch[0] : null,
-                        element: el.className,
-                        scrapedAt: new Date().toISOString()
-                    });
-                }
-            });
+    return { payloads: await finishCapture(), html: await page.content() };
+}
 
-            // Also try to extract from any visible countdown timers
-            const countdowns = document.querySelectorAll('[class*="countdown"], [class*="timer"], [class*="time"]');
-            countdowns.forEach((el, index) => {
-                const text = el.innerText || '';
-                if (text.match(/\d/) && !results.some(r => r.rawText.includes(text))) {
-                    results.push({
-                        id: `countdown-${index}`,
-                        name: `Countdown ${index + 1}`,
-                        rawText: text,
-                        timeText: text,
-                        scrapedAt: new Date().toISOString()
-                    });
+/**
+ * Live source: loads migrate.fun in a long-lived, supervised Chrome
+ *
+ * The page is reloaded on every scrape rather than launching Chrome each
+ * time. A load that hangs restarts Chrome straight away; other failures
+ * restart it once they repeat (see browser.js).
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.supervisor] - Browser supervisor (defaults to a new one)
+ * @param {number} [options.timeoutMs] - Page load timeout
+ */
+function createLiveSource(options = {}) {
+    const { supervisor = createBrowserSupervisor(), timeoutMs = SCRAPE_TIMEOUT_MS } = options;
+
+    return {
+        name: 'live',
+
+        async load() {
+            await supervisor.checkMemory();
+            const page = await supervisor.getPage();
+
+            try {
+                const loaded = await withTimeout(loadPage(page, timeoutMs), timeoutMs, 'Page load');
+                supervisor.reportSuccess();
+                return loaded;
+            } catch (error) {
+                if (error.name === 'TimeoutError') {
+                    await supervisor.restart('timeout', error.message);
+                } else {
+                    await supervisor.reportFailure(error);
                 }
-            });
+                throw error;
+            }
+        },
 
-            // If nothing found with specific selectors, grab all text content for debugging
-            if (results.length === 0) {
-                const bodyText = document.body.innerText || '';
-                results.push({
-                    id: 'page-content',
-                    name: 'Page Content',
-                    rawText: bodyText.substring(0, 2000),
-                    debug: true,
-                    scrapedAt: new Date().toISOString()
-                });
+        // A project page; only a hang restarts Chrome, since the projects page is what the bot depends on
+        async loadDetail(url) {
+            const page = await supervisor.getPage();
+            try {
+                return await withTimeout(loadDetailPage(page, url, timeoutMs), timeoutMs, 'Detail page load');
+            } catch (error) {
+                if (error.name === 'TimeoutError') await supervisor.restart('timeout', error.message);
+                throw error;
             }
+        },
 
-            return results;
-        });
+        // What the page currently shows, for diagnosing a bad scrape; null if Chrome is not running
+        async snapshot() {
+            const page = supervisor.currentPage();
+            if (!page) return null;
+            return withTimeout((async () => ({
+                html: await page.content(),
+                screenshot: await page.screenshot({ type: 'png', fullPage: true })
+            }))(), 15000, 'Snapshot');
+        },
+
+        // Chrome is kept for the next scrape; shutdown() releases it
+        async close() {},
+
+        async shutdown() {
+            await supervisor.close();
+        }
+    };
+}
+
+/**
+ * File source: replays a saved HTML snapshot (.html) or captured JSON payload (.json)
+ *
+ * Project pages are read from `<detailDir>/<slug>.json` or `<slug>.html`.
+ *
+ * @param {string} filePath - Path to the snapshot
+ * @param {Object} [options]
+ * @param {string} [options.detailDir] - Folder of saved project pages (defaults to `details` next to the snapshot)
+ */
+function createFileSource(filePath, options = {}) {
+    const { detailDir = path.join(path.dirname(filePath), 'details') } = options;
+
+    return {
+        name: `file:${filePath}`,
+
+        async load() {
+            const content = await fs.promises.readFile(filePath, 'utf8');
+
+            if (path.extname(filePath).toLowerCase() === '.json') {
+                return {
+                    payloads: [JSON.parse(content)],
+                    html: '',
+                    getCards: () => [],
+                    getBodyText: () => ''
+                };
+            }
+
+            return {
+                payloads: [],
+                html: content,
+                getCards: () => cardsFromHtml(content),
+                getBodyText: () => textFromHtml(content)
+            };
+        },
+
+        async loadDetail(url) {
+            const slug = projectSlug(url);
+            for (const ext of ['.json', '.html']) {
+                const detailPath = path.join(detailDir, `${slug}${ext}`);
+                if (!fs.existsSync(detailPath)) continue;
+                const content = await fs.promises.readFile(detailPath, 'utf8');
+                return ext === '.json' ? { payloads: [JSON.parse(content)], html: '' } : { payloads: [], html: content };
+            }
+            throw new Error(`No saved project page for ${slug} in ${detailDir}`);
+        },
+
+        async snapshot() {
+            return { html: await fs.promises.readFile(filePath, 'utf8'), screenshot: null };
+        },
+
+        async close() {}
+    };
+}
+
+let liveSource = null;
+
+/**
+ * Pick the scrape source from the environment: SCRAPE_SOURCE=<file> replays a snapshot, otherwise scrape live
+ *
+ * The live source is shared so every scrape reuses the same Chrome.
+ */
+function getDefaultSource() {
+    if (process.env.SCRAPE_SOURCE) {
+        return createFileSource(process.env.SCRAPE_SOURCE, { detailDir: process.env.SCRAPE_DETAIL_DIR || undefined });
+    }
+    if (!liveSource) liveSource = createLiveSource();
+    return liveSource;
+}
+
+/**
+ * Capture the page the default source last loaded
+ * @returns {Promise<{html: string, screenshot: Buffer|null}|null>}
+ */
+async function captureSnapshot() {
+    return getDefaultSource().snapshot();
+}
+
+/**
+ * Close the shared Chrome, e.g. on shutdown
+ */
+async function closeBrowser() {
+    if (liveSource) await liveSource.shutdown();
+    liveSource = null;
+}
+
+/**
+ * Scrape migration projects from migrate.fun
+ * @param {Object} [source] - Where to read the page from (defaults to getDefaultSource())
+ * @returns {Promise<Array>} Array of migration objects
+ */
+async function scrape(source = getDefaultSource()) {
+    console.log(`[Scraper] Starting scrape (${source.name}) at ${new Date().toISOString()}`);
+
+    try {
+        const page = await source.load();
+
+        // Extract migration data, preferring the app's own data over the rendered DOM
+        const migrations = await extract(page);
+
+        // Keep the debug record so an empty page is still visible in the logs
+        if (migrations.length === 0) {
+            const bodyText = await page.getBodyText();
+            migrations.push({
+                id: 'page-content',
+                name: 'Page Content',
+                rawText: bodyText.substring(0, 2000),
+                debug: true,
+                scrapedAt: new Date().toISOString()
+            });
+        }
 
         console.log(`[Scraper] Found ${migrations.length} items`);
         return migrations;
@@ -121,54 +306,30 @@ async function scrape() {
         console.error('[Scraper] Error:', error.message);
         throw error;
     } finally {
-        if (browser) {
-            await browser.close();
-        }
+        await source.close();
     }
 }
 
 /**
- * Parse time string to minutes until migration
- * @param {string} timeText - Time string like "30m", "2h", "1:30:00"
- * @returns {number|null} Minutes until migration
+ * Read the details of one project from its page on migrate.fun
+ * @param {string} url - Project page URL
+ * @param {Object} [source] - Where to read the page from (defaults to getDefaultSource())
+ * @returns {Promise<Object|null>} See extractDetails()
  */
-function parseTimeToMinutes(timeText) {
-    if (!timeText) return null;
-
-    // Match patterns like "30m", "2h", "45s"
-    const shortMatch = timeText.match(/(\d+)\s*(h|m|s)/i);
-    if (shortMatch) {
-        const value = parseInt(shortMatch[1]);
-        const unit = shortMatch[2].toLowerCase();
-        switch (unit) {
-            case 'h': return value * 60;
-            case 'm': return value;
-            case 's': return Math.ceil(value / 60);
-        }
-    }
-
-    // Match patterns like "2 hours", "30 minutes"
-    const longMatch = timeText.match(/(\d+)\s*(hour|minute|second|day)/i);
-    if (longMatch) {
-        const value = parseInt(longMatch[1]);
-        const unit = longMatch[2].toLowerCase();
-        switch (unit) {
-            case 'day': return value * 24 * 60;
-            case 'hour': return value * 60;
-            case 'minute': return value;
-            case 'second': return Math.ceil(value / 60);
-        }
-    }
-
-    // Match HH:MM:SS format
-    const clockMatch = timeText.match(/(\d+):(\d+):?(\d+)?/);
-    if (clockMatch) {
-        const hours = parseInt(clockMatch[1]) || 0;
-        const minutes = parseInt(clockMatch[2]) || 0;
-        return hours * 60 + minutes;
-    }
+async function scrapeDetails(url, source = getDefaultSource()) {
+    const slug = projectSlug(url);
+    if (!slug) throw new Error(`Not a project page: ${url}`);
 
-    return null;
+    const scrapedAt = new Date().toISOString();
+    const page = await source.loadDetail(url);
+    return extractDetails(page, slug, scrapedAt);
 }
 
-module.exports = { scrape, parseTimeToMinutes, launchBrowser };
+module.exports = {
+    scrape,
+    scrapeDetails,
+    captureSnapshot,
+    closeBrowser,
+    createLiveSource,
+    createFileSource
+};
@@ -0,0 +1,182 @@
+/**
+ * Status server
+ * Small HTTP server exposing health, Prometheus metrics and the tracked
+ * migrations, so the bot itself can be monitored, and optionally the
+ * migrations as a calendar feed and Discord's interactions endpoint
+ */
+
+const http = require('http');
+const metrics = require('./metrics');
+
+// Interaction payloads are a few kilobytes; anything far larger is not from Discord
+const MAX_BODY_BYTES = 64 * 1024;
+
+let startedAt = Date.now();
+let lastSuccessAt = null;
+let lastError = null;
+
+const checksTotal = metrics.counter('migrate_fun_checks_total', 'Checks run, by result');
+const scrapeDuration = metrics.gauge('migrate_fun_scrape_duration_seconds', 'How long the latest scrape took');
+const scrapeItems = metrics.gauge('migrate_fun_scrape_items', 'Migrations found by the latest scrape');
+metrics.gauge('migrate_fun_last_success_timestamp_seconds', 'When a check last completed successfully (0 if never)',
+    () => (lastSuccessAt ? lastSuccessAt / 1000 : 0));
+
+/**
+ * Record the outcome of one check
+ * @param {Object} result
+ * @param {boolean} result.ok - Whether the check completed
+ * @param {number} [result.scrapeMs] - Scrape duration, if the scrape finished
+ * @param {number} [result.items] - Migrations found, if the scrape finished
+ * @param {Error} [result.error] - Why the check failed
+ */
+function recordCheck({ ok, scrapeMs, items, error }) {
+    checksTotal.inc({ result: ok ? 'success' : 'failure' });
+    if (scrapeMs !== undefined && scrapeMs !== null) scrapeDuration.set(scrapeMs / 1000);
+    if (items !== undefined && items !== null) scrapeItems.set(items);
+
+    if (ok) {
+        lastSuccessAt = Date.now();
+        lastError = null;
+    } else {
+        lastError = error ? error.message : 'unknown error';
+    }
+}
+
+/**
+ * Health of the bot, judged by how long ago a check last succeeded
+ *
+ * Until the first check completes the bot counts as starting, for up to
+ * maxAgeMinutes after startup.
+ *
+ * @param {number} maxAgeMinutes - Report unhealthy when the last success is older than this
+ * @param {number} [now] - Current time (ms since epoch)
+ * @returns {{status: 'ok'|'starting'|'stale', healthy: boolean, lastSuccessAt: string|null,
+ *   lastScrapeAgeSeconds: number|null, uptimeSeconds: number, lastError: string|null}}
+ */
+function getHealth(maxAgeMinutes, now = Date.now()) {
+    const maxAgeMs = maxAgeMinutes * 60000;
+    let status;
+    if (lastSuccessAt === null) {
+        status = now - startedAt <= maxAgeMs ? 'starting' : 'stale';
+    } else {
+        status = now - lastSuccessAt <= maxAgeMs ? 'ok' : 'stale';
+    }
+
+    return {
+        status,
+        healthy: status !== 'stale',
+        lastSuccessAt: lastSuccessAt ? new Date(lastSuccessAt).toISOString() : null,
+        lastScrapeAgeSeconds: lastSuccessAt ? Math.round((now - lastSuccessAt) / 1000) : null,
+        uptimeSeconds: Math.round((now - startedAt) / 1000),
+        lastError
+    };
+}
+
+/**
+ * Forget recorded checks and restart the uptime clock (for testing)
+ */
+function resetStatus() {
+    startedAt = Date.now();
+    lastSuccessAt = null;
+    lastError = null;
+}
+
+/**
+ * Send a JSON response
+ */
+function sendJson(res, statusCode, body) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body, null, 2));
+}
+
+/**
+ * Read a request body as text
+ * @returns {Promise<string|null>} The body, or null when it is over MAX_BODY_BYTES
+ */
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size <= MAX_BODY_BYTES) chunks.push(chunk);
+        });
+        req.on('end', () => resolve(size > MAX_BODY_BYTES ? null : Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Answer a POST to /interactions
+ */
+async function serveInteraction(req, res, handleInteraction) {
+    const body = await readBody(req);
+    if (body === null) {
+        sendJson(res, 413, { error: 'Request body too large' });
+        return;
+    }
+    const response = handleInteraction({ headers: req.headers, body });
+    sendJson(res, response.status, response.body);
+}
+
+/**
+ * Start the status server
+ * @param {Object} options
+ * @param {number} options.port - Port to listen on (0 picks a free one)
+ * @param {string} [options.host] - Interface to bind
+ * @param {number} options.maxAgeMinutes - See getHealth()
+ * @param {Function} options.getMigrations - Returns the tracked migrations for /migrations
+ * @param {Function} [options.getCalendar] - Returns the iCalendar feed for /calendar.ics; without it there is none
+ * @param {Function} [options.handleInteraction] - Answers Discord interactions POSTed to /interactions,
+ *   see interactions.createInteractionHandler(); without it there is no such endpoint
+ * @returns {Promise<http.Server>} The listening server
+ */
+function startStatusServer({ port, host = '0.0.0.0', maxAgeMinutes, getMigrations, getCalendar = null, handleInteraction = null }) {
+    const server = http.createServer((req, res) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+
+        if (pathname === '/interactions' && handleInteraction && req.method === 'POST') {
+            serveInteraction(req, res, handleInteraction).catch(error => {
+                console.error('[Status] Error answering an interaction:', error.message);
+                if (!res.headersSent) sendJson(res, 500, { error: error.message });
+            });
+            return;
+        }
+
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            sendJson(res, 405, { error: 'Method not allowed' });
+            return;
+        }
+
+        try {
+            if (pathname === '/healthz') {
+                const health = getHealth(maxAgeMinutes);
+                sendJson(res, health.healthy ? 200 : 503, health);
+            } else if (pathname === '/metrics') {
+                res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+                res.end(metrics.render());
+            } else if (pathname === '/migrations') {
+                sendJson(res, 200, { generatedAt: new Date().toISOString(), migrations: getMigrations() });
+            } else if (pathname === '/calendar.ics' && getCalendar) {
+                res.writeHead(200, { 'Content-Type': 'text/calendar; charset=utf-8', 'Content-Disposition': 'inline; filename="migrations.ics"' });
+                res.end(getCalendar());
+            } else {
+                sendJson(res, 404, { error: 'Not found' });
+            }
+        } catch (error) {
+            console.error(`[Status] Error serving ${pathname}:`, error.message);
+            sendJson(res, 500, { error: error.message });
+        }
+    });
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+            server.off('error', reject);
+            console.log(`[Status] Listening on http://${host}:${server.address().port}`);
+            resolve(server);
+        });
+    });
+}
+
+module.exports = { startStatusServer, recordCheck, getHealth, resetStatus };
@@ -0,0 +1,118 @@
+/**
+ * Tracking storage
+ * Opens the configured store and imports the legacy seen_migrations.json once
+ *
+ * Every store has the same interface:
+ *   load()                  -> {alerts, migrations, projects}
+ *   save(state)             replaces the stored state in one transaction
+ *   addEtaHistory(entry)    records an ETA reading {migrationId, observedAt, etaAt, rescheduled}
+ *   getEtaHistory(id)       -> readings for a migration, oldest first
+ *   getMeta(key) / setMeta(key, value)
+ *   transaction(fn)         runs fn atomically and returns its result
+ *   clear(), close()
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createSqliteStorage } = require('./sqlite');
+const { createMemoryStorage } = require('./memory');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', '..', 'data');
+
+const IMPORT_KEY = 'seen_file_imported_at';
+
+/**
+ * Turn the contents of seen_migrations.json into tracking state
+ * @returns {{alerts: Object, migrations: Object, projects: Object}|null} null if the file is not usable
+ */
+function parseSeenFile(content) {
+    const data = JSON.parse(content);
+    if (!data || typeof data !== 'object' || Array.isArray(data)) return null;
+
+    // Older versions stored a flat map of alert keys to timestamps
+    if (!data.alerts && !data.migrations) {
+        const valid = Object.values(data).every(value => typeof value === 'number');
+        return valid ? { alerts: data, migrations: {}, projects: {} } : null;
+    }
+
+    // Cards used to be Discord-only and kept a single message ID
+    const migrations = {};
+    for (const [id, record] of Object.entries(data.migrations || {})) {
+        const { messageId, ...rest } = record;
+        migrations[id] = messageId ? { ...rest, messages: { discord: messageId } } : rest;
+    }
+
+    return { alerts: data.alerts || {}, migrations, projects: data.projects || {} };
+}
+
+/**
+ * Copy an existing seen_migrations.json into a store, once
+ *
+ * State already in the store wins over the file. On success the file is
+ * renamed to `*.imported`; a file that cannot be read or parsed is left in
+ * place and the import is retried on the next start.
+ *
+ * @param {Object} storage - Store to import into
+ * @param {string} file - Path to seen_migrations.json
+ * @returns {boolean} Whether anything was imported
+ */
+function importSeenFile(storage, file) {
+    if (storage.getMeta(IMPORT_KEY) || !fs.existsSync(file)) return false;
+
+    let imported;
+    try {
+        imported = parseSeenFile(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        console.error(`[Storage] Cannot import ${file}, leaving it in place:`, error.message);
+        return false;
+    }
+    if (!imported) {
+        console.error(`[Storage] Cannot import ${file}, leaving it in place: unrecognised format`);
+        return false;
+    }
+
+    storage.transaction(() => {
+        const current = storage.load();
+        storage.save({
+            alerts: { ...imported.alerts, ...current.alerts },
+            migrations: { ...imported.migrations, ...current.migrations },
+            projects: { ...imported.projects, ...current.projects }
+        });
+        storage.setMeta(IMPORT_KEY, Date.now());
+    });
+
+    try {
+        fs.renameSync(file, `${file}.imported`);
+    } catch (error) {
+        console.warn(`[Storage] Imported ${file} but could not rename it:`, error.message);
+    }
+
+    console.log(`[Storage] Imported ${Object.keys(imported.alerts).length} alert(s) and ` +
+        `${Object.keys(imported.migrations).length} migration(s) from ${path.basename(file)}`);
+    return true;
+}
+
+/**
+ * Open the store selected by STORAGE ("sqlite" by default, or "memory")
+ * @param {Object} [options]
+ * @param {string} [options.kind] - Store type, overriding STORAGE
+ * @param {string} [options.dataDir] - Directory for the database and legacy file
+ * @returns {Object} Storage
+ */
+function openStorage(options = {}) {
+    const { kind = process.env.STORAGE || 'sqlite', dataDir = DATA_DIR } = options;
+
+    let storage;
+    if (kind === 'sqlite') {
+        storage = createSqliteStorage(path.join(dataDir, 'tracker.db'));
+    } else if (kind === 'memory') {
+        storage = createMemoryStorage();
+    } else {
+        throw new Error(`Unknown STORAGE "${kind}" (expected "sqlite" or "memory")`);
+    }
+
+    importSeenFile(storage, path.join(dataDir, 'seen_migrations.json'));
+    return storage;
+}
+
+module.exports = { openStorage, importSeenFile, createSqliteStorage, createMemoryStorage };
@@ -0,0 +1,66 @@
+/**
+ * In-memory storage
+ * Same interface as the SQLite store, for tests and throwaway runs; nothing
+ * survives a restart
+ */
+
+const clone = value => JSON.parse(JSON.stringify(value));
+
+/**
+ * Create an empty in-memory store
+ * @returns {Object} Storage (see storage/index.js)
+ */
+function createMemoryStorage() {
+    let state = { alerts: {}, migrations: {}, projects: {} };
+    let history = [];
+    let meta = {};
+
+    function load() {
+        return clone(state);
+    }
+
+    function save(next) {
+        state = clone(next);
+        history = history.filter(entry => state.migrations[entry.migrationId]);
+    }
+
+    function addEtaHistory({ migrationId, observedAt, etaAt, rescheduled = false }) {
+        history.push({ migrationId, observedAt, etaAt, rescheduled: !!rescheduled });
+    }
+
+    function getEtaHistory(migrationId) {
+        return history
+            .filter(entry => entry.migrationId === migrationId)
+            .map(({ observedAt, etaAt, rescheduled }) => ({ observedAt, etaAt, rescheduled }));
+    }
+
+    function getMeta(key) {
+        return key in meta ? meta[key] : null;
+    }
+
+    function setMeta(key, value) {
+        meta[key] = String(value);
+    }
+
+    // Roll back to a snapshot if fn throws, like a database transaction would
+    function transaction(fn) {
+        const snapshot = { state, history: [...history], meta: { ...meta } };
+        try {
+            return fn();
+        } catch (error) {
+            ({ state, history, meta } = snapshot);
+            throw error;
+        }
+    }
+
+    function clear() {
+        state = { alerts: {}, migrations: {}, projects: {} };
+        history = [];
+    }
+
+    function close() {}
+
+    return { kind: 'memory', load, save, addEtaHistory, getEtaHistory, getMeta, setMeta, transaction, clear, close };
+}
+
+module.exports = { createMemoryStorage };
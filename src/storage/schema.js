@@ -0,0 +1,86 @@
+/**
+ * SQLite schema
+ * Each entry upgrades the database by one version; the current version is
+ * kept in PRAGMA user_version. Never edit a shipped entry, append a new one.
+ */
+
+const MIGRATIONS = [
+    // 1: projects, per-migration ETA state, ETA history, sent alerts and bookkeeping
+    `
+    CREATE TABLE projects (
+        id TEXT PRIMARY KEY,
+        mints TEXT NOT NULL DEFAULT '[]',
+        slug TEXT,
+        ticker TEXT,
+        name TEXT,
+        display_name TEXT,
+        eta_at INTEGER,
+        first_seen_at INTEGER,
+        last_seen_at INTEGER
+    );
+
+    CREATE TABLE migrations (
+        id TEXT PRIMARY KEY,
+        name TEXT,
+        eta_at INTEGER,
+        first_seen_at INTEGER,
+        last_seen_at INTEGER,
+        rescheduled_at INTEGER,
+        message_id TEXT,
+        alert_tier TEXT,
+        live_at INTEGER
+    );
+
+    CREATE TABLE eta_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        migration_id TEXT NOT NULL,
+        observed_at INTEGER NOT NULL,
+        eta_at INTEGER NOT NULL,
+        rescheduled INTEGER NOT NULL DEFAULT 0
+    );
+    CREATE INDEX eta_history_migration ON eta_history (migration_id, observed_at);
+
+    CREATE TABLE sent_messages (
+        alert_key TEXT PRIMARY KEY,
+        sent_at INTEGER NOT NULL
+    );
+
+    CREATE TABLE meta (
+        key TEXT PRIMARY KEY,
+        value TEXT
+    );
+    `,
+
+    // 2: when a project was cancelled or taken off the page
+    `
+    ALTER TABLE projects ADD COLUMN removed_at INTEGER;
+    `,
+
+    // 3: alert card message IDs per notifier, as a JSON object; existing cards were all posted to Discord
+    `
+    ALTER TABLE migrations ADD COLUMN messages TEXT;
+    UPDATE migrations SET messages = json_object('discord', message_id) WHERE message_id IS NOT NULL;
+    ALTER TABLE migrations DROP COLUMN message_id;
+    `
+];
+
+/**
+ * Bring a database up to the latest schema version
+ * @param {Object} db - better-sqlite3 database
+ * @returns {number} The schema version after migrating
+ */
+function migrate(db) {
+    const current = db.pragma('user_version', { simple: true });
+
+    for (let version = current; version < MIGRATIONS.length; version++) {
+        db.transaction(() => {
+            db.exec(MIGRATIONS[version]);
+            db.pragma(`user_version = ${version + 1}`);
+        })();
+        console.log(`[Storage] Migrated database to schema version ${version + 1}`);
+    }
+
+    return Math.max(current, MIGRATIONS.length);
+}
+
+module.exports = { migrate, SCHEMA_VERSION: MIGRATIONS.length };
@@ -0,0 +1,168 @@
+/**
+ * SQLite storage
+ * Keeps tracking state in a single database file; every write happens in a
+ * transaction, so a crash or redeploy mid-write leaves the previous state intact
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { migrate } = require('./schema');
+
+/**
+ * Copy a row into an object, leaving out empty columns
+ */
+function compact(object) {
+    const result = {};
+    for (const [key, value] of Object.entries(object)) {
+        if (value !== null && value !== undefined) result[key] = value;
+    }
+    return result;
+}
+
+/**
+ * Open (creating if needed) a SQLite-backed store
+ * @param {string} file - Database file path
+ * @returns {Object} Storage (see storage/index.js)
+ */
+function createSqliteStorage(file) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+
+    const db = new Database(file);
+    db.pragma('journal_mode = WAL');
+    db.pragma('busy_timeout = 5000');
+    migrate(db);
+
+    const statements = {
+        projects: db.prepare('SELECT * FROM projects'),
+        migrations: db.prepare('SELECT * FROM migrations'),
+        alerts: db.prepare('SELECT alert_key, sent_at FROM sent_messages'),
+        insertProject: db.prepare(`
+            INSERT INTO projects (id, mints, slug, ticker, name, display_name, eta_at, first_seen_at, last_seen_at, removed_at)
+            VALUES (@id, @mints, @slug, @ticker, @name, @displayName, @etaAt, @firstSeenAt, @lastSeenAt, @removedAt)
+        `),
+        insertMigration: db.prepare(`
+            INSERT INTO migrations (id, name, eta_at, first_seen_at, last_seen_at, rescheduled_at, messages, alert_tier, live_at)
+            VALUES (@id, @name, @etaAt, @firstSeenAt, @lastSeenAt, @rescheduledAt, @messages, @alertTier, @liveAt)
+        `),
+        insertAlert: db.prepare('INSERT INTO sent_messages (alert_key, sent_at) VALUES (?, ?)'),
+        pruneHistory: db.prepare('DELETE FROM eta_history WHERE migration_id NOT IN (SELECT id FROM migrations)'),
+        insertHistory: db.prepare(`
+            INSERT INTO eta_history (migration_id, observed_at, eta_at, rescheduled)
+            VALUES (@migrationId, @observedAt, @etaAt, @rescheduled)
+        `),
+        history: db.prepare(`
+            SELECT observed_at AS observedAt, eta_at AS etaAt, rescheduled
+            FROM eta_history WHERE migration_id = ? ORDER BY observed_at, id
+        `),
+        getMeta: db.prepare('SELECT value FROM meta WHERE key = ?'),
+        setMeta: db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value')
+    };
+
+    function load() {
+        const state = { alerts: {}, migrations: {}, projects: {} };
+
+        for (const row of statements.alerts.all()) {
+            state.alerts[row.alert_key] = row.sent_at;
+        }
+        for (const row of statements.migrations.all()) {
+            state.migrations[row.id] = compact({
+                name: row.name,
+                etaAt: row.eta_at,
+                firstSeenAt: row.first_seen_at,
+                lastSeenAt: row.last_seen_at,
+                rescheduledAt: row.rescheduled_at,
+                messages: row.messages ? JSON.parse(row.messages) : null,
+                alertTier: row.alert_tier,
+                liveAt: row.live_at
+            });
+        }
+        for (const row of statements.projects.all()) {
+            state.projects[row.id] = compact({
+                id: row.id,
+                mints: JSON.parse(row.mints),
+                slug: row.slug,
+                ticker: row.ticker,
+                name: row.name,
+                displayName: row.display_name,
+                etaAt: row.eta_at,
+                firstSeenAt: row.first_seen_at,
+                lastSeenAt: row.last_seen_at,
+                removedAt: row.removed_at
+            });
+        }
+
+        return state;
+    }
+
+    const save = db.transaction(state => {
+        db.exec('DELETE FROM sent_messages; DELETE FROM migrations; DELETE FROM projects;');
+
+        for (const [key, sentAt] of Object.entries(state.alerts)) {
+            statements.insertAlert.run(key, sentAt);
+        }
+        for (const [id, record] of Object.entries(state.migrations)) {
+            statements.insertMigration.run({
+                id,
+                name: record.name ?? null,
+                etaAt: record.etaAt ?? null,
+                firstSeenAt: record.firstSeenAt ?? null,
+                lastSeenAt: record.lastSeenAt ?? null,
+                rescheduledAt: record.rescheduledAt ?? null,
+                messages: record.messages ? JSON.stringify(record.messages) : null,
+                alertTier: record.alertTier ?? null,
+                liveAt: record.liveAt ?? null
+            });
+        }
+        for (const [id, project] of Object.entries(state.projects)) {
+            statements.insertProject.run({
+                id,
+                mints: JSON.stringify(project.mints || []),
+                slug: project.slug ?? null,
+                ticker: project.ticker ?? null,
+                name: project.name ?? null,
+                displayName: project.displayName ?? null,
+                etaAt: project.etaAt ?? null,
+                firstSeenAt: project.firstSeenAt ?? null,
+                lastSeenAt: project.lastSeenAt ?? null,
+                removedAt: project.removedAt ?? null
+            });
+        }
+
+        // History is only kept for migrations still being tracked
+        statements.pruneHistory.run();
+    });
+
+    function addEtaHistory({ migrationId, observedAt, etaAt, rescheduled = false }) {
+        statements.insertHistory.run({ migrationId, observedAt, etaAt, rescheduled: rescheduled ? 1 : 0 });
+    }
+
+    function getEtaHistory(migrationId) {
+        return statements.history.all(migrationId).map(row => ({ ...row, rescheduled: row.rescheduled === 1 }));
+    }
+
+    function getMeta(key) {
+        const row = statements.getMeta.get(key);
+        return row ? row.value : null;
+    }
+
+    function setMeta(key, value) {
+        statements.setMeta.run(key, String(value));
+    }
+
+    function transaction(fn) {
+        return db.transaction(fn)();
+    }
+
+    function clear() {
+        db.exec('DELETE FROM sent_messages; DELETE FROM migrations; DELETE FROM projects; DELETE FROM eta_history;');
+    }
+
+    function close() {
+        if (db.open) db.close();
+    }
+
+    return { kind: 'sqlite', load, save, addEtaHistory, getEtaHistory, getMeta, setMeta, transaction, clear, close };
+}
+
+module.exports = { createSqliteStorage };
@@ -0,0 +1,209 @@
+/**
+ * Message templates
+ * Lets each community word and brand its Discord messages: per-event
+ * templates with {{variables}} override parts of the built-in embeds, with
+ * scraped text escaped and the result kept within Discord's limits
+ */
+
+// Discord's limits on a message and its embeds, in characters
+const DISCORD_LIMITS = {
+    content: 2000,
+    title: 256,
+    description: 4096,
+    fieldName: 256,
+    fieldValue: 1024,
+    fields: 25,
+    footer: 2048,
+    embed: 6000
+};
+
+const MIGRATION_VARIABLES = ['name', 'ticker', 'mint', 'oldMint', 'newMint', 'url', 'links', 'eta', 'timeUntil', 'tier', 'swapRatio', 'status'];
+
+// Events that can be templated, with the variables each one fills in
+const TEMPLATE_VARIABLES = {
+    tier: MIGRATION_VARIABLES,
+    live: MIGRATION_VARIABLES,
+    rescheduled: [...MIGRATION_VARIABLES, 'previousEta', 'shift'],
+    listed: MIGRATION_VARIABLES,
+    removed: [...MIGRATION_VARIABLES, 'reason'],
+    'tier-ping': MIGRATION_VARIABLES,
+    startup: ['checkInterval', 'threshold', 'tiers'],
+    error: ['error']
+};
+
+// Parts of the message each event's template may set; a tier ping is plain text
+const TEMPLATE_PARTS = ['content', 'title', 'description', 'color', 'footer', 'fields'];
+const TEMPLATE_PARTS_BY_EVENT = { 'tier-ping': ['content'] };
+
+const VARIABLE_PATTERN = /\{\{\s*([A-Za-z]+)\s*\}\}/g;
+
+/**
+ * Escape scraped text so Discord shows it as written: no formatting, links, mentions or line breaks
+ * @param {*} text
+ * @returns {string}
+ */
+function escapeMarkdown(text) {
+    return String(text ?? '').replace(/\s*[\r\n]+\s*/g, ' ').replace(/[\\*_~`|>[\]()<@#]/g, '\\$&');
+}
+
+/**
+ * Names of the variables a template text uses
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function templateVariables(text) {
+    return [...String(text).matchAll(VARIABLE_PATTERN)].map(match => match[1]);
+}
+
+/**
+ * Fill in a template text
+ * @param {string} text - Template, like "{{tier}} Migration: {{name}}"
+ * @param {Object} variables - Values by name; text from the page must already be escaped
+ * @returns {{text: string, missing: boolean}} `missing` when a variable it uses has no value
+ */
+function fillTemplate(text, variables) {
+    let missing = false;
+    const filled = String(text).replace(VARIABLE_PATTERN, (match, name) => {
+        const value = variables[name];
+        if (value === undefined || value === null || value === '') {
+            missing = true;
+            return '';
+        }
+        return String(value);
+    });
+    return { text: filled, missing };
+}
+
+/**
+ * Cut text to a length, marking the cut
+ *
+ * A cut never splits an escape in two, which would leave a lone backslash
+ * in front of the ellipsis.
+ */
+function truncate(text, limit) {
+    if (text.length <= limit) return text;
+    let kept = text.slice(0, limit - 1);
+    if (/(?:^|[^\\])(?:\\\\)*\\$/.test(kept)) kept = kept.slice(0, -1);
+    return `${kept}…`;
+}
+
+/**
+ * Apply an event's template to the built-in message
+ *
+ * Only the parts the template sets change. A field is left out when a
+ * variable in it has no value, so optional details disappear rather than
+ * showing up blank.
+ *
+ * @param {Object} payload - The built-in message, with at most one embed
+ * @param {Object|null} template - {content, title, description, color, footer, fields}
+ * @param {Object} variables - See fillTemplate()
+ * @param {Object} [options]
+ * @param {string} [options.footer] - Footer for every templated embed, unless the template sets its own
+ * @param {string} [options.mention] - Who to ping, kept in front of templated content
+ * @returns {Object} Message payload
+ */
+function applyTemplate(payload, template, variables, options = {}) {
+    const parts = template || {};
+    const fill = text => fillTemplate(text, variables).text.trim();
+    const result = { ...payload };
+
+    if (parts.content !== undefined) {
+        const content = [options.mention, fill(parts.content)].filter(Boolean).join(' ');
+        if (content) result.content = content;
+        else delete result.content;
+    }
+
+    if (result.embeds && result.embeds.length > 0) {
+        const embed = { ...result.embeds[0] };
+        if (parts.title !== undefined) embed.title = fill(parts.title);
+        if (parts.description !== undefined) embed.description = fill(parts.description);
+        if (parts.color !== undefined) embed.color = parts.color;
+
+        const footer = parts.footer !== undefined ? parts.footer : options.footer;
+        if (footer !== undefined) embed.footer = { text: fill(footer) };
+
+        if (parts.fields !== undefined) {
+            embed.fields = parts.fields
+                .map(field => ({ name: fillTemplate(field.name, variables), value: fillTemplate(field.value, variables), inline: !!field.inline }))
+                .filter(field => !field.name.missing && !field.value.missing && field.name.text.trim() && field.value.text.trim())
+                .map(field => ({ name: field.name.text.trim(), value: field.value.text.trim(), inline: field.inline }));
+        }
+
+        // Discord rejects empty parts, so drop them instead
+        for (const key of ['title', 'description']) {
+            if (embed[key] === '') delete embed[key];
+        }
+        if (embed.footer && !embed.footer.text) delete embed.footer;
+        result.embeds = [embed, ...result.embeds.slice(1)];
+    }
+
+    return result;
+}
+
+/**
+ * Trim a message to Discord's limits
+ *
+ * Each part is cut to its own limit, fields past the 25th are dropped, and an
+ * embed over the total is shortened from its description, then its last fields.
+ *
+ * @param {Object} payload - Message payload
+ * @returns {{payload: Object, trimmed: Array<string>}} The message, and which parts were cut
+ */
+function fitDiscordLimits(payload) {
+    const trimmed = [];
+    const cut = (text, limit, where) => {
+        if (typeof text !== 'string' || text.length <= limit) return text;
+        trimmed.push(where);
+        return truncate(text, limit);
+    };
+
+    const result = { ...payload };
+    if (result.content !== undefined) result.content = cut(result.content, DISCORD_LIMITS.content, 'content');
+
+    result.embeds = (payload.embeds || []).map((original, i) => {
+        const where = `embeds[${i}]`;
+        const embed = { ...original };
+        if (embed.title !== undefined) embed.title = cut(embed.title, DISCORD_LIMITS.title, `${where}.title`);
+        if (embed.description !== undefined) embed.description = cut(embed.description, DISCORD_LIMITS.description, `${where}.description`);
+        if (embed.footer) embed.footer = { ...embed.footer, text: cut(embed.footer.text, DISCORD_LIMITS.footer, `${where}.footer`) };
+
+        if (embed.fields) {
+            if (embed.fields.length > DISCORD_LIMITS.fields) trimmed.push(`${where}.fields`);
+            embed.fields = embed.fields.slice(0, DISCORD_LIMITS.fields).map((field, j) => ({
+                ...field,
+                name: cut(field.name, DISCORD_LIMITS.fieldName, `${where}.fields[${j}].name`),
+                value: cut(field.value, DISCORD_LIMITS.fieldValue, `${where}.fields[${j}].value`)
+            }));
+        }
+
+        const size = () => [embed.title, embed.description, embed.footer && embed.footer.text,
+            ...(embed.fields || []).flatMap(field => [field.name, field.value])].reduce((sum, text) => sum + (text ? text.length : 0), 0);
+        let excess = size() - DISCORD_LIMITS.embed;
+        if (excess > 0 && embed.description) {
+            embed.description = truncate(embed.description, Math.max(1, embed.description.length - excess));
+            trimmed.push(`${where}.description`);
+            excess = size() - DISCORD_LIMITS.embed;
+        }
+        while (excess > 0 && embed.fields && embed.fields.length > 0) {
+            embed.fields = embed.fields.slice(0, -1);
+            trimmed.push(`${where}.fields`);
+            excess = size() - DISCORD_LIMITS.embed;
+        }
+        return embed;
+    });
+    if (!payload.embeds) delete result.embeds;
+
+    return { payload: result, trimmed: [...new Set(trimmed)] };
+}
+
+module.exports = {
+    applyTemplate,
+    fillTemplate,
+    fitDiscordLimits,
+    escapeMarkdown,
+    templateVariables,
+    TEMPLATE_VARIABLES,
+    TEMPLATE_PARTS,
+    TEMPLATE_PARTS_BY_EVENT,
+    DISCORD_LIMITS
+};
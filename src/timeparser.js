@@ -0,0 +1,291 @@
+/**
+ * Countdown and date parsing
+ * Turns the time text migrate.fun shows on a project ("1h 30m", "02:04:10:00",
+ * "Oct 21, 14:00 UTC", "in 3 days", "Live") into an absolute ETA
+ */
+
+const MINUTE = 60000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const UNITS = [
+    { pattern: /^(?:w|wks?|weeks?)$/, ms: 7 * DAY },
+    { pattern: /^(?:d|days?)$/, ms: DAY },
+    { pattern: /^(?:h|hrs?|hours?)$/, ms: HOUR },
+    { pattern: /^(?:m|mins?|minutes?)$/, ms: MINUTE },
+    { pattern: /^(?:s|secs?|seconds?)$/, ms: 1000 }
+];
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Offsets (in minutes) for the zone abbreviations people actually write next to a launch time
+const ZONES = {
+    utc: 0, gmt: 0, z: 0,
+    est: -300, edt: -240, cst: -360, cdt: -300, mst: -420, mdt: -360, pst: -480, pdt: -420,
+    bst: 60, cet: 60, cest: 120, eet: 120, eest: 180,
+    ist: 330, sgt: 480, hkt: 480, jst: 540, kst: 540, aest: 600, aedt: 660
+};
+
+const STATES = [
+    { state: 'ended', pattern: /\b(?:ended|closed|completed|finished)\b/ },
+    { state: 'tba', pattern: /\b(?:tba|tbd|to be announced|coming soon)\b/ },
+    { state: 'live', pattern: /\b(?:live|live now|migrating|in progress|open now)\b/ }
+];
+
+// "Not live yet", "hasn't started": a migration still to come, whatever time follows
+const NOT_LIVE = /\b(?:not|isn'?t|hasn'?t|yet to)\s+(?:yet\s+)?(?:be\s+)?(?:live|open|opened|started|start|begun)\b/;
+// "Ends in 2h", "closes Oct 21": the countdown runs to the end of a migration already open
+const CLOSING = /\b(?:ends|ending|closes|closing)\b/;
+
+const DURATION_PART = /(\d+(?:\.\d+)?)\s*([a-z]+)/g;
+const CLOCK = /\b(\d{1,3}):(\d{2})(?::(\d{2}))?(?::(\d{2}))?\b/;
+const ISO_DATE = /\b(\d{4})-(\d{2})-(\d{2})(?:[t\s]+(\d{1,2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?/;
+const MONTH_FIRST = /\b([a-z]{3})[a-z]*\.?\s+(\d{1,2})(?:st|nd|rd|th)?\b(?:,?\s+(\d{4}))?/;
+const DAY_FIRST = /\b(\d{1,2})(?:st|nd|rd|th)?\s+([a-z]{3})[a-z]*\.?(?:,?\s+(\d{4}))?/;
+const WEEKDAY = /\b(sun|mon|tue|wed|thu|fri|sat)(?:day|s|sday|nesday|rs|rsday|urday)?\b\.?/;
+const NUMERIC_DATE = /\b(\d{1,2})\/(\d{1,2})(?:\/(\d{4}))?\b/;
+const TIME_OF_DAY = /\b(\d{1,2})(?::(\d{2}))?(?::(\d{2}))?\s*(am|pm)?(?=[^\d:]|$)/;
+const ZONE = /(?:\b(utc|gmt|[a-z]{3,4})\b\s*(?:([+-])(\d{1,2})(?::?(\d{2}))?)?|([+-])(\d{2}):?(\d{2})\b|(?<=\d)(z)\b)\s*$/;
+
+/**
+ * Result for text that names a state instead of a time
+ */
+function stateResult(state, text) {
+    return { state, etaAt: null, minutesUntil: null, confidence: 'high', kind: 'state', text };
+}
+
+/**
+ * Result for a resolved ETA
+ */
+function scheduled(etaAt, now, confidence, kind, text) {
+    return { state: 'scheduled', etaAt, minutesUntil: Math.round((etaAt - now) / MINUTE), confidence, kind, text };
+}
+
+/**
+ * Length of a compound duration ("2d 4h", "1 hour and 30 minutes"), or null
+ * @returns {{ms: number, smallest: number, leftover: boolean}|null}
+ */
+function parseDuration(lower) {
+    let ms = 0;
+    let smallest = Infinity;
+    let matched = false;
+    const rest = lower.replace(DURATION_PART, (whole, value, word) => {
+        const unit = UNITS.find(u => u.pattern.test(word));
+        if (!unit) return whole;
+        ms += parseFloat(value) * unit.ms;
+        smallest = Math.min(smallest, unit.ms);
+        matched = true;
+        return ' ';
+    });
+    if (!matched) return null;
+
+    const leftover = /\d/.test(rest.replace(/\b(?:in|and|left|remaining|starts?|starting|migration)\b|[,:]/g, ''));
+    return { ms, smallest, leftover };
+}
+
+/**
+ * Length of a D:HH:MM:SS, H:MM:SS or H:MM countdown clock, or null
+ * @returns {{ms: number, smallest: number}|null}
+ */
+function parseClock(lower) {
+    const match = lower.match(CLOCK);
+    if (!match) return null;
+
+    const parts = match.slice(1).filter(part => part !== undefined).map(Number);
+    if (parts.slice(1).some(part => part > 59)) return null;
+
+    // Two parts are hours and minutes, as the site never shows a bare MM:SS
+    const units = parts.length === 2 ? [HOUR, MINUTE] : [DAY, HOUR, MINUTE, 1000].slice(-parts.length);
+    return {
+        ms: parts.reduce((sum, value, i) => sum + value * units[i], 0),
+        smallest: units[units.length - 1]
+    };
+}
+
+/**
+ * UTC offset in minutes named at the end of the text, or null when there is none
+ */
+function parseZone(lower) {
+    const match = lower.match(ZONE);
+    if (!match) return null;
+
+    const [, name, sign, hours, minutes, bareSign, bareHours, bareMinutes, zulu] = match;
+    if (zulu) return 0;
+    if (bareSign) return (bareSign === '-' ? -1 : 1) * (Number(bareHours) * 60 + Number(bareMinutes));
+    if (!(name in ZONES)) return null;
+    const offset = sign ? (sign === '-' ? -1 : 1) * (Number(hours) * 60 + Number(minutes || 0)) : 0;
+    return ZONES[name] + offset;
+}
+
+/**
+ * Time of day written in the text ("14:00", "2:30:15", "2pm"), or null
+ * @returns {{hours: number, minutes: number, seconds: number}|null}
+ */
+function parseClockTime(text) {
+    if (!/\d:\d{2}|\d\s*[ap]m\b/.test(text)) return null;
+    const time = text.match(TIME_OF_DAY);
+    if (!time) return null;
+
+    let hours = Number(time[1]);
+    if (time[4] === 'pm' && hours < 12) hours += 12;
+    if (time[4] === 'am' && hours === 12) hours = 0;
+    return { hours, minutes: Number(time[2] || 0), seconds: Number(time[3] || 0) };
+}
+
+/**
+ * Calendar date and time of day in the text, as UTC fields, or null
+ */
+function parseCalendar(lower) {
+    const iso = lower.match(ISO_DATE);
+    if (iso) {
+        const [, year, month, day, hours = '0', minutes = '0', seconds = '0'] = iso;
+        return { year: Number(year), month: Number(month) - 1, day: Number(day), hours: Number(hours), minutes: Number(minutes), seconds: Number(seconds), timed: !!iso[4] };
+    }
+
+    let date = null;
+    let rest = lower;
+    const numeric = lower.match(NUMERIC_DATE);
+    const monthFirst = lower.match(MONTH_FIRST);
+    const dayFirst = lower.match(DAY_FIRST);
+    if (numeric) {
+        // Numeric dates are month first, as the site writes them
+        const [, month, day, year] = numeric.map(Number);
+        if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+        date = { month: month - 1, day, year: year || null };
+        rest = lower.replace(numeric[0], ' ');
+    } else if (monthFirst && MONTHS.includes(monthFirst[1])) {
+        date = { month: MONTHS.indexOf(monthFirst[1]), day: Number(monthFirst[2]), year: monthFirst[3] ? Number(monthFirst[3]) : null };
+        rest = lower.replace(monthFirst[0], ' ');
+    } else if (dayFirst && MONTHS.includes(dayFirst[2])) {
+        date = { month: MONTHS.indexOf(dayFirst[2]), day: Number(dayFirst[1]), year: dayFirst[3] ? Number(dayFirst[3]) : null };
+        rest = lower.replace(dayFirst[0], ' ');
+    }
+    if (!date) return null;
+
+    const time = parseClockTime(rest);
+    return { ...date, hours: 0, minutes: 0, seconds: 0, ...time, timed: !!time };
+}
+
+/**
+ * Absolute timestamp in the text ("Oct 21, 14:00 UTC", "10/21 14:00", "2026-10-21T14:00Z"), or null
+ *
+ * Text without a zone is read as UTC. A date without a year is its next
+ * occurrence: this year's, unless that was more than a day ago.
+ *
+ * @returns {{etaAt: number, zoned: boolean, timed: boolean}|null}
+ */
+function parseAbsolute(lower, now) {
+    const calendar = parseCalendar(lower);
+    if (!calendar) return null;
+
+    const zone = parseZone(lower);
+    const at = year => Date.UTC(year, calendar.month, calendar.day, calendar.hours, calendar.minutes, calendar.seconds) - (zone || 0) * MINUTE;
+
+    let etaAt = at(calendar.year || new Date(now).getUTCFullYear());
+    if (!calendar.year && etaAt < now - DAY) etaAt = at(new Date(now).getUTCFullYear() + 1);
+    if (isNaN(etaAt)) return null;
+    return { etaAt, zoned: zone !== null, timed: calendar.timed };
+}
+
+/**
+ * Weekday and time ("Mon 2pm UTC", "Friday 14:00"), as that weekday's next occurrence, or null
+ *
+ * Today's weekday stays today until its time is more than half a day gone,
+ * the same grace a bare time of day gets.
+ *
+ * @returns {{etaAt: number, zoned: boolean, timed: boolean}|null}
+ */
+function parseWeekday(lower, now) {
+    const weekday = lower.match(WEEKDAY);
+    if (!weekday) return null;
+
+    const zone = parseZone(lower);
+    const time = parseClockTime(lower.replace(weekday[0], ' '));
+    const today = new Date(now);
+    const days = (WEEKDAYS.indexOf(weekday[1]) - today.getUTCDay() + 7) % 7;
+    let etaAt = Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate() + days,
+        time ? time.hours : 0, time ? time.minutes : 0, time ? time.seconds : 0) - (zone || 0) * MINUTE;
+    if (etaAt < now - DAY / 2) etaAt += 7 * DAY;
+    return { etaAt, zoned: zone !== null, timed: !!time };
+}
+
+/**
+ * Time of day with an explicit zone ("14:00 UTC"), as its occurrence nearest to now, or null
+ */
+function parseTimeOfDay(lower, now) {
+    const zone = parseZone(lower);
+    const time = zone === null ? null : parseClockTime(lower);
+    if (!time) return null;
+
+    const today = new Date(now);
+    let etaAt = Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate(), time.hours, time.minutes, time.seconds) - zone * MINUTE;
+    while (etaAt < now - DAY / 2) etaAt += DAY;
+    while (etaAt > now + DAY / 2) etaAt -= DAY;
+    return etaAt;
+}
+
+/**
+ * Parse the time text shown for a project
+ *
+ * Confidence says how far the ETA can be trusted: 'exact' for timestamps
+ * with a zone and countdowns to the second, 'high' for countdowns to the
+ * minute, zoned times of day and zoned weekday times, 'medium' for hour-level
+ * countdowns and timestamps read as UTC, and 'low' for day-level countdowns,
+ * dates without a time or text with numbers left unexplained.
+ *
+ * Text that says the migration is closing ("Ends in 2h") is live, and text
+ * that says it is not live yet is never read as live.
+ *
+ * @param {string|null} text - Countdown, date or status text
+ * @param {Object} [options]
+ * @param {number} [options.now=Date.now()] - When the text was read (ms since epoch)
+ * @returns {{state: string, etaAt: number|null, minutesUntil: number|null, confidence: string|null, kind: string|null, text: string|null}}
+ *   state is 'scheduled', 'live', 'ended', 'tba' or 'unknown'; kind is
+ *   'duration', 'clock', 'absolute', 'time-of-day' or 'state'
+ */
+function parseTime(text, { now = Date.now() } = {}) {
+    const unknown = { state: 'unknown', etaAt: null, minutesUntil: null, confidence: null, kind: null, text: text || null };
+    if (typeof text !== 'string' || !text.trim()) return unknown;
+
+    const lower = text.trim().toLowerCase().replace(/\s+/g, ' ');
+
+    if (STATES[0].pattern.test(lower)) return stateResult('ended', text);
+    if (CLOSING.test(lower)) return stateResult('live', text);
+
+    const absolute = parseAbsolute(lower, now);
+    if (absolute) {
+        const confidence = !absolute.timed ? 'low' : absolute.zoned ? 'exact' : 'medium';
+        return scheduled(absolute.etaAt, now, confidence, 'absolute', text);
+    }
+
+    const weekday = parseWeekday(lower, now);
+    if (weekday) {
+        const confidence = !weekday.timed ? 'low' : weekday.zoned ? 'high' : 'medium';
+        return scheduled(weekday.etaAt, now, confidence, 'absolute', text);
+    }
+
+    const timeOfDay = parseTimeOfDay(lower, now);
+    if (timeOfDay !== null) return scheduled(timeOfDay, now, 'high', 'time-of-day', text);
+
+    // A date that could not be read must not leave its time of day to pass for a countdown
+    if (NUMERIC_DATE.test(lower)) return unknown;
+
+    const clock = parseClock(lower);
+    if (clock) return scheduled(now + clock.ms, now, clock.smallest === 1000 ? 'exact' : 'high', 'clock', text);
+
+    const duration = parseDuration(lower);
+    if (duration) {
+        const confidence = duration.leftover ? 'low' :
+            duration.smallest <= 1000 ? 'exact' :
+                duration.smallest <= MINUTE ? 'high' :
+                    duration.smallest <= HOUR ? 'medium' : 'low';
+        return scheduled(now + duration.ms, now, confidence, 'duration', text);
+    }
+
+    if (STATES[1].pattern.test(lower) || NOT_LIVE.test(lower)) return stateResult('tba', text);
+    if (STATES[2].pattern.test(lower)) return stateResult('live', text);
+    return unknown;
+}
+
+module.exports = { parseTime };
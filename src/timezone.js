@@ -0,0 +1,91 @@
+/**
+ * Time zone arithmetic
+ * Wall-clock times in IANA time zones, via Intl, for settings given as local
+ * times of day (quiet hours, digest times)
+ */
+
+// Building a formatter is far slower than using one
+const formatters = new Map();
+
+/**
+ * Wall-clock date and time of an instant in a time zone
+ * @param {number} ms - Milliseconds since epoch
+ * @param {string} timeZone - IANA time zone name
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number}}
+ */
+function zonedParts(ms, timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-GB', {
+            timeZone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23'
+        }));
+    }
+    const parts = formatters.get(timeZone).formatToParts(new Date(ms));
+    const value = type => Number(parts.find(part => part.type === type).value);
+    return { year: value('year'), month: value('month'), day: value('day'), hour: value('hour'), minute: value('minute') };
+}
+
+/**
+ * Minutes since midnight of an instant in a time zone
+ * @param {number} ms - Milliseconds since epoch
+ * @param {string} timeZone
+ */
+function minuteOfDay(ms, timeZone) {
+    const { hour, minute } = zonedParts(ms, timeZone);
+    return hour * 60 + minute;
+}
+
+/**
+ * The instant a wall-clock time occurs in a time zone
+ *
+ * A time skipped by a daylight-saving jump resolves to the same wall-clock
+ * distance past the jump, the way most schedulers treat it.
+ *
+ * @param {{year: number, month: number, day: number, hour: number, minute: number}} wallClock
+ * @param {string} timeZone
+ * @returns {number} Milliseconds since epoch
+ */
+function zonedTimeToUtc({ year, month, day, hour, minute }, timeZone) {
+    const target = Date.UTC(year, month - 1, day, hour, minute);
+    let guess = target;
+    // Two passes settle on the offset in force at the result, even across a DST change
+    for (let i = 0; i < 2; i++) {
+        const actual = zonedParts(guess, timeZone);
+        guess -= Date.UTC(actual.year, actual.month - 1, actual.day, actual.hour, actual.minute) - target;
+    }
+    return guess;
+}
+
+/**
+ * The next instant after `now` that falls on one of the given times of day
+ * @param {Array<number>} times - Minutes since midnight
+ * @param {string} timeZone
+ * @param {number} [now]
+ * @returns {number|null} Milliseconds since epoch, or null without times
+ */
+function nextTimeOfDay(times, timeZone, now = Date.now()) {
+    if (times.length === 0) return null;
+    const today = zonedParts(now, timeZone);
+
+    const candidates = [];
+    for (let offset = 0; offset <= 2; offset++) {
+        const date = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+        for (const time of times) {
+            candidates.push(zonedTimeToUtc({
+                year: date.getUTCFullYear(),
+                month: date.getUTCMonth() + 1,
+                day: date.getUTCDate(),
+                hour: Math.floor(time / 60),
+                minute: time % 60
+            }, timeZone));
+        }
+    }
+    return Math.min(...candidates.filter(at => at > now));
+}
+
+module.exports = { zonedParts, minuteOfDay, zonedTimeToUtc, nextTimeOfDay };
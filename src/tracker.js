@@ -3,122 +3,529 @@
  * Tracks seen migrations and determines when to send alerts
  */
 
-const fs = require('fs');
-const path = require('path');
+const { tierFor, DEFAULT_TIERS } = require('./config');
+const { resolveMigrations } = require('./resolver');
+const { openStorage, createMemoryStorage } = require('./storage');
 
-const DATA_DIR = path.join(__dirname, '..', 'data');
-const SEEN_FILE = path.join(DATA_DIR, 'seen_migrations.json');
+// Far-off countdowns are shown coarsely ("2 days"), so allow a share of the remaining time too
+const RESCHEDULE_TOLERANCE_RATIO = 0.1;
+
+// Weight given to a new reading when smoothing the stored ETA
+const ETA_SMOOTHING = 0.5;
+
+// Known projects are remembered this long after they were last seen
+const PROJECT_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+const PROJECTS_URL = 'https://migrate.fun/projects';
+
+// Project statuses on migrate.fun that mean the migration will not happen
+const CANCELLED_STATUS = /cancel/i;
+
+// Set once the first non-empty scrape has been recorded, so its projects are not announced as new
+const LISTING_BASELINE_KEY = 'listing_baseline_at';
+
+// Used when no routes are given: one unnamed destination that takes every alert
+const ALL_ROUTE = { name: null, accepts: () => true };
+
+let storage = null;
 
 /**
- * Ensure data directory exists
+ * The store holding tracking state, opened on first use
  */
-function ensureDataDir() {
-    if (!fs.existsSync(DATA_DIR)) {
-        fs.mkdirSync(DATA_DIR, { recursive: true });
-    }
+function getStorage() {
+    if (!storage) storage = openStorage();
+    return storage;
 }
 
 /**
- * Load seen migrations from file
+ * Replace the store (for tests and tools); closes the previous one
+ * @param {Object} next - Store from storage/index.js
+ */
+function useStorage(next) {
+    if (storage && storage !== next) storage.close();
+    storage = next;
+}
+
+/**
+ * Switch to an in-memory copy of the current tracking state
+ *
+ * Later calls see and change only the copy, so a dry run can go through the
+ * whole tracker without saving anything.
+ */
+function forkStorage() {
+    const source = getStorage();
+    const fork = createMemoryStorage();
+    fork.save(source.load());
+    const baseline = source.getMeta(LISTING_BASELINE_KEY);
+    if (baseline !== null) fork.setMeta(LISTING_BASELINE_KEY, baseline);
+    useStorage(fork);
+}
+
+/**
+ * Close the store, e.g. on shutdown
+ */
+function closeStorage() {
+    if (storage) storage.close();
+    storage = null;
+}
+
+/**
+ * Load tracking state
+ *
+ * Storage errors are thrown rather than treated as empty state, which would
+ * re-send every alert.
+ *
+ * @returns {{alerts: Object, migrations: Object, projects: Object}} Sent alert timestamps, per-migration
+ *   ETA state and the registry of known projects
  */
 function loadSeenMigrations() {
-    ensureDataDir();
-    try {
-        if (fs.existsSync(SEEN_FILE)) {
-            const data = fs.readFileSync(SEEN_FILE, 'utf8');
-            return JSON.parse(data);
-        }
-    } catch (error) {
-        console.error('[Tracker] Error loading seen migrations:', error.message);
-    }
-    return {};
+    return getStorage().load();
 }
 
 /**
- * Save seen migrations to file
+ * Fold a new ETA reading into the stored state for a migration
+ *
+ * Readings within tolerance of the stored ETA are smoothed into it; a larger
+ * jump replaces it and is reported as a reschedule.
+ *
+ * @param {Object|undefined} record - Stored state for this migration
+ * @param {number} observedEtaAt - ETA implied by the latest scrape (ms since epoch)
+ * @param {number} now - Current time (ms since epoch)
+ * @param {number} toleranceMinutes - ETA shifts smaller than this are countdown jitter
+ * @returns {{record: Object, rescheduled: boolean, previousEtaAt: number|null}}
  */
-function saveSeenMigrations(seen) {
-    ensureDataDir();
-    try {
-        fs.writeFileSync(SEEN_FILE, JSON.stringify(seen, null, 2));
-    } catch (error) {
-        console.error('[Tracker] Error saving seen migrations:', error.message);
+function updateEta(record, observedEtaAt, now, toleranceMinutes) {
+    if (!record || !record.etaAt) {
+        return {
+            record: { etaAt: observedEtaAt, firstSeenAt: now, lastSeenAt: now },
+            rescheduled: false,
+            previousEtaAt: null
+        };
+    }
+
+    const previousEtaAt = record.etaAt;
+    const minutesUntil = Math.max(0, (observedEtaAt - now) / 60000);
+    const toleranceMs = Math.max(toleranceMinutes, minutesUntil * RESCHEDULE_TOLERANCE_RATIO) * 60000;
+
+    // Once the ETA has passed the page keeps showing zero; that is not a new time
+    if (previousEtaAt <= now && observedEtaAt - now <= toleranceMs) {
+        return {
+            record: { ...record, lastSeenAt: now },
+            rescheduled: false,
+            previousEtaAt
+        };
+    }
+
+    if (Math.abs(observedEtaAt - previousEtaAt) > toleranceMs) {
+        return {
+            record: { ...record, etaAt: observedEtaAt, lastSeenAt: now, rescheduledAt: now },
+            rescheduled: true,
+            previousEtaAt
+        };
     }
+
+    const etaAt = Math.round(previousEtaAt + (observedEtaAt - previousEtaAt) * ETA_SMOOTHING);
+    return {
+        record: { ...record, etaAt, lastSeenAt: now },
+        rescheduled: false,
+        previousEtaAt
+    };
+}
+
+/**
+ * Whether a project's ETA has passed, going by the tracked ETA when there is one
+ */
+function hasStarted(record, project, now) {
+    const etaAt = record && record.etaAt ? record.etaAt : project.etaAt;
+    return !!etaAt && etaAt <= now;
+}
+
+/**
+ * Key recording that a destination was sent a tier alert for a migration
+ */
+function alertKey(route, id, tierName) {
+    return route.name ? `${route.name}:${id}_${tierName}` : `${id}_${tierName}`;
+}
+
+/**
+ * Whether an alert card for the migration has been delivered to any notifier
+ */
+function hasCard(record) {
+    return !!record && !!record.messages && Object.keys(record.messages).length > 0;
+}
+
+/**
+ * Alert for a project that was just listed (or relisted) on migrate.fun
+ */
+function listedAlert(migration, now, relisted) {
+    const known = migration.minutesUntil !== null && migration.minutesUntil !== undefined;
+    const scrapedAt = migration.scrapedAt ? Date.parse(migration.scrapedAt) || now : now;
+    return {
+        ...migration,
+        alertType: 'listed',
+        relisted,
+        minutesUntil: known ? Math.max(0, Math.round(migration.minutesUntil - (now - scrapedAt) / 60000)) : null,
+        etaAt: known ? scrapedAt + migration.minutesUntil * 60000 : null
+    };
+}
+
+/**
+ * Alert for a project that was cancelled or taken off migrate.fun before its ETA
+ * @param {Object|null} migration - The scraped record, when the project is still on the page
+ */
+function removedAlert(migration, record, project, reason) {
+    return {
+        address: project.mints[0] || null,
+        slug: project.slug,
+        ...migration,
+        id: project.id,
+        name: (migration && migration.name) || project.displayName || (record && record.name) || project.id,
+        alertType: 'removed',
+        reason,
+        etaAt: record && record.etaAt ? record.etaAt : project.etaAt,
+        messages: record && record.messages ? { ...record.messages } : {},
+        previousTier: record && record.alertTier ? record.alertTier : null
+    };
 }
 
 /**
  * Track which migrations we've already alerted about
  * Returns migrations that need alerts
- * 
+ *
+ * Each returned entry has an `alertType` of 'tier' (the migration entered a
+ * new alert tier), 'rescheduled' (its ETA moved beyond the tolerance since
+ * the previous scrape), 'live' (the ETA of a migration with an alert card
+ * has passed), 'listed' (a project appeared on migrate.fun, or came back
+ * after being removed; `relisted` tells which) or 'removed' (a project was
+ * cancelled or left the page before its ETA; `reason` is 'cancelled' or
+ * 'delisted'). Entries carry `messages`, the card's message ID per notifier
+ * as recorded with setAlertMessage(), and `previousTier` when the card
+ * already showed a different tier. Tier alerts are tracked per destination
+ * route: `routes` on 'tier' entries names the routes that are due one, and on
+ * 'rescheduled' entries the routes that accept the new tier.
+ *
  * @param {Array} migrations - All current migrations
- * @param {number} thresholdMinutes - Alert when within this many minutes
+ * @param {Object} [options] - Alert settings from the config
+ * @param {number} [options.thresholdMinutes] - Alert when within this many minutes
+ * @param {Array} [options.tiers] - Alert tiers sorted by threshold
+ * @param {number} [options.rescheduleToleranceMinutes] - ETA shifts smaller than this are jitter
+ * @param {number} [options.cleanupHours] - Forget alerts and migrations older than this
+ * @param {boolean} [options.listingAlerts] - Report projects being listed and removed
+ * @param {number} [options.removalGraceMinutes] - How long a project must be missing before it counts as removed
+ * @param {Array} [options.routes] - Destination routes from routes.js; by default one route takes everything
+ * @param {number} [options.now] - Current time (ms since epoch)
+ * @param {Object} [options.store] - Store to track in instead of the tracker's own, e.g. for a replay
  * @returns {Array} Migrations that need alerts
  */
-function getMigrationsToAlert(migrations, thresholdMinutes = 30) {
-    const seen = loadSeenMigrations();
-    const now = Date.now();
+function getMigrationsToAlert(migrations, options = {}) {
+    const store = options.store || getStorage();
+    return store.transaction(() => collectAlerts(store, migrations, options));
+}
+
+/**
+ * Body of getMigrationsToAlert(), run inside a storage transaction
+ */
+function collectAlerts(store, migrations, options) {
+    const {
+        tiers = DEFAULT_TIERS,
+        thresholdMinutes = Math.max(...tiers.filter(tier => Number.isFinite(tier.threshold)).map(tier => tier.threshold)),
+        rescheduleToleranceMinutes = 5,
+        cleanupHours = 24,
+        listingAlerts = true,
+        removalGraceMinutes = 15,
+        routes = [ALL_ROUTE],
+        now = Date.now()
+    } = options;
+    const seen = store.load();
     const toAlert = [];
 
-    for (const migration of migrations) {
-        // Skip debug/page content entries
-        if (migration.debug) continue;
+    // On the very first scrape every project is new; take it as the baseline instead of announcing the whole page
+    const knownIds = new Set(Object.keys(seen.projects));
+    const baselined = knownIds.size > 0 || !!store.getMeta(LISTING_BASELINE_KEY);
+
+    // Give each project a stable ID and merge duplicate records (skips debug/page content entries)
+    const resolved = resolveMigrations(migrations, seen.projects, now);
+    if (resolved.length > 0 && !baselined) store.setMeta(LISTING_BASELINE_KEY, now);
 
-        const id = migration.id || migration.address || migration.name;
-        if (!id) continue;
+    for (const migration of resolved) {
+        const id = migration.id;
+        const project = seen.projects[id];
 
-        const minutesUntil = migration.minutesUntil;
+        if (CANCELLED_STATUS.test(migration.status || '')) {
+            if (!project.removedAt && !hasStarted(seen.migrations[id], project, now)) {
+                project.removedAt = now;
+                if (listingAlerts && knownIds.has(id)) {
+                    toAlert.push(removedAlert(migration, seen.migrations[id], project, 'cancelled'));
+                }
+            }
+            continue;
+        }
+
+        if (project.removedAt) {
+            delete project.removedAt;
+            if (listingAlerts) toAlert.push(listedAlert(migration, now, true));
+        } else if (listingAlerts && baselined && !knownIds.has(id)) {
+            toAlert.push(listedAlert(migration, now, false));
+        }
 
         // Only alert if we know when the migration is happening
-        if (minutesUntil === null || minutesUntil === undefined) continue;
+        if (migration.minutesUntil === null || migration.minutesUntil === undefined) continue;
 
-        // Only alert if within threshold
-        if (minutesUntil > thresholdMinutes) continue;
+        // Convert the relative countdown into an absolute ETA anchored at scrape time
+        const scrapedAt = migration.scrapedAt ? Date.parse(migration.scrapedAt) || now : now;
+        const observedEtaAt = scrapedAt + migration.minutesUntil * 60000;
+
+        const { record, rescheduled, previousEtaAt } = updateEta(seen.migrations[id], observedEtaAt, now, rescheduleToleranceMinutes);
+        record.name = migration.name;
+        seen.migrations[id] = record;
+        store.addEtaHistory({ migrationId: id, observedAt: now, etaAt: observedEtaAt, rescheduled });
+
+        const minutesUntil = Math.max(0, Math.round((record.etaAt - now) / 60000));
+        const tier = tierFor(minutesUntil, tiers);
+        const alertTier = tier.name;
+        const card = { messages: { ...(record.messages || {}) }, previousTier: record.alertTier || null };
 
-        // Determine alert tier (we alert at different thresholds)
-        const alertTier = minutesUntil <= 5 ? 'imminent' :
-            minutesUntil <= 15 ? 'soon' :
-                minutesUntil <= 30 ? 'upcoming' : 'scheduled';
+        if (rescheduled) {
+            delete record.liveAt;
 
-        const alertKey = `${id}_${alertTier}`;
+            // Tier alerts sent for the old time no longer apply, on any route
+            for (const key of Object.keys(seen.alerts)) {
+                if (key.slice(key.indexOf(':') + 1).startsWith(`${id}_`)) delete seen.alerts[key];
+            }
 
-        // Check if we've already sent this tier of alert
-        if (seen[alertKey]) {
-            const lastAlert = seen[alertKey];
-            // Don't re-alert for the same tier within 10 minutes
-            if (now - lastAlert < 10 * 60 * 1000) continue;
+            // The reschedule alert already announces the new time, so it stands in for this tier
+            const accepting = routes.filter(route => route.accepts(migration, alertTier));
+            if (minutesUntil <= thresholdMinutes) {
+                for (const route of accepting) seen.alerts[alertKey(route, id, alertTier)] = now;
+            }
+
+            if (hasCard(record)) record.alertTier = alertTier;
+
+            toAlert.push({
+                ...migration,
+                ...card,
+                alertType: 'rescheduled',
+                alertTier,
+                minutesUntil,
+                etaAt: record.etaAt,
+                previousEtaAt,
+                routes: accepting.map(route => route.name)
+            });
+            continue;
+        }
+
+        if (record.etaAt <= now && hasCard(record)) {
+            if (!record.liveAt) {
+                record.liveAt = now;
+                toAlert.push({ ...migration, ...card, alertType: 'live', minutesUntil: 0, etaAt: record.etaAt });
+            }
+            continue;
         }
 
+        // Only alert if within threshold
+        if (minutesUntil > thresholdMinutes) continue;
+
+        // Each route keeps its own record of the tiers it was sent, so one route never suppresses another
+        const due = routes.filter(route => {
+            if (!route.accepts(migration, alertTier)) return false;
+            const lastAlert = seen.alerts[alertKey(route, id, alertTier)];
+            // Don't re-alert for the same tier within its cooldown
+            return !lastAlert || now - lastAlert >= tier.cooldownMinutes * 60 * 1000;
+        });
+        if (due.length === 0) continue;
+
         // Mark as seen
-        seen[alertKey] = now;
+        for (const route of due) seen.alerts[alertKey(route, id, alertTier)] = now;
+        record.alertTier = alertTier;
 
         toAlert.push({
             ...migration,
+            ...card,
+            alertType: 'tier',
             alertTier,
-            minutesUntil
+            minutesUntil,
+            etaAt: record.etaAt,
+            routes: due.map(route => route.name)
         });
     }
 
-    // Clean up old entries (older than 24 hours)
-    const oneDayAgo = now - 24 * 60 * 60 * 1000;
-    for (const key of Object.keys(seen)) {
-        if (seen[key] < oneDayAgo) {
-            delete seen[key];
+    const seenIds = new Set(resolved.map(m => m.id));
+
+    // Projects missing for longer than the grace period before their ETA were taken down.
+    // A scrape that found nothing at all is more likely broken than empty, so it removes nothing.
+    if (resolved.length > 0) {
+        for (const [id, project] of Object.entries(seen.projects)) {
+            if (seenIds.has(id) || project.removedAt || hasStarted(seen.migrations[id], project, now)) continue;
+            if (now - project.lastSeenAt < removalGraceMinutes * 60000) continue;
+            project.removedAt = now;
+            if (listingAlerts) toAlert.push(removedAlert(null, seen.migrations[id], project, 'delisted'));
         }
     }
 
-    saveSeenMigrations(seen);
+    // Close out cards for migrations that dropped off the page once they went live
+    for (const [id, record] of Object.entries(seen.migrations)) {
+        if (seenIds.has(id) || !hasCard(record) || record.liveAt || record.etaAt > now) continue;
+        if (seen.projects[id] && seen.projects[id].removedAt) continue;
+        record.liveAt = now;
+        toAlert.push({
+            id,
+            name: record.name,
+            messages: { ...record.messages },
+            previousTier: record.alertTier || null,
+            alertType: 'live',
+            minutesUntil: 0,
+            etaAt: record.etaAt
+        });
+    }
+
+    // Clean up old entries
+    const cutoff = now - cleanupHours * 60 * 60 * 1000;
+    for (const key of Object.keys(seen.alerts)) {
+        if (seen.alerts[key] < cutoff) {
+            delete seen.alerts[key];
+        }
+    }
+    for (const id of Object.keys(seen.migrations)) {
+        const record = seen.migrations[id];
+        if (record.lastSeenAt < cutoff || record.etaAt < cutoff) {
+            delete seen.migrations[id];
+        }
+    }
+    for (const id of Object.keys(seen.projects)) {
+        if (seen.projects[id].lastSeenAt < now - PROJECT_RETENTION_MS) {
+            delete seen.projects[id];
+        }
+    }
+
+    store.save(seen);
 
     return toAlert;
 }
 
+/**
+ * Remember the message holding a migration's alert card so later updates edit it
+ * @param {string} id - Migration ID
+ * @param {string|null} messageId - Message ID, or null when the notifier cannot edit messages
+ * @param {string} [notifier] - Name of the notifier the card was delivered to
+ * @param {Object} [store] - Store the migration is tracked in, if not the tracker's own
+ */
+function setAlertMessage(id, messageId, notifier = 'discord', store = getStorage()) {
+    store.transaction(() => {
+        const seen = store.load();
+        if (!seen.migrations[id]) return;
+        seen.migrations[id].messages = { ...seen.migrations[id].messages, [notifier]: messageId || null };
+        store.save(seen);
+    });
+}
+
+/**
+ * Tracked migrations with their current tier, soonest first
+ * @param {Array} [tiers] - Alert tiers sorted by threshold
+ * @param {number} [now] - Current time (ms since epoch)
+ * @param {Object} [store] - Store to read, if not the tracker's own
+ * @returns {Array<Object>}
+ */
+function getTrackedMigrations(tiers = DEFAULT_TIERS, now = Date.now(), store = getStorage()) {
+    const iso = ms => (ms ? new Date(ms).toISOString() : null);
+    const { migrations, projects } = store.load();
+
+    return Object.entries(migrations)
+        .sort(([, a], [, b]) => a.etaAt - b.etaAt)
+        .map(([id, record]) => {
+            const minutesUntil = Math.max(0, Math.round((record.etaAt - now) / 60000));
+            const project = projects[id] || { mints: [] };
+            return {
+                id,
+                name: record.name || null,
+                // Tickers are kept normalized for matching; shown upper case like on migrate.fun
+                ticker: project.ticker ? project.ticker.toUpperCase() : null,
+                address: project.mints[0] || null,
+                url: project.slug ? `${PROJECTS_URL}/${project.slug}` : null,
+                etaAt: iso(record.etaAt),
+                minutesUntil,
+                tier: tierFor(minutesUntil, tiers).name,
+                alertTier: record.alertTier || null,
+                messages: record.messages || {},
+                live: !!record.liveAt,
+                removed: !!project.removedAt,
+                removedAt: iso(project.removedAt),
+                firstSeenAt: iso(record.firstSeenAt),
+                lastSeenAt: iso(record.lastSeenAt),
+                rescheduledAt: iso(record.rescheduledAt)
+            };
+        });
+}
+
+/**
+ * How many migrations were alerted at each tier, over the alerts still remembered (see cleanupHours)
+ * @param {Array} [tiers] - Alert tiers
+ * @returns {Object<string, number>} Count by tier name; a migration alerted on several routes counts once
+ */
+function countSentAlerts(tiers = DEFAULT_TIERS) {
+    // Keys are [route:]id_tier, and tier names may themselves contain underscores
+    const sent = new Set(Object.keys(loadSeenMigrations().alerts).map(key => key.slice(key.indexOf(':') + 1)));
+    const counts = Object.fromEntries(tiers.map(tier => [tier.name, 0]));
+    for (const key of sent) {
+        const tier = tiers.find(tier => key.endsWith(`_${tier.name}`));
+        if (tier) counts[tier.name]++;
+    }
+    return counts;
+}
+
+/**
+ * ETA readings recorded for a migration, oldest first
+ * @param {string} id - Migration ID
+ * @returns {Array<{observedAt: number, etaAt: number, rescheduled: boolean}>}
+ */
+function getEtaHistory(id) {
+    return getStorage().getEtaHistory(id);
+}
+
+/**
+ * Forget a migration's ETA, alert card and sent alerts, so it is alerted again from scratch
+ *
+ * The project itself stays known, so it keeps its ID and is not announced as
+ * newly listed.
+ *
+ * @param {string} id - Migration ID
+ * @returns {boolean} Whether there was anything to forget
+ */
+function forgetMigration(id) {
+    const store = getStorage();
+    return store.transaction(() => {
+        const seen = store.load();
+        const keys = Object.keys(seen.alerts).filter(key => key.slice(key.indexOf(':') + 1).startsWith(`${id}_`));
+        if (!seen.migrations[id] && keys.length === 0) return false;
+
+        delete seen.migrations[id];
+        for (const key of keys) delete seen.alerts[key];
+        store.save(seen);
+        return true;
+    });
+}
+
 /**
  * Clear all tracking data (for testing)
  */
 function clearTracking() {
-    ensureDataDir();
-    if (fs.existsSync(SEEN_FILE)) {
-        fs.unlinkSync(SEEN_FILE);
-    }
+    const store = getStorage();
+    store.transaction(() => {
+        store.clear();
+        store.setMeta(LISTING_BASELINE_KEY, '');
+    });
 }
 
-module.exports = { getMigrationsToAlert, clearTracking, loadSeenMigrations };
+module.exports = {
+    getMigrationsToAlert,
+    setAlertMessage,
+    getTrackedMigrations,
+    countSentAlerts,
+    getEtaHistory,
+    forgetMigration,
+    clearTracking,
+    loadSeenMigrations,
+    getStorage,
+    useStorage,
+    forkStorage,
+    closeStorage
+};
@@ -0,0 +1,54 @@
+const { test, beforeEach, afterEach, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'migrate-fun-bot-'));
+
+const { createBot } = require('../src/bot');
+const { loadConfig } = require('../src/config');
+const { createMemoryStorage } = require('../src/storage');
+const { createDiscordNotifier } = require('../src/notifiers');
+const outbox = require('../src/outbox');
+const tracker = require('../src/tracker');
+const { startWebhookServer } = require('./helpers/webhook-server');
+
+const EMPTY = [{ id: 'page-content', name: 'Page Content', rawText: 'Something went wrong', debug: true }];
+
+let server;
+const originalLog = console.log;
+const originalWarn = console.warn;
+const originalError = console.error;
+
+beforeEach(async () => {
+    tracker.useStorage(createMemoryStorage());
+    server = await startWebhookServer((request, index) => ({ status: 200, body: { id: `message-${index + 1}` } }));
+    console.log = () => {};
+    console.warn = () => {};
+    console.error = () => {};
+});
+
+afterEach(async () => {
+    console.log = originalLog;
+    console.warn = originalWarn;
+    console.error = originalError;
+    await server.close();
+});
+
+after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+test('an ops alert flush saves the message of a card it delivers', async () => {
+    const config = loadConfig({ DISCORD_WEBHOOK_URL: 'https://discord.com/api/webhooks/1/abc', DIAGNOSIS_THRESHOLD: '1' });
+    const bot = createBot(config, { scrape: async () => EMPTY });
+    outbox.registerNotifier(createDiscordNotifier({ name: 'discord', webhookUrl: server.url }));
+
+    // A card left in the outbox by an earlier check
+    const [alert] = tracker.getMigrationsToAlert([{ id: 'cwh', name: 'Cat Wif Hat', ticker: 'CWH', minutesUntil: 10 }]);
+    outbox.enqueue('discord', { content: 'card' }, 'card', { key: `card:discord:${alert.id}` });
+
+    await bot.checkMigrations();
+
+    assert.deepStrictEqual(server.requests.map(request => request.body.content || request.body.embeds[0].title), ['card', '⚠️ Scraper degraded: no projects found']);
+    assert.deepStrictEqual(tracker.getTrackedMigrations(config.tiers)[0].messages, { discord: 'message-1' });
+});
@@ -0,0 +1,175 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const puppeteer = require('puppeteer');
+
+const { createBrowserSupervisor, launchBrowser } = require('../src/browser');
+const { createLiveSource, scrape } = require('../src/scraper');
+
+const URL = 'https://migrate.fun/projects';
+
+/**
+ * Stand-in for a Puppeteer page; `behaviour` controls how loads go
+ */
+function fakePage(behaviour) {
+    const page = new EventEmitter();
+    let url = 'about:blank';
+    let closed = false;
+
+    Object.assign(page, {
+        loads: [],
+        url: () => url,
+        isClosed: () => closed,
+        setUserAgent: async () => {},
+        goto: async target => {
+            page.loads.push('goto');
+            url = target;
+            await behaviour.load();
+        },
+        reload: async () => {
+            page.loads.push('reload');
+            await behaviour.load();
+        },
+        waitForFunction: async () => behaviour.content(),
+        waitForNetworkIdle: async () => {},
+        content: async () => '<html></html>',
+        evaluate: async () => [{ text: 'Cat Wif Hat\n$CWH\nStarts in 2h', href: '/projects/catwifhat-v2' }],
+        metrics: async () => ({ JSHeapUsedSize: behaviour.heapMb * 1024 * 1024 }),
+        close: () => { closed = true; }
+    });
+    return page;
+}
+
+/**
+ * Launcher that records every fake browser it starts
+ */
+function fakeLauncher(overrides = {}) {
+    const behaviour = { load: async () => {}, content: async () => true, heapMb: 50, ...overrides };
+    const browsers = [];
+
+    const launch = async () => {
+        const browser = new EventEmitter();
+        let connected = true;
+        Object.assign(browser, {
+            page: fakePage(behaviour),
+            closed: false,
+            newPage: async () => browser.page,
+            isConnected: () => connected,
+            close: async () => {
+                browser.closed = true;
+                connected = false;
+            },
+            crash: () => {
+                connected = false;
+                browser.emit('disconnected');
+            }
+        });
+        browsers.push(browser);
+        return browser;
+    };
+
+    return { launch, browsers, behaviour };
+}
+
+test('reuses one browser and reloads the page on later scrapes', async () => {
+    const { launch, browsers } = fakeLauncher();
+    const source = createLiveSource({ supervisor: createBrowserSupervisor({ launch }) });
+
+    const first = await scrape(source);
+    const second = await scrape(source);
+
+    assert.strictEqual(browsers.length, 1);
+    assert.deepStrictEqual(browsers[0].page.loads, ['goto', 'reload']);
+    assert.strictEqual(browsers[0].page.url(), URL);
+    assert.deepStrictEqual([first[0].ticker, second[0].ticker], ['CWH', 'CWH']);
+});
+
+test('relaunches the browser after a crash', async () => {
+    const { launch, browsers } = fakeLauncher();
+    const supervisor = createBrowserSupervisor({ launch });
+    const source = createLiveSource({ supervisor });
+
+    await scrape(source);
+    browsers[0].crash();
+    await scrape(source);
+
+    assert.strictEqual(browsers.length, 2);
+    assert.deepStrictEqual(browsers[1].page.loads, ['goto']);
+});
+
+test('restarts the browser after repeated failures', async () => {
+    let fail = true;
+    const { launch, browsers } = fakeLauncher({
+        load: async () => {
+            if (fail) throw new Error('net::ERR_CONNECTION_RESET');
+        }
+    });
+    const source = createLiveSource({ supervisor: createBrowserSupervisor({ launch, maxFailures: 2 }) });
+
+    await assert.rejects(scrape(source), /ERR_CONNECTION_RESET/);
+    assert.strictEqual(browsers[0].closed, false);
+    await assert.rejects(scrape(source), /ERR_CONNECTION_RESET/);
+    assert.strictEqual(browsers[0].closed, true);
+
+    fail = false;
+    await scrape(source);
+    assert.strictEqual(browsers.length, 2);
+});
+
+test('restarts the browser when a page load hangs', async () => {
+    const { launch, browsers } = fakeLauncher({ load: () => new Promise(() => {}) });
+    const source = createLiveSource({ supervisor: createBrowserSupervisor({ launch }), timeoutMs: 50 });
+
+    await assert.rejects(scrape(source), /Page load timed out/);
+    assert.strictEqual(browsers[0].closed, true);
+});
+
+test('restarts the browser when the page heap grows past the limit', async () => {
+    const { launch, browsers, behaviour } = fakeLauncher();
+    const source = createLiveSource({ supervisor: createBrowserSupervisor({ launch, maxHeapMb: 100 }) });
+
+    await scrape(source);
+    behaviour.heapMb = 150;
+    await scrape(source);
+
+    assert.strictEqual(browsers[0].closed, true);
+    assert.strictEqual(browsers.length, 2);
+});
+
+test('extracts what rendered when project content never appears', async () => {
+    const timeout = Object.assign(new Error('Waiting failed'), { name: 'TimeoutError' });
+    const { launch } = fakeLauncher({ content: async () => { throw timeout; } });
+    const source = createLiveSource({ supervisor: createBrowserSupervisor({ launch }) });
+
+    const records = await scrape(source);
+
+    assert.strictEqual(records[0].ticker, 'CWH');
+});
+
+test('shutdown closes the browser', async () => {
+    const { launch, browsers } = fakeLauncher();
+    const source = createLiveSource({ supervisor: createBrowserSupervisor({ launch }) });
+
+    await scrape(source);
+    await source.shutdown();
+
+    assert.strictEqual(browsers[0].closed, true);
+});
+
+test('launches Chrome without Puppeteer\'s signal handlers, leaving shutdown to the bot', async () => {
+    const originalLaunch = puppeteer.launch;
+    let options;
+    puppeteer.launch = async launchOptions => {
+        options = launchOptions;
+        return {};
+    };
+    try {
+        await launchBrowser();
+    } finally {
+        puppeteer.launch = originalLaunch;
+    }
+
+    assert.strictEqual(options.handleSIGINT, false);
+    assert.strictEqual(options.handleSIGTERM, false);
+    assert.strictEqual(options.handleSIGHUP, false);
+});
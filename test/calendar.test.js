@@ -0,0 +1,124 @@
+const { test, beforeEach, afterEach, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { buildCalendar, trackedCalendar, writeCalendar, foldLine } = require('../src/calendar');
+const { DEFAULT_TIERS } = require('../src/config');
+const { createMemoryStorage } = require('../src/storage');
+const tracker = require('../src/tracker');
+
+const START = Date.parse('2027-01-01T00:00:00.000Z');
+const MINT = 'QUfj4th7CRr3YCFRJ1p64oArrJKss8NCv9AYwmwHBfC4';
+const realNow = Date.now;
+let now;
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'migrate-fun-calendar-'));
+
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+function scraped(minutesUntil, extra = {}) {
+    return { slug: 'catwifhat-v2', name: 'Cat Wif Hat', ticker: 'CWH', address: MINT, minutesUntil, scrapedAt: new Date(now).toISOString(), ...extra };
+}
+
+/**
+ * Unfold a calendar into its content lines
+ */
+function contentLines(calendar) {
+    return calendar.replace(/\r\n /g, '').split('\r\n').filter(Boolean);
+}
+
+const property = (calendar, name) => contentLines(calendar).filter(line => line.startsWith(`${name}:`)).map(line => line.slice(name.length + 1));
+
+beforeEach(() => {
+    now = START;
+    Date.now = () => now;
+    tracker.useStorage(createMemoryStorage());
+});
+
+afterEach(() => {
+    Date.now = realNow;
+});
+
+test('renders one event per migration with links and a reminder per tier', () => {
+    const calendar = buildCalendar([{
+        id: 'p1',
+        name: 'Cat, Wif; Hat',
+        ticker: 'CWH',
+        address: MINT,
+        url: 'https://migrate.fun/projects/catwifhat-v2',
+        etaAt: Date.parse('2027-01-02T12:30:00Z'),
+        updatedAt: START,
+        sequence: 0
+    }], DEFAULT_TIERS);
+    const lines = contentLines(calendar);
+
+    assert.ok(calendar.endsWith('END:VCALENDAR\r\n'));
+    assert.ok(calendar.split('\r\n').every(line => Buffer.byteLength(line) <= 75), 'lines are folded at 75 octets');
+    assert.deepStrictEqual(lines.slice(0, 2), ['BEGIN:VCALENDAR', 'VERSION:2.0']);
+    assert.deepStrictEqual(property(calendar, 'UID'), ['p1@migrate-fun-bot']);
+    assert.deepStrictEqual(property(calendar, 'DTSTART'), ['20270102T123000Z']);
+    assert.deepStrictEqual(property(calendar, 'DTSTAMP'), ['20270101T000000Z']);
+    assert.deepStrictEqual(property(calendar, 'SUMMARY'), ['Migration: Cat\\, Wif\\; Hat ($CWH)']);
+    assert.deepStrictEqual(property(calendar, 'DESCRIPTION')[0].split('\\n'), [
+        'Migrate.fun: https://migrate.fun/projects/catwifhat-v2',
+        `Solscan: https://solscan.io/token/${MINT}`,
+        `Token: ${MINT}`
+    ]);
+    assert.deepStrictEqual(property(calendar, 'TRIGGER'), ['-PT5M', '-PT15M', '-PT30M']);
+});
+
+test('gives reminders for fractional tiers in whole seconds', () => {
+    const tiers = [{ ...DEFAULT_TIERS[0], threshold: 2.5 }, ...DEFAULT_TIERS.slice(1)];
+    const calendar = buildCalendar([{ id: 'p1', name: 'Cat Wif Hat', etaAt: START + 3600000, updatedAt: START, sequence: 0 }], tiers);
+
+    assert.deepStrictEqual(property(calendar, 'TRIGGER'), ['-PT150S', '-PT15M', '-PT30M']);
+});
+
+test('folds long lines without splitting a character', () => {
+    const line = `SUMMARY:${'🚀'.repeat(40)}`;
+    const folded = foldLine(line);
+
+    assert.ok(folded.split('\r\n').every(part => Buffer.byteLength(part) <= 75));
+    assert.strictEqual(folded.replace(/\r\n /g, ''), line);
+    assert.strictEqual(foldLine('VERSION:2.0'), 'VERSION:2.0');
+});
+
+test('keeps the UID and raises SEQUENCE when a migration is rescheduled or removed', () => {
+    tracker.getMigrationsToAlert([scraped(600)]);
+    const first = trackedCalendar(DEFAULT_TIERS);
+
+    now += 30 * 60000;
+    tracker.getMigrationsToAlert([scraped(570)]);
+    assert.strictEqual(trackedCalendar(DEFAULT_TIERS), first, 'an unchanged migration leaves the feed as it was');
+
+    now += 30 * 60000;
+    tracker.getMigrationsToAlert([scraped(720)]);
+    const moved = trackedCalendar(DEFAULT_TIERS);
+
+    assert.deepStrictEqual(property(moved, 'UID'), property(first, 'UID'));
+    assert.deepStrictEqual([property(first, 'SEQUENCE'), property(moved, 'SEQUENCE')], [['0'], ['1']]);
+    assert.deepStrictEqual(property(moved, 'DTSTART'), ['20270101T130000Z']);
+    assert.deepStrictEqual(property(moved, 'DTSTAMP'), ['20270101T010000Z']);
+
+    now += 30 * 60000;
+    tracker.getMigrationsToAlert([scraped(null, { slug: 'other', name: 'Other', ticker: 'OTH', address: null })], { removalGraceMinutes: 15 });
+    now += 30 * 60000;
+    tracker.getMigrationsToAlert([scraped(null, { slug: 'other', name: 'Other', ticker: 'OTH', address: null })], { removalGraceMinutes: 15 });
+    const removed = trackedCalendar(DEFAULT_TIERS);
+
+    assert.deepStrictEqual(property(removed, 'STATUS'), ['CANCELLED']);
+    assert.deepStrictEqual(property(removed, 'SEQUENCE'), ['2']);
+    assert.deepStrictEqual(property(removed, 'TRIGGER'), [], 'no reminders for a cancelled migration');
+});
+
+test('writes the feed atomically, and only when it changed', () => {
+    const file = path.join(tmp, 'feed', 'migrations.ics');
+    tracker.getMigrationsToAlert([scraped(600)]);
+
+    assert.strictEqual(writeCalendar(DEFAULT_TIERS, file), true);
+    assert.strictEqual(writeCalendar(DEFAULT_TIERS, file), false);
+    assert.match(fs.readFileSync(file, 'utf8'), /^BEGIN:VCALENDAR\r\n/);
+    assert.deepStrictEqual(fs.readdirSync(path.dirname(file)), ['migrations.ics']);
+});
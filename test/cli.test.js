@@ -0,0 +1,183 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+const { run, parseArgs } = require('../src/cli');
+const { createMemoryStorage } = require('../src/storage');
+const tracker = require('../src/tracker');
+const { startWebhookServer } = require('./helpers/webhook-server');
+
+const realNow = Date.now;
+const CWH_ETA = Date.parse('2027-01-01T00:00:00.000Z');
+
+let server;
+let output;
+let errors;
+let env;
+
+/**
+ * Run a command, capturing what it prints
+ */
+function cli(...argv) {
+    output = [];
+    errors = [];
+    return run(argv, { write: line => output.push(line), writeError: line => errors.push(line), env });
+}
+
+beforeEach(async () => {
+    tracker.useStorage(createMemoryStorage());
+    server = await startWebhookServer(() => ({ status: 200, body: 'ok' }));
+    env = { JSON_WEBHOOK_URL: server.url, JSON_WEBHOOK_SECRET: 'shh', LISTING_ALERTS: 'false' };
+    process.env.SCRAPE_SOURCE = path.join(__dirname, 'fixtures', 'projects-api.json');
+});
+
+afterEach(async () => {
+    Date.now = realNow;
+    delete process.env.SCRAPE_SOURCE;
+    await server.close();
+});
+
+test('parses positionals, switches and valued flags', () => {
+    assert.deepStrictEqual(parseArgs(['preview-alert', 'soon', '--to', 'alpha', '--post']), {
+        args: ['preview-alert', 'soon'],
+        flags: { to: 'alpha', post: true }
+    });
+    assert.deepStrictEqual(parseArgs(['--to=general']).flags, { to: 'general' });
+});
+
+test('scrape --json prints the normalized records', async () => {
+    assert.strictEqual(await cli('scrape', '--json'), 0);
+
+    const records = JSON.parse(output.join('\n'));
+    assert.deepStrictEqual(records.map(r => [r.ticker, r.timeState, r.timeConfidence]), [
+        ['CWH', 'scheduled', 'exact'],
+        ['ROCK', 'scheduled', 'exact']
+    ]);
+});
+
+test('check --dry-run lists the alerts without sending or saving them', async () => {
+    const stored = createMemoryStorage();
+    tracker.useStorage(stored);
+    Date.now = () => CWH_ETA - 10 * 60000;
+
+    assert.strictEqual(await cli('check', '--dry-run'), 0);
+
+    assert.deepStrictEqual(output, [
+        'Would send 1 message(s) for 1 alert(s):',
+        '  webhook: tier alert for Cat Wif Hat (webhook)'
+    ]);
+    assert.strictEqual(server.requests.length, 0);
+    assert.deepStrictEqual(stored.load().alerts, {}, 'stored state is left untouched');
+    assert.strictEqual(Object.keys(tracker.loadSeenMigrations().alerts).length, 1, 'the dry run tracked a copy');
+});
+
+test('check --dry-run pings the tier mention in a new card, and in a tier ping once the card exists', async () => {
+    Object.assign(env, { DISCORD_WEBHOOK_URL: 'https://discord.com/api/webhooks/1/abc', TIER_MENTIONS: 'soon=<@&42>,imminent=@here' });
+    Date.now = () => CWH_ETA - 10 * 60000;
+
+    await cli('check', '--dry-run', '--json');
+    const [card] = JSON.parse(output.join('\n')).messages.filter(m => m.target === 'discord');
+    assert.strictEqual(card.payload.content, '<@&42>');
+    assert.deepStrictEqual(card.payload.allowed_mentions, { parse: [], roles: ['42'] });
+
+    // Carry the card over from the first run, as if it had been posted
+    tracker.setAlertMessage(Object.keys(tracker.loadSeenMigrations().migrations)[0], 'card-1', 'discord');
+    Date.now = () => CWH_ETA - 3 * 60000;
+    await cli('check', '--dry-run', '--json');
+    const messages = JSON.parse(output.join('\n')).messages.filter(m => m.target === 'discord');
+    assert.deepStrictEqual(messages.map(m => m.editsMessage), ['card-1', null]);
+    assert.strictEqual(messages[0].payload.content, undefined, 'edits never ping, so the card carries no mention');
+    assert.match(messages[1].payload.content, /^@here \*\*Cat Wif Hat\*\* migration is now IMMINENT/);
+    assert.deepStrictEqual(messages[1].payload.allowed_mentions, { parse: ['everyone'] });
+});
+
+test('preview-alert prints each destination payload, or posts it', async () => {
+    assert.strictEqual(await cli('preview-alert', 'imminent'), 0);
+    assert.strictEqual(output[0], '# webhook (webhook)');
+    assert.strictEqual(JSON.parse(output[1]).title, '🚨 IMMINENT Migration: Sample Token');
+
+    assert.strictEqual(await cli('preview-alert', 'startup'), 0);
+    assert.strictEqual(JSON.parse(output[1]).event, 'startup');
+
+    assert.strictEqual(await cli('preview-alert', 'rescheduled', '--post'), 0);
+    assert.deepStrictEqual(output, ['✓ Posted rescheduled preview to webhook']);
+    assert.strictEqual(server.requests[0].body.event, 'rescheduled');
+
+    assert.strictEqual(await cli('preview-alert', 'whenever'), 2);
+    assert.match(errors[0], /preview-alert needs one of: imminent, soon, upcoming, scheduled, live, rescheduled, listed, removed/);
+});
+
+test('digest prints what each destination would get, or posts it', async () => {
+    tracker.getMigrationsToAlert([{ id: 'cwh', name: 'Cat Wif Hat', ticker: 'CWH', minutesUntil: 600 }]);
+
+    assert.strictEqual(await cli('digest'), 0);
+    assert.strictEqual(output[0], '# webhook (webhook)');
+    assert.deepStrictEqual(JSON.parse(output[1]).data.migrations.map(m => m.name), ['Cat Wif Hat']);
+
+    assert.strictEqual(await cli('digest', '--post'), 0);
+    assert.deepStrictEqual(output, ['✓ Posted the digest to webhook']);
+    assert.strictEqual(server.requests[0].body.event, 'digest');
+});
+
+test('replay prints the alerts each recorded check raised', async () => {
+    const session = path.join(__dirname, 'fixtures', 'sessions', 'cwh-rescheduled.jsonl');
+
+    assert.strictEqual(await cli('replay', session), 0);
+    assert.strictEqual(output[0], 'Replayed 13 check(s); 6 raised alerts:');
+    assert.deepStrictEqual(output.slice(1, 3), [
+        '2027-01-01T11:30:00.000Z  tier upcoming for Cat Wif Hat',
+        '  webhook: tier alert for Cat Wif Hat (webhook) (posts message replay-1)'
+    ]);
+    assert.strictEqual(server.requests.length, 0, 'nothing is sent');
+
+    assert.strictEqual(await cli('replay', session, '--json'), 0);
+    assert.strictEqual(JSON.parse(output[0]).length, 13);
+
+    assert.strictEqual(await cli('replay', path.join(__dirname, 'fixtures', 'projects-api.json')), 1);
+    assert.match(output[0], /is not (valid JSON|a recorded session)/);
+    assert.strictEqual(await cli('replay'), 2);
+    assert.match(errors[0], /replay needs a session file/);
+});
+
+test('tracker list, forget and clear manage tracking state', async () => {
+    tracker.getMigrationsToAlert([{ id: 'cwh', name: 'Cat Wif Hat', ticker: 'CWH', minutesUntil: 10 }]);
+    const [id] = Object.keys(tracker.loadSeenMigrations().migrations);
+
+    assert.strictEqual(await cli('tracker', 'list'), 0);
+    const [header, row] = output[0].split('\n');
+    assert.match(header, /^ID\s+NAME\s+TIER\s+IN\s+ETA\s+CARDS$/);
+    assert.match(row, new RegExp(`^${id}\\s+Cat Wif Hat\\s+soon\\s+10 min\\s+\\S+\\s+-$`));
+
+    assert.strictEqual(await cli('tracker', 'forget', id), 0);
+    assert.deepStrictEqual(tracker.loadSeenMigrations().migrations, {});
+    assert.deepStrictEqual(tracker.loadSeenMigrations().alerts, {});
+    assert.strictEqual(await cli('tracker', 'forget', id), 1);
+
+    assert.strictEqual(await cli('tracker', 'clear'), 2);
+    assert.match(errors[0], /pass --yes to confirm/);
+    assert.strictEqual(await cli('tracker', 'clear', '--yes'), 0);
+    assert.deepStrictEqual(tracker.loadSeenMigrations().projects, {});
+});
+
+test('test-webhook reports each destination and fails if one is unreachable', async () => {
+    assert.strictEqual(await cli('test-webhook'), 0);
+    assert.deepStrictEqual(output, ['✓ webhook (webhook)']);
+    assert.strictEqual(server.requests[0].body.event, 'test');
+    assert.deepStrictEqual(server.requests[0].body.data, { destination: 'webhook' });
+
+    env.JSON_WEBHOOK_URL = 'http://127.0.0.1:9/unreachable';
+    assert.strictEqual(await cli('test-webhook', 'webhook'), 1);
+    assert.match(output[0], /^✗ webhook \(webhook\): .*Please check your JSON_WEBHOOK_URL$/);
+
+    assert.strictEqual(await cli('test-webhook', 'nowhere'), 2);
+    assert.match(errors[0], /Unknown destination "nowhere" \(configured: webhook\)/);
+});
+
+test('reports unknown commands and bad configuration', async () => {
+    assert.strictEqual(await cli('launch'), 2);
+    assert.match(errors[0], /Unknown command "launch"[\s\S]*Usage: migrate-fun-bot/);
+
+    env = {};
+    assert.strictEqual(await cli('test-webhook'), 1);
+    assert.match(errors[0], /^ERROR: Invalid configuration:[\s\S]*DISCORD_WEBHOOK_URL is required/);
+});
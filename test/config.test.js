@@ -0,0 +1,460 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { loadConfig, tierFor, ConfigError, DEFAULT_TIERS } = require('../src/config');
+
+const WEBHOOK = 'https://discord.com/api/webhooks/123456/abc-DEF_ghi';
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'migrate-fun-config-'));
+
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+function writeConfig(name, content) {
+    const dir = fs.mkdtempSync(path.join(tmp, 'case-'));
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, content);
+    return file;
+}
+
+function configErrors(env) {
+    try {
+        loadConfig(env);
+    } catch (error) {
+        assert.ok(error instanceof ConfigError);
+        return error.errors;
+    }
+    assert.fail('expected a ConfigError');
+}
+
+test('defaults match the original tiers', () => {
+    const config = loadConfig({ DISCORD_WEBHOOK_URL: WEBHOOK });
+
+    assert.strictEqual(config.webhookUrl, WEBHOOK);
+    assert.strictEqual(config.checkIntervalMinutes, 5);
+    assert.strictEqual(config.alertThresholdMinutes, 30);
+    assert.strictEqual(config.cleanupHours, 24);
+    assert.deepStrictEqual(config.tiers.map(t => [t.name, t.threshold]), [['imminent', 5], ['soon', 15], ['upcoming', 30], ['scheduled', Infinity]]);
+});
+
+test('reads numeric settings from the environment', () => {
+    const config = loadConfig({
+        DISCORD_WEBHOOK_URL: WEBHOOK,
+        CHECK_INTERVAL_MINUTES: '2',
+        ALERT_THRESHOLD_MINUTES: '60',
+        TIER_CHANGE_PING: 'true'
+    });
+
+    assert.strictEqual(config.checkIntervalMinutes, 2);
+    assert.strictEqual(config.alertThresholdMinutes, 60);
+    assert.strictEqual(config.tierChangePing, true);
+});
+
+test('reads listing alert settings', () => {
+    const defaults = loadConfig({ DISCORD_WEBHOOK_URL: WEBHOOK });
+    const custom = loadConfig({ DISCORD_WEBHOOK_URL: WEBHOOK, LISTING_ALERTS: 'false', REMOVAL_GRACE_MINUTES: '60' });
+
+    assert.strictEqual(defaults.listingAlerts, true);
+    assert.strictEqual(defaults.removalGraceMinutes, 15);
+    assert.strictEqual(custom.listingAlerts, false);
+    assert.strictEqual(custom.removalGraceMinutes, 60);
+    assert.match(configErrors({ DISCORD_WEBHOOK_URL: WEBHOOK, REMOVAL_GRACE_MINUTES: '-1' })[0], /REMOVAL_GRACE_MINUTES/);
+});
+
+test('reads switches as true/false, 1/0 or yes/no and rejects anything else', () => {
+    for (const [value, expected] of [['yes', true], ['1', true], ['TRUE', true], ['No', false], ['0', false], ['false', false]]) {
+        assert.strictEqual(loadConfig({ DISCORD_WEBHOOK_URL: WEBHOOK, LISTING_ALERTS: value }).listingAlerts, expected, value);
+    }
+    assert.deepStrictEqual(configErrors({ DISCORD_WEBHOOK_URL: WEBHOOK, LISTING_ALERTS: 'on', TIER_CHANGE_PING: 'y' }), [
+        'TIER_CHANGE_PING must be true or false (or 1/0, yes/no), not "y"',
+        'LISTING_ALERTS must be true or false (or 1/0, yes/no), not "on"'
+    ]);
+});
+
+test('reads ops alert settings', () => {
+    const ops = 'https://discord.com/api/webhooks/999/ops-token';
+    const config = loadConfig({ DISCORD_WEBHOOK_URL: WEBHOOK, OPS_WEBHOOK_URL: ops, DIAGNOSIS_THRESHOLD: '5' });
+
+    assert.strictEqual(config.opsWebhookUrl, ops);
+    assert.strictEqual(config.diagnosisThreshold, 5);
+    assert.strictEqual(config.opsAlertCooldownMinutes, 60);
+    assert.strictEqual(loadConfig({ DISCORD_WEBHOOK_URL: WEBHOOK }).opsWebhookUrl, null);
+    assert.deepStrictEqual(configErrors({ DISCORD_WEBHOOK_URL: WEBHOOK, OPS_WEBHOOK_URL: 'https://example.com/hook', DIAGNOSIS_THRESHOLD: '0' }), [
+        'OPS_WEBHOOK_URL must look like https://discord.com/api/webhooks/<id>/<token>',
+        'DIAGNOSIS_THRESHOLD must be a whole number of checks, 1 or more'
+    ]);
+});
+
+test('serves status on STATUS_PORT, falling back to PORT', () => {
+    const defaults = loadConfig({ DISCORD_WEBHOOK_URL: WEBHOOK, CHECK_INTERVAL_MINUTES: '2' });
+    const railway = loadConfig({ DISCORD_WEBHOOK_URL: WEBHOOK, PORT: '8080' });
+    const explicit = loadConfig({ DISCORD_WEBHOOK_URL: WEBHOOK, PORT: '8080', STATUS_PORT: '9090', HEALTH_MAX_AGE_MINUTES: '30' });
+
+    assert.strictEqual(defaults.statusPort, null);
+    assert.strictEqual(defaults.healthMaxAgeMinutes, 6);
+    assert.strictEqual(railway.statusPort, 8080);
+    assert.strictEqual(explicit.statusPort, 9090);
+    assert.strictEqual(explicit.healthMaxAgeMinutes, 30);
+    assert.match(configErrors({ DISCORD_WEBHOOK_URL: WEBHOOK, STATUS_PORT: '70000' })[0], /STATUS_PORT must be a port number/);
+});
+
+test('reads scheduling settings', () => {
+    const defaults = loadConfig({ DISCORD_WEBHOOK_URL: WEBHOOK });
+    const custom = loadConfig({ DISCORD_WEBHOOK_URL: WEBHOOK, FAST_POLL_WITHIN_MINUTES: '0', FAST_POLL_INTERVAL_SECONDS: '30', CHECK_JITTER_SECONDS: '5' });
+
+    assert.deepStrictEqual(
+        [defaults.fastPollWithinMinutes, defaults.fastPollSeconds, defaults.checkJitterSeconds, defaults.shutdownTimeoutSeconds],
+        [10, 60, 15, 30]
+    );
+    assert.deepStrictEqual([custom.fastPollWithinMinutes, custom.fastPollSeconds, custom.checkJitterSeconds], [0, 30, 5]);
+    assert.deepStrictEqual(configErrors({ DISCORD_WEBHOOK_URL: WEBHOOK, FAST_POLL_INTERVAL_SECONDS: '5', SHUTDOWN_TIMEOUT_SECONDS: '0' }), [
+        'FAST_POLL_INTERVAL_SECONDS must be at least 10',
+        'SHUTDOWN_TIMEOUT_SECONDS must be a positive number'
+    ]);
+});
+
+test('reads project detail settings', () => {
+    const defaults = loadConfig({ DISCORD_WEBHOOK_URL: WEBHOOK });
+    const custom = loadConfig({ DISCORD_WEBHOOK_URL: WEBHOOK, DETAIL_CACHE_MINUTES: '180', DETAIL_FETCH_LIMIT: '0' });
+
+    assert.deepStrictEqual([defaults.detailCacheMinutes, defaults.detailFetchLimit], [60, 5]);
+    assert.deepStrictEqual([custom.detailCacheMinutes, custom.detailFetchLimit], [180, 0]);
+    assert.deepStrictEqual(configErrors({ DISCORD_WEBHOOK_URL: WEBHOOK, DETAIL_CACHE_MINUTES: '0', DETAIL_FETCH_LIMIT: '2.5' }), [
+        'DETAIL_CACHE_MINUTES must be a positive number',
+        'DETAIL_FETCH_LIMIT must be a whole number, 0 or more'
+    ]);
+});
+
+test('reads tier mentions, quiet hours and the mention limit', () => {
+    const defaults = loadConfig({ DISCORD_WEBHOOK_URL: WEBHOOK });
+    assert.deepStrictEqual(
+        [defaults.mentions, defaults.quietHours, defaults.quietHoursTimeZone, defaults.mentionLimit, defaults.mentionWindowMinutes],
+        [{}, null, 'UTC', 3, 60]
+    );
+
+    const config = loadConfig({
+        DISCORD_WEBHOOK_URL: WEBHOOK,
+        TIER_MENTIONS: 'Upcoming=<@&123>, imminent=@here <@&456>',
+        QUIET_HOURS: '22:30-07:00',
+        QUIET_HOURS_TIMEZONE: 'Europe/Berlin',
+        MENTION_LIMIT: '0',
+        DESTINATIONS: JSON.stringify([{ name: 'partners', type: 'discord', webhookUrl: WEBHOOK, mentions: { soon: '<@789>' } }])
+    });
+    assert.deepStrictEqual(config.mentions, { upcoming: '<@&123>', imminent: '@here <@&456>' });
+    assert.deepStrictEqual(config.quietHours, { start: 22 * 60 + 30, end: 7 * 60 });
+    assert.strictEqual(config.quietHoursTimeZone, 'Europe/Berlin');
+    assert.strictEqual(config.mentionLimit, 0);
+    assert.deepStrictEqual(config.destinations[1].mentions, { soon: '<@789>' });
+
+    const file = writeConfig('mentions.yaml', 'mentions:\n  imminent: "@everyone"\nquietHours: "09:00-17:00"\n');
+    assert.deepStrictEqual(loadConfig({ DISCORD_WEBHOOK_URL: WEBHOOK, CONFIG_FILE: file }).mentions, { imminent: '@everyone' });
+});
+
+test('rejects bad mentions and quiet hours', () => {
+    assert.deepStrictEqual(configErrors({
+        DISCORD_WEBHOOK_URL: WEBHOOK,
+        TIER_MENTIONS: 'someday=@here,soon=@Migrations',
+        QUIET_HOURS: '22-7',
+        QUIET_HOURS_TIMEZONE: 'Mars/Olympus',
+        MENTION_WINDOW_MINUTES: '0'
+    }), [
+        'TIER_MENTIONS: unknown tier "someday"',
+        'TIER_MENTIONS: the mention for soon must be @here, @everyone, <@&role id> or <@user id>',
+        'QUIET_HOURS must look like 22:00-07:00',
+        'QUIET_HOURS_TIMEZONE "Mars/Olympus" is not a known time zone, like Europe/Berlin or UTC',
+        'MENTION_WINDOW_MINUTES must be a positive number'
+    ]);
+    assert.deepStrictEqual(configErrors({ DISCORD_WEBHOOK_URL: WEBHOOK, QUIET_HOURS: '07:00-07:00' }), [
+        'QUIET_HOURS must start and end at different times'
+    ]);
+});
+
+test('reads the digest times, time zone and window', () => {
+    const defaults = loadConfig({ DISCORD_WEBHOOK_URL: WEBHOOK });
+    assert.deepStrictEqual([defaults.digestTimes, defaults.digestTimeZone, defaults.digestHours], [[], 'UTC', 24]);
+
+    const config = loadConfig({ DISCORD_WEBHOOK_URL: WEBHOOK, DIGEST_TIMES: '21:00, 9:00,09:00', DIGEST_TIMEZONE: 'America/New_York', DIGEST_HOURS: '48' });
+    assert.deepStrictEqual([config.digestTimes, config.digestTimeZone, config.digestHours], [[9 * 60, 21 * 60], 'America/New_York', 48]);
+
+    const file = writeConfig('digest.yaml', 'digestTimes: ["08:30"]\ndestinations:\n  - {name: alerts, type: discord, webhookUrl: "' + WEBHOOK + '", digest: false}\n');
+    const fromFile = loadConfig({ CONFIG_FILE: file });
+    assert.deepStrictEqual(fromFile.digestTimes, [8 * 60 + 30]);
+    assert.strictEqual(fromFile.destinations[0].digest, false);
+
+    assert.deepStrictEqual(configErrors({
+        DISCORD_WEBHOOK_URL: WEBHOOK,
+        DIGEST_TIMES: '09:00,9pm',
+        DIGEST_TIMEZONE: 'Nowhere',
+        DIGEST_HOURS: '0',
+        DESTINATIONS: JSON.stringify([{ name: 'alerts', type: 'discord', webhookUrl: WEBHOOK, digest: 'no' }])
+    }), [
+        'DIGEST_TIMES: "9pm" must be a time of day like 09:00',
+        'destinations[0] (alerts): digest must be true or false',
+        'DIGEST_TIMEZONE "Nowhere" is not a known time zone, like Europe/Berlin or UTC',
+        'DIGEST_HOURS must be a positive number of hours, at most 168'
+    ]);
+});
+
+test('reads message templates and lets a Discord destination replace them event by event', () => {
+    const file = writeConfig('templates.json', JSON.stringify({
+        templates: {
+            footer: 'Acme Migrations',
+            tier: { title: '{{tier}} {{name}}', color: '#112233', fields: [{ name: 'When', value: '{{eta}}', inline: true }] },
+            live: { description: '{{name}} is live' }
+        },
+        destinations: [
+            { name: 'de', type: 'discord', webhookUrl: WEBHOOK, templates: { tier: { title: '{{tier}} Migration von {{name}}' } } }
+        ]
+    }));
+
+    const config = loadConfig({ CONFIG_FILE: file, DISCORD_WEBHOOK_URL: WEBHOOK });
+    const [main, de] = config.destinations;
+
+    assert.deepStrictEqual(main.templates.tier, { title: '{{tier}} {{name}}', color: 0x112233, fields: [{ name: 'When', value: '{{eta}}', inline: true }] });
+    assert.deepStrictEqual(de.templates.tier, { title: '{{tier}} Migration von {{name}}' });
+    assert.deepStrictEqual([de.templates.footer, de.templates.live], ['Acme Migrations', { description: '{{name}} is live' }]);
+});
+
+test('rejects templates Discord could not show or the bot cannot fill in', () => {
+    const file = writeConfig('bad-templates.json', JSON.stringify({
+        templates: {
+            footer: 'By {{name}}',
+            digest: { title: 'Digest' },
+            tier: { title: '{{tier}} {{nmae}}', heading: 'x', description: 'x'.repeat(4097), color: 'red', fields: [{ name: 'No value' }] },
+            'tier-ping': { title: 'Pings have no embed' }
+        },
+        destinations: [{ name: 'ops', type: 'slack', webhookUrl: 'https://hooks.slack.com/services/T/B/x', templates: {} }]
+    }));
+
+    assert.deepStrictEqual(configErrors({ CONFIG_FILE: file, DISCORD_WEBHOOK_URL: WEBHOOK }), [
+        'templates.footer: unknown variable {{name}} (none are available here)',
+        'templates: unknown event "digest" (templates exist for tier, live, rescheduled, listed, removed, tier-ping, startup, error)',
+        'templates.tier.title: unknown variable {{nmae}} (available: name, ticker, mint, oldMint, newMint, url, links, eta, timeUntil, tier, swapRatio, status)',
+        'templates.tier: unknown part "heading" (use content, title, description, color, footer, fields)',
+        'templates.tier.description is longer than Discord allows (4096 characters)',
+        'templates.tier.color must be a number or "#RRGGBB"',
+        'templates.tier.fields[0] needs a name and a value',
+        'templates.tier-ping: unknown part "title" (use content)',
+        'destinations[0] (ops): templates only apply to Discord destinations'
+    ]);
+});
+
+test('takes the Discord public key for interactions only with the status server', () => {
+    const key = 'a'.repeat(64);
+    assert.strictEqual(loadConfig({ DISCORD_WEBHOOK_URL: WEBHOOK }).discordPublicKey, null);
+    assert.strictEqual(loadConfig({ DISCORD_WEBHOOK_URL: WEBHOOK, DISCORD_PUBLIC_KEY: key, STATUS_PORT: '8080' }).discordPublicKey, key);
+
+    assert.deepStrictEqual(configErrors({ DISCORD_WEBHOOK_URL: WEBHOOK, DISCORD_PUBLIC_KEY: key }), [
+        'DISCORD_PUBLIC_KEY needs the status server for /interactions; set STATUS_PORT (or PORT)'
+    ]);
+    assert.deepStrictEqual(configErrors({ DISCORD_WEBHOOK_URL: WEBHOOK, DISCORD_PUBLIC_KEY: 'not-a-key', STATUS_PORT: '8080' }), [
+        'DISCORD_PUBLIC_KEY must be the public key of your Discord application: 64 hex characters'
+    ]);
+});
+
+test('writes the calendar feed by default and serves it only with the status server', () => {
+    const defaults = loadConfig({ DISCORD_WEBHOOK_URL: WEBHOOK });
+    assert.deepStrictEqual([defaults.calendarFeed, defaults.calendarFile, defaults.serveCalendar], [true, null, false]);
+
+    const config = loadConfig({ DISCORD_WEBHOOK_URL: WEBHOOK, CALENDAR_FILE: '/srv/www/migrations.ics', SERVE_CALENDAR: 'true', STATUS_PORT: '8080' });
+    assert.deepStrictEqual([config.calendarFile, config.serveCalendar], ['/srv/www/migrations.ics', true]);
+
+    assert.deepStrictEqual(configErrors({ DISCORD_WEBHOOK_URL: WEBHOOK, SERVE_CALENDAR: 'true' }), [
+        'SERVE_CALENDAR needs the status server; set STATUS_PORT (or PORT)'
+    ]);
+});
+
+test('loads tiers from a YAML file and sorts them', () => {
+    const file = writeConfig('config.yaml', [
+        'alertThresholdMinutes: 120',
+        'tiers:',
+        '  - { name: later, threshold: 120, color: "#00FF00", label: "📅 LATER", cooldownMinutes: 60 }',
+        '  - { name: now, threshold: 3, color: 16711680, label: "🚨 NOW" }'
+    ].join('\n'));
+
+    const config = loadConfig({ DISCORD_WEBHOOK_URL: WEBHOOK, CONFIG_FILE: file });
+
+    assert.strictEqual(config.alertThresholdMinutes, 120);
+    assert.deepStrictEqual(config.tiers, [
+        { name: 'now', threshold: 3, color: 0xFF0000, label: '🚨 NOW', cooldownMinutes: 10 },
+        { name: 'later', threshold: 120, color: 0x00FF00, label: '📅 LATER', cooldownMinutes: 60 },
+        { name: 'scheduled', threshold: Infinity, color: 0x00FF00, label: '📅 SCHEDULED', cooldownMinutes: 10 }
+    ]);
+});
+
+test('environment variables override the JSON file', () => {
+    const file = writeConfig('config.json', JSON.stringify({ webhookUrl: WEBHOOK, checkIntervalMinutes: 10, cleanupHours: 48 }));
+
+    const config = loadConfig({ CONFIG_FILE: file, CHECK_INTERVAL_MINUTES: '1' });
+
+    assert.strictEqual(config.webhookUrl, WEBHOOK);
+    assert.strictEqual(config.checkIntervalMinutes, 1);
+    assert.strictEqual(config.cleanupHours, 48);
+});
+
+test('ALERT_TIERS replaces the tier list', () => {
+    const config = loadConfig({
+        DISCORD_WEBHOOK_URL: WEBHOOK,
+        ALERT_TIERS: JSON.stringify([{ name: 'only', threshold: 10, color: '#123456', label: 'ONLY' }])
+    });
+
+    assert.deepStrictEqual(config.tiers.map(t => t.name), ['only', 'scheduled']);
+    assert.strictEqual(config.alertThresholdMinutes, 10);
+});
+
+test('tunes the scheduled tier through the tier list', () => {
+    const config = loadConfig({
+        DISCORD_WEBHOOK_URL: WEBHOOK,
+        ALERT_THRESHOLD_MINUTES: '120',
+        ALERT_TIERS: JSON.stringify([
+            { name: 'scheduled', label: '🗓️ LATER', cooldownMinutes: 60 },
+            { name: 'soon', threshold: 10, color: '#123456', label: 'SOON' }
+        ])
+    });
+
+    assert.deepStrictEqual(config.tiers[1], { name: 'scheduled', threshold: Infinity, color: 0x00FF00, label: '🗓️ LATER', cooldownMinutes: 60 });
+    assert.strictEqual(tierFor(90, config.tiers).label, '🗓️ LATER');
+    assert.strictEqual(config.alertThresholdMinutes, 120);
+
+    assert.deepStrictEqual(configErrors({
+        DISCORD_WEBHOOK_URL: WEBHOOK,
+        ALERT_THRESHOLD_MINUTES: '60',
+        ALERT_TIERS: JSON.stringify([{ name: 'scheduled', threshold: 60, color: 'green', cooldownMinutes: -1 }])
+    }), [
+        'tiers[0] (scheduled): the scheduled tier covers everything past the other tiers, so it takes no threshold',
+        'tiers[0] (scheduled): color must be a number or "#RRGGBB"',
+        'tiers[0] (scheduled): cooldownMinutes must be zero or more',
+        'tiers must include at least one tier with a threshold'
+    ]);
+});
+
+test('rejects a missing or malformed webhook URL', () => {
+    assert.deepStrictEqual(configErrors({}), [
+        'DISCORD_WEBHOOK_URL is required unless SLACK_WEBHOOK_URL, TELEGRAM_BOT_TOKEN, JSON_WEBHOOK_URL or destinations are set'
+    ]);
+    assert.match(configErrors({ DISCORD_WEBHOOK_URL: 'https://example.com/hook' })[0], /must look like/);
+});
+
+test('enables a notifier for each service configured', () => {
+    const config = loadConfig({
+        SLACK_WEBHOOK_URL: 'https://hooks.slack.com/services/T000/B000/XXXX',
+        TELEGRAM_BOT_TOKEN: '123456:ABC-def',
+        TELEGRAM_CHAT_ID: '-100123',
+        JSON_WEBHOOK_URL: 'https://example.com/hooks/migrations',
+        JSON_WEBHOOK_SECRET: 'shh'
+    });
+
+    assert.strictEqual(config.webhookUrl, null);
+    assert.deepStrictEqual(config.destinations.map(n => n.type), ['slack', 'telegram', 'webhook']);
+    assert.deepStrictEqual(config.destinations[1], { type: 'telegram', name: 'telegram', botToken: '123456:ABC-def', chatId: '-100123' });
+    assert.deepStrictEqual(loadConfig({ DISCORD_WEBHOOK_URL: WEBHOOK }).destinations, [
+        { type: 'discord', name: 'discord', webhookUrl: WEBHOOK }
+    ]);
+});
+
+test('adds named destinations with routing filters', () => {
+    const config = loadConfig({
+        DISCORD_WEBHOOK_URL: WEBHOOK,
+        DESTINATIONS: JSON.stringify([
+            { name: 'general', type: 'discord', webhookUrl: WEBHOOK, tiers: ['IMMINENT'], listings: false },
+            { name: 'whales', type: 'telegram', botToken: '123:ABC', chatId: -100123, allow: ['CWH'], namePattern: '^cat', deny: ['SCAM'] }
+        ])
+    });
+
+    assert.deepStrictEqual(config.destinations.map(d => d.name), ['discord', 'general', 'whales']);
+    assert.deepStrictEqual(config.destinations[1], {
+        type: 'discord', name: 'general', webhookUrl: WEBHOOK, tiers: ['imminent'], allow: [], deny: [], listings: false, digest: true
+    });
+    assert.strictEqual(config.destinations[2].chatId, '-100123');
+    assert.strictEqual(config.destinations[2].namePattern, '^cat');
+});
+
+test('rejects invalid or duplicate destinations', () => {
+    const errors = configErrors({
+        DISCORD_WEBHOOK_URL: WEBHOOK,
+        DESTINATIONS: JSON.stringify([
+            { name: 'discord', type: 'discord', webhookUrl: WEBHOOK },
+            { name: 'pager', type: 'pager' },
+            { name: 'vip', type: 'slack', webhookUrl: 'https://example.com', tiers: ['urgent'], allow: 'CWH', namePattern: '(' }
+        ])
+    });
+
+    assert.match(errors.splice(4, 1)[0], /^destinations\[2\] \(vip\): namePattern is not a valid regular expression/);
+    assert.deepStrictEqual(errors, [
+        'destinations[1] (pager): type must be one of discord, slack, telegram, webhook',
+        'destinations[2] (vip): webhookUrl must look like https://hooks.slack.com/services/...',
+        'destinations[2] (vip): unknown tier(s) urgent',
+        'destinations[2] (vip): allow must be a list of tickers, mints, slugs or names',
+        'destination name "discord" is used more than once'
+    ]);
+    assert.match(configErrors({ DESTINATIONS: '{oops' })[0], /DESTINATIONS is not valid JSON/);
+});
+
+test('rejects incomplete or malformed notifier settings', () => {
+    assert.deepStrictEqual(configErrors({
+        SLACK_WEBHOOK_URL: 'https://example.com/slack',
+        TELEGRAM_BOT_TOKEN: '123456:ABC',
+        JSON_WEBHOOK_URL: 'https://example.com/hooks/migrations'
+    }), [
+        'SLACK_WEBHOOK_URL must look like https://hooks.slack.com/services/...',
+        'TELEGRAM_CHAT_ID is required with TELEGRAM_BOT_TOKEN',
+        'JSON_WEBHOOK_SECRET is required with JSON_WEBHOOK_URL, to sign each request'
+    ]);
+    assert.deepStrictEqual(configErrors({ TELEGRAM_CHAT_ID: '42' }), ['TELEGRAM_BOT_TOKEN must look like <bot id>:<secret>']);
+});
+
+test('rejects overlapping and invalid tiers with every problem listed', () => {
+    const errors = configErrors({
+        DISCORD_WEBHOOK_URL: WEBHOOK,
+        ALERT_TIERS: JSON.stringify([
+            { name: 'a', threshold: 5, color: '#FF0000', label: 'A' },
+            { name: 'b', threshold: 5, color: 'red', label: '' },
+            { name: 'a', threshold: -1, color: 1, label: 'C', cooldownMinutes: -5 }
+        ])
+    });
+
+    assert.deepStrictEqual(errors, [
+        'tiers[1] (b): color must be a number or "#RRGGBB"',
+        'tiers[1] (b): label is required',
+        'tiers[2] (a): threshold must be a positive number of minutes',
+        'tiers[2] (a): cooldownMinutes must be zero or more',
+        'tiers "a" and "b" overlap: both end at 5 minutes',
+        'tier name "a" is used more than once'
+    ]);
+});
+
+test('rejects bad numbers and unparseable input', () => {
+    const errors = configErrors({ DISCORD_WEBHOOK_URL: WEBHOOK, CHECK_INTERVAL_MINUTES: '0', ALERT_TIERS: '[oops' });
+
+    assert.match(errors[0], /ALERT_TIERS is not valid JSON/);
+    assert.match(errors[1], /CHECK_INTERVAL_MINUTES must be a whole number of minutes, 1 or more/);
+    assert.strictEqual(loadConfig({ DISCORD_WEBHOOK_URL: WEBHOOK, CHECK_INTERVAL_MINUTES: '90' }).checkIntervalMinutes, 90);
+});
+
+test('checks the outbox settings, allowing no retries', () => {
+    assert.doesNotThrow(() => loadConfig({ DISCORD_WEBHOOK_URL: WEBHOOK, DELIVERY_MAX_RETRIES: '0' }));
+    assert.deepStrictEqual(configErrors({
+        DISCORD_WEBHOOK_URL: WEBHOOK,
+        DELIVERY_MAX_RETRIES: 'three',
+        DELIVERY_RETRY_BASE_MS: '-5',
+        OUTBOX_MAX_AGE_MINUTES: '0'
+    }), [
+        'DELIVERY_MAX_RETRIES must be a whole number, 0 or more',
+        'DELIVERY_RETRY_BASE_MS must be a whole number, 0 or more',
+        'OUTBOX_MAX_AGE_MINUTES must be a whole number, 1 or more'
+    ]);
+});
+
+test('rejects an unreadable config file', () => {
+    const file = writeConfig('config.yml', 'tiers: [unclosed');
+
+    assert.match(configErrors({ DISCORD_WEBHOOK_URL: WEBHOOK, CONFIG_FILE: file })[0], /Cannot parse config file/);
+});
+
+test('tierFor picks the tightest tier and falls back to scheduled', () => {
+    assert.strictEqual(tierFor(3, DEFAULT_TIERS).name, 'imminent');
+    assert.strictEqual(tierFor(15, DEFAULT_TIERS).name, 'soon');
+    assert.strictEqual(tierFor(31, DEFAULT_TIERS).name, 'scheduled');
+});
@@ -0,0 +1,100 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const { createDetailCache, detailFields, migrationLinks, formatRatio } = require('../src/details');
+
+const OLD_MINT = 'QUfj4th7CRr3YCFRJ1p64oArrJKss8NCv9AYwmwHBfC4';
+const NEW_MINT = 'dfufDj8xgZ7yoYGQd4hHWK2qSYtYGdpYmmcPrUTWuDVS';
+const NOW = Date.parse('2027-01-01T00:00:00.000Z');
+const realNow = Date.now;
+
+const project = (id, extra = {}) => ({ id, name: id, url: `https://migrate.fun/projects/${id}`, address: OLD_MINT, ...extra });
+
+afterEach(() => {
+    Date.now = realNow;
+});
+
+test('reads each project page once per cache period', async () => {
+    Date.now = () => NOW;
+    const fetched = [];
+    const cache = createDetailCache({
+        fetch: async url => {
+            fetched.push(url);
+            return { oldMint: OLD_MINT, newMint: NEW_MINT, swapRatio: 2, socials: {} };
+        },
+        ttlMinutes: 60
+    });
+
+    const [enriched] = await cache.enrich([project('cwh')]);
+    await cache.enrich([project('cwh')]);
+    assert.deepStrictEqual(fetched, ['https://migrate.fun/projects/cwh']);
+    assert.strictEqual(enriched.newMint, NEW_MINT);
+    assert.strictEqual(enriched.details.swapRatio, 2);
+
+    Date.now = () => NOW + 61 * 60000;
+    await cache.enrich([project('cwh')]);
+    assert.strictEqual(fetched.length, 2, 'read again once the cached details expire');
+});
+
+test('reads at most maxFetches pages per call and skips records without a project page', async () => {
+    Date.now = () => NOW;
+    const fetched = [];
+    const cache = createDetailCache({ fetch: async url => { fetched.push(url); return { socials: {} }; }, maxFetches: 2 });
+
+    const first = await cache.enrich([project('a'), project('b'), project('c'), { id: 'd', url: 'https://migrate.fun/projects' }]);
+    assert.strictEqual(fetched.length, 2);
+    assert.deepStrictEqual(first.map(m => !!m.details), [true, true, false, false]);
+
+    await cache.enrich([project('a'), project('b'), project('c')]);
+    assert.deepStrictEqual(fetched.map(url => url.split('/').pop()), ['a', 'b', 'c']);
+});
+
+test('keeps the last details when a page cannot be read, and retries sooner', async () => {
+    Date.now = () => NOW;
+    let fail = false;
+    let reads = 0;
+    const cache = createDetailCache({
+        fetch: async () => {
+            reads++;
+            if (fail) throw new Error('page gone');
+            return { status: 'upcoming', socials: {} };
+        },
+        ttlMinutes: 60
+    });
+
+    await cache.enrich([project('cwh')]);
+    fail = true;
+    Date.now = () => NOW + 61 * 60000;
+    const [kept] = await cache.enrich([project('cwh')]);
+    assert.strictEqual(kept.details.status, 'upcoming');
+
+    Date.now = () => NOW + 72 * 60000;
+    await cache.enrich([project('cwh')]);
+    assert.strictEqual(reads, 3, 'retried after ten minutes rather than an hour');
+});
+
+test('labels both mints once the new one is known, and links each on Solscan', () => {
+    const etaAt = NOW;
+    const migration = project('cwh', {
+        oldMint: OLD_MINT,
+        newMint: NEW_MINT,
+        etaAt,
+        details: { opensAt: '2027-01-01T00:00:30.000Z', closesAt: '2027-01-08T00:00:00.000Z', status: 'claim open', socials: { telegram: 'https://t.me/cwh' } }
+    });
+
+    assert.deepStrictEqual(detailFields(migration), [
+        { name: '🪙 Old Mint', value: OLD_MINT, code: true },
+        { name: '✨ New Mint', value: NEW_MINT, code: true },
+        { name: '📊 Status', value: 'Claim open' },
+        { name: '🏁 Window Closes', time: Date.parse('2027-01-08T00:00:00.000Z') }
+    ]);
+    assert.deepStrictEqual(migrationLinks(migration).map(link => link.label), ['Migrate.fun', 'Solscan (old)', 'Solscan (new)', 'Telegram']);
+    assert.deepStrictEqual(detailFields(project('cwh')), [{ name: '📍 Token Address', value: OLD_MINT, code: true }]);
+    assert.deepStrictEqual(migrationLinks(project('cwh')).map(link => link.label), ['Migrate.fun', 'Solscan']);
+});
+
+test('formats swap ratios as old to new', () => {
+    assert.strictEqual(formatRatio(1), '1 old → 1 new');
+    assert.strictEqual(formatRatio(1000), '1 old → 1,000 new');
+    assert.strictEqual(formatRatio(1 / 3), '1 old → 0.333333 new');
+});
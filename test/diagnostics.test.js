@@ -0,0 +1,143 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createDiagnostics, assessScrape, assessError } = require('../src/diagnostics');
+const { createDiscordNotifier } = require('../src/notifiers');
+
+const discord = createDiscordNotifier({ webhookUrl: 'https://discord.com/api/webhooks/1/token' });
+
+const START = Date.parse('2027-01-01T00:00:00.000Z');
+const realNow = Date.now;
+let now;
+let sent;
+let dir;
+
+const EMPTY = [{ id: 'page-content', name: 'Page Content', rawText: 'Something went wrong', debug: true }];
+const HEALTHY = [{ id: 'cwh', name: 'CWH', minutesUntil: 25 }];
+
+function monitor(options = {}) {
+    return createDiagnostics({
+        notify: async event => sent.push(discord.render(event)),
+        snapshot: async () => ({ html: '<html>broken</html>', screenshot: Buffer.from('png') }),
+        threshold: 2,
+        cooldownMinutes: 60,
+        dir,
+        ...options
+    });
+}
+
+const titles = () => sent.map(payload => payload.embeds[0].title);
+
+beforeEach(() => {
+    now = START;
+    Date.now = () => now;
+    sent = [];
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrate-fun-diagnostics-'));
+});
+
+afterEach(() => {
+    Date.now = realNow;
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('assessScrape flags empty results and results without times', () => {
+    assert.strictEqual(assessScrape(EMPTY).kind, 'empty');
+    assert.match(assessScrape(EMPTY).detail, /Something went wrong/);
+    assert.strictEqual(assessScrape([{ id: 'cwh', minutesUntil: null }]).kind, 'no-times');
+    assert.strictEqual(assessScrape([{ id: 'cwh', minutesUntil: null }, ...HEALTHY]), null);
+});
+
+test('assessError tells timeouts from other failures', () => {
+    const timeout = Object.assign(new Error('Page load timed out after 90s'), { name: 'TimeoutError' });
+
+    assert.strictEqual(assessError(timeout).kind, 'timeout');
+    assert.strictEqual(assessError(new Error('Navigation timeout of 60000 ms exceeded')).kind, 'timeout');
+    assert.strictEqual(assessError(new Error('SQLITE_CORRUPT')).kind, 'error');
+});
+
+test('alerts once a problem repeats, with a saved snapshot', async () => {
+    const diagnostics = monitor();
+
+    assert.strictEqual(await diagnostics.report(assessScrape(EMPTY)), 'degraded');
+    now += 5 * 60000;
+    assert.strictEqual(await diagnostics.report(assessScrape(EMPTY)), 'alerted');
+
+    const embed = sent[0].embeds[0];
+    assert.deepStrictEqual(titles(), ['⚠️ Scraper degraded: no projects found']);
+    assert.strictEqual(embed.fields[1].value, '2');
+    assert.strictEqual(embed.fields[0].value, `<t:${START / 1000}:f> (<t:${START / 1000}:R>)`);
+    assert.match(embed.fields[2].value, /-empty\.html`\n`.*-empty\.png`/);
+    assert.strictEqual(fs.readdirSync(dir).length, 2);
+});
+
+test('throttles repeats of the same problem until the cooldown passes', async () => {
+    const diagnostics = monitor();
+    const outcomes = [];
+
+    for (let i = 0; i < 14; i++) {
+        outcomes.push(await diagnostics.report(assessScrape(EMPTY)));
+        now += 5 * 60000;
+    }
+
+    assert.deepStrictEqual(outcomes.filter(o => o === 'alerted').length, 2);
+    assert.deepStrictEqual(outcomes.slice(0, 3), ['degraded', 'alerted', 'throttled']);
+});
+
+test('a different problem alerts on its own', async () => {
+    const diagnostics = monitor();
+
+    await diagnostics.report(assessScrape(EMPTY));
+    await diagnostics.report(assessScrape(EMPTY));
+    const outcome = await diagnostics.report(assessError(new Error('Navigation timeout of 60000 ms exceeded')));
+
+    assert.strictEqual(outcome, 'alerted');
+    assert.deepStrictEqual(titles(), [
+        '⚠️ Scraper degraded: no projects found',
+        '⚠️ Scraper degraded: page loads timing out'
+    ]);
+});
+
+test('sends one recovered message after an alert', async () => {
+    const diagnostics = monitor();
+
+    await diagnostics.report(assessScrape(EMPTY));
+    await diagnostics.report(assessScrape(EMPTY));
+    assert.strictEqual(await diagnostics.report(assessScrape(HEALTHY)), 'recovered');
+    assert.strictEqual(await diagnostics.report(assessScrape(HEALTHY)), 'ok');
+
+    assert.deepStrictEqual(titles(), ['⚠️ Scraper degraded: no projects found', '✅ Scraper recovered']);
+    assert.match(sent[1].embeds[0].description, /after 2 degraded check\(s\) \(no projects found\)/);
+});
+
+test('stays quiet about a blip that clears before the threshold', async () => {
+    const diagnostics = monitor();
+
+    await diagnostics.report(assessScrape(EMPTY));
+    await diagnostics.report(null);
+
+    assert.deepStrictEqual(sent, []);
+    assert.deepStrictEqual(diagnostics.getState(), { problem: null, alerted: false });
+});
+
+test('still alerts when the snapshot cannot be taken', async () => {
+    const diagnostics = monitor({ threshold: 1, snapshot: async () => { throw new Error('Chrome is gone'); } });
+
+    assert.strictEqual(await diagnostics.report(assessScrape(EMPTY)), 'alerted');
+    assert.strictEqual(sent[0].embeds[0].fields.length, 2);
+});
+
+test('keeps only the most recent snapshots', async () => {
+    const diagnostics = monitor({ threshold: 1, cooldownMinutes: 0 });
+
+    for (let i = 0; i < 12; i++) {
+        await diagnostics.report(assessScrape(EMPTY));
+        now += 60000;
+    }
+
+    const files = fs.readdirSync(dir).sort();
+    assert.strictEqual(files.length, 20);
+    assert.ok(files[0].startsWith('2027-01-01T00-02-00'));
+});
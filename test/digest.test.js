@@ -0,0 +1,114 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const { selectDigestMigrations, createDigestSchedule } = require('../src/digest');
+const { nextTimeOfDay } = require('../src/timezone');
+const { createBot } = require('../src/bot');
+const { loadConfig } = require('../src/config');
+const { createMemoryStorage } = require('../src/storage');
+const tracker = require('../src/tracker');
+
+const realNow = Date.now;
+const NOW = Date.parse('2027-01-01T12:00:00.000Z');
+const at = iso => Date.parse(iso);
+
+beforeEach(() => {
+    tracker.useStorage(createMemoryStorage());
+});
+
+afterEach(() => {
+    Date.now = realNow;
+});
+
+test('finds the next digest time in the configured time zone', () => {
+    const cases = [
+        // now, times, time zone, expected
+        ['2027-01-01T08:00:00Z', ['09:00', '21:00'], 'UTC', '2027-01-01T09:00:00.000Z'],
+        ['2027-01-01T09:00:00Z', ['09:00', '21:00'], 'UTC', '2027-01-01T21:00:00.000Z'],
+        ['2027-01-01T22:00:00Z', ['09:00', '21:00'], 'UTC', '2027-01-02T09:00:00.000Z'],
+        ['2027-01-01T22:00:00Z', ['09:00'], 'Europe/Berlin', '2027-01-02T08:00:00.000Z'],
+        // Clocks go forward in Berlin on 28 March and in New York on 14 March
+        ['2027-03-27T12:00:00Z', ['09:00'], 'Europe/Berlin', '2027-03-28T07:00:00.000Z'],
+        ['2027-03-27T12:00:00Z', ['02:30'], 'Europe/Berlin', '2027-03-28T01:30:00.000Z'],
+        ['2027-03-13T20:00:00Z', ['09:00'], 'America/New_York', '2027-03-14T13:00:00.000Z']
+    ];
+
+    for (const [now, times, timeZone, expected] of cases) {
+        const minutes = times.map(time => time.split(':')[0] * 60 + Number(time.split(':')[1]));
+        assert.strictEqual(new Date(nextTimeOfDay(minutes, timeZone, at(now))).toISOString(), expected, `${now} ${times} ${timeZone}`);
+    }
+    assert.strictEqual(nextTimeOfDay([], 'UTC', NOW), null);
+});
+
+test('lists upcoming migrations in the window, soonest first', () => {
+    const tracked = [
+        { id: 'late', etaAt: '2027-01-02T13:00:00.000Z', live: false },
+        { id: 'tonight', etaAt: '2027-01-01T20:00:00.000Z', live: false },
+        { id: 'started', etaAt: '2027-01-01T11:00:00.000Z', live: true },
+        { id: 'pulled', etaAt: '2027-01-01T14:00:00.000Z', live: false, removed: true },
+        { id: 'tomorrow', etaAt: '2027-01-02T12:00:00.000Z', live: false }
+    ];
+
+    const selected = selectDigestMigrations(tracked, 24, NOW);
+
+    assert.deepStrictEqual(selected.map(m => [m.id, m.etaAt]), [
+        ['tonight', at('2027-01-01T20:00:00Z')],
+        ['tomorrow', at('2027-01-02T12:00:00Z')]
+    ]);
+    assert.deepStrictEqual(selectDigestMigrations(tracked, 48, NOW).map(m => m.id), ['tonight', 'tomorrow', 'late']);
+});
+
+test('waits for the next digest time and stops cleanly', async () => {
+    let runs = 0;
+    const minute = new Date().getUTCHours() * 60 + new Date().getUTCMinutes();
+    const digest = createDigestSchedule({ run: async () => runs++, times: [(minute + 1) % 1440], timeZone: 'UTC' });
+
+    digest.start();
+    const next = digest.getNextRunAt();
+    assert.ok(next > Date.now() && next <= Date.now() + 120000, 'due at the start of the next minute');
+    assert.strictEqual(next % 60000, 0, 'on the minute');
+
+    await digest.stop();
+    assert.strictEqual(digest.getNextRunAt(), null);
+    assert.strictEqual(runs, 0);
+
+    const off = createDigestSchedule({ run: async () => runs++, times: [] });
+    off.start();
+    assert.strictEqual(off.getNextRunAt(), null, 'no times, no digest');
+});
+
+test('queues one digest per destination with the tokens its filters match', () => {
+    Date.now = () => NOW;
+    tracker.getMigrationsToAlert([
+        { id: 'cwh', name: 'Cat Wif Hat', ticker: 'CWH', address: 'QUfj4th7CRr3YCFRJ1p64oArrJKss8NCv9AYwmwHBfC4', slug: 'catwifhat-v2', minutesUntil: 300 },
+        { id: 'rock', name: 'Moon Rock', ticker: 'ROCK', minutesUntil: 120 },
+        { id: 'far', name: 'Far Away', ticker: 'FAR', minutesUntil: 3000 }
+    ]);
+
+    const config = loadConfig({
+        DIGEST_TIMES: '09:00,21:00',
+        DESTINATIONS: JSON.stringify([
+            { name: 'general', type: 'discord', webhookUrl: 'https://discord.com/api/webhooks/1/abc' },
+            { name: 'cats', type: 'webhook', url: 'https://example.com/hook', secret: 'shh', allow: ['CWH'] },
+            { name: 'alerts-only', type: 'discord', webhookUrl: 'https://discord.com/api/webhooks/2/def', digest: false }
+        ])
+    });
+    const queued = [];
+    const bot = createBot(config, { queue: { enqueue: (target, payload, label) => queued.push({ target, payload, label }) } });
+
+    assert.strictEqual(bot.queueDigest(), 2);
+
+    assert.deepStrictEqual(queued.map(m => [m.target, m.label]), [['general', 'digest (general)'], ['cats', 'digest (cats)']]);
+
+    const [embed] = queued[0].payload.embeds;
+    const rock = Math.floor((NOW + 120 * 60000) / 1000);
+    assert.strictEqual(embed.title, '🗓️ Upcoming migrations: next 24 hours');
+    assert.strictEqual(embed.description.split('\n')[0], `**Moon Rock** · $ROCK — <t:${rock}:R> (<t:${rock}:f>)`);
+    assert.match(embed.description, /\*\*\[Cat Wif Hat\]\(https:\/\/migrate\.fun\/projects\/catwifhat-v2\)\*\* · \$CWH .*\n`QUfj4th7CRr3YCFRJ1p64oArrJKss8NCv9AYwmwHBfC4`$/);
+    assert.deepStrictEqual(queued[0].payload.allowed_mentions, { parse: [] });
+
+    assert.deepStrictEqual(queued[1].payload.data.migrations.map(m => [m.ticker, m.etaAt]), [
+        ['CWH', new Date(NOW + 300 * 60000).toISOString()]
+    ]);
+    assert.strictEqual(queued[1].payload.data.hours, 24);
+});
@@ -0,0 +1,292 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const {
+    buildMigrationAlert,
+    buildLiveAlert,
+    buildTierPing,
+    buildListingAlert,
+    buildRemovedAlert,
+    buildDigest,
+    buildRescheduleAlert,
+    buildStartupNotification,
+    buildErrorNotification,
+    sendWebhookMessage
+} = require('../src/discord');
+const { createDiscordNotifier } = require('../src/notifiers/discord');
+const { startWebhookServer } = require('./helpers/webhook-server');
+
+const MINT = 'QUfj4th7CRr3YCFRJ1p64oArrJKss8NCv9AYwmwHBfC4';
+const NEW_MINT = 'dfufDj8xgZ7yoYGQd4hHWK2qSYtYGdpYmmcPrUTWuDVS';
+
+let server;
+let failing;
+
+before(async () => {
+    server = await startWebhookServer(request => {
+        if (request.path.includes('fail')) return { status: 500, body: { message: 'nope' } };
+        if (request.path.includes('limited')) {
+            return { status: 429, headers: { 'Retry-After': '2' }, body: { message: 'You are being rate limited.', retry_after: 1.5, global: true } };
+        }
+        return { status: 204, headers: { 'X-RateLimit-Remaining': '4', 'X-RateLimit-Reset-After': '0.25' } };
+    });
+    failing = server.url.replace('test-token', 'fail');
+});
+
+after(() => server.close());
+
+function lastEmbed() {
+    const { body } = server.requests[server.requests.length - 1];
+    return body.embeds[0];
+}
+
+test('the Discord notifier posts the built alert to the webhook', async () => {
+    const notifier = createDiscordNotifier({ webhookUrl: server.url });
+    const migration = { name: 'Cat Wif Hat', minutesUntil: 10 };
+
+    const payload = notifier.render({ type: 'tier', migration });
+    await notifier.send(payload);
+
+    assert.strictEqual(lastEmbed().title, '⚠️ SOON Migration: Cat Wif Hat');
+    assert.deepStrictEqual(lastEmbed(), payload.embeds[0]);
+});
+
+test('buildMigrationAlert colors and labels each tier', () => {
+    const cases = [
+        [3, '🚨 IMMINENT', 0xFF0000],
+        [10, '⚠️ SOON', 0xFF8C00],
+        [25, '📢 UPCOMING', 0xFFD700],
+        [45, '📅 SCHEDULED', 0x00FF00]
+    ];
+
+    for (const [minutes, label, color] of cases) {
+        const embed = buildMigrationAlert({ name: 'Cat Wif Hat' }, minutes).embeds[0];
+        assert.strictEqual(embed.title, `${label} Migration: Cat Wif Hat`);
+        assert.strictEqual(embed.color, color);
+    }
+});
+
+test('buildMigrationAlert formats the time remaining', () => {
+    assert.strictEqual(buildMigrationAlert({ name: 'Cat Wif Hat' }, 90).embeds[0].fields[0].value, '1h 30m');
+    assert.strictEqual(buildMigrationAlert({ name: 'Cat Wif Hat' }, 0.5).embeds[0].fields[0].value, 'Less than 1 minute');
+});
+
+test('buildMigrationAlert links the token address', () => {
+    const { fields } = buildMigrationAlert({ name: 'Cat Wif Hat', address: MINT, rawText: 'Cat Wif Hat $CWH' }, 10).embeds[0];
+
+    assert.strictEqual(fields[1].value, `\`${MINT}\``);
+    assert.match(fields[2].value, new RegExp(`solscan\\.io/token/${MINT}`));
+    assert.strictEqual(fields[3].value, 'Cat Wif Hat $CWH');
+});
+
+test('buildMigrationAlert falls back to the projects link without an address', () => {
+    const { fields } = buildMigrationAlert({ name: 'Cat Wif Hat' }, 10).embeds[0];
+
+    assert.strictEqual(fields.length, 2);
+    assert.strictEqual(fields[1].value, '[Go to Projects](https://migrate.fun/projects)');
+});
+
+test('buildRescheduleAlert shows the old and new time', () => {
+    const previousEtaAt = Date.parse('2027-01-01T00:00:00Z');
+    const etaAt = previousEtaAt + 2 * 60 * 60000;
+
+    const embed = buildRescheduleAlert({ name: 'Cat Wif Hat', etaAt, previousEtaAt }).embeds[0];
+
+    assert.strictEqual(embed.description, 'Pushed back by 2 hours.');
+    assert.strictEqual(embed.fields[0].value, `<t:${previousEtaAt / 1000}:f> (<t:${previousEtaAt / 1000}:R>)`);
+    assert.strictEqual(embed.fields[1].value, `<t:${etaAt / 1000}:f> (<t:${etaAt / 1000}:R>)`);
+});
+
+test('buildStartupNotification builds a bot status embed', () => {
+    assert.strictEqual(buildStartupNotification().embeds[0].title, '🚀 Migration Alert Bot Started');
+});
+
+test('sendWebhookMessage rejects on an error status', async () => {
+    await assert.rejects(sendWebhookMessage(failing, { content: 'hi' }), /Discord API error: 500/);
+});
+
+test('sendWebhookMessage reports rate-limit headers', async () => {
+    const result = await sendWebhookMessage(server.url, { content: 'hi' });
+
+    assert.deepStrictEqual(result.rateLimit, { remaining: 4, resetAfterMs: 250, retryAfterMs: null, global: false });
+});
+
+test('sendWebhookMessage exposes retry_after on 429', async () => {
+    const error = await sendWebhookMessage(server.url.replace('test-token', 'limited'), { content: 'hi' }).catch(e => e);
+
+    assert.strictEqual(error.statusCode, 429);
+    assert.strictEqual(error.rateLimit.retryAfterMs, 1500);
+    assert.strictEqual(error.rateLimit.global, true);
+});
+
+test('sendWebhookMessage edits a message and returns the body', async () => {
+    const result = await sendWebhookMessage(server.url, { content: 'edited' }, { messageId: '42' });
+
+    const request = server.requests[server.requests.length - 1];
+    assert.strictEqual(request.method, 'PATCH');
+    assert.strictEqual(request.path, '/api/webhooks/123/test-token/messages/42');
+    assert.strictEqual(result.message, null);
+});
+
+test('sendWebhookMessage adds wait=true when asked', async () => {
+    await sendWebhookMessage(`${server.url}?thread_id=7`, { content: 'hi' }, { wait: true });
+
+    assert.strictEqual(server.requests[server.requests.length - 1].path, '/api/webhooks/123/test-token?thread_id=7&wait=true');
+});
+
+test('buildMigrationAlert shows a live countdown when the ETA is known', () => {
+    const etaAt = Date.parse('2027-01-01T00:00:00Z');
+    const { embeds } = buildMigrationAlert({ name: 'Cat Wif Hat', etaAt }, 10);
+
+    assert.strictEqual(embeds[0].fields[0].value, `<t:${etaAt / 1000}:f> (<t:${etaAt / 1000}:R>)`);
+});
+
+test('buildMigrationAlert uses configured tier colors and labels', () => {
+    const tiers = [{ name: 'now', threshold: 2, color: 0x123456, label: 'NOW!', cooldownMinutes: 0 }];
+
+    assert.strictEqual(buildMigrationAlert({ name: 'Cat Wif Hat' }, 1, tiers).embeds[0].title, 'NOW! Migration: Cat Wif Hat');
+    assert.strictEqual(buildMigrationAlert({ name: 'Cat Wif Hat' }, 1, tiers).embeds[0].color, 0x123456);
+    assert.strictEqual(buildMigrationAlert({ name: 'Cat Wif Hat' }, 10, tiers).embeds[0].title, '📅 SCHEDULED Migration: Cat Wif Hat');
+});
+
+test('buildLiveAlert marks the card live', () => {
+    const { embeds } = buildLiveAlert({ name: 'Cat Wif Hat', etaAt: Date.parse('2027-01-01T00:00:00Z'), address: MINT });
+
+    assert.strictEqual(embeds[0].title, '✅ LIVE Migration: Cat Wif Hat');
+    assert.deepStrictEqual(embeds[0].fields.map(f => f.name), ['⏰ Started', '📍 Token Address', '🔗 Links']);
+    assert.match(embeds[0].fields[2].value, /solscan/);
+});
+
+test('buildMigrationAlert shows both mints and the project page details', () => {
+    const etaAt = Date.parse('2027-01-01T00:00:00Z');
+    const closesAt = Date.parse('2027-01-08T00:00:00Z');
+    const { embeds } = buildMigrationAlert({
+        name: 'Cat Wif Hat',
+        address: MINT,
+        oldMint: MINT,
+        newMint: NEW_MINT,
+        etaAt,
+        url: 'https://migrate.fun/projects/catwifhat-v2',
+        rawText: 'Cat Wif Hat $CWH',
+        details: {
+            swapRatio: 0.5,
+            opensAt: new Date(etaAt).toISOString(),
+            closesAt: new Date(closesAt).toISOString(),
+            status: 'upcoming',
+            socials: { twitter: 'https://x.com/catwifhat', website: 'https://catwifhat.xyz' }
+        }
+    }, 10);
+
+    assert.deepStrictEqual(embeds[0].fields.map(f => [f.name, f.value]), [
+        ['⏰ Time Until Migration', `<t:${etaAt / 1000}:f> (<t:${etaAt / 1000}:R>)`],
+        ['🪙 Old Mint', `\`${MINT}\``],
+        ['✨ New Mint', `\`${NEW_MINT}\``],
+        ['🔄 Swap Ratio', '1 old → 0.5 new'],
+        ['📊 Status', 'Upcoming'],
+        ['🏁 Window Closes', `<t:${closesAt / 1000}:f> (<t:${closesAt / 1000}:R>)`],
+        ['🔗 Links', '[Migrate.fun](https://migrate.fun/projects/catwifhat-v2) • ' +
+            `[Solscan (old)](https://solscan.io/token/${MINT}) • [Solscan (new)](https://solscan.io/token/${NEW_MINT}) • ` +
+            '[X](https://x.com/catwifhat) • [Website](https://catwifhat.xyz)']
+    ]);
+});
+
+test('migration alerts only let the configured mention ping', () => {
+    const quiet = buildMigrationAlert({ name: 'Cat Wif Hat', rawText: '@everyone free airdrop' }, 10);
+    assert.strictEqual(quiet.content, undefined);
+    assert.deepStrictEqual(quiet.allowed_mentions, { parse: [] });
+
+    const pinged = buildMigrationAlert({ name: 'Cat Wif Hat' }, 10, undefined, { mention: '<@&123> <@456>' });
+    assert.strictEqual(pinged.content, '<@&123> <@456>');
+    assert.deepStrictEqual(pinged.allowed_mentions, { parse: [], roles: ['123'], users: ['456'] });
+
+    const here = buildTierPing({ name: 'Cat Wif Hat', alertTier: 'imminent' }, { mention: '@here' });
+    assert.strictEqual(here.content, '@here **Cat Wif Hat** migration is now IMMINENT');
+    assert.deepStrictEqual(here.allowed_mentions, { parse: ['everyone'] });
+
+    assert.deepStrictEqual(buildLiveAlert({ name: 'Cat Wif Hat', etaAt: Date.now() }).allowed_mentions, { parse: [] });
+});
+
+test('buildTierPing names the new tier without allowing mentions', () => {
+    const payload = buildTierPing({ name: 'Cat Wif Hat', alertTier: 'imminent' });
+
+    assert.strictEqual(payload.content, '**Cat Wif Hat** migration is now IMMINENT');
+    assert.deepStrictEqual(payload.allowed_mentions, { parse: [] });
+});
+
+test('built-in messages escape scraped names and card text', () => {
+    const ping = buildTierPing({ name: '**Cat** [wif](https://evil.example)', alertTier: 'soon' });
+    const { fields } = buildMigrationAlert({ name: 'Cat Wif Hat', rawText: 'Cat Wif Hat <@&123> `$CWH`' }, 10).embeds[0];
+
+    assert.strictEqual(ping.content, '**\\*\\*Cat\\*\\* \\[wif\\]\\(https://evil.example\\)** migration is now SOON');
+    assert.strictEqual(fields[fields.length - 1].value, 'Cat Wif Hat \\<\\@&123\\> \\`$CWH\\`');
+});
+
+test('buildListingAlert announces a new project with its schedule and links', () => {
+    const etaAt = Date.parse('2027-01-03T00:00:00Z');
+    const { embeds } = buildListingAlert({
+        name: 'Cat Wif Hat', ticker: 'CWH', address: MINT, etaAt, url: 'https://migrate.fun/projects/catwifhat-v2'
+    });
+
+    assert.strictEqual(embeds[0].title, '🆕 New migration listed: Cat Wif Hat');
+    assert.deepStrictEqual(embeds[0].fields.map(f => f.name), ['⏰ Scheduled For', '🏷️ Ticker', '📍 Token Address', '🔗 Links']);
+    assert.strictEqual(embeds[0].fields[0].value, `<t:${etaAt / 1000}:f> (<t:${etaAt / 1000}:R>)`);
+    assert.match(embeds[0].fields[3].value, /migrate\.fun\/projects\/catwifhat-v2.*solscan/);
+});
+
+test('buildListingAlert escapes the scraped ticker', () => {
+    const { embeds } = buildListingAlert({ name: 'Cat Wif Hat', ticker: 'C_W*H`', etaAt: null });
+
+    assert.strictEqual(embeds[0].fields.find(field => field.name === '🏷️ Ticker').value, '$C\\_W\\*H\\`');
+});
+
+test('buildListingAlert handles relisted projects without a time', () => {
+    const { embeds } = buildListingAlert({ name: 'Moon Rock', etaAt: null, relisted: true });
+
+    assert.strictEqual(embeds[0].title, '↩️ Migration relisted: Moon Rock');
+    assert.strictEqual(embeds[0].fields[0].value, 'Not announced yet');
+});
+
+test('buildRemovedAlert distinguishes cancelled from delisted projects', () => {
+    const etaAt = Date.parse('2027-01-03T00:00:00Z');
+    const cancelled = buildRemovedAlert({ name: 'Cat Wif Hat', reason: 'cancelled', etaAt }).embeds[0];
+    const delisted = buildRemovedAlert({ name: 'Cat Wif Hat', reason: 'delisted' }).embeds[0];
+
+    assert.strictEqual(cancelled.title, '🚫 CANCELLED Migration: Cat Wif Hat');
+    assert.strictEqual(cancelled.fields[0].name, '🕒 Was Scheduled For');
+    assert.strictEqual(delisted.title, '❌ REMOVED Migration: Cat Wif Hat');
+    assert.deepStrictEqual(delisted.fields, []);
+});
+
+test('buildDigest escapes scraped names and tickers', () => {
+    const etaAt = Date.parse('2027-01-03T00:00:00Z');
+    const [embed] = buildDigest([
+        { name: 'Evil](https://evil.example) @everyone', ticker: 'E_V', url: 'https://migrate.fun/projects/evil', etaAt }
+    ], 24).embeds;
+
+    assert.ok(embed.description.startsWith(
+        '**[Evil\\]\\(https://evil.example\\) \\@everyone](https://migrate.fun/projects/evil)** · $E\\_V'), embed.description);
+});
+
+test('buildDigest fits as many migrations as the embed allows and counts the rest', () => {
+    const etaAt = Date.parse('2027-01-03T00:00:00Z');
+    const migrations = Array.from({ length: 60 }, (_, i) => ({
+        name: `Token ${i}`,
+        ticker: `T${i}`,
+        address: 'QUfj4th7CRr3YCFRJ1p64oArrJKss8NCv9AYwmwHBfC4',
+        etaAt: etaAt + i * 60000
+    }));
+
+    const [embed] = buildDigest(migrations, 48).embeds;
+    const shown = embed.description.split('\n').filter(line => line.startsWith('**')).length;
+
+    assert.ok(embed.description.length <= 4096);
+    assert.ok(shown > 20 && shown < 60, `shows ${shown}`);
+    assert.match(embed.description, new RegExp(`\\n…and ${60 - shown} more$`));
+    assert.strictEqual(embed.footer.text, 'Migrate.fun Alert Bot • 60 migrations');
+
+    assert.strictEqual(buildDigest([], 24).embeds[0].description, 'No migrations scheduled in the next 24 hours.');
+});
+
+test('buildErrorNotification describes the error', () => {
+    assert.strictEqual(buildErrorNotification(new Error('scrape failed')).embeds[0].description, 'An error occurred: scrape failed');
+});
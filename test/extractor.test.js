@@ -0,0 +1,186 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const {
+    extract,
+    extractFromPayloads,
+    extractFromHtml,
+    extractFromCards,
+    extractDetails,
+    projectSlug,
+    cardsFromHtml,
+    parseCard
+} = require('../src/extractor');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+const CWH_OLD = 'QUfj4th7CRr3YCFRJ1p64oArrJKss8NCv9AYwmwHBfC4';
+const CWH_NEW = 'dfufDj8xgZ7yoYGQd4hHWK2qSYtYGdpYmmcPrUTWuDVS';
+
+test('extractFromPayloads reads projects from an API response', () => {
+    const records = extractFromPayloads([JSON.parse(fixture('projects-api.json'))]);
+
+    assert.strictEqual(records.length, 2);
+    assert.deepStrictEqual(
+        records.map(r => [r.name, r.ticker, r.oldMint, r.newMint, r.scheduledAt]),
+        [
+            ['Cat Wif Hat', 'CWH', CWH_OLD, CWH_NEW, '2027-01-01T00:00:00.000Z'],
+            ['Moon Rock', 'ROCK', '1zc5mvwMFxXAK8q4KDLQDAJWRBBe9HpyK3Tr5xMUCgSQ', 'Pm67KKZQQVa74xMZxdKKbNtk1RSMAzsz5NMTgxhfNTav', '2027-01-02T12:30:00.000Z']
+        ]
+    );
+    assert.strictEqual(records[0].id, CWH_OLD);
+    assert.strictEqual(records[0].url, 'https://migrate.fun/projects/catwifhat-v2');
+    assert.strictEqual(records[0].source, 'payload');
+});
+
+test('extractFromPayloads ignores payloads without projects', () => {
+    assert.deepStrictEqual(extractFromPayloads([{ user: { name: 'anon' } }, [1, 2, 3], null]), []);
+});
+
+test('extractFromPayloads merges duplicate projects across payloads', () => {
+    const records = extractFromPayloads([
+        { name: 'Cat Wif Hat', oldMint: CWH_OLD },
+        { project: { name: 'Cat Wif Hat', symbol: 'CWH', oldMint: CWH_OLD, newMint: CWH_NEW } }
+    ]);
+
+    assert.strictEqual(records.length, 1);
+    assert.strictEqual(records[0].ticker, 'CWH');
+    assert.strictEqual(records[0].newMint, CWH_NEW);
+});
+
+test('extractFromHtml reads __NEXT_DATA__', () => {
+    const records = extractFromHtml(fixture('projects-next-data.html'));
+
+    assert.deepStrictEqual(records.map(r => r.ticker), ['CWH', 'DUSK']);
+    assert.strictEqual(records[0].scheduledAt, '2027-01-01T00:00:00.000Z');
+    assert.strictEqual(records[1].newMint, null);
+    assert.strictEqual(records[1].source, 'embedded');
+});
+
+test('extractFromHtml reads streamed app-router data', () => {
+    const chunk = '5:{"project":{"name":"Dusk Protocol","symbol":"DUSK","oldMint":"DL5jWyD9x7K2BqaeGxTXaTGWAUQFW7umpt6oC29JwacU"}}\n';
+    const html = `<script>self.__next_f.push([1,${JSON.stringify(chunk)}])</script>`;
+
+    const records = extractFromHtml(html);
+
+    assert.strictEqual(records.length, 1);
+    assert.strictEqual(records[0].name, 'Dusk Protocol');
+});
+
+test('cardsFromHtml returns one card per project link without nesting', () => {
+    const cards = cardsFromHtml(fixture('projects-dom.html'));
+
+    assert.strictEqual(cards.length, 2);
+    assert.strictEqual(cards[0].href, 'https://migrate.fun/projects/catwifhat-v2');
+    assert.match(cards[0].text, /^Cat Wif Hat\n\$CWH\nMigration in 45m/);
+    assert.ok(!cards[0].text.includes('Moon Rock'));
+});
+
+test('cardsFromHtml falls back to outermost class-named cards', () => {
+    const html = '<div class="project-card"><div class="card-body"><h3>Dusk Protocol</h3><span>$DUSK in 2h</span></div></div>';
+
+    const cards = cardsFromHtml(html);
+
+    assert.deepStrictEqual(cards, [{ text: 'Dusk Protocol\n$DUSK in 2h', href: null }]);
+});
+
+test('parseCard labels old and new mints', () => {
+    const record = parseCard(`Cat Wif Hat\n$CWH\nNew mint: ${CWH_NEW}\nOld mint: ${CWH_OLD}\nStarts in 1h 30m`, null);
+
+    assert.strictEqual(record.name, 'Cat Wif Hat');
+    assert.strictEqual(record.ticker, 'CWH');
+    assert.strictEqual(record.oldMint, CWH_OLD);
+    assert.strictEqual(record.newMint, CWH_NEW);
+    assert.strictEqual(record.timeText, '1h 30m');
+});
+
+test('reads project status from payloads and cards', () => {
+    const [record] = extractFromPayloads([{ projects: [{ name: 'Cat Wif Hat', symbol: 'CWH', oldMint: CWH_OLD, status: 'Cancelled' }] }]);
+
+    assert.strictEqual(record.status, 'cancelled');
+    assert.strictEqual(parseCard('Moon Rock\nROCK\nCANCELLED', null).status, 'cancelled');
+    assert.strictEqual(parseCard('Moon Rock\nROCK\nCANCELLED', null).ticker, 'ROCK');
+    assert.strictEqual(parseCard('Moon Rock\nROCK\n02:10:00', null).status, null);
+});
+
+test('parseCard skips status words when guessing a ticker', () => {
+    const record = parseCard('LIVE\nMoon Rock\nROCK\n02:10:00', null);
+
+    assert.strictEqual(record.ticker, 'ROCK');
+    assert.strictEqual(record.name, 'Moon Rock');
+    assert.strictEqual(record.timeText, '02:10:00');
+});
+
+test('parseCard captures dates and states as time text', () => {
+    assert.strictEqual(parseCard('Moon Rock\nROCK\nStarts Oct 21, 2:00 PM UTC+2', null).timeText, 'Oct 21, 2:00 PM UTC+2');
+    assert.strictEqual(parseCard('Moon Rock\nROCK\n2026-10-21T14:00:00Z', null).timeText, '2026-10-21T14:00:00Z');
+    assert.strictEqual(parseCard('Moon Rock\nROCK\n2d 4h 10m', null).timeText, '2d 4h 10m');
+    assert.strictEqual(parseCard('Moon Rock\nROCK\nTBA', null).timeText, 'TBA');
+    assert.strictEqual(parseCard('Moon Rock\nROCK\nLive', null).name, 'Moon Rock');
+});
+
+test('extractFromCards parses the DOM fixture', () => {
+    const records = extractFromCards(cardsFromHtml(fixture('projects-dom.html')));
+
+    assert.deepStrictEqual(
+        records.map(r => [r.name, r.ticker, r.timeText, r.oldMint, r.newMint, r.slug]),
+        [
+            ['Cat Wif Hat', 'CWH', '45m', CWH_OLD, CWH_NEW, 'catwifhat-v2'],
+            ['Moon Rock', 'ROCK', '02:10:00', '1zc5mvwMFxXAK8q4KDLQDAJWRBBe9HpyK3Tr5xMUCgSQ', null, 'moonrock']
+        ]
+    );
+});
+
+test('extract prefers payloads, then embedded data, then cards', async () => {
+    let cardsRequested = false;
+    const getCards = () => {
+        cardsRequested = true;
+        return cardsFromHtml(fixture('projects-dom.html'));
+    };
+
+    const fromPayloads = await extract({ payloads: [JSON.parse(fixture('projects-api.json'))], html: '', getCards });
+    assert.strictEqual(fromPayloads[0].source, 'payload');
+
+    const fromHtml = await extract({ payloads: [], html: fixture('projects-next-data.html'), getCards });
+    assert.strictEqual(fromHtml[0].source, 'embedded');
+    assert.strictEqual(cardsRequested, false);
+
+    const fromCards = await extract({ payloads: [], html: fixture('projects-dom.html'), getCards });
+    assert.strictEqual(fromCards[0].source, 'dom');
+    assert.strictEqual(cardsRequested, true);
+});
+
+test('extractDetails reads a project page, ignoring migrate.fun\'s own links', () => {
+    const details = extractDetails({ html: fixture('details/catwifhat-v2.html') }, 'catwifhat-v2', '2026-12-31T00:00:00.000Z');
+
+    assert.deepStrictEqual(details, {
+        oldMint: CWH_OLD,
+        newMint: CWH_NEW,
+        swapRatio: 0.5,
+        opensAt: '2027-01-01T00:00:00.000Z',
+        closesAt: '2027-01-08T00:00:00.000Z',
+        status: 'upcoming',
+        socials: { twitter: 'https://twitter.com/catwifhat', telegram: 'https://t.me/catwifhat', website: 'https://catwifhat.xyz' }
+    });
+});
+
+test('extractDetails prefers app data and picks the project by slug', () => {
+    const details = extractDetails({ payloads: [JSON.parse(fixture('details/moonrock.json'))] }, 'moonrock');
+
+    assert.strictEqual(details.swapRatio, 1000);
+    assert.strictEqual(details.closesAt, '2027-01-09T12:30:00.000Z');
+    assert.deepStrictEqual(details.socials, { twitter: 'https://x.com/moonrock', website: 'https://moonrock.io', telegram: 'https://t.me/moonrockchat' });
+
+    const listed = extractDetails({ payloads: [JSON.parse(fixture('projects-api.json'))] }, 'moonrock');
+    assert.strictEqual(listed.oldMint, '1zc5mvwMFxXAK8q4KDLQDAJWRBBe9HpyK3Tr5xMUCgSQ');
+    assert.strictEqual(extractDetails({ html: fixture('empty-page.html') }, 'moonrock'), null);
+});
+
+test('projectSlug only accepts project pages', () => {
+    assert.strictEqual(projectSlug('https://migrate.fun/projects/catwifhat-v2'), 'catwifhat-v2');
+    assert.strictEqual(projectSlug('https://migrate.fun/projects/catwifhat-v2/?ref=x'), 'catwifhat-v2');
+    assert.strictEqual(projectSlug('https://migrate.fun/projects'), null);
+    assert.strictEqual(projectSlug(null), null);
+});
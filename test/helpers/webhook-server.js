@@ -0,0 +1,48 @@
+/**
+ * Local stub for Discord-style webhooks
+ * Records every request and answers with a configurable response
+ */
+
+const http = require('http');
+
+/**
+ * Start a stub webhook server on a random local port
+ * @param {Function} [respond] - (request, index) => { status, headers, body } for each request
+ * @returns {Promise<{url: string, requests: Array, close: Function}>}
+ */
+function startWebhookServer(respond = () => ({ status: 204 })) {
+    const requests = [];
+
+    const server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', chunk => raw += chunk);
+        req.on('end', () => {
+            const request = {
+                method: req.method,
+                path: req.url,
+                headers: req.headers,
+                raw,
+                body: raw ? JSON.parse(raw) : null
+            };
+            requests.push(request);
+
+            const { status = 204, headers = {}, body } = respond(request, requests.length - 1) || {};
+            const payload = body === undefined ? '' : JSON.stringify(body);
+            res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+            res.end(payload);
+        });
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            resolve({
+                url: `http://127.0.0.1:${port}/api/webhooks/123/test-token`,
+                requests,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+module.exports = { startWebhookServer };
@@ -0,0 +1,126 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+
+const { createInteractionHandler, verifySignature, publicKeyFromHex, COMMANDS } = require('../src/interactions');
+const { DEFAULT_TIERS } = require('../src/config');
+const { createMemoryStorage } = require('../src/storage');
+const tracker = require('../src/tracker');
+
+const realNow = Date.now;
+const NOW = Date.parse('2027-01-01T12:00:00.000Z');
+const CWH_MINT = 'QUfj4th7CRr3YCFRJ1p64oArrJKss8NCv9AYwmwHBfC4';
+
+/**
+ * A key pair like a Discord application's, with the public key as the portal shows it
+ */
+function generateKeys() {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+    const hex = Buffer.from(publicKey.export({ format: 'jwk' }).x, 'base64url').toString('hex');
+    return { hex, privateKey };
+}
+
+/**
+ * A request as Discord sends it
+ */
+function signed(privateKey, interaction, timestamp = String(Math.floor(NOW / 1000))) {
+    const body = JSON.stringify(interaction);
+    const signature = crypto.sign(null, Buffer.from(timestamp + body), privateKey).toString('hex');
+    return { headers: { 'x-signature-ed25519': signature, 'x-signature-timestamp': timestamp }, body };
+}
+
+const command = (name, options) => ({ type: 2, data: { name, ...(options && { options }) } });
+
+let keys;
+let handle;
+
+beforeEach(() => {
+    tracker.useStorage(createMemoryStorage());
+    Date.now = () => NOW;
+    keys = generateKeys();
+    handle = createInteractionHandler({
+        publicKey: keys.hex,
+        tiers: DEFAULT_TIERS,
+        hours: 24,
+        getMigrations: () => tracker.getTrackedMigrations(DEFAULT_TIERS),
+        getHealth: () => ({ status: 'ok', healthy: true, lastSuccessAt: new Date(NOW - 60000).toISOString(), uptimeSeconds: 7200, lastError: null }),
+        countAlerts: () => tracker.countSentAlerts(DEFAULT_TIERS),
+        getNextCheckAt: () => NOW + 240000
+    });
+});
+
+afterEach(() => {
+    Date.now = realNow;
+});
+
+test('accepts only requests signed with the application key', () => {
+    const other = generateKeys();
+    const key = publicKeyFromHex(keys.hex);
+    const request = signed(keys.privateKey, { type: 1 });
+    const { 'x-signature-ed25519': signature, 'x-signature-timestamp': timestamp } = request.headers;
+
+    assert.strictEqual(verifySignature(key, signature, timestamp, request.body), true);
+    assert.strictEqual(verifySignature(key, signature, timestamp, request.body.replace('1', '2')), false, 'body changed');
+    assert.strictEqual(verifySignature(key, signature, String(Number(timestamp) + 1), request.body), false, 'timestamp changed');
+    assert.strictEqual(verifySignature(publicKeyFromHex(other.hex), signature, timestamp, request.body), false, 'other key');
+    assert.strictEqual(verifySignature(key, 'zz', timestamp, request.body), false);
+    assert.strictEqual(verifySignature(key, undefined, undefined, request.body), false);
+
+    assert.deepStrictEqual(handle(signed(other.privateKey, { type: 1 })), { status: 401, body: { error: 'Invalid request signature' } });
+    assert.deepStrictEqual(handle(signed(keys.privateKey, { type: 1 })), { status: 200, body: { type: 1 } });
+});
+
+test('/upcoming lists what is due with the digest embed, only to whoever asked', () => {
+    tracker.getMigrationsToAlert([
+        { id: 'cwh', name: 'Cat Wif Hat', ticker: 'CWH', address: CWH_MINT, slug: 'catwifhat-v2', minutesUntil: 90 },
+        { id: 'far', name: 'Far Away', ticker: 'FAR', minutesUntil: 3000 }
+    ]);
+
+    const { status, body } = handle(signed(keys.privateKey, command('upcoming')));
+
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.type, 4);
+    assert.strictEqual(body.data.flags, 64);
+    assert.deepStrictEqual(body.data.allowed_mentions, { parse: [] });
+    const [embed] = body.data.embeds;
+    assert.strictEqual(embed.title, '🗓️ Upcoming migrations: next 24 hours');
+    assert.match(embed.description, /^\*\*\[Cat Wif Hat\]\(https:\/\/migrate\.fun\/projects\/catwifhat-v2\)\*\* · \$CWH/);
+    assert.doesNotMatch(embed.description, /Far Away/);
+});
+
+test('/migration finds a project by ticker or mint and shows its card', () => {
+    tracker.getMigrationsToAlert([{ id: 'cwh', name: 'Cat Wif Hat', ticker: 'CWH', address: CWH_MINT, minutesUntil: 12 }]);
+    const lookup = token => handle(signed(keys.privateKey, command('migration', [{ name: 'token', type: 3, value: token }]))).body.data;
+
+    for (const token of ['CWH', '$cwh', CWH_MINT]) {
+        const [embed] = lookup(token).embeds;
+        assert.strictEqual(embed.title, '⚠️ SOON Migration: Cat Wif Hat', token);
+        assert.strictEqual(embed.fields[0].value, `<t:${(NOW + 12 * 60000) / 1000}:f> (<t:${(NOW + 12 * 60000) / 1000}:R>)`);
+    }
+
+    const missing = lookup('NOPE`');
+    assert.strictEqual(missing.content, 'No tracked migration matches `NOPE`.');
+    assert.strictEqual(missing.flags, 64);
+});
+
+test('/status reports the last check and the alerts sent per tier', () => {
+    tracker.getMigrationsToAlert([
+        { id: 'cwh', name: 'Cat Wif Hat', ticker: 'CWH', minutesUntil: 12 },
+        { id: 'rock', name: 'Moon Rock', ticker: 'ROCK', minutesUntil: 3 }
+    ]);
+
+    const [embed] = handle(signed(keys.privateKey, command('status'))).body.data.embeds;
+    const field = name => embed.fields.find(f => f.name.includes(name)).value;
+
+    assert.strictEqual(embed.description, '🟢 Running');
+    assert.strictEqual(field('Last Successful Check'), `<t:${(NOW - 60000) / 1000}:f> (<t:${(NOW - 60000) / 1000}:R>)`);
+    assert.strictEqual(field('Tracked Migrations'), '2 (2 in the next 24 hours)');
+    assert.strictEqual(field('Alerts Sent'), '🚨 IMMINENT: 1\n⚠️ SOON: 1\n📢 UPCOMING: 0');
+    assert.strictEqual(embed.footer.text, 'Migrate.fun Alert Bot • up 2 hours');
+});
+
+test('rejects other interactions and answers unknown commands', () => {
+    assert.strictEqual(handle(signed(keys.privateKey, { type: 3 })).status, 400);
+    assert.strictEqual(handle(signed(keys.privateKey, command('constructor'))).body.data.content, 'Unknown command /constructor.');
+    assert.deepStrictEqual(COMMANDS.map(c => c.name), ['upcoming', 'migration', 'status']);
+});
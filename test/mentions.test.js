@@ -0,0 +1,73 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const { createMentionPolicy, inQuietHours } = require('../src/mentions');
+
+const realNow = Date.now;
+const at = iso => Date.parse(iso);
+
+afterEach(() => {
+    Date.now = realNow;
+});
+
+test('quiet hours follow the time zone and may run past midnight', () => {
+    const overnight = { start: 22 * 60, end: 7 * 60 };
+    const cases = [
+        // time, zone, expected
+        ['2027-01-01T23:30:00Z', 'UTC', true],
+        ['2027-01-01T06:59:00Z', 'UTC', true],
+        ['2027-01-01T07:00:00Z', 'UTC', false],
+        ['2027-01-01T12:00:00Z', 'UTC', false],
+        ['2027-01-01T21:30:00Z', 'Europe/Berlin', true],
+        ['2027-07-01T20:30:00Z', 'Europe/Berlin', true],
+        ['2027-01-01T23:30:00Z', 'America/New_York', false]
+    ];
+
+    for (const [time, zone, expected] of cases) {
+        assert.strictEqual(inQuietHours(overnight, zone, at(time)), expected, `${time} in ${zone}`);
+    }
+    assert.strictEqual(inQuietHours({ start: 9 * 60, end: 17 * 60 }, 'UTC', at('2027-01-01T12:00:00Z')), true);
+    assert.strictEqual(inQuietHours(null, 'UTC', at('2027-01-01T12:00:00Z')), false);
+});
+
+test('mentions each tier as configured, with destination overrides', () => {
+    const policy = createMentionPolicy({
+        mentions: { upcoming: '<@&111>', imminent: '@here' },
+        destinationMentions: { partners: { imminent: '<@&999>' } }
+    });
+
+    assert.strictEqual(policy.take('discord', 'upcoming', 'Cat Wif Hat'), '<@&111>');
+    assert.strictEqual(policy.take('discord', 'soon', 'Cat Wif Hat'), null);
+    assert.strictEqual(policy.take('discord', 'imminent', 'Cat Wif Hat'), '@here');
+    assert.strictEqual(policy.take('partners', 'imminent', 'Cat Wif Hat'), '<@&999>');
+    assert.strictEqual(policy.take('partners', 'upcoming', 'Cat Wif Hat'), null);
+});
+
+test('suppresses mentions in quiet hours without using up the limit', () => {
+    const policy = createMentionPolicy({
+        mentions: { imminent: '@here' },
+        quietHours: { start: 22 * 60, end: 7 * 60 },
+        limit: 1
+    });
+
+    Date.now = () => at('2027-01-01T23:00:00Z');
+    assert.strictEqual(policy.take('discord', 'imminent', 'Cat Wif Hat'), null);
+
+    Date.now = () => at('2027-01-01T08:00:00Z');
+    assert.strictEqual(policy.take('discord', 'imminent', 'Cat Wif Hat'), '@here');
+});
+
+test('limits mentions per destination within the window', () => {
+    const policy = createMentionPolicy({ mentions: { imminent: '@here' }, limit: 2, windowMinutes: 60 });
+    const start = at('2027-01-01T12:00:00Z');
+
+    Date.now = () => start;
+    assert.strictEqual(policy.take('discord', 'imminent', 'A'), '@here');
+    Date.now = () => start + 10 * 60000;
+    assert.strictEqual(policy.take('discord', 'imminent', 'B'), '@here');
+    assert.strictEqual(policy.take('discord', 'imminent', 'C'), null, 'third ping within the hour');
+    assert.strictEqual(policy.take('alpha', 'imminent', 'C'), '@here', 'other destinations have their own limit');
+
+    Date.now = () => start + 61 * 60000;
+    assert.strictEqual(policy.take('discord', 'imminent', 'D'), '@here', 'the first ping has left the window');
+});
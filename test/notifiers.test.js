@@ -0,0 +1,216 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+
+const {
+    createNotifier,
+    createDiscordNotifier,
+    createSlackNotifier,
+    createTelegramNotifier,
+    createJsonWebhookNotifier
+} = require('../src/notifiers');
+const { signPayload } = require('../src/notifiers/webhook');
+const { describeEvent } = require('../src/notifiers/format');
+const { startWebhookServer } = require('./helpers/webhook-server');
+
+const MINT = 'QUfj4th7CRr3YCFRJ1p64oArrJKss8NCv9AYwmwHBfC4';
+const ETA = Date.parse('2027-01-01T12:30:00.000Z');
+
+const MIGRATION = {
+    id: MINT,
+    name: 'Cat <Wif> Hat',
+    ticker: 'CWH',
+    address: MINT,
+    url: 'https://migrate.fun/projects/catwifhat-v2',
+    alertType: 'tier',
+    alertTier: 'soon',
+    minutesUntil: 13,
+    etaAt: ETA
+};
+
+let server;
+let responses;
+
+beforeEach(async () => {
+    responses = [];
+    server = await startWebhookServer(() => responses.shift() || { status: 200, body: 'ok' });
+});
+
+afterEach(async () => {
+    await server.close();
+});
+
+const origin = () => new URL(server.url).origin;
+
+test('describes every event type the same way for each service', () => {
+    const event = { type: 'tier', migration: MIGRATION };
+    const message = describeEvent(event);
+
+    assert.strictEqual(message.title, '⚠️ SOON Migration: Cat <Wif> Hat');
+    assert.deepStrictEqual(message.fields.map(f => f.name), ['⏰ Time Until Migration', '🕒 Scheduled For', '📍 Token Address']);
+    assert.deepStrictEqual(message.links.map(l => l.url), [MIGRATION.url, `https://solscan.io/token/${MINT}`]);
+    assert.throws(() => describeEvent({ type: 'party' }), /Unknown notifier event "party"/);
+});
+
+test('lists digest entries at absolute times for services without live timestamps', () => {
+    const migrations = Array.from({ length: 22 }, (_, i) => ({ ...MIGRATION, name: `Token ${i}`, etaAt: ETA + i * 60000 }));
+
+    const message = describeEvent({ type: 'digest', hours: 24, migrations });
+    const lines = message.description.split('\n');
+
+    assert.strictEqual(message.title, '🗓️ Upcoming migrations: next 24 hours');
+    assert.deepStrictEqual(lines.slice(0, 2), ['• Token 0 ($CWH): Fri, 01 Jan 2027 12:30 UTC', `   ${MINT}`]);
+    assert.strictEqual(lines[lines.length - 1], '…and 2 more');
+});
+
+test('discord posts with wait and edits an existing card', async () => {
+    responses.push({ status: 200, body: { id: '111' } }, { status: 200, body: { id: '111' } });
+    const discord = createDiscordNotifier({ webhookUrl: server.url });
+    const payload = discord.render({ type: 'tier', migration: MIGRATION });
+
+    const posted = await discord.send(payload);
+    const edited = await discord.send(payload, { messageId: posted.messageId });
+
+    assert.strictEqual(payload.embeds[0].title, '⚠️ SOON Migration: Cat <Wif> Hat');
+    assert.deepStrictEqual([posted.messageId, edited.messageId], ['111', '111']);
+    assert.deepStrictEqual(server.requests.map(r => `${r.method} ${r.path}`), [
+        'POST /api/webhooks/123/test-token?wait=true',
+        'PATCH /api/webhooks/123/test-token/messages/111'
+    ]);
+});
+
+test('slack renders blocks with escaped text and local-time dates', async () => {
+    const slack = createSlackNotifier({ webhookUrl: server.url });
+    const payload = slack.render({ type: 'tier', migration: MIGRATION });
+    const [header, description, fields, links] = payload.attachments[0].blocks;
+
+    assert.strictEqual(payload.text, '⚠️ SOON Migration: Cat <Wif> Hat');
+    assert.strictEqual(payload.attachments[0].color, '#ff8c00');
+    assert.strictEqual(header.text.text, '⚠️ SOON Migration: Cat <Wif> Hat');
+    assert.strictEqual(description.text.text, 'A Solana token migration is approaching!');
+    assert.deepStrictEqual(fields.fields.map(f => f.text), [
+        '*⏰ Time Until Migration*\n13 minutes',
+        `*🕒 Scheduled For*\n<!date^${ETA / 1000}^{date_short_pretty} {time}|Fri, 01 Jan 2027 12:30 UTC>`,
+        `*📍 Token Address*\n\`${MINT}\``
+    ]);
+    assert.strictEqual(links.elements[0].text, `<${MIGRATION.url}|Migrate.fun> • <https://solscan.io/token/${MINT}|Solscan>`);
+
+    const result = await slack.send(payload);
+    assert.strictEqual(result.messageId, null);
+    assert.strictEqual(slack.supportsEdit, false);
+    assert.deepStrictEqual(server.requests[0].body, payload);
+});
+
+test('slack reports rate limits and rejections like Discord does', async () => {
+    responses.push({ status: 429, headers: { 'Retry-After': '3' }, body: 'rate_limited' }, { status: 404, body: 'no_service' });
+    const slack = createSlackNotifier({ webhookUrl: server.url });
+
+    await assert.rejects(slack.send({ text: 'hi' }), error => {
+        assert.strictEqual(error.statusCode, 429);
+        assert.strictEqual(error.rateLimit.retryAfterMs, 3000);
+        return true;
+    });
+    await assert.rejects(slack.send({ text: 'hi' }), /Slack API error: 404 - "no_service"/);
+});
+
+test('telegram sends HTML messages and edits them by message ID', async () => {
+    responses.push(
+        { status: 200, body: { ok: true, result: { message_id: 42 } } },
+        { status: 200, body: { ok: true, result: { message_id: 42 } } }
+    );
+    const telegram = createTelegramNotifier({ botToken: '123:ABC', chatId: '-100123', apiUrl: origin() });
+    const payload = telegram.render({ type: 'tier', migration: MIGRATION });
+
+    const posted = await telegram.send(payload);
+    await telegram.send(payload, { messageId: posted.messageId });
+
+    assert.strictEqual(payload.parse_mode, 'HTML');
+    assert.strictEqual(payload.text, [
+        '<b>⚠️ SOON Migration: Cat &lt;Wif&gt; Hat</b>',
+        'A Solana token migration is approaching!',
+        '',
+        '<b>⏰ Time Until Migration:</b> 13 minutes',
+        '<b>🕒 Scheduled For:</b> Fri, 01 Jan 2027 12:30 UTC',
+        `<b>📍 Token Address:</b> <code>${MINT}</code>`,
+        '',
+        `<a href="${MIGRATION.url}">Migrate.fun</a> • <a href="https://solscan.io/token/${MINT}">Solscan</a>`
+    ].join('\n'));
+    assert.strictEqual(posted.messageId, '42');
+    assert.deepStrictEqual(server.requests.map(r => r.path), ['/bot123:ABC/sendMessage', '/bot123:ABC/editMessageText']);
+    assert.strictEqual(server.requests[0].body.chat_id, '-100123');
+    assert.strictEqual(server.requests[1].body.message_id, 42);
+});
+
+test('telegram treats unchanged edits as sent and missing messages as 404', async () => {
+    const telegram = createTelegramNotifier({ botToken: '123:ABC', chatId: '-100123', apiUrl: origin() });
+    responses.push(
+        { status: 400, body: { ok: false, error_code: 400, description: 'Bad Request: message is not modified' } },
+        { status: 400, body: { ok: false, error_code: 400, description: 'Bad Request: message to edit not found' } },
+        { status: 429, body: { ok: false, error_code: 429, description: 'Too Many Requests', parameters: { retry_after: 7 } } }
+    );
+
+    assert.strictEqual((await telegram.send({ text: 'same' }, { messageId: '42' })).messageId, '42');
+    await assert.rejects(telegram.send({ text: 'gone' }, { messageId: '42' }), error => error.statusCode === 404);
+    await assert.rejects(telegram.send({ text: 'busy' }), error => error.statusCode === 429 && error.rateLimit.retryAfterMs === 7000);
+});
+
+test('json webhook sends signed structured events', async () => {
+    const webhook = createJsonWebhookNotifier({ url: server.url, secret: 'shh' });
+    const payload = webhook.render({ type: 'rescheduled', migration: { ...MIGRATION, alertType: 'rescheduled', previousEtaAt: ETA - 3600000 } });
+
+    await webhook.send(payload);
+
+    const [request] = server.requests;
+    const timestamp = request.headers['x-migrate-fun-timestamp'];
+    const expected = `sha256=${crypto.createHmac('sha256', 'shh').update(`${timestamp}.${request.raw}`).digest('hex')}`;
+
+    assert.strictEqual(request.headers['x-migrate-fun-signature'], expected);
+    assert.strictEqual(signPayload('shh', timestamp, request.raw), expected);
+    assert.strictEqual(request.headers['x-migrate-fun-event'], 'rescheduled');
+    assert.strictEqual(request.body.title, '🔁 RESCHEDULED Migration: Cat <Wif> Hat');
+    assert.deepStrictEqual(request.body.data.migration, {
+        id: MINT,
+        name: 'Cat <Wif> Hat',
+        ticker: 'CWH',
+        address: MINT,
+        oldMint: null,
+        newMint: null,
+        url: MIGRATION.url,
+        tier: 'soon',
+        minutesUntil: 13,
+        etaAt: '2027-01-01T12:30:00.000Z',
+        previousEtaAt: '2027-01-01T11:30:00.000Z',
+        reason: null,
+        relisted: false,
+        details: null
+    });
+});
+
+test('renders startup and ops events on every notifier', () => {
+    const settings = [
+        { type: 'discord', webhookUrl: server.url },
+        { type: 'slack', webhookUrl: server.url },
+        { type: 'telegram', botToken: '123:ABC', chatId: '1' },
+        { type: 'webhook', url: server.url, secret: 'shh' }
+    ];
+    const events = [
+        { type: 'startup', config: { checkIntervalMinutes: 5, alertThresholdMinutes: 30 } },
+        { type: 'degraded', problem: { kind: 'empty', title: 'no projects found', detail: 'Nothing' }, info: { since: ETA, checks: 3, snapshot: ['a.html'] } },
+        { type: 'recovered', info: { title: 'no projects found', since: ETA, checks: 3 } },
+        { type: 'error', error: new Error('boom') },
+        { type: 'test', destination: 'alerts' },
+        { type: 'tier-ping', migration: MIGRATION },
+        { type: 'listed', migration: { ...MIGRATION, etaAt: null } },
+        { type: 'removed', migration: { ...MIGRATION, reason: 'cancelled' } },
+        { type: 'live', migration: MIGRATION },
+        { type: 'digest', hours: 24, migrations: [MIGRATION] },
+        { type: 'digest', hours: 24, migrations: [] }
+    ];
+
+    for (const notifier of settings.map(createNotifier)) {
+        for (const event of events) {
+            assert.ok(notifier.render(event), `${notifier.type} renders ${event.type}`);
+        }
+    }
+    assert.throws(() => createNotifier({ type: 'carrier-pigeon' }), /Unknown notifier type/);
+});
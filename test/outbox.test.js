@@ -0,0 +1,196 @@
+const { test, beforeEach, afterEach, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'migrate-fun-outbox-'));
+process.env.DELIVERY_RETRY_BASE_MS = '10';
+
+const outbox = require('../src/outbox');
+const { createSlackNotifier } = require('../src/notifiers');
+const { startWebhookServer } = require('./helpers/webhook-server');
+
+const OUTBOX_FILE = path.join(process.env.DATA_DIR, 'outbox.json');
+
+let server;
+let responses;
+const originalWarn = console.warn;
+const originalError = console.error;
+
+beforeEach(async () => {
+    responses = [];
+    server = await startWebhookServer(() => responses.shift() || { status: 204 });
+    console.warn = () => {};
+    console.error = () => {};
+});
+
+afterEach(async () => {
+    console.warn = originalWarn;
+    console.error = originalError;
+    await server.close();
+});
+
+after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+// Runs first, while the outbox has not been loaded yet
+test('sets an unreadable outbox file aside instead of overwriting it', async () => {
+    fs.writeFileSync(OUTBOX_FILE, '[{"target": "https://discord.com/api/webhooks/1/x", "payl');
+
+    assert.deepStrictEqual(outbox.getPending(), []);
+    outbox.enqueue(server.url, { content: 'after' }, 'after');
+    await outbox.flush();
+
+    const setAside = fs.readdirSync(process.env.DATA_DIR).filter(name => name.startsWith('outbox.json.corrupt-'));
+    assert.strictEqual(setAside.length, 1);
+    assert.match(fs.readFileSync(path.join(process.env.DATA_DIR, setAside[0]), 'utf8'), /"payl$/);
+});
+
+test('delivers queued messages in order and empties the outbox', async () => {
+    outbox.enqueue(server.url, { content: 'first' }, 'first');
+    outbox.enqueue(server.url, { content: 'second' }, 'second');
+
+    const result = await outbox.flush();
+
+    assert.deepStrictEqual(result, { sent: 2, failed: 0, pending: 0, delivered: [] });
+    assert.deepStrictEqual(server.requests.map(r => r.body.content), ['first', 'second']);
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(OUTBOX_FILE, 'utf8')), []);
+});
+
+test('waits for retry_after on 429 and retries', async () => {
+    responses.push({ status: 429, body: { message: 'You are being rate limited.', retry_after: 0.05, global: false } });
+
+    const started = Date.now();
+    outbox.enqueue(server.url, { content: 'imminent' });
+    const result = await outbox.flush();
+
+    assert.strictEqual(result.sent, 1);
+    assert.strictEqual(server.requests.length, 2);
+    assert.ok(Date.now() - started >= 50);
+});
+
+test('waits for the bucket to reset when X-RateLimit-Remaining hits zero', async () => {
+    responses.push({ status: 204, headers: { 'X-RateLimit-Remaining': '0', 'X-RateLimit-Reset-After': '0.08' } });
+    outbox.enqueue(server.url, { content: 'one' });
+    outbox.enqueue(server.url, { content: 'two' });
+
+    const started = Date.now();
+    await outbox.flush();
+
+    assert.strictEqual(server.requests.length, 2);
+    assert.ok(Date.now() - started >= 80);
+});
+
+test('retries 5xx responses with backoff', async () => {
+    responses.push({ status: 502 }, { status: 503 });
+    const before = outbox.getStats().retries;
+
+    outbox.enqueue(server.url, { content: 'soon' });
+    const result = await outbox.flush();
+
+    assert.strictEqual(result.sent, 1);
+    assert.strictEqual(server.requests.length, 3);
+    assert.strictEqual(outbox.getStats().retries - before, 2);
+});
+
+test('keeps messages that keep failing for the next flush', async () => {
+    for (let i = 0; i < 4; i++) responses.push({ status: 500 });
+
+    outbox.enqueue(server.url, { content: 'imminent' }, 'imminent alert');
+    const result = await outbox.flush();
+
+    assert.deepStrictEqual(result, { sent: 0, failed: 0, pending: 1, delivered: [] });
+    const saved = JSON.parse(fs.readFileSync(OUTBOX_FILE, 'utf8'));
+    assert.strictEqual(saved.length, 1);
+    assert.strictEqual(saved[0].label, 'imminent alert');
+    assert.strictEqual(saved[0].attempts, 4);
+
+    // Due again once the backoff has passed
+    await new Promise(resolve => setTimeout(resolve, 100));
+    const retried = await outbox.flush();
+    assert.strictEqual(retried.sent, 1);
+    assert.deepStrictEqual(outbox.getPending(), []);
+});
+
+test('drops messages Discord rejects as invalid', async () => {
+    responses.push({ status: 400, body: { message: 'Invalid Form Body' } });
+
+    outbox.enqueue(server.url, { embeds: [{}] });
+    const result = await outbox.flush();
+
+    assert.deepStrictEqual(result, { sent: 0, failed: 1, pending: 0, delivered: [] });
+    assert.strictEqual(server.requests.length, 1);
+    assert.deepStrictEqual(outbox.getPending(), []);
+});
+
+test('overlapping flushes send each message once', async () => {
+    outbox.enqueue(server.url, { content: 'once' });
+
+    await Promise.all([outbox.flush(), outbox.flush()]);
+
+    assert.strictEqual(server.requests.filter(r => r.body.content === 'once').length, 1);
+});
+
+test('posts with wait=true and reports the created message for keyed entries', async () => {
+    responses.push({ status: 200, body: { id: '111', channel_id: '9' } });
+    outbox.enqueue(server.url, { content: 'card' }, 'card', { key: 'card:cwh' });
+
+    const result = await outbox.flush();
+
+    assert.strictEqual(server.requests[0].method, 'POST');
+    assert.match(server.requests[0].path, /\?wait=true$/);
+    assert.deepStrictEqual(result.delivered, [{ key: 'card:cwh', messageId: '111' }]);
+});
+
+test('edits an existing message with PATCH', async () => {
+    responses.push({ status: 200, body: { id: '111' } });
+    outbox.enqueue(server.url, { content: 'card v2' }, 'card', { key: 'card:cwh', messageId: '111' });
+
+    await outbox.flush();
+
+    assert.strictEqual(server.requests[0].method, 'PATCH');
+    assert.strictEqual(server.requests[0].path, '/api/webhooks/123/test-token/messages/111');
+});
+
+test('reposts when the edited message was deleted', async () => {
+    responses.push({ status: 404, body: { message: 'Unknown Message', code: 10008 } }, { status: 200, body: { id: '222' } });
+    outbox.enqueue(server.url, { content: 'card v3' }, 'card', { key: 'card:cwh', messageId: '111' });
+
+    const result = await outbox.flush();
+
+    assert.deepStrictEqual(server.requests.map(r => r.method), ['PATCH', 'POST']);
+    assert.deepStrictEqual(result.delivered, [{ key: 'card:cwh', messageId: '222' }]);
+});
+
+test('coalesces undelivered messages with the same key', async () => {
+    outbox.enqueue(server.url, { content: 'upcoming' }, 'card', { key: 'card:rock' });
+    outbox.enqueue(server.url, { content: 'soon' }, 'card', { key: 'card:rock' });
+
+    await outbox.flush();
+
+    assert.deepStrictEqual(server.requests.map(r => r.body.content), ['soon']);
+});
+
+// Runs last: the unreachable message stays queued
+test('keeps messages through network errors', async () => {
+    const offline = await startWebhookServer();
+    await offline.close();
+
+    outbox.enqueue(offline.url, { content: 'offline' });
+    const result = await outbox.flush();
+
+    assert.deepStrictEqual(result, { sent: 0, failed: 0, pending: 1, delivered: [] });
+    assert.strictEqual(outbox.getPending()[0].attempts, 4);
+});
+
+test('delivers through a registered notifier by name', async () => {
+    outbox.registerNotifier(createSlackNotifier({ name: 'team-slack', webhookUrl: server.url }));
+    outbox.enqueue('team-slack', { text: 'card' }, 'card', { key: 'card:team-slack:cwh' });
+    outbox.enqueue('missing', { text: 'lost' }, 'lost');
+
+    const result = await outbox.flush();
+
+    assert.deepStrictEqual([result.sent, result.failed], [1, 1]);
+    assert.deepStrictEqual(result.delivered, [{ key: 'card:team-slack:cwh', messageId: null }]);
+    assert.deepStrictEqual(server.requests.map(r => r.body.text), ['card']);
+});
@@ -0,0 +1,107 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createRecorder, readSession, replaySession } = require('../src/recording');
+const { createSimulatedClock } = require('../src/clock');
+const { createBot } = require('../src/bot');
+const { loadConfig } = require('../src/config');
+const { createMemoryStorage } = require('../src/storage');
+const tracker = require('../src/tracker');
+
+const SESSION = path.join(__dirname, 'fixtures', 'sessions', 'cwh-rescheduled.jsonl');
+const RealDate = Date;
+
+let dir;
+
+beforeEach(() => {
+    tracker.useStorage(createMemoryStorage());
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'recording-'));
+});
+
+afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('the simulated clock only goes forward, and leaves Date alone', () => {
+    const start = Date.parse('2027-01-01T12:00:00.000Z');
+    const clock = createSimulatedClock(start);
+
+    assert.strictEqual(clock.now(), start);
+    clock.set(start + 60000);
+    assert.strictEqual(clock.now(), start + 60000);
+    assert.throws(() => clock.set(start), /cannot go back/);
+
+    assert.strictEqual(Date, RealDate);
+    assert.ok(Date.now() < start);
+});
+
+test('records each scrape and project page read of a check', async () => {
+    const migration = { id: 'cwh', name: 'Cat Wif Hat', ticker: 'CWH', url: 'https://migrate.fun/projects/catwifhat-v2', scheduledAt: new Date(Date.now() + 10 * 60000).toISOString() };
+    const config = loadConfig({ DISCORD_WEBHOOK_URL: 'https://discord.com/api/webhooks/1/abc', RECORD_DIR: dir });
+    const bot = createBot(config, {
+        queue: { enqueue: () => {} },
+        scrape: async () => [migration],
+        scrapeDetails: async () => ({ swapRatio: 2 })
+    });
+
+    await bot.planCheck();
+
+    const [file] = fs.readdirSync(dir);
+    assert.match(file, /^session-.*\.jsonl$/);
+    const [header] = fs.readFileSync(path.join(dir, file), 'utf8').split('\n');
+    assert.deepStrictEqual(Object.keys(JSON.parse(header)), ['type', 'version', 'startedAt']);
+
+    const entries = readSession(path.join(dir, file));
+    assert.deepStrictEqual(entries.map(entry => entry.type), ['scrape', 'details']);
+    assert.deepStrictEqual(entries[0].migrations, [migration]);
+    assert.strictEqual(entries[1].url, 'https://migrate.fun/projects/catwifhat-v2');
+    assert.deepStrictEqual(entries[1].details, { swapRatio: 2 });
+    assert.ok(Number.isFinite(entries[0].at));
+});
+
+test('refuses files that are not sessions it can replay', () => {
+    const write = (name, lines) => {
+        const file = path.join(dir, name);
+        fs.writeFileSync(file, lines.join('\n'));
+        return file;
+    };
+
+    assert.throws(() => readSession(write('broken.jsonl', ['{"type":"session","version":1}', '{nope'])), /broken\.jsonl:2 is not valid JSON/);
+    assert.throws(() => readSession(write('other.jsonl', ['{"type":"scrape"}'])), /is not a recorded session/);
+    assert.throws(() => readSession(write('future.jsonl', ['{"type":"session","version":99}'])), /recorded in format 99; this version replays format 1/);
+    assert.throws(() => readSession(write('untimed.jsonl', ['{"type":"session","version":1}', '{"type":"scrape"}'])), /untimed\.jsonl:2 has no valid "at" time/);
+});
+
+test('replays a rescheduled migration into the exact alerts and card edits that went out', async () => {
+    const config = loadConfig({ DISCORD_WEBHOOK_URL: 'https://discord.com/api/webhooks/1/abc', TIER_MENTIONS: 'imminent=@here' });
+    const live = tracker.getStorage();
+
+    const checks = await replaySession(readSession(SESSION), config);
+
+    assert.strictEqual(Date, RealDate, 'the real clock is untouched');
+    assert.strictEqual(tracker.getStorage(), live, 'the live store is still in use');
+    assert.deepStrictEqual(tracker.getTrackedMigrations(config.tiers), [], 'and nothing was tracked in it');
+    assert.strictEqual(checks.length, 13);
+    const sent = checks.flatMap(check => check.messages.map(message => [check.at.slice(11, 16), message.label, message.editsMessage || message.messageId]));
+    assert.deepStrictEqual(sent, [
+        ['11:30', 'tier alert for Cat Wif Hat (discord)', 'replay-1'],
+        ['11:40', 'rescheduled alert for Cat Wif Hat (discord)', null],
+        ['11:40', 'rescheduled alert for Cat Wif Hat (discord)', 'replay-1'],
+        ['11:50', 'tier alert for Cat Wif Hat (discord)', 'replay-1'],
+        ['11:55', 'tier alert for Cat Wif Hat (discord)', 'replay-1'],
+        ['12:05', 'tier alert for Cat Wif Hat (discord)', 'replay-1'],
+        ['12:05', 'tier ping for Cat Wif Hat (discord)', null],
+        ['12:10', 'live alert for Cat Wif Hat (discord)', 'replay-1']
+    ]);
+    assert.deepStrictEqual(checks.flatMap(check => check.alerts.map(alert => (alert.type === 'tier' ? alert.tier : alert.type))),
+        ['upcoming', 'rescheduled', 'upcoming', 'soon', 'imminent', 'live']);
+
+    // Rendered on the simulated clock, with the recorded project page
+    const [first] = checks[2].messages[0].payload.embeds;
+    assert.strictEqual(first.timestamp, '2027-01-01T11:30:00.000Z');
+    assert.ok(first.fields.some(field => field.name.includes('Swap Ratio')), 'details from the recording');
+    assert.match(checks[9].messages[1].payload.content, /^@here \*\*Cat Wif Hat\*\*/);
+});
@@ -0,0 +1,114 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { resolveMigrations, fingerprint, sameProject } = require('../src/resolver');
+
+const NOW = Date.parse('2027-01-01T00:00:00.000Z');
+const MINT_A = 'QUfj4th7CRr3YCFRJ1p64oArrJKss8NCv9AYwmwHBfC4';
+const MINT_B = 'dfufDj8xgZ7yoYGQd4hHWK2qSYtYGdpYmmcPrUTWuDVS';
+const MINT_C = '1zc5mvwMFxXAK8q4KDLQDAJWRBBe9HpyK3Tr5xMUCgSQ';
+
+const at = minutes => new Date(NOW + minutes * 60000).toISOString();
+
+test('fingerprint normalizes ticker and name', () => {
+    const fp = fingerprint({ name: 'Cat Wif Hat!', ticker: '$cwh', oldMint: MINT_A, address: MINT_A, scheduledAt: at(30) }, NOW);
+
+    assert.deepStrictEqual(fp, { mints: [MINT_A], slug: null, ticker: 'cwh', name: 'catwifhat', etaAt: NOW + 30 * 60000 });
+});
+
+test('sameProject trusts mints over tickers', () => {
+    assert.strictEqual(sameProject(fingerprint({ ticker: 'ROCK', oldMint: MINT_A }), fingerprint({ ticker: 'ROCK', oldMint: MINT_B })), false);
+    assert.strictEqual(sameProject(fingerprint({ ticker: 'ROCK', oldMint: MINT_A }), fingerprint({ ticker: 'PEBBLE', newMint: MINT_A })), true);
+    assert.strictEqual(sameProject(fingerprint({ ticker: 'ROCK', name: 'Moon Rock' }), fingerprint({ ticker: 'ROCK', name: 'Sun Rock' })), false);
+});
+
+test('keeps the same ID when the page order changes', () => {
+    const registry = {};
+    const page = [
+        { name: 'Cat Wif Hat', ticker: 'CWH', minutesUntil: 30 },
+        { name: 'Moon Rock', ticker: 'ROCK', minutesUntil: 90 }
+    ];
+
+    const first = resolveMigrations(page, registry, NOW);
+    const second = resolveMigrations([...page].reverse(), registry, NOW);
+
+    const ids = records => Object.fromEntries(records.map(r => [r.ticker, r.id]));
+    assert.deepStrictEqual(ids(second), ids(first));
+    assert.notStrictEqual(ids(first).CWH, ids(first).ROCK);
+});
+
+test('keeps the first ID once a mint shows up', () => {
+    const registry = {};
+
+    const [before] = resolveMigrations([{ name: 'Cat Wif Hat', ticker: 'CWH', slug: 'catwifhat' }], registry, NOW);
+    const [after] = resolveMigrations([{ name: 'Cat Wif Hat', ticker: 'CWH', oldMint: MINT_A }], registry, NOW);
+    const [byMint] = resolveMigrations([{ name: 'CWH v2', oldMint: MINT_A }], registry, NOW);
+
+    assert.strictEqual(before.id, 'catwifhat');
+    assert.strictEqual(after.id, 'catwifhat');
+    assert.strictEqual(byMint.id, 'catwifhat');
+    assert.deepStrictEqual(registry.catwifhat.mints, [MINT_A]);
+});
+
+test('merges a project card with its countdown', () => {
+    const records = resolveMigrations([
+        { name: 'Cat Wif Hat', ticker: 'CWH', oldMint: MINT_A },
+        { timeText: '25m', minutesUntil: 25 }
+    ], {}, NOW);
+
+    assert.strictEqual(records.length, 1);
+    assert.strictEqual(records[0].id, MINT_A);
+    assert.strictEqual(records[0].minutesUntil, 25);
+});
+
+test('merges duplicate records for one project in a scrape', () => {
+    const records = resolveMigrations([
+        { name: 'Cat Wif Hat', ticker: 'CWH', minutesUntil: 25 },
+        { ticker: 'CWH', newMint: MINT_B }
+    ], {}, NOW);
+
+    assert.strictEqual(records.length, 1);
+    assert.strictEqual(records[0].newMint, MINT_B);
+    assert.strictEqual(records[0].minutesUntil, 25);
+});
+
+test('skips countdowns that match several projects', () => {
+    const originalLog = console.log;
+    console.log = () => {};
+    try {
+        const records = resolveMigrations([
+            { name: 'Cat Wif Hat', ticker: 'CWH' },
+            { name: 'Moon Rock', ticker: 'ROCK' },
+            { timeText: '25m', minutesUntil: 25 }
+        ], {}, NOW);
+
+        assert.deepStrictEqual(records.map(r => r.minutesUntil), [undefined, undefined]);
+    } finally {
+        console.log = originalLog;
+    }
+});
+
+test('keeps projects that share a ticker apart by mint', () => {
+    const records = resolveMigrations([
+        { name: 'Rock', ticker: 'ROCK', oldMint: MINT_A },
+        { name: 'Rock', ticker: 'ROCK', oldMint: MINT_C }
+    ], {}, NOW);
+
+    assert.deepStrictEqual(records.map(r => r.id), [MINT_A, MINT_C]);
+});
+
+test('picks the known project with the closest ETA when a ticker is shared', () => {
+    const registry = {};
+    resolveMigrations([
+        { name: 'Rock', ticker: 'ROCK', oldMint: MINT_A, scheduledAt: at(30) },
+        { name: 'Rock', ticker: 'ROCK', oldMint: MINT_C, scheduledAt: at(600) }
+    ], registry, NOW);
+
+    const [later] = resolveMigrations([{ name: 'Rock', ticker: 'ROCK', minutesUntil: 598 }], registry, NOW + 2 * 60000);
+
+    assert.strictEqual(later.id, MINT_C);
+});
+
+test('ignores debug records', () => {
+    assert.deepStrictEqual(resolveMigrations([{ id: 'page-content', name: 'Page Content', debug: true }], {}, NOW), []);
+});
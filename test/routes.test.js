@@ -0,0 +1,59 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { createRoute, recipientsFor } = require('../src/routes');
+
+const CWH = { id: 'mint-cwh', name: 'Cat Wif Hat', ticker: 'CWH', slug: 'catwifhat-v2', address: 'mint-cwh' };
+const ROCK = { id: 'mint-rock', name: 'Rock Coin', ticker: 'ROCK', slug: 'rock', address: 'mint-rock' };
+const SCAM = { id: 'mint-scam', name: 'Cat Scam', ticker: 'SCAM', address: 'mint-scam' };
+
+const routes = [
+    createRoute({ name: 'alpha' }),
+    createRoute({ name: 'general', tiers: ['imminent'], listings: false }),
+    createRoute({ name: 'private', allow: ['$rock'], namePattern: '^cat', deny: ['SCAM'] })
+];
+const [alpha, general, priv] = routes;
+
+test('an unfiltered route takes every token and tier', () => {
+    assert.strictEqual(alpha.filtered, false);
+    assert.ok(alpha.accepts(CWH, 'upcoming'));
+    assert.ok(alpha.accepts(SCAM, 'scheduled'));
+});
+
+test('a tier filter limits tier alerts to the named tiers', () => {
+    assert.strictEqual(general.filtered, true);
+    assert.ok(general.accepts(CWH, 'IMMINENT'));
+    assert.ok(!general.accepts(CWH, 'soon'));
+    assert.ok(general.matches(CWH));
+});
+
+test('allowlist and name pattern narrow a route, and the denylist wins', () => {
+    assert.ok(priv.matches(ROCK), 'allowed by ticker, ignoring $ and case');
+    assert.ok(priv.matches(CWH), 'matches the name pattern');
+    assert.ok(!priv.matches(SCAM), 'denied even though the name matches');
+    assert.ok(!priv.matches({ id: 'mint-dog', name: 'Dog', ticker: 'DOG' }));
+    assert.ok(createRoute({ name: 'mints', allow: ['MINT-CWH'] }).matches(CWH), 'allowed by mint');
+});
+
+test('sends tier alerts where the tracker found them due', () => {
+    assert.deepStrictEqual(recipientsFor(routes, { ...CWH, alertType: 'tier', routes: ['alpha', 'private'] }), ['alpha', 'private']);
+});
+
+test('sends card updates wherever a card exists', () => {
+    const messages = { alpha: '111', private: null };
+
+    assert.deepStrictEqual(recipientsFor(routes, { ...CWH, alertType: 'live', messages }), ['alpha', 'private']);
+    assert.deepStrictEqual(
+        recipientsFor(routes, { ...CWH, alertType: 'rescheduled', messages: { alpha: '111' }, routes: ['alpha', 'general'] }),
+        ['alpha', 'general']
+    );
+});
+
+test('announces listings and removals on matching routes that want them', () => {
+    assert.deepStrictEqual(recipientsFor(routes, { ...ROCK, alertType: 'listed' }), ['alpha', 'private']);
+    assert.deepStrictEqual(recipientsFor(routes, { ...SCAM, alertType: 'listed' }), ['alpha']);
+    assert.deepStrictEqual(
+        recipientsFor(routes, { ...SCAM, alertType: 'removed', messages: { general: '222' } }),
+        ['alpha', 'general']
+    );
+});
@@ -0,0 +1,108 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { createScheduler, pollIntervalMs } = require('../src/scheduler');
+
+const NOW = Date.parse('2027-01-01T12:00:00.000Z');
+const OPTIONS = { checkIntervalMinutes: 5, fastPollWithinMinutes: 10, fastPollSeconds: 60 };
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+const tracked = (minutes, live = false) => ({ etaAt: new Date(NOW + minutes * 60000).toISOString(), live });
+
+test('polls at the normal interval until a migration gets close', () => {
+    const cases = [
+        // tracked migrations, expected interval
+        [[], 5 * 60000],
+        [[tracked(45)], 5 * 60000],
+        [[tracked(13)], 3 * 60000],
+        [[tracked(10.5)], 60000],
+        [[tracked(8), tracked(40)], 60000],
+        [[tracked(-2), tracked(3, true)], 5 * 60000]
+    ];
+
+    for (const [migrations, expected] of cases) {
+        assert.strictEqual(pollIntervalMs(migrations, OPTIONS, NOW), expected, JSON.stringify(migrations));
+    }
+    assert.strictEqual(pollIntervalMs([tracked(2)], { ...OPTIONS, fastPollWithinMinutes: 0 }, NOW), 5 * 60000);
+});
+
+test('never runs two checks at once and skips the ones an overrun missed', async () => {
+    let active = 0;
+    let maxActive = 0;
+    let runs = 0;
+    const scheduler = createScheduler({
+        run: async () => {
+            runs++;
+            maxActive = Math.max(maxActive, ++active);
+            await sleep(30);
+            active--;
+        },
+        intervalMs: () => 10
+    });
+
+    await scheduler.start();
+    await sleep(80);
+    await scheduler.stop();
+
+    assert.strictEqual(maxActive, 1);
+    assert.ok(runs >= 2 && runs <= 4, `ran ${runs} times`);
+});
+
+test('adds jitter of at most a quarter of the interval', async () => {
+    const scheduler = createScheduler({ run: async () => {}, intervalMs: () => 40000, jitterMs: 15000, random: () => 1 });
+
+    await scheduler.start();
+    const delay = scheduler.getNextRunAt() - Date.now();
+    await scheduler.stop();
+
+    assert.ok(delay > 49000 && delay <= 50000, `waits ${delay}ms`);
+});
+
+test('times checks by the clock it is given', async () => {
+    const scheduler = createScheduler({ run: async () => {}, intervalMs: () => 40000, now: () => NOW });
+
+    await scheduler.start();
+    const nextRunAt = scheduler.getNextRunAt();
+    await scheduler.stop();
+
+    assert.strictEqual(nextRunAt, NOW + 40000);
+});
+
+test('stop waits for the check in progress and schedules nothing more', async () => {
+    let runs = 0;
+    let finished = false;
+    const scheduler = createScheduler({
+        run: async () => {
+            runs++;
+            await sleep(30);
+            finished = true;
+        },
+        intervalMs: () => 5
+    });
+
+    scheduler.start();
+    await scheduler.stop();
+
+    assert.strictEqual(finished, true);
+    assert.strictEqual(scheduler.getNextRunAt(), null);
+    await sleep(20);
+    assert.strictEqual(runs, 1);
+    await scheduler.start();
+    assert.strictEqual(runs, 1, 'a stopped scheduler stays stopped');
+});
+
+test('logs a failed check and carries on', async () => {
+    let runs = 0;
+    const scheduler = createScheduler({
+        run: async () => {
+            runs++;
+            throw new Error('boom');
+        },
+        intervalMs: () => 5
+    });
+
+    await scheduler.start();
+    await sleep(30);
+    await scheduler.stop();
+
+    assert.ok(runs >= 2, `ran ${runs} times`);
+});
@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+const { scrape, scrapeDetails, createFileSource } = require('../src/scraper');
+
+const fixturePath = name => path.join(__dirname, 'fixtures', name);
+
+test('scrape reads a captured JSON payload', async () => {
+    const records = await scrape(createFileSource(fixturePath('projects-api.json')));
+
+    assert.deepStrictEqual(records.map(r => r.ticker), ['CWH', 'ROCK']);
+});
+
+test('scrape reads an HTML snapshot with embedded data', async () => {
+    const records = await scrape(createFileSource(fixturePath('projects-next-data.html')));
+
+    assert.deepStrictEqual(records.map(r => r.ticker), ['CWH', 'DUSK']);
+});
+
+test('scrape falls back to cards in an HTML snapshot', async () => {
+    const records = await scrape(createFileSource(fixturePath('projects-dom.html')));
+
+    assert.deepStrictEqual(records.map(r => [r.ticker, r.source]), [['CWH', 'dom'], ['ROCK', 'dom']]);
+});
+
+test('scrape returns a debug record when a page has no projects', async () => {
+    const records = await scrape(createFileSource(fixturePath('empty-page.html')));
+
+    assert.strictEqual(records.length, 1);
+    assert.strictEqual(records[0].debug, true);
+    assert.match(records[0].rawText, /No migrations scheduled/);
+});
+
+test('scrape closes the source when loading fails', async () => {
+    let closed = false;
+    const source = {
+        name: 'broken',
+        load: async () => { throw new Error('boom'); },
+        close: async () => { closed = true; }
+    };
+
+    await assert.rejects(scrape(source), /boom/);
+    assert.strictEqual(closed, true);
+});
+
+test('scrapeDetails reads saved project pages next to the snapshot', async () => {
+    const source = createFileSource(fixturePath('projects-api.json'));
+
+    const details = await scrapeDetails('https://migrate.fun/projects/moonrock', source);
+    assert.strictEqual(details.newMint, 'Pm67KKZQQVa74xMZxdKKbNtk1RSMAzsz5NMTgxhfNTav');
+
+    await assert.rejects(scrapeDetails('https://migrate.fun/projects/unknown', source), /No saved project page for unknown/);
+    await assert.rejects(scrapeDetails('https://migrate.fun/projects', source), /Not a project page/);
+});
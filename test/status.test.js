@@ -0,0 +1,148 @@
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+
+const metrics = require('../src/metrics');
+const { startStatusServer, recordCheck, getHealth, resetStatus } = require('../src/status');
+
+const MIGRATIONS = [{ id: 'cwh', name: 'CWH', tier: 'soon', minutesUntil: 12 }];
+
+let server;
+let baseUrl;
+
+async function get(pathname) {
+    const res = await fetch(`${baseUrl}${pathname}`);
+    const text = await res.text();
+    return { status: res.status, type: res.headers.get('content-type'), text };
+}
+
+beforeEach(async () => {
+    resetStatus();
+    metrics.reset();
+    if (!server) {
+        server = await startStatusServer({ port: 0, host: '127.0.0.1', maxAgeMinutes: 15, getMigrations: () => MIGRATIONS });
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    }
+});
+
+after(() => server.close());
+
+test('health is starting until the first check, then ok', async () => {
+    assert.strictEqual(getHealth(15).status, 'starting');
+    assert.strictEqual((await get('/healthz')).status, 200);
+
+    recordCheck({ ok: true, scrapeMs: 4200, items: 3 });
+    const res = await get('/healthz');
+    const body = JSON.parse(res.text);
+
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(body.status, 'ok');
+    assert.strictEqual(body.lastScrapeAgeSeconds, 0);
+});
+
+test('health goes stale when no check succeeds within the max age', () => {
+    const startedAt = Date.now();
+    recordCheck({ ok: true, scrapeMs: 1000, items: 1 });
+    recordCheck({ ok: false, error: new Error('Navigation timeout') });
+
+    const health = getHealth(15, startedAt + 16 * 60000);
+
+    assert.strictEqual(health.status, 'stale');
+    assert.strictEqual(health.healthy, false);
+    assert.strictEqual(health.lastError, 'Navigation timeout');
+    assert.strictEqual(getHealth(15, startedAt + 20 * 60000).lastScrapeAgeSeconds >= 20 * 60, true);
+});
+
+test('health is stale when the first check never completes', () => {
+    assert.strictEqual(getHealth(15, Date.now() + 16 * 60000).status, 'stale');
+});
+
+test('/healthz returns 503 when stale', async () => {
+    const stale = await startStatusServer({ port: 0, host: '127.0.0.1', maxAgeMinutes: -1, getMigrations: () => [] });
+    try {
+        const res = await fetch(`http://127.0.0.1:${stale.address().port}/healthz`);
+        assert.strictEqual(res.status, 503);
+        assert.strictEqual((await res.json()).status, 'stale');
+    } finally {
+        stale.close();
+    }
+});
+
+test('/metrics renders check results in the Prometheus format', async () => {
+    recordCheck({ ok: true, scrapeMs: 4200, items: 3 });
+    recordCheck({ ok: false, error: new Error('boom') });
+
+    const res = await get('/metrics');
+
+    assert.strictEqual(res.status, 200);
+    assert.match(res.type, /^text\/plain; version=0\.0\.4/);
+    assert.match(res.text, /# TYPE migrate_fun_checks_total counter/);
+    assert.match(res.text, /^migrate_fun_checks_total\{result="success"\} 1$/m);
+    assert.match(res.text, /^migrate_fun_checks_total\{result="failure"\} 1$/m);
+    assert.match(res.text, /^migrate_fun_scrape_duration_seconds 4\.2$/m);
+    assert.match(res.text, /^migrate_fun_scrape_items 3$/m);
+});
+
+test('metrics escape label values and read collected values on render', () => {
+    let pending = 2;
+    metrics.gauge('test_collected', 'Collected on render', () => pending);
+    metrics.counter('test_labelled', 'Labelled').inc({ name: 'say "hi"\n' }, 2);
+    pending = 5;
+
+    const text = metrics.render();
+
+    assert.match(text, /^test_collected 5$/m);
+    assert.ok(text.includes('test_labelled{name="say \\"hi\\"\\n"} 2'));
+});
+
+test('/migrations lists the tracked migrations', async () => {
+    const res = await get('/migrations');
+    const body = JSON.parse(res.text);
+
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(body.migrations, MIGRATIONS);
+    assert.ok(body.generatedAt);
+});
+
+test('serves the calendar feed only when it is turned on', async () => {
+    assert.strictEqual((await get('/calendar.ics')).status, 404);
+
+    const calendar = 'BEGIN:VCALENDAR\r\nEND:VCALENDAR\r\n';
+    const withCalendar = await startStatusServer({ port: 0, host: '127.0.0.1', maxAgeMinutes: 15, getMigrations: () => [], getCalendar: () => calendar });
+    try {
+        const res = await fetch(`http://127.0.0.1:${withCalendar.address().port}/calendar.ics`);
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.headers.get('content-type'), 'text/calendar; charset=utf-8');
+        assert.strictEqual(await res.text(), calendar);
+    } finally {
+        withCalendar.close();
+    }
+});
+
+test('passes interactions to the handler only when there is one', async () => {
+    assert.strictEqual((await fetch(`${baseUrl}/interactions`, { method: 'POST', body: '{}' })).status, 405);
+
+    const received = [];
+    const handleInteraction = request => {
+        received.push(request);
+        return { status: 200, body: { type: 1 } };
+    };
+    const withInteractions = await startStatusServer({ port: 0, host: '127.0.0.1', maxAgeMinutes: 15, getMigrations: () => [], handleInteraction });
+    const url = `http://127.0.0.1:${withInteractions.address().port}/interactions`;
+    try {
+        const res = await fetch(url, { method: 'POST', headers: { 'X-Signature-Timestamp': '1' }, body: '{"type":1}' });
+        assert.strictEqual(res.status, 200);
+        assert.deepStrictEqual(await res.json(), { type: 1 });
+        assert.strictEqual(received[0].body, '{"type":1}');
+        assert.strictEqual(received[0].headers['x-signature-timestamp'], '1');
+
+        assert.strictEqual((await fetch(url, { method: 'POST', body: 'x'.repeat(65 * 1024) })).status, 413);
+        assert.strictEqual(received.length, 1);
+    } finally {
+        withInteractions.close();
+    }
+});
+
+test('unknown paths and methods are rejected', async () => {
+    assert.strictEqual((await get('/nope')).status, 404);
+    assert.strictEqual((await fetch(`${baseUrl}/healthz`, { method: 'POST' })).status, 405);
+});
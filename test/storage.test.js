@@ -0,0 +1,205 @@
+const { test, describe, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const { openStorage, importSeenFile, createSqliteStorage, createMemoryStorage } = require('../src/storage');
+const { SCHEMA_VERSION } = require('../src/storage/schema');
+
+const NOW = Date.parse('2027-01-01T00:00:00.000Z');
+
+const STATE = {
+    alerts: { 'mint-a_soon': NOW },
+    migrations: {
+        'mint-a': { name: 'Cat Wif Hat', etaAt: NOW + 600000, firstSeenAt: NOW, lastSeenAt: NOW, messages: { discord: '111' }, alertTier: 'soon' }
+    },
+    projects: {
+        'mint-a': {
+            id: 'mint-a', mints: ['mint-a'], slug: 'cwh', ticker: 'cwh', name: 'catwifhat',
+            displayName: 'Cat Wif Hat', etaAt: NOW + 600000, firstSeenAt: NOW, lastSeenAt: NOW
+        }
+    }
+};
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'migrate-fun-storage-'));
+
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+function tempDir() {
+    return fs.mkdtempSync(path.join(tmp, 'case-'));
+}
+
+const implementations = {
+    memory: () => createMemoryStorage(),
+    sqlite: () => createSqliteStorage(path.join(tempDir(), 'tracker.db'))
+};
+
+for (const [kind, create] of Object.entries(implementations)) {
+    describe(`${kind} storage`, () => {
+        test('starts empty', () => {
+            const storage = create();
+            assert.deepStrictEqual(storage.load(), { alerts: {}, migrations: {}, projects: {} });
+            storage.close();
+        });
+
+        test('round-trips tracking state', () => {
+            const storage = create();
+            storage.save(STATE);
+            assert.deepStrictEqual(storage.load(), STATE);
+            storage.close();
+        });
+
+        test('replaces state on save, dropping the history of forgotten migrations', () => {
+            const storage = create();
+            storage.save(STATE);
+            storage.addEtaHistory({ migrationId: 'mint-a', observedAt: NOW, etaAt: NOW + 600000 });
+            storage.save({ alerts: {}, migrations: {}, projects: {} });
+
+            assert.deepStrictEqual(storage.load(), { alerts: {}, migrations: {}, projects: {} });
+            assert.deepStrictEqual(storage.getEtaHistory('mint-a'), []);
+            storage.close();
+        });
+
+        test('returns ETA history oldest first', () => {
+            const storage = create();
+            storage.save(STATE);
+            storage.addEtaHistory({ migrationId: 'mint-a', observedAt: NOW, etaAt: NOW + 600000 });
+            storage.addEtaHistory({ migrationId: 'mint-a', observedAt: NOW + 60000, etaAt: NOW + 3600000, rescheduled: true });
+
+            assert.deepStrictEqual(storage.getEtaHistory('mint-a'), [
+                { observedAt: NOW, etaAt: NOW + 600000, rescheduled: false },
+                { observedAt: NOW + 60000, etaAt: NOW + 3600000, rescheduled: true }
+            ]);
+            storage.close();
+        });
+
+        test('rolls back a failed transaction', () => {
+            const storage = create();
+            storage.save(STATE);
+
+            assert.throws(() => storage.transaction(() => {
+                storage.save({ alerts: {}, migrations: {}, projects: {} });
+                storage.setMeta('touched', 1);
+                throw new Error('boom');
+            }), /boom/);
+
+            assert.deepStrictEqual(storage.load(), STATE);
+            assert.strictEqual(storage.getMeta('touched'), null);
+            storage.close();
+        });
+
+        test('keeps meta values across clear()', () => {
+            const storage = create();
+            storage.save(STATE);
+            storage.setMeta('imported', 42);
+            storage.clear();
+
+            assert.deepStrictEqual(storage.load(), { alerts: {}, migrations: {}, projects: {} });
+            assert.strictEqual(storage.getMeta('imported'), '42');
+            storage.close();
+        });
+    });
+}
+
+test('sqlite storage persists across reopening and records its schema version', () => {
+    const file = path.join(tempDir(), 'tracker.db');
+    const first = createSqliteStorage(file);
+    first.save(STATE);
+    first.close();
+
+    const second = createSqliteStorage(file);
+    assert.deepStrictEqual(second.load(), STATE);
+    second.close();
+
+    const db = new Database(file, { readonly: true });
+    assert.strictEqual(db.pragma('user_version', { simple: true }), SCHEMA_VERSION);
+    db.close();
+});
+
+test('imports seen_migrations.json once and renames it', () => {
+    const dir = tempDir();
+    const file = path.join(dir, 'seen_migrations.json');
+    fs.writeFileSync(file, JSON.stringify(STATE));
+
+    const storage = openStorage({ kind: 'sqlite', dataDir: dir });
+
+    assert.deepStrictEqual(storage.load(), STATE);
+    assert.ok(!fs.existsSync(file));
+    assert.ok(fs.existsSync(`${file}.imported`));
+
+    // A file that reappears later is not imported over newer state
+    fs.writeFileSync(file, JSON.stringify({ alerts: { other_soon: NOW }, migrations: {}, projects: {} }));
+    assert.strictEqual(importSeenFile(storage, file), false);
+    assert.deepStrictEqual(storage.load(), STATE);
+    storage.close();
+});
+
+test('upgrades a v2 database, keeping card message IDs as Discord messages', () => {
+    const file = path.join(tempDir(), 'tracker.db');
+    const db = new Database(file);
+    db.exec(`
+        CREATE TABLE migrations (
+            id TEXT PRIMARY KEY, name TEXT, eta_at INTEGER, first_seen_at INTEGER, last_seen_at INTEGER,
+            rescheduled_at INTEGER, message_id TEXT, alert_tier TEXT, live_at INTEGER
+        );
+        CREATE TABLE projects (id TEXT PRIMARY KEY, mints TEXT NOT NULL DEFAULT '[]', slug TEXT, ticker TEXT, name TEXT,
+            display_name TEXT, eta_at INTEGER, first_seen_at INTEGER, last_seen_at INTEGER, removed_at INTEGER);
+        CREATE TABLE eta_history (id INTEGER PRIMARY KEY AUTOINCREMENT, migration_id TEXT NOT NULL,
+            observed_at INTEGER NOT NULL, eta_at INTEGER NOT NULL, rescheduled INTEGER NOT NULL DEFAULT 0);
+        CREATE TABLE sent_messages (alert_key TEXT PRIMARY KEY, sent_at INTEGER NOT NULL);
+        CREATE TABLE meta (key TEXT PRIMARY KEY, value TEXT);
+        INSERT INTO migrations (id, name, eta_at, message_id) VALUES ('mint-a', 'Cat Wif Hat', ${NOW}, '111');
+        PRAGMA user_version = 2;
+    `);
+    db.close();
+
+    const storage = createSqliteStorage(file);
+    assert.deepStrictEqual(storage.load().migrations['mint-a'], { name: 'Cat Wif Hat', etaAt: NOW, messages: { discord: '111' } });
+    storage.close();
+});
+
+test('imports the card message ID of an old seen file as a Discord message', () => {
+    const dir = tempDir();
+    const file = path.join(dir, 'seen_migrations.json');
+    fs.writeFileSync(file, JSON.stringify({ alerts: {}, migrations: { cwh: { name: 'CWH', etaAt: NOW, messageId: '111' } } }));
+
+    const storage = createMemoryStorage();
+
+    assert.strictEqual(importSeenFile(storage, file), true);
+    assert.deepStrictEqual(storage.load().migrations.cwh, { name: 'CWH', etaAt: NOW, messages: { discord: '111' } });
+});
+
+test('imports the legacy flat seen file', () => {
+    const dir = tempDir();
+    const file = path.join(dir, 'seen_migrations.json');
+    fs.writeFileSync(file, JSON.stringify({ cwh_upcoming: NOW }));
+
+    const storage = createMemoryStorage();
+
+    assert.strictEqual(importSeenFile(storage, file), true);
+    assert.deepStrictEqual(storage.load(), { alerts: { cwh_upcoming: NOW }, migrations: {}, projects: {} });
+});
+
+test('leaves a corrupted seen file in place and keeps existing state', () => {
+    const dir = tempDir();
+    const file = path.join(dir, 'seen_migrations.json');
+    fs.writeFileSync(file, '{"alerts": {"cwh_soon": 17');
+
+    const storage = createMemoryStorage();
+    storage.save(STATE);
+
+    assert.strictEqual(importSeenFile(storage, file), false);
+    assert.deepStrictEqual(storage.load(), STATE);
+    assert.ok(fs.existsSync(file));
+
+    // Fixed by hand, it is picked up on the next start
+    fs.writeFileSync(file, JSON.stringify({ alerts: { cwh_soon: 17 } }));
+    assert.strictEqual(importSeenFile(storage, file), true);
+    assert.strictEqual(storage.load().alerts.cwh_soon, 17);
+});
+
+test('rejects an unknown storage kind', () => {
+    assert.throws(() => openStorage({ kind: 'postgres', dataDir: tempDir() }), /Unknown STORAGE "postgres"/);
+});
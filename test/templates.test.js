@@ -0,0 +1,140 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const { applyTemplate, fillTemplate, fitDiscordLimits, escapeMarkdown, DISCORD_LIMITS } = require('../src/templates');
+const { createDiscordNotifier } = require('../src/notifiers');
+const { DEFAULT_TIERS } = require('../src/config');
+
+const realNow = Date.now;
+const NOW = Date.parse('2027-01-01T12:00:00.000Z');
+const ETA = NOW + 12 * 60000;
+const UNIX = ETA / 1000;
+
+const MIGRATION = {
+    id: 'cwh',
+    name: 'Cat Wif Hat',
+    ticker: 'CWH',
+    address: 'QUfj4th7CRr3YCFRJ1p64oArrJKss8NCv9AYwmwHBfC4',
+    url: 'https://migrate.fun/projects/catwifhat-v2',
+    minutesUntil: 12,
+    etaAt: ETA,
+    alertTier: 'soon'
+};
+
+afterEach(() => {
+    Date.now = realNow;
+});
+
+test('escapes scraped text so it shows as written', () => {
+    assert.strictEqual(escapeMarkdown('**Rug** [pull](https://x) @everyone <@&1> #1 `x` _y_ ~z~ |s| > q \\'),
+        '\\*\\*Rug\\*\\* \\[pull\\]\\(https://x\\) \\@everyone \\<\\@&1\\> \\#1 \\`x\\` \\_y\\_ \\~z\\~ \\|s\\| \\> q \\\\');
+    assert.strictEqual(escapeMarkdown('two\n\nlines '), 'two lines ');
+    assert.strictEqual(escapeMarkdown(null), '');
+});
+
+test('fills in variables and reports the ones without a value', () => {
+    assert.deepStrictEqual(fillTemplate('{{tier}} {{ name }}!', { tier: 'SOON', name: 'CWH' }), { text: 'SOON CWH!', missing: false });
+    assert.deepStrictEqual(fillTemplate('Ratio {{swapRatio}}', { swapRatio: '' }), { text: 'Ratio ', missing: true });
+});
+
+test('replaces only the parts a template sets, and leaves out fields it cannot fill', () => {
+    const payload = {
+        content: '@here',
+        embeds: [{ title: 'Built in', description: 'Built in', color: 1, fields: [{ name: 'a', value: 'b' }], footer: { text: 'Migrate.fun Alert Bot' } }],
+        allowed_mentions: { parse: ['everyone'] }
+    };
+    const template = {
+        content: '{{name}} soon',
+        title: '{{tier}} · {{name}}',
+        fields: [
+            { name: 'When', value: '{{eta}}', inline: true },
+            { name: 'Ratio', value: '{{swapRatio}}', inline: false }
+        ]
+    };
+
+    const result = applyTemplate(payload, template, { name: 'CWH', tier: 'SOON', eta: '<t:1:f>', swapRatio: '' }, { footer: 'Acme', mention: '@here' });
+
+    assert.strictEqual(result.content, '@here CWH soon');
+    assert.deepStrictEqual(result.embeds[0], {
+        title: 'SOON · CWH',
+        description: 'Built in',
+        color: 1,
+        fields: [{ name: 'When', value: '<t:1:f>', inline: true }],
+        footer: { text: 'Acme' }
+    });
+    assert.deepStrictEqual(result.allowed_mentions, payload.allowed_mentions);
+    assert.strictEqual(payload.embeds[0].title, 'Built in', 'the built-in message is not changed');
+});
+
+test('trims messages to Discord\'s limits', () => {
+    const { payload, trimmed } = fitDiscordLimits({
+        content: 'c'.repeat(2500),
+        embeds: [{
+            title: 't'.repeat(300),
+            description: 'd'.repeat(4000),
+            fields: Array.from({ length: 30 }, (_, i) => ({ name: `f${i}`, value: 'v'.repeat(100) }))
+        }]
+    });
+    const [embed] = payload.embeds;
+    const size = embed.title.length + embed.description.length + embed.fields.reduce((sum, f) => sum + f.name.length + f.value.length, 0);
+
+    assert.strictEqual(payload.content.length, DISCORD_LIMITS.content);
+    assert.ok(payload.content.endsWith('…'));
+    assert.strictEqual(embed.title.length, DISCORD_LIMITS.title);
+    assert.strictEqual(embed.fields.length, DISCORD_LIMITS.fields);
+    assert.ok(size <= DISCORD_LIMITS.embed, `${size} characters`);
+    assert.deepStrictEqual(trimmed, ['content', 'embeds[0].title', 'embeds[0].fields', 'embeds[0].description']);
+
+    assert.deepStrictEqual(fitDiscordLimits({ content: 'fine' }), { payload: { content: 'fine' }, trimmed: [] });
+});
+
+test('trimming never splits an escape in two', () => {
+    const name = escapeMarkdown('*Cat* Wif Hat');
+    const title = 't'.repeat(DISCORD_LIMITS.title - 2) + name;
+    const escapedBackslash = 't'.repeat(DISCORD_LIMITS.title - 3) + escapeMarkdown('\\xyz');
+
+    assert.strictEqual(fitDiscordLimits({ embeds: [{ title }] }).payload.embeds[0].title, `${'t'.repeat(DISCORD_LIMITS.title - 2)}…`);
+    assert.strictEqual(fitDiscordLimits({ embeds: [{ title: escapedBackslash }] }).payload.embeds[0].title,
+        `${'t'.repeat(DISCORD_LIMITS.title - 3)}\\\\…`);
+});
+
+test('a Discord destination renders alerts from its templates, with page text escaped', () => {
+    Date.now = () => NOW;
+    const templates = {
+        footer: 'Acme Migrations',
+        tier: {
+            title: '{{tier}} · {{name}} (${{ticker}})',
+            description: 'Noch {{timeUntil}}',
+            fields: [
+                { name: 'Wann', value: '{{eta}}', inline: true },
+                { name: 'Mint', value: '`{{mint}}`' },
+                { name: 'Verhältnis', value: '{{swapRatio}}' }
+            ]
+        },
+        'tier-ping': { content: '{{name}} ist jetzt {{tier}}' }
+    };
+    const notifier = createDiscordNotifier({ webhookUrl: 'https://discord.com/api/webhooks/1/abc', templates });
+    const migration = { ...MIGRATION, name: '*Cat* Wif @everyone' };
+
+    const card = notifier.render({ type: 'tier', migration, tiers: DEFAULT_TIERS, mention: '<@&42>' });
+    assert.strictEqual(card.content, '<@&42>');
+    assert.deepStrictEqual(card.allowed_mentions, { parse: [], roles: ['42'] });
+    assert.deepStrictEqual(card.embeds[0].title, '⚠️ SOON · \\*Cat\\* Wif \\@everyone ($CWH)');
+    assert.strictEqual(card.embeds[0].description, 'Noch 12 minutes');
+    assert.deepStrictEqual(card.embeds[0].fields, [
+        { name: 'Wann', value: `<t:${UNIX}:f> (<t:${UNIX}:R>)`, inline: true },
+        { name: 'Mint', value: `\`${MIGRATION.address}\``, inline: false }
+    ]);
+    assert.deepStrictEqual(card.embeds[0].footer, { text: 'Acme Migrations' });
+
+    const ping = notifier.render({ type: 'tier-ping', migration, tiers: DEFAULT_TIERS, mention: '@here' });
+    assert.strictEqual(ping.content, '@here \\*Cat\\* Wif \\@everyone ist jetzt ⚠️ SOON');
+
+    // Events without a template keep the built-in wording, with the shared footer
+    const live = notifier.render({ type: 'live', migration: MIGRATION, tiers: DEFAULT_TIERS });
+    assert.strictEqual(live.embeds[0].title, '✅ LIVE Migration: Cat Wif Hat');
+    assert.deepStrictEqual(live.embeds[0].footer, { text: 'Acme Migrations' });
+
+    const plain = createDiscordNotifier({ webhookUrl: 'https://discord.com/api/webhooks/1/abc' });
+    assert.deepStrictEqual(plain.render({ type: 'live', migration: MIGRATION }).embeds[0].footer, { text: 'Migrate.fun Alert Bot' });
+});
@@ -0,0 +1,121 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { parseTime } = require('../src/timeparser');
+
+const NOW = Date.parse('2026-10-19T12:00:00.000Z');
+const MIN = 60000;
+const at = iso => Date.parse(iso);
+
+test('parses countdowns into an ETA relative to when they were read', () => {
+    const cases = [
+        // text, minutes until, confidence, kind
+        ['30m', 30, 'high', 'duration'],
+        ['45s', 1, 'exact', 'duration'],
+        ['2h', 120, 'medium', 'duration'],
+        ['30 minutes', 30, 'high', 'duration'],
+        ['2 hours', 120, 'medium', 'duration'],
+        ['3 days', 4320, 'low', 'duration'],
+        ['1h 30m', 90, 'high', 'duration'],
+        ['1h30m', 90, 'high', 'duration'],
+        ['2d 4h', 3120, 'medium', 'duration'],
+        ['2d 4h 10m 30s', 3131, 'exact', 'duration'],
+        ['1 hour and 30 minutes', 90, 'high', 'duration'],
+        ['2 hrs 5 mins', 125, 'high', 'duration'],
+        ['Starts in 1h 30m', 90, 'high', 'duration'],
+        ['in 3 days', 4320, 'low', 'duration'],
+        ['1 week', 10080, 'low', 'duration'],
+        ['1:30:00', 90, 'exact', 'clock'],
+        ['1:30:45', 91, 'exact', 'clock'],
+        ['0:05', 5, 'high', 'clock'],
+        ['01:22:05', 82, 'exact', 'clock'],
+        ['00:00:59:30', 60, 'exact', 'clock'],
+        ['02:04:10:00', 3130, 'exact', 'clock'],
+        ['3h 20 blocks', 180, 'low', 'duration'],
+        ['Coming soon: 2h', 120, 'medium', 'duration'],
+        ['Not live yet, starts in 1h 30m', 90, 'high', 'duration']
+    ];
+
+    for (const [text, minutesUntil, confidence, kind] of cases) {
+        const result = parseTime(text, { now: NOW });
+        assert.deepStrictEqual(
+            [result.state, result.minutesUntil, result.confidence, result.kind],
+            ['scheduled', minutesUntil, confidence, kind],
+            text
+        );
+    }
+    assert.strictEqual(parseTime('01:22:05', { now: NOW }).etaAt, NOW + 82 * MIN + 5000);
+});
+
+test('parses absolute dates and times with their zone', () => {
+    const cases = [
+        // text, ETA, confidence, kind
+        ['Oct 21, 14:00 UTC', '2026-10-21T14:00:00Z', 'exact', 'absolute'],
+        ['Oct 21, 2026, 14:00 UTC', '2026-10-21T14:00:00Z', 'exact', 'absolute'],
+        ['October 21st at 2:00 PM EST', '2026-10-21T19:00:00Z', 'exact', 'absolute'],
+        ['21 Oct 2026 14:00 UTC+2', '2026-10-21T12:00:00Z', 'exact', 'absolute'],
+        ['Oct 21, 14:00 GMT-05:30', '2026-10-21T19:30:00Z', 'exact', 'absolute'],
+        ['Oct 21, 12:15 AM +0100', '2026-10-20T23:15:00Z', 'exact', 'absolute'],
+        ['2026-10-21T14:00:00.000Z', '2026-10-21T14:00:00Z', 'exact', 'absolute'],
+        ['2026-10-21 14:00:00-04:00', '2026-10-21T18:00:00Z', 'exact', 'absolute'],
+        ['Oct 21, 14:00', '2026-10-21T14:00:00Z', 'medium', 'absolute'],
+        ['Oct 21', '2026-10-21T00:00:00Z', 'low', 'absolute'],
+        ['Jan 3, 09:00 UTC', '2027-01-03T09:00:00Z', 'exact', 'absolute'],
+        ['Oct 19, 09:00 UTC', '2026-10-19T09:00:00Z', 'exact', 'absolute'],
+        ['Oct 18, 09:00 UTC', '2027-10-18T09:00:00Z', 'exact', 'absolute'],
+        ['Launch may 5', '2027-05-05T00:00:00Z', 'low', 'absolute'],
+        ['12/25/2026 14:00', '2026-12-25T14:00:00Z', 'medium', 'absolute'],
+        ['Opens 10/21 at 14:00', '2026-10-21T14:00:00Z', 'medium', 'absolute'],
+        ['10/21 2:00 PM EST', '2026-10-21T19:00:00Z', 'exact', 'absolute'],
+        ['14:00 UTC', '2026-10-19T14:00:00Z', 'high', 'time-of-day'],
+        ['8pm JST', '2026-10-19T11:00:00Z', 'high', 'time-of-day'],
+        ['Launch window opens Mon 2pm UTC', '2026-10-19T14:00:00Z', 'high', 'absolute'],
+        ['Mon 9am UTC', '2026-10-19T09:00:00Z', 'high', 'absolute'],
+        ['Sunday 9am PST', '2026-10-25T17:00:00Z', 'high', 'absolute'],
+        ['Opens Fri 14:00', '2026-10-23T14:00:00Z', 'medium', 'absolute'],
+        ['Opens Wednesday', '2026-10-21T00:00:00Z', 'low', 'absolute']
+    ];
+
+    for (const [text, eta, confidence, kind] of cases) {
+        const result = parseTime(text, { now: NOW });
+        assert.deepStrictEqual(
+            [result.state, new Date(result.etaAt).toISOString(), result.confidence, result.kind],
+            ['scheduled', new Date(at(eta)).toISOString(), confidence, kind],
+            text
+        );
+        assert.strictEqual(result.minutesUntil, Math.round((at(eta) - NOW) / MIN), text);
+    }
+});
+
+test('recognises states that have no time', () => {
+    const cases = [
+        ['Live', 'live'],
+        ['LIVE NOW', 'live'],
+        ['Migrating', 'live'],
+        ['Ended', 'ended'],
+        ['Migration ended Oct 18', 'ended'],
+        ['TBA', 'tba'],
+        ['Coming soon', 'tba'],
+        ['Not live yet', 'tba'],
+        ['Hasn\'t started', 'tba'],
+        ['Ends in 2h', 'live'],
+        ['Migration closes Oct 21', 'live'],
+        ['Live in 2h', 'scheduled']
+    ];
+
+    for (const [text, state] of cases) {
+        assert.strictEqual(parseTime(text, { now: NOW }).state, state, text);
+    }
+    assert.deepStrictEqual(parseTime('Ended', { now: NOW }), {
+        state: 'ended', etaAt: null, minutesUntil: null, confidence: 'high', kind: 'state', text: 'Ended'
+    });
+});
+
+test('reports unknown for missing or unparseable text', () => {
+    for (const text of [null, undefined, '', '   ', 'Cat Wif Hat', '42', '25:99', '25/12 14:00']) {
+        const result = parseTime(text, { now: NOW });
+        assert.strictEqual(result.state, 'unknown', String(text));
+        assert.strictEqual(result.etaAt, null, String(text));
+        assert.strictEqual(result.minutesUntil, null, String(text));
+    }
+});
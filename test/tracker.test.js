@@ -0,0 +1,349 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const { getMigrationsToAlert, setAlertMessage, getEtaHistory, getTrackedMigrations, loadSeenMigrations, useStorage } = require('../src/tracker');
+const { createMemoryStorage } = require('../src/storage');
+const { createRoute } = require('../src/routes');
+
+const START = Date.parse('2027-01-01T00:00:00.000Z');
+const realNow = Date.now;
+let now;
+
+/**
+ * Build a scraped migration observed at the simulated current time
+ */
+function migration(id, minutesUntil, extra = {}) {
+    return { slug: id, name: id.toUpperCase(), minutesUntil, scrapedAt: new Date(now).toISOString(), ...extra };
+}
+
+function advance(minutes) {
+    now += minutes * 60000;
+}
+
+beforeEach(() => {
+    now = START;
+    Date.now = () => now;
+    useStorage(createMemoryStorage());
+});
+
+afterEach(() => {
+    Date.now = realNow;
+});
+
+test('alerts each tier as a migration approaches', () => {
+    const tiers = [];
+    let elapsed = 0;
+    for (const checkAt of [0, 20, 33, 41]) {
+        advance(checkAt - elapsed);
+        elapsed = checkAt;
+        const alerts = getMigrationsToAlert([migration('cwh', 45 - checkAt)]);
+        tiers.push(...alerts.map(a => `${a.alertType}:${a.alertTier}`));
+    }
+
+    assert.deepStrictEqual(tiers, ['tier:upcoming', 'tier:soon', 'tier:imminent']);
+});
+
+test('tracks tier alerts separately for each destination route', () => {
+    const alpha = createRoute({ name: 'alpha' });
+    const general = createRoute({ name: 'general', tiers: ['imminent'] });
+    const routes = [alpha, general];
+    const sent = [];
+
+    for (const minutesUntil of [25, 13, 4, 3]) {
+        advance(25 - minutesUntil - (now - START) / 60000);
+        const alerts = getMigrationsToAlert([migration('cwh', minutesUntil)], { routes });
+        sent.push(...alerts.map(a => `${a.alertTier}:${a.routes.join('+')}`));
+    }
+
+    assert.deepStrictEqual(sent, ['upcoming:alpha', 'soon:alpha', 'imminent:alpha+general']);
+    assert.deepStrictEqual(Object.keys(loadSeenMigrations().alerts).sort(), [
+        'alpha:cwh_imminent', 'alpha:cwh_soon', 'alpha:cwh_upcoming', 'general:cwh_imminent'
+    ]);
+});
+
+test('a route added later still gets the tier another route was already sent', () => {
+    const alpha = createRoute({ name: 'alpha' });
+    const team = createRoute({ name: 'team' });
+
+    getMigrationsToAlert([migration('cwh', 13)], { routes: [alpha] });
+    advance(1);
+    const alerts = getMigrationsToAlert([migration('cwh', 12)], { routes: [alpha, team] });
+
+    assert.deepStrictEqual(alerts.map(a => [a.alertTier, a.routes]), [['soon', ['team']]]);
+});
+
+test('a reschedule resets tier alerts on every route', () => {
+    const routes = [createRoute({ name: 'alpha' }), createRoute({ name: 'general', tiers: ['imminent'] })];
+
+    getMigrationsToAlert([migration('cwh', 4)], { routes });
+    advance(1);
+    const [rescheduled] = getMigrationsToAlert([migration('cwh', 27)], { routes });
+
+    assert.strictEqual(rescheduled.alertType, 'rescheduled');
+    assert.deepStrictEqual(rescheduled.routes, ['alpha']);
+    assert.deepStrictEqual(Object.keys(loadSeenMigrations().alerts), ['alpha:cwh_upcoming']);
+});
+
+test('skips migrations outside the threshold or without a time', () => {
+    const alerts = getMigrationsToAlert([
+        migration('far', 120),
+        migration('unknown', null),
+        { id: 'page-content', debug: true, minutesUntil: 1 }
+    ]);
+
+    assert.deepStrictEqual(alerts, []);
+});
+
+test('does not repeat a tier within ten minutes', () => {
+    assert.strictEqual(getMigrationsToAlert([migration('cwh', 30)]).length, 1);
+    advance(5);
+    assert.strictEqual(getMigrationsToAlert([migration('cwh', 25)]).length, 0);
+    advance(5);
+    assert.strictEqual(getMigrationsToAlert([migration('cwh', 20)]).length, 1);
+});
+
+test('smooths small countdown jitter into the stored ETA', () => {
+    getMigrationsToAlert([migration('cwh', 120)]);
+    advance(5);
+    const alerts = getMigrationsToAlert([migration('cwh', 113)]);
+
+    assert.deepStrictEqual(alerts, []);
+    assert.strictEqual(loadSeenMigrations().migrations.cwh.etaAt, START + 119 * 60000);
+});
+
+test('reports a reschedule with the old and new ETA', () => {
+    getMigrationsToAlert([migration('cwh', 20)]);
+    advance(5);
+    const alerts = getMigrationsToAlert([migration('cwh', 75)]);
+
+    assert.strictEqual(alerts.length, 1);
+    assert.strictEqual(alerts[0].alertType, 'rescheduled');
+    assert.strictEqual(alerts[0].previousEtaAt, START + 20 * 60000);
+    assert.strictEqual(alerts[0].etaAt, START + 80 * 60000);
+});
+
+test('resets tier alerts after a reschedule', () => {
+    getMigrationsToAlert([migration('cwh', 20)]);
+    advance(1);
+    getMigrationsToAlert([migration('cwh', 120)]);
+
+    advance(95);
+    const alerts = getMigrationsToAlert([migration('cwh', 25)]);
+
+    assert.deepStrictEqual(alerts.map(a => a.alertTier), ['upcoming']);
+});
+
+test('does not send a tier alert alongside a reschedule into the same tier', () => {
+    getMigrationsToAlert([migration('cwh', 60)]);
+    advance(1);
+    const rescheduled = getMigrationsToAlert([migration('cwh', 20)]);
+    advance(1);
+    const next = getMigrationsToAlert([migration('cwh', 19)]);
+
+    assert.deepStrictEqual(rescheduled.map(a => a.alertType), ['rescheduled']);
+    assert.deepStrictEqual(next, []);
+});
+
+test('anchors the ETA at the scrape time', () => {
+    const scrapedAt = new Date(now - 10 * 60000).toISOString();
+    const alerts = getMigrationsToAlert([migration('cwh', 20, { scrapedAt })]);
+
+    assert.strictEqual(alerts[0].minutesUntil, 10);
+    assert.strictEqual(alerts[0].alertTier, 'soon');
+});
+
+test('honours alerts already recorded in storage', () => {
+    const storage = createMemoryStorage();
+    storage.save({ alerts: { cwh_upcoming: now }, migrations: {}, projects: {} });
+    useStorage(storage);
+
+    assert.deepStrictEqual(getMigrationsToAlert([migration('cwh', 25)]), []);
+});
+
+test('records each ETA reading in the history', () => {
+    getMigrationsToAlert([migration('cwh', 20)]);
+    advance(5);
+    getMigrationsToAlert([migration('cwh', 75)]);
+
+    assert.deepStrictEqual(getEtaHistory('cwh'), [
+        { observedAt: START, etaAt: START + 20 * 60000, rescheduled: false },
+        { observedAt: START + 5 * 60000, etaAt: START + 80 * 60000, rescheduled: true }
+    ]);
+});
+
+test('leaves stored state untouched when a check fails', () => {
+    const storage = createMemoryStorage();
+    useStorage(storage);
+    getMigrationsToAlert([migration('cwh', 25)]);
+    const before = loadSeenMigrations();
+
+    advance(12);
+    storage.save = () => { throw new Error('disk full'); };
+    assert.throws(() => getMigrationsToAlert([migration('cwh', 13)]), /disk full/);
+
+    assert.deepStrictEqual(loadSeenMigrations(), before);
+    assert.strictEqual(getEtaHistory('cwh').length, 1);
+});
+
+test('returns the card message and previous tier once a card was posted', () => {
+    getMigrationsToAlert([migration('cwh', 25)]);
+    setAlertMessage('cwh', '111');
+    advance(12);
+
+    const [alert] = getMigrationsToAlert([migration('cwh', 13)]);
+
+    assert.strictEqual(alert.alertTier, 'soon');
+    assert.deepStrictEqual(alert.messages, { discord: '111' });
+    assert.strictEqual(alert.previousTier, 'upcoming');
+});
+
+test('keeps card messages per notifier, including ones that cannot be edited', () => {
+    getMigrationsToAlert([migration('cwh', 25)]);
+    setAlertMessage('cwh', '111', 'discord');
+    setAlertMessage('cwh', null, 'slack');
+    advance(12);
+
+    const [alert] = getMigrationsToAlert([migration('cwh', 13)]);
+
+    assert.deepStrictEqual(alert.messages, { discord: '111', slack: null });
+});
+
+test('marks a card live once its ETA passes', () => {
+    getMigrationsToAlert([migration('cwh', 4)]);
+    setAlertMessage('cwh', '111');
+    advance(5);
+
+    const alerts = getMigrationsToAlert([migration('cwh', 0)]);
+    advance(5);
+    const later = getMigrationsToAlert([migration('cwh', 0)]);
+
+    assert.deepStrictEqual(alerts.map(a => [a.alertType, a.messages]), [['live', { discord: '111' }]]);
+    assert.deepStrictEqual(later, []);
+});
+
+test('marks a card live when the migration leaves the page after its ETA', () => {
+    getMigrationsToAlert([migration('cwh', 4)]);
+    setAlertMessage('cwh', '111');
+    advance(10);
+
+    const alerts = getMigrationsToAlert([]);
+
+    assert.deepStrictEqual(alerts.map(a => [a.id, a.name, a.alertType]), [['cwh', 'CWH', 'live']]);
+});
+
+test('ignores message IDs for unknown migrations', () => {
+    setAlertMessage('nope', '111');
+
+    assert.deepStrictEqual(loadSeenMigrations().migrations, {});
+});
+
+test('uses configured tiers and cooldowns', () => {
+    const tiers = [
+        { name: 'now', threshold: 2, color: 0xFF0000, label: 'NOW', cooldownMinutes: 0 },
+        { name: 'today', threshold: 600, color: 0x00FF00, label: 'TODAY', cooldownMinutes: 120 }
+    ];
+
+    const first = getMigrationsToAlert([migration('cwh', 500)], { tiers });
+    advance(60);
+    const repeat = getMigrationsToAlert([migration('cwh', 440)], { tiers });
+    advance(439);
+    const last = getMigrationsToAlert([migration('cwh', 1)], { tiers });
+
+    assert.deepStrictEqual(first.map(a => a.alertTier), ['today']);
+    assert.deepStrictEqual(repeat, []);
+    assert.deepStrictEqual(last.map(a => a.alertTier), ['now']);
+});
+
+test('alerts beyond the widest tier as scheduled when the threshold allows', () => {
+    const alerts = getMigrationsToAlert([migration('cwh', 45)], { thresholdMinutes: 60 });
+
+    assert.deepStrictEqual(alerts.map(a => a.alertTier), ['scheduled']);
+});
+
+test('does not re-alert when the page order changes', () => {
+    const cwh = { name: 'Cat Wif Hat', ticker: 'CWH', minutesUntil: 25, scrapedAt: new Date(now).toISOString() };
+    const rock = { name: 'Moon Rock', ticker: 'ROCK', minutesUntil: 28, scrapedAt: new Date(now).toISOString() };
+
+    const first = getMigrationsToAlert([cwh, rock]);
+    advance(1);
+    const second = getMigrationsToAlert([{ ...rock, minutesUntil: 27 }, { ...cwh, minutesUntil: 24 }]);
+
+    assert.strictEqual(first.length, 2);
+    assert.deepStrictEqual(second, []);
+});
+
+test('lists tracked migrations soonest first with their current tier', () => {
+    getMigrationsToAlert([migration('rock', 90), migration('cwh', 25)]);
+    setAlertMessage('cwh', '111');
+    advance(12);
+
+    const tracked = getTrackedMigrations();
+
+    assert.deepStrictEqual(tracked.map(m => [m.id, m.minutesUntil, m.tier, m.alertTier, m.messages]), [
+        ['cwh', 13, 'soon', 'upcoming', { discord: '111' }],
+        ['rock', 78, 'scheduled', null, {}]
+    ]);
+    assert.strictEqual(tracked[0].etaAt, new Date(START + 25 * 60000).toISOString());
+});
+
+test('announces projects listed after the first scrape, even far from their ETA', () => {
+    const first = getMigrationsToAlert([migration('cwh', 3000)]);
+    advance(5);
+    const second = getMigrationsToAlert([migration('cwh', 2995), migration('rock', 4000), migration('tba', null)]);
+    advance(5);
+    const third = getMigrationsToAlert([migration('cwh', 2990), migration('rock', 3995), migration('tba', null)]);
+
+    assert.deepStrictEqual(first, []);
+    assert.deepStrictEqual(second.map(a => [a.id, a.alertType, a.relisted, a.etaAt]), [
+        ['rock', 'listed', false, START + 4005 * 60000],
+        ['tba', 'listed', false, null]
+    ]);
+    assert.deepStrictEqual(third, []);
+});
+
+test('reports a project that leaves the page before its ETA after the grace period', () => {
+    getMigrationsToAlert([migration('cwh', 25), migration('rock', 600)]);
+    setAlertMessage('cwh', '111');
+    advance(10);
+    const early = getMigrationsToAlert([migration('rock', 590)]);
+    advance(10);
+    const removed = getMigrationsToAlert([migration('rock', 580)]);
+    advance(10);
+    const later = getMigrationsToAlert([migration('rock', 570)]);
+
+    assert.deepStrictEqual(early, []);
+    assert.deepStrictEqual(removed.map(a => [a.id, a.name, a.alertType, a.reason, a.messages, a.etaAt]), [
+        ['cwh', 'CWH', 'removed', 'delisted', { discord: '111' }, START + 25 * 60000]
+    ]);
+    assert.deepStrictEqual(later, []);
+});
+
+test('does not report removals from an empty scrape or after the ETA', () => {
+    getMigrationsToAlert([migration('cwh', 5), migration('rock', 600)]);
+    advance(30);
+
+    assert.deepStrictEqual(getMigrationsToAlert([]), []);
+    assert.deepStrictEqual(getMigrationsToAlert([migration('rock', 570)]), []);
+});
+
+test('reports cancelled projects once and relists them if they come back', () => {
+    getMigrationsToAlert([migration('cwh', 600)]);
+    advance(5);
+    const cancelled = getMigrationsToAlert([migration('cwh', 595, { status: 'cancelled' })]);
+    advance(5);
+    const again = getMigrationsToAlert([migration('cwh', 590, { status: 'cancelled' })]);
+    advance(5);
+    const relisted = getMigrationsToAlert([migration('cwh', 585)]);
+
+    assert.deepStrictEqual(cancelled.map(a => [a.alertType, a.reason]), [['removed', 'cancelled']]);
+    assert.deepStrictEqual(again, []);
+    assert.deepStrictEqual(relisted.map(a => [a.alertType, a.relisted]), [['listed', true]]);
+});
+
+test('tracks listings without alerting when listing alerts are off', () => {
+    getMigrationsToAlert([migration('cwh', 600)], { listingAlerts: false });
+    advance(5);
+
+    assert.deepStrictEqual(getMigrationsToAlert([migration('rock', 600)], { listingAlerts: false }), []);
+    assert.deepStrictEqual(getMigrationsToAlert([migration('rock', 595)], { listingAlerts: false, removalGraceMinutes: 0 }), []);
+});